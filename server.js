@@ -7,48 +7,250 @@ import express from 'express';
 import cors from 'cors';
 import admin from 'firebase-admin';
 import dotenv from 'dotenv';
-import { v4 as uuidv4 } from 'uuid'; // Pour générer des codes d'invitation uniques
+import crypto from 'crypto';
+import { sendError, sendResponse } from './src/http.js';
+import { createAuthMiddleware, createFirebaseVerifier, createLocalVerifier } from './src/auth.js';
+import { createStore, SERVER_TIMESTAMP, STORAGE_BACKENDS } from './src/storage/index.js';
+import { createRepositories } from './src/repositories/index.js';
+import { createEventHub, createEventPublisher } from './src/events.js';
+import { createPresenceService } from './src/presence.js';
+import { createVisibilityFilter } from './src/visibility.js';
+import { computeGameStats } from './src/stats.js';
+import { decodeCursor, encodeCursor, periodKey, rankKey } from './src/leaderboards.js';
+import { checkScore, DEFAULT_GAME_RULES, formatScore, isBetterFor, shouldReplaceCurrent, validateGameDefinition } from './src/games.js';
+import { createSubmissionRateLimiter, detectSuspiciousScore, isCountedSubmission, SIGNATURE_MAX_AGE_MS, verifyScoreSignature } from './src/anticheat.js';
+import { normalizePseudo } from './src/pseudos.js';
+import { inviteCodeStatus, normalizeInviteCode, validateInviteOptions } from './src/invites.js';
+import { createMemoryRateLimitStore, createRateLimiter } from './src/rateLimit.js';
+import { createValidator, ID_PATTERN } from './src/validation.js';
+import { GROUP_LIMITS, ROUTE_SCHEMAS } from './src/schemas.js';
+import { API_ROUTES, createRouteResolver, parseRoutePath } from './src/routes.js';
+import { buildOpenApiDocument } from './src/openapi.js';
+import { createDataExportService, createMemoryExportFileStore } from './src/dataExport.js';
+import { createModerationService } from './src/moderation.js';
+import { createNotificationService, formatNotification, NOTIFICATION_TYPES } from './src/notifications.js';
+import { CHALLENGE_LIMITS, createChallengeService, formatChallenge, summarizeChallenges } from './src/challenges.js';
 
 // Charger les variables d'environnement depuis un fichier .env si nous ne sommes pas sur Render
 // Cela permet de tester localement avec un fichier .env
 dotenv.config();
 
-// 2. Initialisation du SDK Firebase Admin
-const serviceAccountKey = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
-
-// Vérification de la présence de la clé de service, essentielle pour l'authentification Firebase Admin
-if (!serviceAccountKey) {
-    console.error('FIREBASE_SERVICE_ACCOUNT_KEY environment variable is not set.');
-    console.error('Please provide the Firebase Admin SDK service account key (as a stringified JSON object).');
-    process.exit(1); // Arrête le processus si la clé est manquante
+// 2. Choix du stockage et de l'authentification
+// STORAGE_BACKEND=firebase (par défaut) utilise Realtime Database ; STORAGE_BACKEND=memory garde les
+// données en mémoire, persistées dans STORAGE_FILE si défini (JSON), pour travailler hors ligne.
+// AUTH_MODE=firebase vérifie les ID tokens Firebase ; AUTH_MODE=local utilise des jetons signés par
+// le serveur. Par défaut, AUTH_MODE suit le stockage (firebase avec Firebase, local sinon).
+const storageBackend = process.env.STORAGE_BACKEND || 'firebase';
+const authMode = process.env.AUTH_MODE || (storageBackend === 'firebase' ? 'firebase' : 'local');
+
+if (!STORAGE_BACKENDS.includes(storageBackend)) {
+    console.error(`Unknown STORAGE_BACKEND "${storageBackend}" (expected one of: ${STORAGE_BACKENDS.join(', ')}).`);
+    process.exit(1);
 }
 
-let db; // Variable pour stocker l'instance de Realtime Database
+// 2bis. Initialisation du SDK Firebase Admin, seulement si le stockage ou l'authentification en ont besoin
+if (storageBackend === 'firebase' || authMode === 'firebase') {
+    const serviceAccountKey = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
 
-try {
-    const serviceAccount = JSON.parse(serviceAccountKey); // Parse le JSON de la clé de service
+    // Vérification de la présence de la clé de service, essentielle pour l'authentification Firebase Admin
+    if (!serviceAccountKey) {
+        console.error('FIREBASE_SERVICE_ACCOUNT_KEY environment variable is not set.');
+        console.error('Please provide the Firebase Admin SDK service account key (as a stringified JSON object),');
+        console.error('or run offline with STORAGE_BACKEND=memory.');
+        process.exit(1); // Arrête le processus si la clé est manquante
+    }
+
+    try {
+        const serviceAccount = JSON.parse(serviceAccountKey); // Parse le JSON de la clé de service
+
+        // Initialisation de l'application Firebase Admin
+        // Le SDK Admin a un accès complet à votre projet Firebase
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            // L'URL de votre Realtime Database, soit depuis l'environnement, soit par défaut
+            databaseURL: process.env.FIREBASE_DATABASE_URL || "https://dino-meilleur-score-classement-default-rtdb.europe-west1.firebasedatabase.app"
+        });
+        console.log('Firebase Admin SDK initialized successfully!');
+
+    } catch (error) {
+        console.error('Failed to parse FIREBASE_SERVICE_ACCOUNT_KEY or initialize Firebase Admin SDK:', error);
+        process.exit(1); // Arrête le processus en cas d'erreur critique d'initialisation
+    }
+}
 
-    // Initialisation de l'application Firebase Admin
-    // Le SDK Admin a un accès complet à votre projet Firebase
-    admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        // L'URL de votre Realtime Database, soit depuis l'environnement, soit par défaut
-        databaseURL: process.env.FIREBASE_DATABASE_URL || "https://dino-meilleur-score-classement-default-rtdb.europe-west1.firebasedatabase.app"
-    });
-    console.log('Firebase Admin SDK initialized successfully!');
+// Couche d'accès aux données utilisée par toutes les routes
+const store = createStore(storageBackend, {
+    getDatabase: () => admin.database(),
+    file: process.env.STORAGE_FILE
+});
+const repos = createRepositories(store);
+// Toute donnée renvoyée à un autre utilisateur que son propriétaire passe par ce filtre
+const visibility = createVisibilityFilter(repos);
+console.log(`Storage backend: ${storageBackend}${store.backend === 'memory' && process.env.STORAGE_FILE ? ` (${process.env.STORAGE_FILE})` : ''}`);
+
+// 2ter. Authentification des requêtes
+let authVerifier;
+if (authMode === 'local') {
+    let authSecret = process.env.AUTH_SECRET;
+    if (!authSecret) {
+        authSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('AUTH_SECRET is not set: using a random secret, issued tokens will not survive a restart.');
+    }
+    authVerifier = createLocalVerifier({ secret: authSecret });
+} else {
+    authVerifier = createFirebaseVerifier(admin);
+}
+// Les administrateurs sont listés dans ADMIN_USER_IDS (séparés par des virgules) ou ont `role: 'admin'` en base
+const adminUserIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const isAdmin = async (userId) => adminUserIds.includes(userId) || (await repos.users.getRole(userId)) === 'admin';
+// Un compte banni ou suspendu (voir /adminSanctionUser) ne peut plus utiliser aucune route authentifiée ;
+// un compte restreint n'est limité que sur les routes qui touchent les autres utilisateurs (voir rejectRestricted)
+const checkAccount = async (userId) => {
+    const sanction = await repos.sanctions.getActive(userId);
+    if (!sanction || sanction.type === 'restriction') return null;
+    const data = { type: sanction.type, reason: sanction.reason, expiresAt: sanction.expiresAt ?? null };
+    return sanction.type === 'ban'
+        ? { code: 'ACCOUNT_BANNED', message: 'Ce compte a été banni.', data }
+        : { code: 'ACCOUNT_SUSPENDED', message: 'Ce compte est temporairement suspendu.', data };
+};
+const { authenticate, requireAuth, requireAdmin, actAs, allowQueryToken, identify } = createAuthMiddleware(authVerifier, { isAdmin, checkAccount });
+// Un compte restreint garde la lecture, mais ne peut plus écrire aux autres, modifier son profil ou son pseudo,
+// publier de projet ni signaler.
+// À placer après actAs sur les routes concernées.
+const rejectRestricted = async (req, res, next) => {
+    try {
+        const sanction = await repos.sanctions.getActive(req.auth.uid);
+        if (sanction && sanction.type === 'restriction') {
+            return sendError(res, 403, 'ACCOUNT_RESTRICTED', 'Ce compte est temporairement restreint : cette action est indisponible.', {
+                reason: sanction.reason, expiresAt: sanction.expiresAt ?? null
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
 
-    // Obtention d'une instance de Realtime Database pour interagir avec la base de données
-    db = admin.database();
+// 2quater. Événements temps réel (SSE)
+// Les connexions sont gardées en mémoire : avec plusieurs instances du serveur, un utilisateur
+// ne reçoit que les événements produits par l'instance à laquelle il est connecté.
+const eventHub = createEventHub();
+const events = createEventPublisher({ hub: eventHub, repos, visibility });
+
+// 2quinquies. Présence (en ligne / dernière activité)
+// Sans heartbeat ni flux SSE ouvert pendant PRESENCE_TIMEOUT_MS, un utilisateur passe hors ligne.
+const presence = createPresenceService({
+    repos,
+    events,
+    isConnected: eventHub.isConnected,
+    timeoutMs: Number(process.env.PRESENCE_TIMEOUT_MS) || 60 * 1000
+});
+presence.start();
+// Ouvrir un flux SSE vaut connexion, fermer le dernier vaut déconnexion
+eventHub.onConnectionChange((userId, connected) => {
+    (connected ? presence.connect(userId) : presence.disconnect(userId))
+        .catch(error => console.error('Erreur lors de la mise à jour de la présence :', error));
+});
 
+// 2sexies. Anti-triche sur les scores
+// SCORE_SUBMISSIONS_PER_MINUTE limite les soumissions par joueur et par jeu quand le jeu n'en fixe pas.
+// Les compteurs sont en mémoire (par instance) ; les nonces des soumissions signées sont en base.
+const defaultScoreSubmissionsPerMinute = Number(process.env.SCORE_SUBMISSIONS_PER_MINUTE) || 10;
+const scoreRateLimiter = createSubmissionRateLimiter();
+setInterval(() => {
+    repos.antiCheat.pruneNonces(Date.now())
+        .catch(error => console.error('Erreur lors de la purge des nonces de score :', error));
+}, SIGNATURE_MAX_AGE_MS).unref();
+
+// 2septies. Limitation du débit des requêtes
+// Limites par fenêtre de `windowMs` ms, par adresse IP (`perIp`) et par utilisateur authentifié (`perUser`).
+// Les routes sans règle propre partagent les compteurs de `default`. RATE_LIMITS (JSON) remplace tout ou
+// partie des règles, ex: {"sendMessage":{"perUser":60},"searchUsers":null} ; une règle nulle désactive la limite.
+// Derrière un proxy (Render...), TRUST_PROXY doit être défini pour que l'IP du client soit utilisée.
+const MINUTE_MS = 60 * 1000;
+const RATE_LIMIT_RULES = {
+    default: { windowMs: MINUTE_MS, perIp: 300, perUser: 120 },
+    createUser: { windowMs: 60 * MINUTE_MS, perIp: 5 }, // Création de comptes : 5 par heure et par IP
+    sendMessage: { windowMs: MINUTE_MS, perIp: 60, perUser: 20 },
+    sendGroupMessage: { windowMs: MINUTE_MS, perIp: 60, perUser: 20 },
+    sendFriendRequest: { windowMs: MINUTE_MS, perIp: 30, perUser: 10 },
+    sendFriendRequestByCode: { windowMs: MINUTE_MS, perIp: 30, perUser: 10 },
+    searchUsers: { windowMs: MINUTE_MS, perIp: 60, perUser: 30 },
+    createChallenge: { windowMs: MINUTE_MS, perIp: 30, perUser: 10 },
+    reportUser: { windowMs: 60 * MINUTE_MS, perIp: 60, perUser: 20 },
+    reportMessage: { windowMs: 60 * MINUTE_MS, perIp: 60, perUser: 20 },
+    requestDataExport: { windowMs: 60 * MINUTE_MS, perIp: 20, perUser: 5 } // Exports de données : 5 par heure
+};
+let rateLimitOverrides = {};
+try {
+    rateLimitOverrides = JSON.parse(process.env.RATE_LIMITS || '{}');
 } catch (error) {
-    console.error('Failed to parse FIREBASE_SERVICE_ACCOUNT_KEY or initialize Firebase Admin SDK:', error);
-    process.exit(1); // Arrête le processus en cas d'erreur critique d'initialisation
+    console.error(`Invalid RATE_LIMITS (expected JSON): ${error.message}`);
+    process.exit(1);
+}
+const rateLimitRules = { ...RATE_LIMIT_RULES };
+for (const [routeName, override] of Object.entries(rateLimitOverrides)) {
+    rateLimitRules[routeName] = override === null ? null : { windowMs: MINUTE_MS, ...RATE_LIMIT_RULES[routeName], ...override };
 }
+// Une route /v1 partage la règle et les compteurs de son alias historique (voir src/routes.js)
+const resolveRouteName = createRouteResolver(API_ROUTES);
+const rateLimiter = createRateLimiter({
+    store: createMemoryRateLimitStore(),
+    rules: rateLimitRules,
+    identify,
+    routeNameOf: (req) => resolveRouteName(req.method, req.path)
+});
+
+// 2octies. Export des données personnelles
+// Les exports sont générés en arrière-plan ; /requestDataExport attend au plus DATA_EXPORT_WAIT_MS avant de
+// répondre "en cours" (202). Les fichiers restent téléchargeables DATA_EXPORT_TTL_HOURS heures (24 par défaut).
+// Ils sont gardés en mémoire : avec plusieurs instances, seule celle qui a généré un export peut le servir.
+const dataExportWaitMs = Number(process.env.DATA_EXPORT_WAIT_MS) || 3000;
+const dataExports = createDataExportService({
+    repos,
+    files: createMemoryExportFileStore(),
+    events,
+    ttlMs: (Number(process.env.DATA_EXPORT_TTL_HOURS) || 24) * 60 * MINUTE_MS
+});
+
+// 2nonies. Signalements et modération
+// Un compte signalé par REPORT_RESTRICTION_THRESHOLD utilisateurs distincts (3 par défaut), sans décision de la
+// modération, est restreint automatiquement pendant REPORT_RESTRICTION_HOURS heures (24 par défaut).
+const moderation = createModerationService({
+    repos,
+    events,
+    isAdmin,
+    threshold: Number(process.env.REPORT_RESTRICTION_THRESHOLD) || 3,
+    restrictionMs: (Number(process.env.REPORT_RESTRICTION_HOURS) || 24) * 60 * MINUTE_MS
+});
+
+// 2decies. Notifications persistantes
+// Les notifications de plus de NOTIFICATION_TTL_DAYS jours (30 par défaut) sont supprimées quand une nouvelle
+// arrive ou quand l'utilisateur consulte sa boîte.
+const notifications = createNotificationService({
+    repos,
+    hub: eventHub,
+    visibility,
+    ttlMs: (Number(process.env.NOTIFICATION_TTL_DAYS) || 30) * 24 * 60 * MINUTE_MS
+});
+
+// 2undecies. Défis entre amis
+// Les défis dont l'échéance est passée expirent à chaque minute (et ceux de l'utilisateur à chaque
+// consultation de /getChallenges).
+const challenges = createChallengeService({ repos, events, notifications });
+setInterval(() => {
+    challenges.expireDue(Date.now())
+        .catch(error => console.error('Erreur lors de l\'expiration des défis :', error));
+}, MINUTE_MS).unref();
 
 // 3. Configuration de l'application Express
 const app = express();
 // Définit le port sur lequel le serveur va écouter. Render fournira un PORT, sinon 3000 pour le local.
 const PORT = process.env.PORT || 3000;
+// TRUST_PROXY : nombre de proxys devant le serveur (ex: 1), pour que req.ip soit l'IP du client
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number.isNaN(Number(process.env.TRUST_PROXY)) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
 
 // 4. Middleware (fonctions qui traitent les requêtes avant d'atteindre les routes)
 // Active CORS (Cross-Origin Resource Sharing) pour permettre les requêtes depuis votre extension
@@ -56,11 +258,46 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 // Permet à Express de parser les corps de requêtes JSON (pour les requêtes POST/PUT/PATCH)
 app.use(express.json());
+// Limite le débit de chaque route par IP et par utilisateur (voir RATE_LIMIT_RULES), réponse 429 avec Retry-After
+app.use(rateLimiter);
+
+// 5. Les réponses API ont toutes la même structure { success, message, data } (voir src/http.js)
+// Les routes qui agissent au nom d'un utilisateur exigent un jeton "Authorization: Bearer <jeton>" :
+// l'utilisateur agissant est celui du jeton, et un userId fourni dans la requête doit lui correspondre.
+
+// Chaque route valide sa requête selon son schéma (src/schemas.js) : 400 VALIDATION_ERROR sinon.
+// Les erreurs ont un `code` stable ; les détails des erreurs internes ne sont jamais renvoyés au client.
+const validate = createValidator(ROUTE_SCHEMAS);
+
+// Chaque route est servie sous son chemin /v1 orienté ressources et sous son chemin historique,
+// conservé comme alias pour les versions installées de l'extension (catalogue : src/routes.js).
+// Sous /v1, les paramètres du chemin tiennent lieu des champs du même nom du corps historique.
+const paramsToBody = (req, res, next) => {
+    req.body = { ...req.body, ...req.params };
+    next();
+};
 
-// 5. Fonction utilitaire pour envoyer des réponses API cohérentes
-// Toutes les réponses du backend auront la même structure { success, message, data }
-const sendResponse = (res, statusCode, success, message, data = null) => {
-    res.status(statusCode).json({ success, message, data });
+/**
+ * Enregistre une route sous ses chemins du catalogue.
+ * Lève une erreur au démarrage si la route n'est pas au catalogue, ou si un paramètre de son chemin /v1
+ * ne correspond à aucun champ de la route historique.
+ * @param {string} name - Le nom de la route (ex: 'removeFriend').
+ * @param {...Function} handlers - Les middlewares et le gestionnaire de la route.
+ */
+const route = (name, ...handlers) => {
+    const spec = API_ROUTES[name];
+    if (!spec) throw new Error(`Route "${name}" absente du catalogue des routes.`);
+    const legacy = parseRoutePath(spec.legacy);
+    const v1 = parseRoutePath(spec.v1);
+    if (legacy) app[legacy.method](legacy.path, ...handlers);
+    if (!v1) return;
+
+    const schema = ROUTE_SCHEMAS[name] || {};
+    const readsBody = Boolean(schema.body);
+    const fields = readsBody ? schema.body : (schema.params || {});
+    const unknownParam = v1.params.find(param => !(param in fields));
+    if (unknownParam) throw new Error(`Paramètre "${unknownParam}" inconnu de la route "${name}" (${spec.v1}).`);
+    app[v1.method](v1.path, ...(readsBody ? [paramsToBody] : []), ...handlers);
 };
 
 // --- Fonctions utilitaires du backend ---
@@ -70,41 +307,167 @@ const sendResponse = (res, statusCode, success, message, data = null) => {
  * @param {string} userId - L'ID de l'utilisateur à vérifier.
  * @returns {Promise<boolean>} Vrai si l'utilisateur existe, faux sinon.
  */
-const userExists = async (userId) => {
-    const snapshot = await db.ref(`users/${userId}`).once('value');
-    return snapshot.exists();
-};
+const userExists = (userId) => repos.users.exists(userId);
 
 /**
  * Récupère le pseudo d'un utilisateur.
  * @param {string} userId - L'ID de l'utilisateur.
  * @returns {Promise<string|null>} Le pseudo de l'utilisateur ou null si non trouvé.
  */
-const getUserPseudo = async (userId) => {
-    const snapshot = await db.ref(`users/${userId}/pseudo`).once('value');
-    return snapshot.exists() ? snapshot.val() : null;
+const getUserPseudo = (userId) => repos.users.getPseudo(userId);
+
+/**
+ * Libère un pseudo réservé pour un utilisateur si le changement a échoué avant d'être appliqué
+ * (appelée dans le bloc catch ; ne rejette jamais).
+ * @param {string} userId
+ * @param {string} normalized - Le pseudo normalisé réservé.
+ */
+const releaseUnappliedPseudo = async (userId, normalized) => {
+    try {
+        const appliedPseudo = await repos.users.getPseudo(userId);
+        if (appliedPseudo !== null && normalizePseudo(appliedPseudo) === normalized) return; // Déjà appliqué
+        await repos.pseudos.release(normalized, userId);
+    } catch (error) {
+        console.error('Erreur lors de la libération d\'un pseudo réservé :', error);
+    }
 };
 
 /**
- * Récupère les paramètres de visibilité d'un utilisateur pour une information donnée.
- * @param {string} userId - L'ID de l'utilisateur.
- * @param {string} infoType - Le type d'information (ex: 'profile_bio', 'game_scores').
- * @returns {Promise<string>} Le niveau de visibilité ('everyone', 'friends_only', 'nobody'), par défaut 'nobody'.
+ * Récupère les utilisateurs liés à `viewerId` par un blocage, dans un sens ou dans l'autre :
+ * ils n'apparaissent pas dans ce que voit `viewerId` (recherche, classements, suggestions...).
+ * @param {string|null} viewerId - L'utilisateur authentifié, ou null pour un lecteur anonyme.
+ * @returns {Promise<Set<string>>}
+ */
+const getBlockedEitherWayIds = async (viewerId) =>
+    new Set(viewerId ? await repos.friendships.listBlockedEitherWayIds(viewerId) : []);
+
+// Avec FRIEND_REQUEST_TTL_DAYS, les demandes d'amis sans réponse expirent après ce nombre de jours ;
+// sinon elles restent en attente indéfiniment.
+const friendRequestTtlMs = Number(process.env.FRIEND_REQUEST_TTL_DAYS) > 0
+    ? Number(process.env.FRIEND_REQUEST_TTL_DAYS) * 24 * 60 * 60 * 1000
+    : null;
+
+/**
+ * Supprime les demandes d'amis expirées envoyées ou reçues par l'utilisateur.
+ * Appelée avant chaque lecture ou modification de ses demandes.
+ * @param {string} userId
+ */
+const expireFriendRequests = async (userId) => {
+    if (friendRequestTtlMs !== null) await repos.requests.removeExpired(userId, Date.now() - friendRequestTtlMs);
+};
+
+/**
+ * Met en forme une demande d'ami avec le pseudo de l'autre utilisateur et sa date d'expiration.
+ * @returns {Promise<object|null>} null si l'autre utilisateur n'existe plus.
+ */
+const formatFriendRequest = async ({ id, sentAt }) => {
+    const pseudo = await getUserPseudo(id);
+    if (!pseudo) return null;
+    const expiresAt = friendRequestTtlMs !== null && sentAt !== null ? sentAt + friendRequestTtlMs : null;
+    return { id, pseudo, sentAt, expiresAt };
+};
+
+// Réponses aux codes d'invitation inutilisables. Un code révoqué répond comme un code inconnu.
+const INVITE_CODE_ERRORS = {
+    unknown: [404, 'INVITE_CODE_INVALID', 'Code d\'invitation invalide ou aucun utilisateur trouvé avec ce code.'],
+    revoked: [404, 'INVITE_CODE_INVALID', 'Code d\'invitation invalide ou aucun utilisateur trouvé avec ce code.'],
+    expired: [410, 'INVITE_CODE_EXPIRED', 'Ce code d\'invitation a expiré.'],
+    exhausted: [410, 'INVITE_CODE_EXHAUSTED', 'Ce code d\'invitation a atteint son nombre maximal d\'utilisations.']
+};
+
+/**
+ * Répond à l'utilisation d'un code d'invitation inutilisable.
+ * @param {string} status - L'état du code (voir inviteCodeStatus).
+ */
+const sendInviteCodeError = (res, status) => {
+    const [httpStatus, code, message] = INVITE_CODE_ERRORS[status];
+    sendError(res, httpStatus, code, message);
+};
+
+/**
+ * Utilise un code d'invitation : compte l'utilisation, puis crée l'amitié (codes à amitié immédiate)
+ * ou envoie une demande d'ami au propriétaire du code, et enregistre le parrainage.
+ * Les vérifications propres à l'utilisateur (amitié existante, blocages...) sont faites avant l'appel.
+ * @param {string} code - Le code normalisé.
+ * @param {string} userId - L'utilisateur qui utilise le code.
+ * @param {'signup'|'connection'} kind - Inscription avec le code ou utilisateur existant.
+ * @returns {Promise<{ status: string, ownerId?: string, result?: 'friendship'|'request' }>}
+ * `status` vaut 'active' si le code a été utilisé (voir inviteCodeStatus sinon).
+ */
+const redeemInviteCode = async (code, userId, kind) => {
+    const { status, invite } = await repos.inviteCodes.consume(code);
+    if (status !== 'active') return { status };
+
+    const ownerId = invite.ownerId;
+    const result = invite.instantFriendship ? 'friendship' : 'request';
+    if (result === 'friendship') {
+        await repos.friendships.befriend(userId, ownerId);
+    } else {
+        await repos.requests.send(userId, ownerId, SERVER_TIMESTAMP);
+    }
+    await repos.inviteCodes.recordUse(code, userId, { usedAt: SERVER_TIMESTAMP, kind, result });
+
+    if (result === 'friendship') {
+        events.inviteCodeUsed(ownerId, userId, kind, result);
+        notifications.friendAdded(ownerId, userId);
+    } else {
+        events.friendRequestSent(userId, ownerId);
+        notifications.friendRequestReceived(ownerId, userId);
+    }
+    return { status, ownerId, result };
+};
+
+/**
+ * Met en forme un code d'invitation pour son propriétaire.
+ */
+const formatInviteCode = (code, invite) => ({
+    code,
+    status: inviteCodeStatus(invite),
+    createdAt: invite.createdAt || null,
+    expiresAt: invite.expiresAt || null,
+    maxUses: invite.maxUses || null,
+    uses: invite.uses || 0,
+    instantFriendship: invite.instantFriendship === true,
+    revokedAt: invite.revokedAt || null
+});
+
+// Avec REQUIRE_REGISTERED_GAMES=true, seuls les jeux du registre acceptent des scores ;
+// sinon les jeux inconnus suivent DEFAULT_GAME_RULES (plus haut score meilleur, dernier score conservé).
+const requireRegisteredGames = process.env.REQUIRE_REGISTERED_GAMES === 'true';
+
+/**
+ * Récupère les règles d'un jeu depuis le registre.
+ * @param {string} gameId - L'ID du jeu.
+ * @returns {Promise<object|null>} Les règles (avec `id` et `registered`), ou null si le jeu est inconnu
+ * et que les jeux non enregistrés sont refusés.
  */
-const getUserVisibility = async (userId, infoType) => {
-    const snapshot = await db.ref(`users/${userId}/profile/visibility/${infoType}`).once('value');
-    return snapshot.exists() ? snapshot.val() : 'nobody'; // 'nobody' par défaut si non défini
+const getGameRules = async (gameId) => {
+    const game = await repos.games.get(gameId);
+    if (game) return { id: gameId, registered: true, ...DEFAULT_GAME_RULES, ...game };
+    if (requireRegisteredGames) return null;
+    return { id: gameId, registered: false, name: gameId, ...DEFAULT_GAME_RULES };
 };
 
+// Sens de classement d'un jeu, même retiré du registre (index du classement public)
+const getSortDirection = async (gameId) => ((await getGameRules(gameId)) || DEFAULT_GAME_RULES).sortDirection;
+
+// Seuls les joueurs dont les scores sont visibles par tous figurent dans le classement global
+const hasPublicScores = async (userId) => (await repos.users.getVisibility(userId, 'game_scores')) === 'everyone';
+
 /**
- * Vérifie si deux utilisateurs sont amis.
- * @param {string} userId1 - L'ID du premier utilisateur.
- * @param {string} userId2 - L'ID du second utilisateur.
- * @returns {Promise<boolean>} Vrai s'ils sont amis, faux sinon.
+ * Enregistre une action d'administration dans le journal d'audit (voir /adminGetAuditLog).
+ * L'action étant déjà appliquée, un échec d'écriture est signalé dans les logs sans faire échouer la requête.
+ * @param {object} req - La requête de l'administrateur.
+ * @param {string} action - L'action, ex: 'user.ban', 'game.delete'.
+ * @param {{ type: string, id: string|null }} target - L'objet visé ('user', 'game', 'system'...).
+ * @param {object} [details] - Les paramètres de l'action (sans valeur undefined).
  */
-const areFriends = async (userId1, userId2) => {
-    const snapshot = await db.ref(`users/${userId1}/friends/${userId2}`).once('value');
-    return snapshot.exists();
+const logAdminAction = async (req, action, target, details = {}) => {
+    try {
+        await repos.auditLog.record({ adminId: req.auth.uid, action, targetType: target.type, targetId: target.id, details, at: Date.now() });
+    } catch (error) {
+        console.error('Erreur lors de l\'enregistrement d\'une action d\'administration :', error);
+    }
 };
 
 // ----------------------------------------------------
@@ -114,23 +477,37 @@ const areFriends = async (userId1, userId2) => {
 /**
  * POST /createUser
  * Crée un nouvel utilisateur avec un pseudo, un profil par défaut et un code d'invitation unique.
- * Le pseudo n'est pas vérifié pour l'unicité à ce stade, mais pourrait l'être si souhaité.
- * Corps de la requête: { pseudo: "..." }
+ * Le pseudo doit respecter les règles de src/pseudos.js et être unique sans tenir compte de la casse
+ * ni des accents : il est réservé dans l'index `pseudoIndex` avant la création du compte.
+ * Avec `inviteCode`, le nouvel utilisateur est parrainé : il devient ami avec le propriétaire du code
+ * (codes à amitié immédiate) ou lui envoie une demande d'ami. Un code inutilisable refuse l'inscription.
+ * Retourne aussi les identifiants (`credentials`) à présenter dans l'en-tête Authorization :
+ * un jeton personnalisé Firebase à échanger contre un ID token, ou un jeton local en AUTH_MODE=local.
+ * Corps de la requête: { pseudo: "...", inviteCode?: "..." }
  */
-app.post('/createUser', async (req, res) => {
+route('createUser', validate('createUser'), async (req, res) => {
     const { pseudo } = req.body;
-
-    if (!pseudo || pseudo.trim() === '') {
-        return sendResponse(res, 400, false, 'Le pseudo est requis et ne peut pas être vide.');
+    const normalizedPseudo = normalizePseudo(pseudo);
+
+    let referralCode = null;
+    if (req.body.inviteCode !== undefined) {
+        referralCode = normalizeInviteCode(req.body.inviteCode);
+        const status = referralCode ? inviteCodeStatus(await repos.inviteCodes.get(referralCode)) : 'unknown';
+        if (status !== 'active') {
+            return sendInviteCodeError(res, status);
+        }
     }
 
+    // Génère un ID unique pour le nouvel utilisateur
+    const newUserId = repos.users.newId();
+    let pseudoReserved = false;
+
     try {
-        // Génère un ID unique pour le nouvel utilisateur dans Realtime Database
-        const newUserRef = db.ref('users').push();
-        const newUserId = newUserRef.key;
-        
-        // Génère un code d'invitation unique et court
-        const inviteCode = uuidv4().substring(0, 8).toUpperCase(); 
+        // Réserve le pseudo de manière transactionnelle : deux inscriptions simultanées ne peuvent pas l'obtenir
+        pseudoReserved = await repos.pseudos.reserve(normalizedPseudo, newUserId);
+        if (!pseudoReserved) {
+            return sendError(res, 409, 'PSEUDO_TAKEN', 'Ce pseudo est déjà pris.');
+        }
 
         // Structure de profil par défaut et paramètres de visibilité
         const defaultProfile = {
@@ -149,11 +526,10 @@ app.post('/createUser', async (req, res) => {
         };
 
         // Définit toutes les données initiales du nouvel utilisateur
-        await newUserRef.set({
+        await repos.users.create(newUserId, {
             pseudo: pseudo,
-            createdAt: admin.database.ServerValue.TIMESTAMP,
+            createdAt: SERVER_TIMESTAMP,
             profile: defaultProfile,
-            inviteCode: inviteCode,
             friends: {}, // Initialise les relations comme des objets vides
             friendRequestsReceived: {},
             friendRequestsSent: {},
@@ -162,50 +538,63 @@ app.post('/createUser', async (req, res) => {
             gameScores: {}
         });
 
+        // Génère un code d'invitation unique et court, sans limite ni expiration
+        const { code: inviteCode } = await repos.inviteCodes.create(newUserId, { expiresAt: null, maxUses: null, instantFriendship: false });
+
+        // Parrainage : le code a pu devenir inutilisable entre-temps, l'inscription n'est alors pas annulée
+        let referral = null;
+        if (referralCode) {
+            const { status, ownerId, result } = await redeemInviteCode(referralCode, newUserId, 'signup');
+            if (status === 'active') referral = { ownerId, result };
+        }
+
+        // Émet les identifiants que l'extension utilisera pour s'authentifier ensuite
+        const credentials = await authVerifier.issue(newUserId);
+
         console.log(`Nouvel utilisateur créé: ${pseudo} (${newUserId}) avec code ${inviteCode}`);
         sendResponse(res, 201, true, 'Nouvel utilisateur créé avec succès !', {
             id: newUserId,
             pseudo: pseudo,
             profile: defaultProfile,
-            inviteCode: inviteCode
+            inviteCode: inviteCode,
+            referral: referral,
+            credentials: credentials
         });
 
     } catch (error) {
         console.error('Erreur lors de la création de l\'utilisateur :', error);
-        sendResponse(res, 500, false, 'Échec de la création de l\'utilisateur.', { error: error.message });
+        // Libère le pseudo si le compte n'a pas pu être créé
+        if (pseudoReserved && !await repos.users.exists(newUserId).catch(() => true)) {
+            await repos.pseudos.release(normalizedPseudo, newUserId).catch(() => {});
+        }
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la création de l\'utilisateur.');
     }
 });
 
 /**
  * GET /getUserDetails/:id
- * Récupère les détails complets (pseudo, profil) d'un utilisateur par son ID.
+ * Récupère les détails (pseudo, profil) d'un utilisateur par son ID.
  * Utilisé par l'extension pour charger un utilisateur ou obtenir des détails sur un ami.
+ * Le profil est filtré selon les paramètres de visibilité, du point de vue de l'utilisateur
+ * authentifié (anonyme sinon) : seul le propriétaire voit son profil complet.
  */
-app.get('/getUserDetails/:id', async (req, res) => {
+route('getUserDetails', authenticate, validate('getUserDetails'), async (req, res) => {
     const userId = req.params.id;
 
-    if (!userId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
-    }
-
     try {
-        const snapshot = await db.ref(`users/${userId}`).once('value');
+        const userData = await repos.users.get(userId);
 
-        if (!snapshot.exists()) {
-            return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+        if (!userData) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
         }
 
-        const userData = snapshot.val();
-        // Retourne uniquement les informations nécessaires au client, potentiellement filtrées par visibilité
-        sendResponse(res, 200, true, 'Détails de l\'utilisateur récupérés.', {
-            id: userId,
-            pseudo: userData.pseudo,
-            profile: userData.profile || {} // Inclut le profil complet
-        });
+        // Retourne uniquement les informations que le demandeur a le droit de voir
+        const requesterId = req.auth ? req.auth.uid : null;
+        sendResponse(res, 200, true, 'Détails de l\'utilisateur récupérés.', await visibility.redactUser(userId, requesterId, userData));
 
     } catch (error) {
         console.error('Erreur lors de la récupération des détails de l\'utilisateur :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération des détails de l\'utilisateur.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des détails de l\'utilisateur.');
     }
 });
 
@@ -214,14 +603,11 @@ app.get('/getUserDetails/:id', async (req, res) => {
  * Met à jour une ou plusieurs informations du profil de l'utilisateur (bio, avatarUrl, customStatus).
  * Corps de la requête: { userId: "...", bio?: "...", avatarUrl?: "...", customStatus?: "..." }
  */
-app.post('/setProfile', async (req, res) => {
+route('setProfile', requireAuth, actAs('body.userId'), rejectRestricted, validate('setProfile'), async (req, res) => {
     const { userId, bio, avatarUrl, customStatus } = req.body;
 
-    if (!userId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
-    }
     if (!await userExists(userId)) {
-        return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
     }
 
     try {
@@ -232,15 +618,56 @@ app.post('/setProfile', async (req, res) => {
         if (customStatus !== undefined) updates['profile/customStatus'] = customStatus;
 
         if (Object.keys(updates).length === 0) {
-            return sendResponse(res, 400, false, 'Aucune information de profil à mettre à jour fournie.');
+            return sendError(res, 400, 'NOTHING_TO_UPDATE', 'Aucune information de profil à mettre à jour fournie.');
         }
 
-        await db.ref(`users/${userId}`).update(updates); // Utilise `update` pour fusionner les changements
+        await repos.users.update(userId, updates); // Fusionne les changements sans écraser le reste du profil
         sendResponse(res, 200, true, 'Profil mis à jour avec succès.', updates);
 
     } catch (error) {
         console.error('Erreur lors de la mise à jour du profil :', error);
-        sendResponse(res, 500, false, 'Échec de la mise à jour du profil.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour du profil.');
+    }
+});
+
+/**
+ * POST /changePseudo
+ * Change le pseudo de l'utilisateur. Le nouveau pseudo est réservé dans l'index avant d'être appliqué,
+ * puis l'ancien est libéré dans la même mise à jour que le changement.
+ * Corps de la requête: { userId: "...", pseudo: "..." }
+ */
+route('changePseudo', requireAuth, actAs('body.userId'), rejectRestricted, validate('changePseudo'), async (req, res) => {
+    const { userId, pseudo } = req.body;
+    let reservedPseudo = null;
+
+    try {
+        const currentPseudo = await repos.users.getPseudo(userId);
+        if (currentPseudo === null) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+        }
+        if (currentPseudo === pseudo) {
+            return sendResponse(res, 200, true, 'Pseudo inchangé.', { pseudo });
+        }
+
+        const normalized = normalizePseudo(pseudo);
+        const previousNormalized = normalizePseudo(currentPseudo);
+        if (!await repos.pseudos.reserve(normalized, userId)) {
+            return sendError(res, 409, 'PSEUDO_TAKEN', 'Ce pseudo est déjà pris.');
+        }
+        reservedPseudo = normalized;
+
+        // Applique le nouveau pseudo et libère l'ancien (sauf simple changement de casse ou d'accents)
+        await repos.pseudos.applyChange(userId, pseudo, previousNormalized === normalized ? null : previousNormalized);
+        await repos.users.update(userId, { pseudoResetRequired: null }); // Pseudo choisi après une réinitialisation
+
+        console.log(`Pseudo de ${userId} changé : ${currentPseudo} -> ${pseudo}`);
+        sendResponse(res, 200, true, 'Pseudo mis à jour avec succès.', { pseudo });
+
+    } catch (error) {
+        console.error('Erreur lors du changement de pseudo :', error);
+        // Libère le nouveau pseudo s'il n'a pas pu être appliqué
+        if (reservedPseudo) await releaseUnappliedPseudo(userId, reservedPseudo);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du changement de pseudo.');
     }
 });
 
@@ -249,61 +676,150 @@ app.post('/setProfile', async (req, res) => {
  * Définit les paramètres de visibilité pour un type d'information spécifique (ex: 'online_status').
  * Corps de la requête: { userId: "...", infoType: "...", visibilityLevel: "..." }
  */
-app.post('/setVisibility', async (req, res) => {
+route('setVisibility', requireAuth, actAs('body.userId'), validate('setVisibility'), async (req, res) => {
     const { userId, infoType, visibilityLevel } = req.body;
 
-    if (!userId || !infoType || !visibilityLevel) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur, le type d\'information et le niveau de visibilité sont requis.');
-    }
+    // Les types d'informations et niveaux de visibilité sont validés par le schéma de la route
     if (!await userExists(userId)) {
-        return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
-    }
-
-    // Validation des types d'informations et des niveaux de visibilité
-    const validInfoTypes = ['online_status', 'last_seen', 'friend_list', 'profile_bio', 'shared_projects', 'game_scores', 'custom_status'];
-    const validVisibilityLevels = ['everyone', 'friends_only', 'nobody'];
-
-    if (!validInfoTypes.includes(infoType)) {
-        return sendResponse(res, 400, false, `Le type d'information "${infoType}" est invalide.`);
-    }
-    if (!validVisibilityLevels.includes(visibilityLevel)) {
-        return sendResponse(res, 400, false, `Le niveau de visibilité "${visibilityLevel}" est invalide.`);
+        return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
     }
 
     try {
         // Met à jour le paramètre de visibilité spécifique dans le profil de l'utilisateur
-        await db.ref(`users/${userId}/profile/visibility/${infoType}`).set(visibilityLevel);
+        const wasPublic = infoType === 'game_scores' && await hasPublicScores(userId);
+        await repos.users.setVisibility(userId, infoType, visibilityLevel);
+        // Ses entrées entrent dans le classement global ou en sortent
+        const isPublic = visibilityLevel === 'everyone';
+        if (infoType === 'game_scores' && wasPublic !== isPublic) {
+            await repos.leaderboards.setPublic(userId, await repos.scores.getAllHistory(userId), isPublic ? getSortDirection : null);
+        }
         sendResponse(res, 200, true, `Visibilité pour "${infoType}" mise à jour à "${visibilityLevel}".`);
     } catch (error) {
         console.error('Erreur lors de la mise à jour de la visibilité :', error);
-        sendResponse(res, 500, false, 'Échec de la mise à jour de la visibilité.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour de la visibilité.');
     }
 });
 
 /**
  * GET /getInviteCode/:userId
- * Récupère le code d'invitation d'un utilisateur. S'il n'existe pas, en génère un nouveau.
+ * Récupère le code d'invitation actuel d'un utilisateur et ses réglages (expiration, utilisations,
+ * amitié immédiate). S'il n'en a jamais eu, en génère un nouveau ; après une révocation, `code` vaut null
+ * jusqu'à ce qu'il en régénère un.
  */
-app.get('/getInviteCode/:userId', async (req, res) => {
+route('getInviteCode', requireAuth, actAs('params.userId'), validate('getInviteCode'), async (req, res) => {
     const userId = req.params.userId;
-    if (!userId) return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
-    if (!await userExists(userId)) return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
 
     try {
-        const snapshot = await db.ref(`users/${userId}/inviteCode`).once('value');
-        let code = snapshot.val();
+        const userData = await repos.users.get(userId);
+        if (!userData) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
-        if (!code) {
+        const code = userData.inviteCode;
+        if (!code && !userData.inviteCodes) {
             // Si l'utilisateur n'a pas encore de code (par ex. ancien utilisateur), en générer un nouveau
-            code = uuidv4().substring(0, 8).toUpperCase();
-            await db.ref(`users/${userId}/inviteCode`).set(code);
-            sendResponse(res, 200, true, 'Nouveau code d\'invitation généré et récupéré.', { code: code });
-        } else {
-            sendResponse(res, 200, true, 'Code d\'invitation récupéré.', { code: code });
+            const created = await repos.inviteCodes.create(userId, { expiresAt: null, maxUses: null, instantFriendship: false });
+            return sendResponse(res, 200, true, 'Nouveau code d\'invitation généré et récupéré.', formatInviteCode(created.code, created.invite));
+        }
+        if (!code) {
+            return sendResponse(res, 200, true, 'Aucun code d\'invitation actif.', { code: null });
+        }
+
+        // Code antérieur à l'index : il est indexé à la volée, sans limite ni expiration
+        let invite = await repos.inviteCodes.get(code);
+        if (!invite && await repos.inviteCodes.adopt(userId, code, userData.createdAt || Date.now())) {
+            invite = await repos.inviteCodes.get(code);
         }
+        if (!invite || invite.ownerId !== userId) {
+            return sendResponse(res, 200, true, 'Aucun code d\'invitation actif.', { code: null });
+        }
+        sendResponse(res, 200, true, 'Code d\'invitation récupéré.', formatInviteCode(code, invite));
     } catch (error) {
         console.error('Erreur lors de la récupération/génération du code d\'invitation :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération du code d\'invitation.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du code d\'invitation.');
+    }
+});
+
+/**
+ * POST /regenerateInviteCode
+ * Remplace le code d'invitation de l'utilisateur par un nouveau ; l'ancien est révoqué.
+ * Options : `expiresInDays` (durée de validité), `maxUses` (nombre maximal d'utilisations)
+ * et `instantFriendship` (le code crée directement l'amitié au lieu d'une demande).
+ * Corps de la requête: { userId: "...", expiresInDays?: 7, maxUses?: 10, instantFriendship?: false }
+ */
+route('regenerateInviteCode', requireAuth, actAs('body.userId'), validate('regenerateInviteCode'), async (req, res) => {
+    const { userId } = req.body;
+
+    const { error, value: options } = validateInviteOptions(req.body);
+    if (error) {
+        return sendError(res, 400, 'VALIDATION_ERROR', error);
+    }
+    if (!await userExists(userId)) {
+        return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+    }
+
+    try {
+        const { code, invite } = await repos.inviteCodes.create(userId, options);
+        sendResponse(res, 201, true, 'Nouveau code d\'invitation généré.', formatInviteCode(code, invite));
+    } catch (error) {
+        console.error('Erreur lors de la régénération du code d\'invitation :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la régénération du code d\'invitation.');
+    }
+});
+
+/**
+ * POST /revokeInviteCode
+ * Révoque le code d'invitation actuel de l'utilisateur, sans le remplacer.
+ * Ses parrainages restent visibles dans /getReferrals.
+ * Corps de la requête: { userId: "..." }
+ */
+route('revokeInviteCode', requireAuth, actAs('body.userId'), validate('revokeInviteCode'), async (req, res) => {
+    const { userId } = req.body;
+
+    if (!await userExists(userId)) {
+        return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+    }
+
+    try {
+        const code = await repos.inviteCodes.revokeCurrent(userId);
+        if (!code) {
+            return sendError(res, 404, 'NO_ACTIVE_INVITE_CODE', 'Aucun code d\'invitation actif.');
+        }
+        sendResponse(res, 200, true, 'Code d\'invitation révoqué.', { code });
+    } catch (error) {
+        console.error('Erreur lors de la révocation du code d\'invitation :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la révocation du code d\'invitation.');
+    }
+});
+
+/**
+ * GET /getReferrals/:userId
+ * Liste les codes d'invitation de l'utilisateur (du plus récent au plus ancien) avec, pour chacun,
+ * les utilisateurs qui l'ont utilisé : inscription (`signup`) ou utilisateur existant (`connection`),
+ * et le résultat (`friendship` ou `request`).
+ */
+route('getReferrals', requireAuth, actAs('params.userId'), validate('getReferrals'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const owned = await repos.inviteCodes.listOwned(userId);
+        const codes = await Promise.all(owned.map(async ({ code, invite, uses }) => ({
+            ...formatInviteCode(code, invite),
+            referrals: (await Promise.all(uses.map(async ({ userId: referredId, usedAt, kind, result }) => {
+                const referredPseudo = await getUserPseudo(referredId);
+                return referredPseudo ? { id: referredId, pseudo: referredPseudo, usedAt, kind, result } : null;
+            }))).filter(Boolean)
+        })));
+        const referrals = codes.flatMap(code => code.referrals);
+        sendResponse(res, 200, true, 'Parrainages récupérés.', {
+            codes,
+            totals: {
+                signups: referrals.filter(referral => referral.kind === 'signup').length,
+                connections: referrals.filter(referral => referral.kind === 'connection').length
+            }
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des parrainages :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des parrainages.');
     }
 });
 
@@ -313,148 +829,143 @@ app.get('/getInviteCode/:userId', async (req, res) => {
  * Gère les vérifications (pas à soi-même, pas déjà amis/demande en cours, pas bloqué).
  * Corps de la requête: { userId: "...", friendId: "..." }
  */
-app.post('/sendFriendRequest', async (req, res) => {
+route('sendFriendRequest', requireAuth, actAs('body.userId'), rejectRestricted, validate('sendFriendRequest'), async (req, res) => {
     const { userId, friendId } = req.body;
 
-    if (!userId || !friendId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID ami sont requis.');
-    }
     if (userId === friendId) {
-        return sendResponse(res, 400, false, 'Impossible d\'envoyer une demande d\'ami à soi-même.');
+        return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible d\'envoyer une demande d\'ami à soi-même.');
     }
     if (!await userExists(userId) || !await userExists(friendId)) {
-        return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
     }
 
     try {
-        const userRef = db.ref(`users/${userId}`);
-        const friendRef = db.ref(`users/${friendId}`);
-
-        // Vérifie toutes les conditions avant d'envoyer la demande
-        const [userDataSnapshot, friendDataSnapshot] = await Promise.all([
-            userRef.once('value'),
-            friendRef.once('value')
+        // Vérifie toutes les conditions avant d'envoyer la demande (une demande expirée ne compte plus)
+        await expireFriendRequests(userId);
+        const [userData, friendData] = await Promise.all([
+            repos.users.get(userId),
+            repos.users.get(friendId)
         ]);
-        const userData = userDataSnapshot.val();
-        const friendData = friendDataSnapshot.val();
 
         if (userData.friends && userData.friends[friendId]) {
-            return sendResponse(res, 400, false, 'Vous êtes déjà amis.');
+            return sendError(res, 400, 'ALREADY_FRIENDS', 'Vous êtes déjà amis.');
         }
         if (userData.friendRequestsSent && userData.friendRequestsSent[friendId]) {
-            return sendResponse(res, 400, false, 'Demande d\'ami déjà envoyée.');
+            return sendError(res, 400, 'FRIEND_REQUEST_ALREADY_SENT', 'Demande d\'ami déjà envoyée.');
         }
         if (userData.friendRequestsReceived && userData.friendRequestsReceived[friendId]) {
-            return sendResponse(res, 400, false, 'Vous avez déjà reçu une demande de cet utilisateur. Acceptez-la plutôt !');
+            return sendError(res, 400, 'FRIEND_REQUEST_ALREADY_RECEIVED', 'Vous avez déjà reçu une demande de cet utilisateur. Acceptez-la plutôt !');
         }
         if (userData.blockedUsers && userData.blockedUsers[friendId]) {
-            return sendResponse(res, 403, false, 'Vous avez bloqué cet utilisateur.');
+            return sendError(res, 403, 'USER_BLOCKED', 'Vous avez bloqué cet utilisateur.');
         }
         if (friendData.blockedUsers && friendData.blockedUsers[userId]) {
-            return sendResponse(res, 403, false, 'Cet utilisateur vous a bloqué.');
+            return sendError(res, 403, 'BLOCKED_BY_USER', 'Cet utilisateur vous a bloqué.');
         }
 
         // Si tout est bon, met à jour les demandes des deux utilisateurs de manière atomique
-        const updates = {};
-        updates[`users/${userId}/friendRequestsSent/${friendId}`] = true;
-        updates[`users/${friendId}/friendRequestsReceived/${userId}`] = true;
-
-        await db.ref().update(updates);
+        await repos.requests.send(userId, friendId, SERVER_TIMESTAMP);
+        events.friendRequestSent(userId, friendId);
+        notifications.friendRequestReceived(friendId, userId);
         sendResponse(res, 200, true, 'Demande d\'ami envoyée avec succès.');
 
     } catch (error) {
         console.error('Erreur lors de l\'envoi de la demande d\'ami :', error);
-        sendResponse(res, 500, false, 'Échec de l\'envoi de la demande d\'ami.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'envoi de la demande d\'ami.');
     }
 });
 
 /**
  * POST /sendFriendRequestByCode
- * Envoie une demande d'ami en utilisant un code d'invitation.
+ * Envoie une demande d'ami en utilisant un code d'invitation, ou crée directement l'amitié si le code
+ * le permet (`instantFriendship`). Un code expiré ou épuisé répond 410.
  * Corps de la requête: { userId: "...", inviteCode: "..." }
  */
-app.post('/sendFriendRequestByCode', async (req, res) => {
+route('sendFriendRequestByCode', requireAuth, actAs('body.userId'), rejectRestricted, validate('sendFriendRequestByCode'), async (req, res) => {
     const { userId, inviteCode } = req.body;
 
-    if (!userId || !inviteCode) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur et le code d\'invitation sont requis.');
-    }
     if (!await userExists(userId)) {
-        return sendResponse(res, 404, false, 'L\'utilisateur expéditeur n\'existe pas.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'L\'utilisateur expéditeur n\'existe pas.');
     }
 
     try {
-        // Trouve l'utilisateur associé au code d'invitation
-        const snapshot = await db.ref('users').orderByChild('inviteCode').equalTo(inviteCode).once('value');
-        if (!snapshot.exists()) {
-            return sendResponse(res, 404, false, 'Code d\'invitation invalide ou aucun utilisateur trouvé avec ce code.');
+        // Trouve l'utilisateur associé au code d'invitation grâce à l'index des codes
+        const code = normalizeInviteCode(inviteCode);
+        const invite = code ? await repos.inviteCodes.get(code) : null;
+        const status = inviteCodeStatus(invite);
+        if (status !== 'active') {
+            return sendInviteCodeError(res, status);
         }
-
-        const friendId = Object.keys(snapshot.val())[0]; // Récupère l'ID de l'utilisateur avec ce code
+        const friendId = invite.ownerId;
 
         if (userId === friendId) {
-            return sendResponse(res, 400, false, 'Impossible d\'envoyer une demande d\'ami à soi-même en utilisant son propre code.');
+            return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible d\'envoyer une demande d\'ami à soi-même en utilisant son propre code.');
         }
 
         // Vérifie les conditions similaires à sendFriendRequest
-        const senderUserDataSnapshot = await db.ref(`users/${userId}`).once('value');
-        const senderUserData = senderUserDataSnapshot.val();
+        await expireFriendRequests(userId);
+        const senderUserData = await repos.users.get(userId);
 
         if (senderUserData.friends && senderUserData.friends[friendId]) {
-            return sendResponse(res, 400, false, 'Vous êtes déjà ami avec cet utilisateur.');
+            return sendError(res, 400, 'ALREADY_FRIENDS', 'Vous êtes déjà ami avec cet utilisateur.');
+        }
+        // Une demande en cours n'empêche pas un code à amitié immédiate : l'amitié la remplace
+        if (!invite.instantFriendship) {
+            if (senderUserData.friendRequestsSent && senderUserData.friendRequestsSent[friendId]) {
+                return sendError(res, 400, 'FRIEND_REQUEST_ALREADY_SENT', 'Vous avez déjà envoyé une demande d\'ami à cet utilisateur.');
+            }
+            if (senderUserData.friendRequestsReceived && senderUserData.friendRequestsReceived[friendId]) {
+                return sendError(res, 400, 'FRIEND_REQUEST_ALREADY_RECEIVED', 'Cet utilisateur vous a déjà envoyé une demande d\'ami. Vous pouvez l\'accepter.');
+            }
         }
-        if (senderUserData.friendRequestsSent && senderUserData.friendRequestsSent[friendId]) {
-            return sendResponse(res, 400, false, 'Vous avez déjà envoyé une demande d\'ami à cet utilisateur.');
+        if (senderUserData.blockedUsers && senderUserData.blockedUsers[friendId]) {
+            return sendError(res, 403, 'USER_BLOCKED', 'Vous avez bloqué cet utilisateur.');
         }
-        if (senderUserData.friendRequestsReceived && senderUserData.friendRequestsReceived[friendId]) {
-            return sendResponse(res, 400, false, 'Cet utilisateur vous a déjà envoyé une demande d\'ami. Vous pouvez l\'accepter.');
+        if (await repos.friendships.hasBlocked(friendId, userId)) {
+            // Même réponse qu'un code inconnu : le code ne révèle pas qui a bloqué l'utilisateur
+            return sendInviteCodeError(res, 'unknown');
         }
-        // Vérifications de blocage omises ici pour simplifier, mais devraient être faites
-
-        const updates = {};
-        updates[`users/${userId}/friendRequestsSent/${friendId}`] = true;
-        updates[`users/${friendId}/friendRequestsReceived/${userId}`] = true;
 
-        await db.ref().update(updates);
-        sendResponse(res, 200, true, 'Demande d\'ami envoyée avec succès via code.', { friendId: friendId });
+        const { status: redeemStatus, result } = await redeemInviteCode(code, userId, 'connection');
+        if (redeemStatus !== 'active') {
+            // Le code est devenu inutilisable entre la vérification et l'utilisation
+            return sendInviteCodeError(res, redeemStatus);
+        }
+        if (result === 'friendship') {
+            sendResponse(res, 200, true, 'Vous êtes maintenant amis grâce au code d\'invitation.', { friendId: friendId, result: result });
+        } else {
+            sendResponse(res, 200, true, 'Demande d\'ami envoyée avec succès via code.', { friendId: friendId, result: result });
+        }
 
     } catch (error) {
         console.error('Erreur lors de l\'envoi de la demande d\'ami par code :', error);
-        sendResponse(res, 500, false, 'Échec de l\'envoi de la demande d\'ami par code.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'envoi de la demande d\'ami par code.');
     }
 });
 
 /**
  * GET /getFriendRequests/:id
  * Récupère la liste des demandes d'amis reçues pour un utilisateur, avec les pseudos des expéditeurs.
+ * Chaque demande indique sa date d'envoi (sentAt) et d'expiration (expiresAt, null si elle n'expire pas).
  */
-app.get('/getFriendRequests/:id', async (req, res) => {
+route('getFriendRequests', requireAuth, actAs('params.id'), validate('getFriendRequests'), async (req, res) => {
     const userId = req.params.id;
-    if (!userId) return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
-    if (!await userExists(userId)) return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
     try {
-        const snapshot = await db.ref(`users/${userId}/friendRequestsReceived`).once('value');
-        if (!snapshot.exists()) {
+        await expireFriendRequests(userId);
+        const requestsReceived = await repos.requests.listReceived(userId);
+        if (requestsReceived.length === 0) {
             return sendResponse(res, 200, true, 'Aucune demande d\'ami.', []);
         }
 
-        const requestsReceivedIds = Object.keys(snapshot.val());
-        // Pour chaque ID, récupère le pseudo pour afficher des détails complets
-        const requestsWithDetailsPromises = requestsReceivedIds.map(async (id) => {
-            const userPseudo = await getUserPseudo(id);
-            if (userPseudo) {
-                return { id: id, pseudo: userPseudo };
-            }
-            return null; // Si l'utilisateur n'existe plus (supprimé)
-        });
-
-        const friendRequestsWithDetails = (await Promise.all(requestsWithDetailsPromises)).filter(Boolean); // Filtrer les null
+        // Pour chaque demande, récupère le pseudo pour afficher des détails complets
+        const friendRequestsWithDetails = (await Promise.all(requestsReceived.map(formatFriendRequest))).filter(Boolean); // Filtrer les utilisateurs supprimés
         sendResponse(res, 200, true, 'Demandes d\'amis récupérées.', friendRequestsWithDetails);
 
     } catch (error) {
         console.error('Erreur lors de la récupération des demandes d\'amis :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération des demandes d\'amis.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des demandes d\'amis.');
     }
 });
 
@@ -465,31 +976,28 @@ app.get('/getFriendRequests/:id', async (req, res) => {
  * Corps de la requête: { userId: "...", friendId: "..." }
  * (userId est le receveur de la demande, friendId est l'expéditeur)
  */
-app.post('/acceptFriendRequest', async (req, res) => {
+route('acceptFriendRequest', requireAuth, actAs('body.userId'), validate('acceptFriendRequest'), async (req, res) => {
     const { userId, friendId } = req.body;
 
-    if (!userId || !friendId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID ami sont requis.');
-    }
     if (!await userExists(userId) || !await userExists(friendId)) {
-        return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
     }
 
     try {
-        const updates = {};
-        // Ajoute l'ami aux deux utilisateurs
-        updates[`users/${userId}/friends/${friendId}`] = true;
-        updates[`users/${friendId}/friends/${userId}`] = true;
-        // Supprime la demande de la liste des demandes reçues du receveur et envoyées de l'expéditeur
-        updates[`users/${userId}/friendRequestsReceived/${friendId}`] = null;
-        updates[`users/${friendId}/friendRequestsSent/${userId}`] = null;
+        await expireFriendRequests(userId);
+        if (!await repos.requests.exists(friendId, userId)) {
+            return sendError(res, 404, 'FRIEND_REQUEST_NOT_FOUND', 'Aucune demande d\'ami en cours de cet utilisateur (elle a pu expirer ou être annulée).');
+        }
 
-        await db.ref().update(updates);
+        // Ajoute l'ami aux deux utilisateurs et supprime la demande des deux côtés
+        await repos.requests.accept(userId, friendId);
+        events.friendRequestAccepted(userId, friendId);
+        notifications.friendRequestAccepted(userId, friendId);
         sendResponse(res, 200, true, 'Demande d\'ami acceptée avec succès !');
 
     } catch (error) {
         console.error('Erreur lors de l\'acceptation de la demande d\'ami :', error);
-        sendResponse(res, 500, false, 'Échec de l\'acceptation de la demande d\'ami.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'acceptation de la demande d\'ami.');
     }
 });
 
@@ -499,53 +1007,122 @@ app.post('/acceptFriendRequest', async (req, res) => {
  * Corps de la requête: { userId: "...", friendId: "..." }
  * (userId est le receveur de la demande, friendId est l'expéditeur)
  */
-app.post('/declineFriendRequest', async (req, res) => {
+route('declineFriendRequest', requireAuth, actAs('body.userId'), validate('declineFriendRequest'), async (req, res) => {
     const { userId, friendId } = req.body;
 
-    if (!userId || !friendId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID ami sont requis.');
-    }
     if (!await userExists(userId) || !await userExists(friendId)) {
-        return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
     }
 
     try {
-        const updates = {};
-        // Supprime la demande de la liste des demandes reçues du receveur et envoyées de l'expéditeur
-        updates[`users/${userId}/friendRequestsReceived/${friendId}`] = null;
-        updates[`users/${friendId}/friendRequestsSent/${userId}`] = null;
+        await expireFriendRequests(userId);
+        if (!await repos.requests.exists(friendId, userId)) {
+            return sendError(res, 404, 'FRIEND_REQUEST_NOT_FOUND', 'Aucune demande d\'ami en cours de cet utilisateur (elle a pu expirer ou être annulée).');
+        }
 
-        await db.ref().update(updates);
+        // Supprime la demande de la liste des demandes reçues du receveur et envoyées de l'expéditeur
+        await repos.requests.decline(userId, friendId);
+        events.friendRequestDeclined(userId, friendId);
         sendResponse(res, 200, true, 'Demande d\'ami refusée avec succès !');
 
     } catch (error) {
         console.error('Erreur lors du refus de la demande d\'ami :', error);
-        sendResponse(res, 500, false, 'Échec du refus de la demande d\'ami.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du refus de la demande d\'ami.');
+    }
+});
+
+/**
+ * GET /getSentFriendRequests/:userId
+ * Récupère la liste des demandes d'amis envoyées par l'utilisateur et encore sans réponse,
+ * avec les pseudos des destinataires, leur date d'envoi et d'expiration.
+ */
+route('getSentFriendRequests', requireAuth, actAs('params.userId'), validate('getSentFriendRequests'), async (req, res) => {
+    const { userId } = req.params;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        await expireFriendRequests(userId);
+        const requestsSent = await repos.requests.listSent(userId);
+        const requestsWithDetails = (await Promise.all(requestsSent.map(formatFriendRequest))).filter(Boolean);
+        sendResponse(res, 200, true, requestsWithDetails.length > 0 ? 'Demandes d\'amis envoyées récupérées.' : 'Aucune demande d\'ami envoyée.', requestsWithDetails);
+    } catch (error) {
+        console.error('Erreur lors de la récupération des demandes d\'amis envoyées :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des demandes d\'amis envoyées.');
+    }
+});
+
+/**
+ * POST /cancelFriendRequest
+ * Annule une demande d'ami envoyée. Supprime la demande des deux côtés.
+ * Corps de la requête: { userId: "...", friendId: "..." }
+ * (userId est l'expéditeur de la demande, friendId est le destinataire)
+ */
+route('cancelFriendRequest', requireAuth, actAs('body.userId'), validate('cancelFriendRequest'), async (req, res) => {
+    const { userId, friendId } = req.body;
+
+    try {
+        await expireFriendRequests(userId);
+        if (!await repos.requests.exists(userId, friendId)) {
+            return sendError(res, 404, 'FRIEND_REQUEST_NOT_FOUND', 'Aucune demande d\'ami en cours vers cet utilisateur.');
+        }
+
+        await repos.requests.cancel(userId, friendId);
+        events.friendRequestCancelled(userId, friendId);
+        sendResponse(res, 200, true, 'Demande d\'ami annulée.');
+    } catch (error) {
+        console.error('Erreur lors de l\'annulation de la demande d\'ami :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'annulation de la demande d\'ami.');
+    }
+});
+
+/**
+ * POST /removeFriend
+ * Retire un ami. L'amitié est supprimée des deux côtés, de manière atomique.
+ * Corps de la requête: { userId: "...", friendId: "..." }
+ */
+route('removeFriend', requireAuth, actAs('body.userId'), validate('removeFriend'), async (req, res) => {
+    const { userId, friendId } = req.body;
+
+    try {
+        if (!await repos.friendships.areFriends(userId, friendId)) {
+            return sendError(res, 404, 'NOT_FRIENDS', 'Cet utilisateur ne fait pas partie de vos amis.');
+        }
+
+        await repos.friendships.unfriend(userId, friendId);
+        events.friendRemoved(userId, friendId);
+        sendResponse(res, 200, true, 'Ami retiré.');
+    } catch (error) {
+        console.error('Erreur lors du retrait de l\'ami :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du retrait de l\'ami.');
     }
 });
 
 /**
  * GET /getFriendsList/:userId
  * Récupère la liste des amis d'un utilisateur, avec leurs pseudos.
+ * Soumis au paramètre de visibilité `friend_list` de cet utilisateur.
  */
-app.get('/getFriendsList/:userId', async (req, res) => {
+route('getFriendsList', authenticate, validate('getFriendsList'), async (req, res) => {
     const userId = req.params.userId;
 
-    if (!userId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
-    }
     if (!await userExists(userId)) {
-        return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+        return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
     }
 
     try {
-        const snapshot = await db.ref(`users/${userId}/friends`).once('value');
+        const requesterId = req.auth ? req.auth.uid : null;
+        if (!await visibility.canView(userId, requesterId, 'friend_list')) {
+            return sendError(res, 403, 'VISIBILITY_RESTRICTED', 'Accès refusé. La liste d\'amis de cet utilisateur est privée.');
+        }
+
+        // Les utilisateurs liés au lecteur par un blocage n'apparaissent pas
+        const hiddenIds = await getBlockedEitherWayIds(requesterId);
+        const friendIds = (await repos.friendships.listFriendIds(userId)).filter(id => !hiddenIds.has(id));
 
-        if (!snapshot.exists()) {
+        if (friendIds.length === 0) {
             return sendResponse(res, 200, true, 'Aucun ami pour le moment.', []);
         }
 
-        const friendIds = Object.keys(snapshot.val());
         // Pour chaque ID d'ami, récupère le pseudo
         const friendsWithDetailsPromises = friendIds.map(async (id) => {
             const userPseudo = await getUserPseudo(id);
@@ -560,44 +1137,44 @@ app.get('/getFriendsList/:userId', async (req, res) => {
 
     } catch (error) {
         console.error('Erreur lors de la récupération de la liste d\'amis :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération de la liste d\'amis.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération de la liste d\'amis.');
     }
 });
 
 /**
- * GET /searchUsers/:pseudo
- * Recherche des utilisateurs par pseudo (recherche par préfixe).
- * Nécessite une règle `.indexOn: ["pseudo"]` dans vos règles de sécurité Realtime Database.
+ * GET /searchUsers/:pseudo?limit=20&cursor=...
+ * Recherche des utilisateurs par préfixe de pseudo, sans tenir compte de la casse ni des accents
+ * ("zoe" trouve "Zoé"). Les résultats sont triés par pseudo normalisé et paginés : `nextCursor`
+ * est à renvoyer dans `cursor` pour obtenir la page suivante (null s'il n'y en a plus).
+ * Authentification facultative : elle exclut les utilisateurs liés au lecteur par un blocage.
  */
-app.get('/searchUsers/:pseudo', async (req, res) => {
-    const searchPseudo = req.params.pseudo;
+route('searchUsers', authenticate, validate('searchUsers'), async (req, res) => {
+    const prefix = normalizePseudo(req.params.pseudo);
+    const { limit, cursor } = req.query;
 
-    if (!searchPseudo || searchPseudo.length < 2) { // Minimum 2 caractères pour la recherche
-        return sendResponse(res, 400, false, 'Le pseudo de recherche est requis (minimum 2 caractères).');
+    if (prefix.length < 2) { // Minimum 2 caractères une fois le pseudo normalisé
+        return sendError(res, 400, 'VALIDATION_ERROR', 'Le pseudo de recherche est requis (minimum 2 caractères).');
     }
 
     try {
-        // Utilise orderByChild et startAt/endAt pour une recherche par préfixe sur le pseudo
-        const snapshot = await db.ref('users')
-            .orderByChild('pseudo')
-            .startAt(searchPseudo)
-            .endAt(searchPseudo + '\uf8ff') // '\uf8ff' est un caractère Unicode pour la correspondance de préfixe
-            .once('value');
+        const hiddenIds = await getBlockedEitherWayIds(req.auth ? req.auth.uid : null);
+        const { entries, hasMore } = await repos.pseudos.search(prefix, { after: cursor, limit });
 
-        const foundUsers = [];
-        snapshot.forEach(childSnapshot => {
-            const userData = childSnapshot.val();
-            // Assurez-vous que le pseudo existe et correspond vraiment (Realtime DB est sensible à la casse ici)
-            if (userData.pseudo) {
-                foundUsers.push({ id: childSnapshot.key, pseudo: userData.pseudo });
-            }
-        });
+        // Les utilisateurs bloqués sont retirés après coup : une page peut donc compter moins de `limit` résultats
+        const users = (await Promise.all(entries
+            .filter(({ userId }) => !hiddenIds.has(userId))
+            .map(async ({ userId }) => {
+                const userPseudo = await getUserPseudo(userId);
+                return userPseudo ? { id: userId, pseudo: userPseudo } : null;
+            })))
+            .filter(Boolean);
+        const nextCursor = hasMore ? entries[entries.length - 1].normalized : null;
 
-        sendResponse(res, 200, true, 'Utilisateurs trouvés.', foundUsers);
+        sendResponse(res, 200, true, 'Utilisateurs trouvés.', { users, nextCursor });
 
     } catch (error) {
         console.error('Erreur lors de la recherche d\'utilisateurs :', error);
-        sendResponse(res, 500, false, 'Échec de la recherche d\'utilisateurs.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la recherche d\'utilisateurs.');
     }
 });
 
@@ -605,26 +1182,26 @@ app.get('/searchUsers/:pseudo', async (req, res) => {
  * GET /getFriendsOfFriendsSuggestions/:userId
  * Suggère des utilisateurs qui sont amis avec vos amis, mais pas encore vos amis directs.
  */
-app.get('/getFriendsOfFriendsSuggestions/:userId', async (req, res) => {
+route('getFriendsOfFriendsSuggestions', requireAuth, actAs('params.userId'), validate('getFriendsOfFriendsSuggestions'), async (req, res) => {
     const userId = req.params.userId;
-    if (!userId) { return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.'); }
-    if (!await userExists(userId)) { return sendResponse(res, 404, false, 'Utilisateur non trouvé.'); }
+    if (!await userExists(userId)) { return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.'); }
 
     try {
-        const userFriendsSnapshot = await db.ref(`users/${userId}/friends`).once('value');
-        const userFriendsIds = userFriendsSnapshot.exists() ? Object.keys(userFriendsSnapshot.val()) : [];
+        const userFriendsIds = await repos.friendships.listFriendIds(userId);
+        const hiddenIds = await getBlockedEitherWayIds(userId);
 
         const potentialSuggestions = new Set();
         const promises = userFriendsIds.map(async (friendId) => {
-            const friendOfFriendSnapshot = await db.ref(`users/${friendId}/friends`).once('value');
-            if (friendOfFriendSnapshot.exists()) {
-                Object.keys(friendOfFriendSnapshot.val()).forEach(fofId => {
-                    // Ne suggère pas soi-même, ni les amis directs, ni ceux déjà dans la liste de suggestions
-                    if (fofId !== userId && !userFriendsIds.includes(fofId)) {
-                        potentialSuggestions.add(fofId);
-                    }
-                });
-            }
+            // N'exploite que les listes d'amis que l'utilisateur a le droit de voir
+            if (!await visibility.canView(friendId, userId, 'friend_list')) return;
+
+            const friendOfFriendIds = await repos.friendships.listFriendIds(friendId);
+            friendOfFriendIds.forEach(fofId => {
+                // Ne suggère pas soi-même, ni les amis directs, ni les utilisateurs liés par un blocage
+                if (fofId !== userId && !userFriendsIds.includes(fofId) && !hiddenIds.has(fofId)) {
+                    potentialSuggestions.add(fofId);
+                }
+            });
         });
 
         await Promise.all(promises);
@@ -642,30 +1219,28 @@ app.get('/getFriendsOfFriendsSuggestions/:userId', async (req, res) => {
 
     } catch (error) {
         console.error('Erreur lors de la récupération des suggestions d\'amis d\'amis :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération des suggestions d\'amis d\'amis.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des suggestions d\'amis d\'amis.');
     }
 });
 
 /**
  * POST /blockUser
- * Bloque un utilisateur. Ne supprime pas automatiquement les liens d'amitié existants
- * ou les demandes en cours, mais peut être étendu pour le faire.
+ * Bloque un utilisateur : l'amitié et les demandes d'amis en cours sont supprimées dans les deux sens,
+ * de manière atomique, puis les défis en cours entre eux sont annulés. Débloquer ne rétablit pas l'amitié.
  * Corps de la requête: { userId: "...", targetId: "..." }
  */
-app.post('/blockUser', async (req, res) => {
+route('blockUser', requireAuth, actAs('body.userId'), validate('blockUser'), async (req, res) => {
     const { userId, targetId } = req.body;
-    if (!userId || !targetId) return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID cible sont requis.');
-    if (userId === targetId) return sendResponse(res, 400, false, 'Impossible de se bloquer soi-même.');
-    if (!await userExists(userId) || !await userExists(targetId)) return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+    if (userId === targetId) return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible de se bloquer soi-même.');
+    if (!await userExists(userId) || !await userExists(targetId)) return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
 
     try {
-        await db.ref(`users/${userId}/blockedUsers/${targetId}`).set(true);
-        // Ici, on pourrait ajouter la logique pour supprimer l'amitié, les demandes, etc.
-        // C'est un choix de design: bloquer signifie-t-il rompre toutes les connexions ?
+        await repos.friendships.block(userId, targetId);
+        await challenges.cancelBetween(userId, targetId);
         sendResponse(res, 200, true, `Utilisateur ${targetId} bloqué par ${userId}.`);
     } catch (error) {
         console.error('Erreur lors du blocage de l\'utilisateur :', error);
-        sendResponse(res, 500, false, 'Échec du blocage de l\'utilisateur.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du blocage de l\'utilisateur.');
     }
 });
 
@@ -674,17 +1249,16 @@ app.post('/blockUser', async (req, res) => {
  * Débloque un utilisateur.
  * Corps de la requête: { userId: "...", targetId: "..." }
  */
-app.post('/unblockUser', async (req, res) => {
+route('unblockUser', requireAuth, actAs('body.userId'), validate('unblockUser'), async (req, res) => {
     const { userId, targetId } = req.body;
-    if (!userId || !targetId) return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID cible sont requis.');
-    if (!await userExists(userId) || !await userExists(targetId)) return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+    if (!await userExists(userId) || !await userExists(targetId)) return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
 
     try {
-        await db.ref(`users/${userId}/blockedUsers/${targetId}`).remove();
+        await repos.friendships.unblock(userId, targetId);
         sendResponse(res, 200, true, `Utilisateur ${targetId} débloqué par ${userId}.`);
     } catch (error) {
         console.error('Erreur lors du déblocage de l\'utilisateur :', error);
-        sendResponse(res, 500, false, 'Échec du déblocage de l\'utilisateur.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du déblocage de l\'utilisateur.');
     }
 });
 
@@ -692,142 +1266,650 @@ app.post('/unblockUser', async (req, res) => {
 /**
  * POST /sendMessage
  * Envoie un message direct entre deux utilisateurs.
- * Le message est stocké dans la branche `messages` des deux utilisateurs.
+ * Le message est stocké une seule fois, dans la conversation directe des deux utilisateurs.
  * Corps de la requête: { senderId: "...", receiverId: "...", message: "..." }
+ * Réponse: { id, conversationId, senderId, message, timestamp }
  */
-app.post('/sendMessage', async (req, res) => {
+route('sendMessage', requireAuth, actAs('body.senderId'), rejectRestricted, validate('sendMessage'), async (req, res) => {
     const { senderId, receiverId, message } = req.body;
-    if (!senderId || !receiverId || !message) return sendResponse(res, 400, false, 'L\'expéditeur, le destinataire et le message sont requis.');
-    if (senderId === receiverId) return sendResponse(res, 400, false, 'Impossible de s\'envoyer un message à soi-même.');
-    if (!await userExists(senderId) || !await userExists(receiverId)) return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+    if (senderId === receiverId) return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible de s\'envoyer un message à soi-même.');
+    if (!await userExists(senderId) || !await userExists(receiverId)) return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
 
     try {
-        // Vérifier si le récepteur a bloqué l'expéditeur
-        const receiverBlockedSnapshot = await db.ref(`users/${receiverId}/blockedUsers/${senderId}`).once('value');
-        if (receiverBlockedSnapshot.exists()) {
-            return sendResponse(res, 403, false, 'Le destinataire vous a bloqué, impossible d\'envoyer le message.');
+        // Vérifier le blocage dans les deux sens
+        if (await repos.friendships.hasBlocked(receiverId, senderId)) {
+            return sendError(res, 403, 'BLOCKED_BY_USER', 'Le destinataire vous a bloqué, impossible d\'envoyer le message.');
+        }
+        if (await repos.friendships.hasBlocked(senderId, receiverId)) {
+            return sendError(res, 403, 'USER_BLOCKED', 'Vous avez bloqué ce destinataire, débloquez-le pour lui écrire.');
         }
 
         const messageData = {
             senderId: senderId,
             message: message,
-            timestamp: admin.database.ServerValue.TIMESTAMP
+            timestamp: SERVER_TIMESTAMP
         };
 
-        // Ajoute le message dans la conversation de l'expéditeur
-        await db.ref(`users/${senderId}/messages/${receiverId}`).push(messageData);
-        // Ajoute le message dans la conversation du destinataire
-        await db.ref(`users/${receiverId}/messages/${senderId}`).push(messageData);
+        // Le message et l'index des conversations des deux participants sont écrits en une seule fois
+        const { conversationId, messageId } = await repos.messages.sendDirect(senderId, receiverId, messageData);
+        const sentMessage = { id: messageId, conversationId, ...messageData, timestamp: Date.now() };
+        events.messageSent(senderId, receiverId, sentMessage);
+        notifications.messageReceived(senderId, receiverId, sentMessage);
 
-        sendResponse(res, 200, true, 'Message envoyé avec succès.');
+        sendResponse(res, 200, true, 'Message envoyé avec succès.', sentMessage);
     } catch (error) {
         console.error('Erreur lors de l\'envoi du message :', error);
-        sendResponse(res, 500, false, 'Échec de l\'envoi du message.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'envoi du message.');
     }
 });
 
 /**
  * GET /getMessages/:userId/:otherUserId
- * Récupère tous les messages entre deux utilisateurs.
+ * Récupère une page de messages entre deux utilisateurs, du plus ancien au plus récent.
+ * Paramètres de requête facultatifs : before ou after (ID de message servant de curseur) et limit
+ * (défaut: 20, maximum: 100). Sans curseur, renvoie les messages les plus récents.
+ * Réponse: { messages: [{ id, senderId, message, timestamp, editedAt? }], hasMore,
+ *   readMarker (lecture de userId), otherReadMarker (lecture de l'autre participant) }
  */
-app.get('/getMessages/:userId/:otherUserId', async (req, res) => {
+route('getMessages', requireAuth, actAs('params.userId'), validate('getMessages'), async (req, res) => {
     const { userId, otherUserId } = req.params;
-    if (!userId || !otherUserId) return sendResponse(res, 400, false, 'Les deux ID utilisateur sont requis.');
-    if (!await userExists(userId) || !await userExists(otherUserId)) return sendResponse(res, 404, false, 'L\'un des utilisateurs n\'existe pas.');
+    const { before, after, limit } = req.query;
+    if (before && after) return sendError(res, 400, 'VALIDATION_ERROR', 'Utilisez before ou after, pas les deux.');
+    if (!await userExists(userId) || !await userExists(otherUserId)) return sendError(res, 404, 'USER_NOT_FOUND', 'L\'un des utilisateurs n\'existe pas.');
 
     try {
-        // Récupère les messages de la perspective de userId avec otherUserId
-        const snapshot = await db.ref(`users/${userId}/messages/${otherUserId}`).orderByChild('timestamp').once('value');
-        const messages = [];
-        snapshot.forEach(childSnapshot => {
-            messages.push(childSnapshot.val());
-        });
-        sendResponse(res, 200, true, 'Messages récupérés.', messages);
+        const conversationId = repos.messages.directConversationId(userId, otherUserId);
+        const { messages, hasMore } = await repos.messages.list(conversationId, { before, after, limit });
+        const [readMarker, otherReadMarker] = await Promise.all([
+            repos.messages.getReadMarker(userId, conversationId),
+            repos.messages.getReadMarker(otherUserId, conversationId)
+        ]);
+        sendResponse(res, 200, true, 'Messages récupérés.', { messages, hasMore, readMarker, otherReadMarker });
     } catch (error) {
         console.error('Erreur lors de la récupération des messages :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération des messages.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des messages.');
     }
 });
 
 /**
- * POST /setGameScore
- * Définit ou met à jour le score d'un utilisateur pour un jeu donné.
- * Corps de la requête: { userId: "...", gameId: "...", score: number }
+ * GET /getConversations/:userId
+ * Liste les conversations de l'utilisateur (directes et de groupe), de la plus récente à la plus ancienne,
+ * avec le dernier message et le nombre de messages non lus. Les messages des utilisateurs qu'il a
+ * bloqués ne sont pas comptés.
  */
-app.post('/setGameScore', async (req, res) => {
-    const { userId, gameId, score } = req.body;
-    if (!userId || !gameId || score === undefined) return sendResponse(res, 400, false, 'L\'ID utilisateur, l\'ID du jeu et le score sont requis.');
-    if (!await userExists(userId)) return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
-    if (typeof score !== 'number' || isNaN(score) || score < 0) return sendResponse(res, 400, false, 'Le score doit être un nombre valide et positif.');
+route('getConversations', requireAuth, actAs('params.userId'), validate('getConversations'), async (req, res) => {
+    const { userId } = req.params;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
     try {
-        await db.ref(`users/${userId}/gameScores/${gameId}`).set(score);
-        sendResponse(res, 200, true, `Score pour le jeu ${gameId} mis à jour.`);
+        const hiddenSenderIds = await repos.friendships.listBlockedIds(userId);
+        const conversations = await repos.messages.listConversations(userId, { hiddenSenderIds });
+        const withPseudos = await Promise.all(conversations.map(async ({ memberIds, ...conversation }) => {
+            if (conversation.type === 'group') return { ...conversation, memberIds };
+            // L'autre participant reste connu par l'ID de la conversation, même s'il a supprimé son compte
+            const otherUserId = conversation.conversationId.split(':').find(id => id !== userId) || null;
+            return {
+                ...conversation,
+                otherUserId,
+                pseudo: (otherUserId && await getUserPseudo(otherUserId)) || 'Inconnu'
+            };
+        }));
+        sendResponse(res, 200, true, 'Conversations récupérées.', withPseudos);
     } catch (error) {
-        console.error('Erreur lors de la mise à jour du score :', error);
-        sendResponse(res, 500, false, 'Échec de la mise à jour du score.', { error: error.message });
+        console.error('Erreur lors de la récupération des conversations :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des conversations.');
     }
 });
 
 /**
- * GET /getGameScore/:userId/:gameId
- * Récupère le score d'un utilisateur pour un jeu spécifique.
+ * Résout la conversation visée par une requête : directe ({ otherUserId }) ou de groupe ({ groupId }).
+ * Pour un groupe, l'utilisateur doit en être membre.
+ * @returns {Promise<{ status: number, code: string, error: string }|{ conversationId: string, group: object|null }>}
  */
-app.get('/getGameScore/:userId/:gameId', async (req, res) => {
-    const { userId, gameId } = req.params;
-    if (!userId || !gameId) return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID du jeu sont requis.');
-    if (!await userExists(userId)) return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+const resolveConversation = async (userId, { otherUserId, groupId }) => {
+    if (groupId) {
+        const group = await repos.messages.getConversation(groupId);
+        if (!group || group.type !== 'group') return { status: 404, code: 'GROUP_NOT_FOUND', error: 'Groupe non trouvé.' };
+        if (!(group.members || {})[userId]) return { status: 403, code: 'NOT_GROUP_MEMBER', error: 'Vous n\'êtes pas membre de ce groupe.' };
+        return { conversationId: groupId, group };
+    }
+    if (!otherUserId) return { status: 400, code: 'VALIDATION_ERROR', error: 'L\'ID de l\'autre utilisateur ou du groupe est requis.' };
+    return { conversationId: repos.messages.directConversationId(userId, otherUserId), group: null };
+};
+
+/**
+ * POST /markConversationRead
+ * Marque une conversation comme lue jusqu'à un message (par défaut le dernier).
+ * Les autres participants reçoivent un accusé de lecture (événement messages_read).
+ * Corps de la requête: { userId: "...", otherUserId: "..." | groupId: "...", messageId?: "..." }
+ */
+route('markConversationRead', requireAuth, actAs('body.userId'), validate('markConversationRead'), async (req, res) => {
+    const { userId, otherUserId, groupId } = req.body;
+    let { messageId } = req.body;
 
     try {
-        // Vérifie les règles de visibilité pour les scores de jeu
-        const visibility = await getUserVisibility(userId, 'game_scores');
-        const isFriend = await areFriends(req.query.requesterId || '', userId); // Supposons que le client puisse envoyer son ID pour vérif d'amitié
-        
-        let score = null;
-        if (visibility === 'everyone' || (visibility === 'friends_only' && isFriend) || req.query.requesterId === userId) {
-            const snapshot = await db.ref(`users/${userId}/gameScores/${gameId}`).once('value');
-            score = snapshot.exists() ? snapshot.val() : 0; // Retourne 0 si pas de score
+        const { status, code, error, conversationId, group } = await resolveConversation(userId, { otherUserId, groupId });
+        if (error) return sendError(res, status, code, error);
+
+        if (messageId) {
+            if (!await repos.messages.get(conversationId, messageId)) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message non trouvé.');
         } else {
-             return sendResponse(res, 403, false, 'Accès refusé. Les scores de jeu sont privés.');
+            const { messages } = await repos.messages.list(conversationId, { limit: 1 });
+            if (messages.length === 0) return sendError(res, 404, 'CONVERSATION_EMPTY', 'Aucun message dans cette conversation.');
+            messageId = messages[0].id;
         }
 
-        sendResponse(res, 200, true, `Score pour le jeu ${gameId} récupéré.`, { score: score });
+        const readAt = Date.now();
+        notifications.conversationRead(userId, conversationId);
+        const hiddenSenderIds = await repos.friendships.listBlockedIds(userId);
+        if (await repos.messages.markRead(userId, conversationId, messageId, readAt, hiddenSenderIds)) {
+            if (group) {
+                events.groupEvent(Object.keys(group.members), 'messages_read', { groupId, by: userId, messageId, readAt }, userId);
+            } else {
+                events.messagesRead(userId, otherUserId, messageId, readAt);
+            }
+        }
+        sendResponse(res, 200, true, 'Conversation marquée comme lue.', await repos.messages.getReadMarker(userId, conversationId));
     } catch (error) {
-        console.error('Erreur lors de la récupération du score :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération du score.', { error: error.message });
+        console.error('Erreur lors du marquage de la conversation comme lue :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du marquage de la conversation comme lue.');
     }
 });
 
 /**
- * GET /getFriendsLeaderboard/:userId/:gameId
- * Récupère le classement des amis de l'utilisateur actif pour un jeu donné.
+ * POST /editMessage
+ * Modifie un message envoyé par l'utilisateur, dans une conversation directe ou de groupe.
+ * Corps de la requête: { userId: "...", otherUserId: "..." | groupId: "...", messageId: "...", message: "..." }
  */
-app.get('/getFriendsLeaderboard/:userId/:gameId', async (req, res) => {
-    const { userId, gameId } = req.params;
-    if (!userId || !gameId) return sendResponse(res, 400, false, 'L\'ID utilisateur et l\'ID du jeu sont requis.');
-    if (!await userExists(userId)) return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
+route('editMessage', requireAuth, actAs('body.userId'), rejectRestricted, validate('editMessage'), async (req, res) => {
+    const { userId, otherUserId, groupId, messageId, message } = req.body;
 
     try {
-        const userFriendsSnapshot = await db.ref(`users/${userId}/friends`).once('value');
-        const userFriends = userFriendsSnapshot.exists() ? Object.keys(userFriendsSnapshot.val()) : [];
+        const { status, code, error, conversationId, group } = await resolveConversation(userId, { otherUserId, groupId });
+        if (error) return sendError(res, status, code, error);
 
-        const leaderboardEntries = [];
-        // Inclut l'utilisateur lui-même dans son propre classement
-        const participantsIds = Array.from(new Set([...userFriends, userId]));
+        const existing = await repos.messages.get(conversationId, messageId);
+        if (!existing) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message non trouvé.');
+        if (existing.senderId !== userId) return sendError(res, 403, 'NOT_MESSAGE_AUTHOR', 'Vous ne pouvez modifier que vos propres messages.');
 
-        const promises = participantsIds.map(async (participantId) => {
-            // Vérifie la visibilité du score du participant
-            const participantVisibility = await getUserVisibility(participantId, 'game_scores');
-            const isFriend = await areFriends(userId, participantId); // Vérifie si l'utilisateur est ami avec le participant
+        const editedAt = Date.now();
+        await repos.messages.edit(conversationId, messageId, message, editedAt);
+        if (group) {
+            events.groupEvent(Object.keys(group.members), 'group_message_edited', { groupId, id: messageId, senderId: userId, message, editedAt }, userId);
+        } else {
+            events.messageEdited(userId, otherUserId, messageId, message, editedAt);
+        }
+
+        sendResponse(res, 200, true, 'Message modifié.', { ...existing, message, editedAt });
+    } catch (error) {
+        console.error('Erreur lors de la modification du message :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la modification du message.');
+    }
+});
+
+/**
+ * POST /deleteMessage
+ * Supprime un message envoyé par l'utilisateur, dans une conversation directe ou de groupe.
+ * Corps de la requête: { userId: "...", otherUserId: "..." | groupId: "...", messageId: "..." }
+ */
+route('deleteMessage', requireAuth, actAs('body.userId'), validate('deleteMessage'), async (req, res) => {
+    const { userId, otherUserId, groupId, messageId } = req.body;
+
+    try {
+        const { status, code, error, conversationId, group } = await resolveConversation(userId, { otherUserId, groupId });
+        if (error) return sendError(res, status, code, error);
+
+        const existing = await repos.messages.get(conversationId, messageId);
+        if (!existing) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message non trouvé.');
+        if (existing.senderId !== userId) return sendError(res, 403, 'NOT_MESSAGE_AUTHOR', 'Vous ne pouvez supprimer que vos propres messages.');
+
+        await repos.messages.remove(conversationId, existing);
+        if (group) {
+            events.groupEvent(Object.keys(group.members), 'group_message_deleted', { groupId, id: messageId, senderId: userId }, userId);
+        } else {
+            events.messageDeleted(userId, otherUserId, messageId);
+        }
+
+        sendResponse(res, 200, true, 'Message supprimé.');
+    } catch (error) {
+        console.error('Erreur lors de la suppression du message :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la suppression du message.');
+    }
+});
+
+// --- Conversations de groupe ---
+
+/**
+ * Met en forme un groupe pour le client, avec le pseudo de ses membres.
+ */
+const formatGroup = async (groupId, group) => ({
+    id: groupId,
+    name: group.name,
+    adminId: group.adminId,
+    createdBy: group.createdBy,
+    createdAt: group.createdAt,
+    members: await Promise.all(Object.keys(group.members || {}).map(async (memberId) => ({
+        id: memberId,
+        pseudo: (await getUserPseudo(memberId)) || 'Inconnu'
+    })))
+});
+
+/**
+ * Vérifie qu'un utilisateur peut être ajouté à un groupe par `userId` : il doit être son ami,
+ * et aucun des deux ne doit avoir bloqué l'autre.
+ * @returns {Promise<{ code: string, message: string }|null>} L'erreur, ou null.
+ */
+const checkGroupInvitee = async (userId, memberId) => {
+    if (!await repos.friendships.areFriends(userId, memberId)) {
+        return { code: 'NOT_FRIENDS', message: `L'utilisateur ${memberId} ne fait pas partie de vos amis.` };
+    }
+    if (await repos.friendships.isBlockedEitherWay(userId, memberId)) {
+        return { code: 'INVITEE_NOT_ALLOWED', message: `Impossible d'ajouter l'utilisateur ${memberId}.` };
+    }
+    return null;
+};
+
+/**
+ * POST /createGroup
+ * Crée une conversation de groupe avec des amis de l'utilisateur, qui en devient l'administrateur.
+ * Corps de la requête: { userId: "...", name: "...", memberIds: ["...", ...] }
+ */
+route('createGroup', requireAuth, actAs('body.userId'), rejectRestricted, validate('createGroup'), async (req, res) => {
+    const { userId, name, memberIds } = req.body;
+    const otherMemberIds = Array.from(new Set(memberIds)).filter(memberId => memberId !== userId);
+    if (otherMemberIds.length === 0) return sendError(res, 400, 'VALIDATION_ERROR', 'Un groupe doit compter au moins un autre membre.');
+    if (otherMemberIds.length + 1 > GROUP_LIMITS.members) {
+        return sendError(res, 400, 'GROUP_FULL', `Un groupe compte au plus ${GROUP_LIMITS.members} membres.`);
+    }
+
+    try {
+        for (const memberId of otherMemberIds) {
+            const inviteeError = await checkGroupInvitee(userId, memberId);
+            if (inviteeError) return sendError(res, 403, inviteeError.code, inviteeError.message);
+        }
+
+        const groupId = await repos.messages.createGroup(userId, name, otherMemberIds, Date.now());
+        const group = await repos.messages.getConversation(groupId);
+        events.groupEvent(Object.keys(group.members), 'group_updated', { groupId, change: 'created', by: userId }, userId);
+
+        sendResponse(res, 201, true, 'Groupe créé.', await formatGroup(groupId, group));
+    } catch (error) {
+        console.error('Erreur lors de la création du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la création du groupe.');
+    }
+});
+
+/**
+ * GET /getGroup/:userId/:groupId
+ * Récupère un groupe dont l'utilisateur est membre.
+ */
+route('getGroup', requireAuth, actAs('params.userId'), validate('getGroup'), async (req, res) => {
+    const { userId, groupId } = req.params;
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+        sendResponse(res, 200, true, 'Groupe récupéré.', await formatGroup(groupId, group));
+    } catch (error) {
+        console.error('Erreur lors de la récupération du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du groupe.');
+    }
+});
+
+/**
+ * POST /addGroupMember
+ * Ajoute un ami de l'administrateur au groupe. Réservé à l'administrateur du groupe.
+ * Corps de la requête: { userId: "...", groupId: "...", memberId: "..." }
+ */
+route('addGroupMember', requireAuth, actAs('body.userId'), rejectRestricted, validate('addGroupMember'), async (req, res) => {
+    const { userId, groupId, memberId } = req.body;
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+        if (group.adminId !== userId) return sendError(res, 403, 'NOT_GROUP_ADMIN', 'Seul l\'administrateur du groupe peut ajouter des membres.');
+        if (group.members[memberId]) return sendError(res, 409, 'ALREADY_GROUP_MEMBER', 'Cet utilisateur est déjà membre du groupe.');
+        if (Object.keys(group.members).length >= GROUP_LIMITS.members) {
+            return sendError(res, 400, 'GROUP_FULL', `Un groupe compte au plus ${GROUP_LIMITS.members} membres.`);
+        }
+
+        const inviteeError = await checkGroupInvitee(userId, memberId);
+        if (inviteeError) return sendError(res, 403, inviteeError.code, inviteeError.message);
+
+        await repos.messages.addMember(groupId, memberId, Date.now());
+        const updatedGroup = await repos.messages.getConversation(groupId);
+        events.groupEvent(Object.keys(updatedGroup.members), 'group_updated', { groupId, change: 'member_added', memberId, by: userId }, userId);
+
+        sendResponse(res, 200, true, 'Membre ajouté au groupe.', await formatGroup(groupId, updatedGroup));
+    } catch (error) {
+        console.error('Erreur lors de l\'ajout d\'un membre au groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'ajout du membre au groupe.');
+    }
+});
+
+/**
+ * POST /removeGroupMember
+ * Retire un membre du groupe. Réservé à l'administrateur du groupe (qui utilise /leaveGroup pour lui-même).
+ * Corps de la requête: { userId: "...", groupId: "...", memberId: "..." }
+ */
+route('removeGroupMember', requireAuth, actAs('body.userId'), validate('removeGroupMember'), async (req, res) => {
+    const { userId, groupId, memberId } = req.body;
+    if (memberId === userId) return sendError(res, 400, 'USE_LEAVE_GROUP', 'Utilisez /leaveGroup pour quitter le groupe.');
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+        if (group.adminId !== userId) return sendError(res, 403, 'NOT_GROUP_ADMIN', 'Seul l\'administrateur du groupe peut retirer des membres.');
+        if (!group.members[memberId]) return sendError(res, 404, 'NOT_GROUP_MEMBER', 'Cet utilisateur n\'est pas membre du groupe.');
+
+        await repos.messages.removeMember(groupId, memberId);
+        events.groupEvent([memberId], 'group_removed', { groupId, by: userId }, userId);
+        events.groupEvent(Object.keys(group.members).filter(id => id !== memberId), 'group_updated',
+            { groupId, change: 'member_removed', memberId, by: userId }, userId);
+
+        sendResponse(res, 200, true, 'Membre retiré du groupe.');
+    } catch (error) {
+        console.error('Erreur lors du retrait d\'un membre du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du retrait du membre du groupe.');
+    }
+});
+
+/**
+ * POST /leaveGroup
+ * Quitte un groupe. Si l'administrateur part, le rôle passe à un autre membre ;
+ * le groupe est supprimé quand son dernier membre le quitte.
+ * Corps de la requête: { userId: "...", groupId: "..." }
+ */
+route('leaveGroup', requireAuth, actAs('body.userId'), validate('leaveGroup'), async (req, res) => {
+    const { userId, groupId } = req.body;
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+
+        const { deleted, adminId } = await repos.messages.removeMember(groupId, userId);
+        if (!deleted) {
+            events.groupEvent(Object.keys(group.members).filter(id => id !== userId), 'group_updated',
+                { groupId, change: 'member_left', memberId: userId, adminId }, userId);
+        }
+
+        sendResponse(res, 200, true, deleted ? 'Groupe quitté et supprimé.' : 'Groupe quitté.', { deleted, adminId });
+    } catch (error) {
+        console.error('Erreur lors du départ du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du départ du groupe.');
+    }
+});
+
+/**
+ * POST /renameGroup
+ * Renomme un groupe. Réservé à l'administrateur du groupe.
+ * Corps de la requête: { userId: "...", groupId: "...", name: "..." }
+ */
+route('renameGroup', requireAuth, actAs('body.userId'), rejectRestricted, validate('renameGroup'), async (req, res) => {
+    const { userId, groupId, name } = req.body;
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+        if (group.adminId !== userId) return sendError(res, 403, 'NOT_GROUP_ADMIN', 'Seul l\'administrateur du groupe peut le renommer.');
+
+        await repos.messages.rename(groupId, name);
+        events.groupEvent(Object.keys(group.members), 'group_updated', { groupId, change: 'renamed', name, by: userId }, userId);
+
+        sendResponse(res, 200, true, 'Groupe renommé.', { id: groupId, name });
+    } catch (error) {
+        console.error('Erreur lors du renommage du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du renommage du groupe.');
+    }
+});
+
+/**
+ * POST /sendGroupMessage
+ * Envoie un message dans un groupe dont l'expéditeur est membre.
+ * Les membres qui ont bloqué l'expéditeur ne le voient pas.
+ * Corps de la requête: { senderId: "...", groupId: "...", message: "..." }
+ * Réponse: { id, conversationId, senderId, message, timestamp }
+ */
+route('sendGroupMessage', requireAuth, actAs('body.senderId'), rejectRestricted, validate('sendGroupMessage'), async (req, res) => {
+    const { senderId, groupId, message } = req.body;
+
+    try {
+        const { status, code, error, group } = await resolveConversation(senderId, { groupId });
+        if (error) return sendError(res, status, code, error);
+
+        const memberIds = Object.keys(group.members);
+        const messageData = { senderId, message, timestamp: SERVER_TIMESTAMP };
+        // Le message ne compte pas comme non lu pour les membres qui ont bloqué son expéditeur
+        const blockedByIds = await repos.friendships.listBlockedByIds(senderId);
+        const unreadMemberIds = memberIds.filter(memberId => memberId !== senderId && !blockedByIds.includes(memberId));
+        const messageId = await repos.messages.sendToGroup(groupId, memberIds, messageData, unreadMemberIds);
+        const sentMessage = { id: messageId, conversationId: groupId, ...messageData, timestamp: Date.now() };
+        events.groupEvent(memberIds, 'group_message', sentMessage, senderId);
+        notifications.groupMessageReceived(memberIds, group, sentMessage);
+
+        sendResponse(res, 200, true, 'Message envoyé avec succès.', sentMessage);
+    } catch (error) {
+        console.error('Erreur lors de l\'envoi du message de groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'envoi du message.');
+    }
+});
+
+/**
+ * GET /getGroupMessages/:userId/:groupId
+ * Récupère une page de messages d'un groupe, du plus ancien au plus récent.
+ * Paramètres de requête : les mêmes que /getMessages (before, after, limit).
+ * Les messages des utilisateurs que le lecteur a bloqués sont masqués.
+ * Réponse: { messages, hasMore, readMarkers: { memberId: { messageId, readAt } } }
+ */
+route('getGroupMessages', requireAuth, actAs('params.userId'), validate('getGroupMessages'), async (req, res) => {
+    const { userId, groupId } = req.params;
+    const { before, after, limit } = req.query;
+    if (before && after) return sendError(res, 400, 'VALIDATION_ERROR', 'Utilisez before ou after, pas les deux.');
+
+    try {
+        const { status, code, error, group } = await resolveConversation(userId, { groupId });
+        if (error) return sendError(res, status, code, error);
+
+        const [page, blockedIds] = await Promise.all([
+            repos.messages.list(groupId, { before, after, limit }),
+            repos.friendships.listBlockedIds(userId)
+        ]);
+        const memberIds = Object.keys(group.members);
+        const markers = await Promise.all(memberIds.map(memberId => repos.messages.getReadMarker(memberId, groupId)));
+
+        sendResponse(res, 200, true, 'Messages récupérés.', {
+            // `hasMore` porte sur la page avant masquage : une page peut compter moins de `limit` messages
+            messages: page.messages.filter(({ senderId }) => !blockedIds.includes(senderId)),
+            hasMore: page.hasMore,
+            readMarkers: Object.fromEntries(memberIds.map((memberId, i) => [memberId, markers[i]]).filter(([, marker]) => marker))
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des messages du groupe :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des messages.');
+    }
+});
+
+/**
+ * POST /setGameScore
+ * Définit ou met à jour le score d'un utilisateur pour un jeu donné.
+ * Chaque soumission est aussi conservée, horodatée, dans l'historique du joueur.
+ * Le score est validé selon les règles du jeu (format, bornes) et remplace le score courant
+ * selon sa politique (keep_latest ou keep_best).
+ * Défenses anti-triche : nombre de soumissions limité par joueur et par jeu (429), signature HMAC
+ * du client de jeu si le jeu a un signingSecret (obligatoire avec requireSignature), et mise en
+ * quarantaine (202) des scores suspects, exclus des classements jusqu'à leur revue par un administrateur.
+ * Corps de la requête: { userId: "...", gameId: "...", score: number,
+ *   timestamp?: number, nonce?: "...", signature?: "..." }
+ * La signature est le HMAC-SHA256 hexadécimal de "userId:gameId:score:timestamp:nonce".
+ * Un score accepté relève les défis en cours qu'il bat (`completedChallenges`, voir /createChallenge).
+ */
+route('setGameScore', requireAuth, actAs('body.userId'), validate('setGameScore'), async (req, res) => {
+    const { userId, gameId, score, timestamp, nonce, signature } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const game = await getGameRules(gameId);
+        if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', `Le jeu ${gameId} n'est pas enregistré.`);
+
+        const scoreError = checkScore(game, score);
+        if (scoreError) return sendError(res, 400, 'INVALID_SCORE', scoreError);
+
+        const submittedAt = Date.now();
+        const limit = game.maxSubmissionsPerMinute || defaultScoreSubmissionsPerMinute;
+        const { allowed, retryAfterMs } = scoreRateLimiter.hit(`${userId}:${gameId}`, limit, submittedAt);
+        if (!allowed) {
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Trop de scores soumis pour ce jeu. Réessayez plus tard.');
+        }
+
+        if (game.signingSecret && (game.requireSignature || signature !== undefined)) {
+            const signatureError = verifyScoreSignature(game.signingSecret, { userId, gameId, score, timestamp, nonce, signature }, submittedAt);
+            if (signatureError) return sendError(res, 403, 'INVALID_SIGNATURE', signatureError);
+            // Un nonce ne sert qu'une fois tant que la soumission pourrait encore être acceptée
+            if (!await repos.antiCheat.reserveNonce(gameId, nonce, timestamp + SIGNATURE_MAX_AGE_MS)) {
+                return sendError(res, 409, 'SUBMISSION_REPLAYED', 'Cette soumission a déjà été reçue.');
+            }
+        }
+
+        const currentScore = await repos.scores.get(userId, gameId);
+        const bestEntry = await repos.leaderboards.getEntry(gameId, 'alltime', periodKey('alltime', submittedAt), userId);
+        const reasons = detectSuspiciousScore(game, score, bestEntry ? bestEntry.score : null, isBetterFor(game));
+        if (reasons.length > 0) {
+            const submissionId = await repos.scores.record(userId, gameId, score, submittedAt, false, { status: 'quarantined', reasons });
+            const reviewId = await repos.antiCheat.createReview({
+                userId, gameId, submissionId, score, timestamp: submittedAt, reasons, status: 'pending'
+            });
+            console.log(`Score ${score} de ${userId} pour ${gameId} mis en quarantaine (${reasons.join(', ')})`);
+            return sendResponse(res, 202, true, 'Score reçu, en attente de vérification.', {
+                score: currentScore,
+                formattedScore: formatScore(game, currentScore !== null ? currentScore : 0),
+                quarantined: true,
+                reviewId,
+                reasons
+            });
+        }
+
+        const replaced = shouldReplaceCurrent(game, currentScore, score);
+        // Le meilleur score de tous les temps, et non le score courant (qui peut être moins bon avec keep_latest)
+        const previousBest = bestEntry ? bestEntry.score : null;
+
+        await repos.scores.record(userId, gameId, score, submittedAt, replaced);
+        await repos.leaderboards.recordScore(userId, gameId, score, submittedAt, game, await hasPublicScores(userId));
+        if (replaced) events.scoreUpdated(userId, gameId, score);
+        notifications.scoreBeaten(userId, gameId, score, previousBest ?? currentScore, isBetterFor(game));
+        const completedChallenges = await challenges.recordScore(userId, gameId, score, submittedAt, isBetterFor(game));
+
+        sendResponse(res, 200, true, `Score pour le jeu ${gameId} mis à jour.`, {
+            score: replaced ? score : currentScore,
+            formattedScore: formatScore(game, replaced ? score : currentScore),
+            newBest: previousBest === null || isBetterFor(game)(score, previousBest),
+            completedChallenges
+        });
+    } catch (error) {
+        console.error('Erreur lors de la mise à jour du score :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour du score.');
+    }
+});
+
+/**
+ * GET /getGameScore/:userId/:gameId
+ * Récupère le score d'un utilisateur pour un jeu spécifique.
+ * Authentification facultative : elle permet de voir les scores réservés aux amis.
+ */
+route('getGameScore', authenticate, validate('getGameScore'), async (req, res) => {
+    const { userId, gameId } = req.params;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        // Vérifie les règles de visibilité pour les scores de jeu, du point de vue de l'utilisateur authentifié
+        const requesterId = req.auth ? req.auth.uid : null;
+
+        let score = null;
+        if (await visibility.canView(userId, requesterId, 'game_scores')) {
+            const storedScore = await repos.scores.get(userId, gameId);
+            score = storedScore !== null ? storedScore : 0; // Retourne 0 si pas de score
+        } else {
+             return sendError(res, 403, 'VISIBILITY_RESTRICTED', 'Accès refusé. Les scores de jeu sont privés.');
+        }
+
+        const game = await getGameRules(gameId);
+        sendResponse(res, 200, true, `Score pour le jeu ${gameId} récupéré.`, {
+            score: score,
+            formattedScore: game ? formatScore(game, score) : String(score)
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération du score :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du score.');
+    }
+});
+
+/**
+ * GET /getGameStats/:userId/:gameId
+ * Récupère les statistiques d'un joueur pour un jeu : meilleur score, dernier, moyenne, nombre de parties,
+ * progression (meilleur score atteint après chaque partie) et série par période pour les graphiques.
+ * Paramètres de requête facultatifs : bucket=day|week|month (défaut: day), from et to (timestamps en ms).
+ * Soumis au paramètre de visibilité `game_scores` du joueur.
+ */
+route('getGameStats', authenticate, validate('getGameStats'), async (req, res) => {
+    const { userId, gameId } = req.params;
+    const { bucket, from = -Infinity, to = Infinity } = req.query;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const requesterId = req.auth ? req.auth.uid : null;
+        if (!await visibility.canView(userId, requesterId, 'game_scores')) {
+            return sendError(res, 403, 'VISIBILITY_RESTRICTED', 'Accès refusé. Les scores de jeu sont privés.');
+        }
+
+        const game = (await getGameRules(gameId)) || { ...DEFAULT_GAME_RULES };
+        // Les scores en quarantaine ou rejetés ne comptent pas
+        const history = (await repos.scores.listHistory(userId, gameId))
+            .filter(submission => isCountedSubmission(submission))
+            .filter(({ timestamp }) => timestamp >= from && timestamp <= to);
+        const stats = computeGameStats(history, { bucket, isBetter: isBetterFor(game) });
+
+        sendResponse(res, 200, true, `Statistiques pour le jeu ${gameId} récupérées.`, {
+            userId,
+            gameId,
+            current: await repos.scores.get(userId, gameId), // Score courant, y compris ceux antérieurs à l'historique
+            bucket,
+            sortDirection: game.sortDirection,
+            unit: game.unit,
+            ...stats
+        });
+    } catch (error) {
+        console.error('Erreur lors du calcul des statistiques :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du calcul des statistiques.');
+    }
+});
+
+/**
+ * GET /getFriendsLeaderboard/:userId/:gameId
+ * Récupère le classement des amis de l'utilisateur actif pour un jeu donné.
+ */
+route('getFriendsLeaderboard', requireAuth, actAs('params.userId'), validate('getFriendsLeaderboard'), async (req, res) => {
+    const { userId, gameId } = req.params;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const game = (await getGameRules(gameId)) || { ...DEFAULT_GAME_RULES };
+        const userFriends = await repos.friendships.listFriendIds(userId);
+
+        const leaderboardEntries = [];
+        // Inclut l'utilisateur lui-même dans son propre classement
+        const participantsIds = Array.from(new Set([...userFriends, userId]));
 
-            if (participantVisibility === 'everyone' || (participantVisibility === 'friends_only' && isFriend) || participantId === userId) {
-                const scoreSnapshot = await db.ref(`users/${participantId}/gameScores/${gameId}`).once('value');
-                if (scoreSnapshot.exists()) {
+        const promises = participantsIds.map(async (participantId) => {
+            // Vérifie la visibilité du score du participant
+            if (await visibility.canView(participantId, userId, 'game_scores')) {
+                const participantScore = await repos.scores.get(participantId, gameId);
+                if (participantScore !== null) {
                     const participantPseudo = await getUserPseudo(participantId);
                     leaderboardEntries.push({
                         id: participantId,
                         pseudo: participantPseudo || 'Inconnu',
-                        score: scoreSnapshot.val()
+                        score: participantScore,
+                        formattedScore: formatScore(game, participantScore)
                     });
                 }
             }
@@ -835,118 +1917,1528 @@ app.get('/getFriendsLeaderboard/:userId/:gameId', async (req, res) => {
 
         await Promise.all(promises);
 
-        // Trie le classement par score (du plus élevé au plus bas)
-        leaderboardEntries.sort((a, b) => b.score - a.score);
+        // Trie le classement du meilleur au moins bon score, selon le sens de classement du jeu
+        const isBetter = isBetterFor(game);
+        leaderboardEntries.sort((a, b) => (a.score === b.score ? 0 : isBetter(a.score, b.score) ? -1 : 1));
 
         sendResponse(res, 200, true, `Classement des amis pour le jeu ${gameId} récupéré.`, leaderboardEntries);
     } catch (error) {
         console.error('Erreur lors de la récupération du classement des amis :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération du classement des amis.', { error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du classement des amis.');
     }
 });
 
+/**
+ * GET /streamEvents/:userId
+ * Ouvre un flux Server-Sent Events pour l'utilisateur authentifié.
+ * Événements : message, message_edited, message_deleted, messages_read (accusés de lecture),
+ * group_message, group_message_edited, group_message_deleted, group_updated, group_removed,
+ * friend_request_received, friend_request_accepted, friend_request_declined, friend_request_cancelled,
+ * friend_removed, invite_code_used (amitié créée par un code d'invitation), friend_score (scores des
+ * amis, selon `game_scores`), presence (selon `online_status` et `last_seen`), project_invitation,
+ * data_export_ready et data_export_failed (fin de la génération d'un export de données),
+ * challenge_received et challenge_resolved (défi reçu, puis relevé, expiré ou annulé), notification
+ * (nouvelle notification enregistrée, voir /getNotifications), report_resolved (signalement clos par la
+ * modération), account_restricted (compte restreint après des signalements), pseudo_reset (pseudo
+ * remplacé par un administrateur) et account_sanctioned (compte banni ou suspendu, suivi de la fermeture
+ * du flux).
+ * Les événements impliquant un utilisateur bloqué (dans un sens ou dans l'autre) ne sont pas transmis.
+ * EventSource ne pouvant pas envoyer d'en-têtes, le jeton peut être passé via `?access_token=...`.
+ */
+route('streamEvents', allowQueryToken, requireAuth, actAs('params.userId'), validate('streamEvents'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    eventHub.open(userId, req, res);
+});
 
 /**
- * POST /deleteUser
- * Supprime un utilisateur et nettoie toutes les références associées dans la base de données.
- * C'est une opération critique et coûteuse.
+ * POST /presenceConnect
+ * Signale que l'utilisateur vient d'ouvrir l'extension : il passe en ligne.
+ * Retourne `timeoutMs`, le délai maximal entre deux heartbeats avant passage hors ligne.
  * Corps de la requête: { userId: "..." }
  */
-app.post('/deleteUser', async (req, res) => {
+route('presenceConnect', requireAuth, actAs('body.userId'), validate('presenceConnect'), async (req, res) => {
     const { userId } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
-    if (!userId) {
-        return sendResponse(res, 400, false, 'L\'ID utilisateur est requis.');
+    try {
+        const state = await presence.connect(userId);
+        sendResponse(res, 200, true, 'Utilisateur en ligne.', { ...state, timeoutMs: presence.timeoutMs });
+    } catch (error) {
+        console.error('Erreur lors de la connexion de présence :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour de la présence.');
     }
+});
+
+/**
+ * POST /presenceHeartbeat
+ * Maintient l'utilisateur en ligne. À appeler plus souvent que `timeoutMs`.
+ * Corps de la requête: { userId: "..." }
+ */
+route('presenceHeartbeat', requireAuth, actAs('body.userId'), validate('presenceHeartbeat'), async (req, res) => {
+    const { userId } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
     try {
-        const userRef = db.ref(`users/${userId}`);
-        const userSnapshot = await userRef.once('value');
+        const state = await presence.heartbeat(userId);
+        sendResponse(res, 200, true, 'Présence actualisée.', { ...state, timeoutMs: presence.timeoutMs });
+    } catch (error) {
+        console.error('Erreur lors du heartbeat de présence :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour de la présence.');
+    }
+});
 
-        if (!userSnapshot.exists()) {
-            return sendResponse(res, 404, false, 'Utilisateur non trouvé.');
-        }
+/**
+ * POST /presenceDisconnect
+ * Signale que l'utilisateur ferme l'extension : il passe hors ligne et son lastSeen est mis à jour.
+ * Corps de la requête: { userId: "..." }
+ */
+route('presenceDisconnect', requireAuth, actAs('body.userId'), validate('presenceDisconnect'), async (req, res) => {
+    const { userId } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
-        const userData = userSnapshot.val();
-        const updates = {};
+    try {
+        const state = await presence.disconnect(userId);
+        sendResponse(res, 200, true, 'Utilisateur hors ligne.', state);
+    } catch (error) {
+        console.error('Erreur lors de la déconnexion de présence :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour de la présence.');
+    }
+});
 
-        // 1. Supprimer l'utilisateur lui-même
-        updates[`users/${userId}`] = null;
+/**
+ * GET /getFriendsPresence/:userId
+ * Récupère la présence des amis de l'utilisateur authentifié.
+ * `online` n'est renvoyé que si le paramètre `online_status` de l'ami le permet,
+ * et `lastSeen` que si son paramètre `last_seen` le permet.
+ */
+route('getFriendsPresence', requireAuth, actAs('params.userId'), validate('getFriendsPresence'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
-        // 2. Supprimer l'utilisateur des listes d'amis de ses amis
-        if (userData.friends) {
-            for (const friendId of Object.keys(userData.friends)) {
-                updates[`users/${friendId}/friends/${userId}`] = null;
-            }
-        }
+    try {
+        const friendIds = await repos.friendships.listFriendIds(userId);
 
-        // 3. Supprimer les demandes d'amis envoyées par cet utilisateur chez d'autres
-        if (userData.friendRequestsSent) {
-            for (const receiverId of Object.keys(userData.friendRequestsSent)) {
-                updates[`users/${receiverId}/friendRequestsReceived/${userId}`] = null;
-            }
-        }
+        const presencePromises = friendIds.map(async (friendId) => {
+            const friendPseudo = await getUserPseudo(friendId);
+            if (!friendPseudo) return null;
 
-        // 4. Supprimer les demandes d'amis reçues par cet utilisateur
-        if (userData.friendRequestsReceived) {
-            for (const senderId of Object.keys(userData.friendRequestsReceived)) {
-                updates[`users/${senderId}/friendRequestsSent/${userId}`] = null;
-            }
-        }
+            const friendPresence = (await repos.presence.get(friendId)) || { online: false, lastSeen: null };
+            return { id: friendId, pseudo: friendPseudo, ...await visibility.redactPresence(friendId, userId, friendPresence) };
+        });
 
-        // 5. Supprimer l'utilisateur des listes de "blockedUsers" des autres utilisateurs (si d'autres l'ont bloqué)
-        // Ceci nécessiterait un parcours de tous les utilisateurs ou une structure inversée,
-        // ce qui est trop complexe et coûteux pour cette démo.
+        const friendsPresence = (await Promise.all(presencePromises)).filter(Boolean);
+        sendResponse(res, 200, true, 'Présence des amis récupérée.', friendsPresence);
+    } catch (error) {
+        console.error('Erreur lors de la récupération de la présence des amis :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération de la présence des amis.');
+    }
+});
 
-        // 6. Supprimer tous les messages impliquant cet utilisateur
-        // Cela peut être complexe car les messages sont stockés dans les sous-branches de l'utilisateur
-        // Une approche plus simple est de s'assurer que si un utilisateur est supprimé,
-        // les messages de sa branche n'ont plus d'importance.
-        // db.ref(`users/${userId}/messages`).remove(); // sera couvert par la suppression de `users/${userId}`
+// --- Projets partagés ---
 
-        await db.ref().update(updates); // Exécute toutes les suppressions et mises à jour de manière atomique
+/**
+ * Met en forme un projet pour le client.
+ */
+const formatProject = (projectId, project) => ({
+    id: projectId,
+    ownerId: project.ownerId,
+    title: project.title,
+    description: project.description || '',
+    // Realtime Database peut renvoyer un tableau sous forme d'objet à clés numériques
+    links: Object.values(project.links || {}),
+    tags: Object.values(project.tags || {}),
+    collaborators: Object.keys(project.collaborators || {}),
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt
+});
 
-        sendResponse(res, 200, true, 'Utilisateur supprimé avec succès.');
+/**
+ * POST /createProject
+ * Crée un projet appartenant à l'utilisateur.
+ * Corps de la requête: { userId: "...", title: "...", description?: "...", links?: ["https://..."], tags?: ["..."] }
+ */
+route('createProject', requireAuth, actAs('body.userId'), rejectRestricted, validate('createProject'), async (req, res) => {
+    const { userId, title, description, links, tags } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
+    try {
+        const projectId = repos.projects.newId();
+        const now = Date.now();
+        // Les tags sont stockés en minuscules, sans doublons
+        const project = {
+            ownerId: userId, title, description, links,
+            tags: [...new Set(tags.map(tag => tag.toLowerCase()))],
+            createdAt: now, updatedAt: now
+        };
+
+        await repos.projects.create(projectId, project);
+        sendResponse(res, 201, true, 'Projet créé avec succès.', formatProject(projectId, project));
     } catch (error) {
-        console.error('Erreur lors de la suppression de l\'utilisateur :', error);
-        sendResponse(res, 500, false, 'Échec de la suppression de l\'utilisateur.', { error: error.message });
+        console.error('Erreur lors de la création du projet :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la création du projet.');
     }
 });
 
+/**
+ * POST /inviteProjectCollaborator
+ * Ajoute un ami comme collaborateur d'un projet. Réservé au propriétaire du projet.
+ * Corps de la requête: { userId: "...", projectId: "...", friendId: "..." }
+ */
+route('inviteProjectCollaborator', requireAuth, actAs('body.userId'), rejectRestricted, validate('inviteProjectCollaborator'), async (req, res) => {
+    const { userId, projectId, friendId } = req.body;
+
+    try {
+        const project = await repos.projects.get(projectId);
+        if (!project) return sendError(res, 404, 'PROJECT_NOT_FOUND', 'Projet non trouvé.');
+        if (project.ownerId !== userId) return sendError(res, 403, 'NOT_PROJECT_OWNER', 'Seul le propriétaire du projet peut inviter des collaborateurs.');
+        if (friendId === userId) return sendError(res, 400, 'ALREADY_COLLABORATOR', 'Vous êtes déjà propriétaire de ce projet.');
+        if (!await repos.friendships.areFriends(userId, friendId)) {
+            return sendError(res, 403, 'NOT_FRIENDS', 'Vous ne pouvez inviter que vos amis.');
+        }
+        if (project.collaborators && project.collaborators[friendId]) {
+            return sendError(res, 400, 'ALREADY_COLLABORATOR', 'Cet ami collabore déjà à ce projet.');
+        }
+
+        await repos.projects.addCollaborator(projectId, friendId, Date.now());
+        events.projectInvitation(userId, friendId, projectId, project.title);
+        sendResponse(res, 200, true, 'Collaborateur ajouté au projet.');
+    } catch (error) {
+        console.error('Erreur lors de l\'invitation d\'un collaborateur :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'invitation du collaborateur.');
+    }
+});
 
 /**
- * GET /getAllUsers
- * Récupère la liste de tous les utilisateurs (ID et pseudo).
- * ATTENTION : Cet endpoint est DANGEREUX et INEFFICACE pour une grande base de données.
- * Il est fourni à des fins de débogage/test uniquement et devrait être supprimé ou sécurisé en production.
+ * POST /removeProjectCollaborator
+ * Retire un collaborateur d'un projet. Le propriétaire peut retirer n'importe quel collaborateur ;
+ * un collaborateur peut se retirer lui-même (collaboratorId omis ou égal à userId).
+ * Corps de la requête: { userId: "...", projectId: "...", collaboratorId?: "..." }
  */
-app.get('/getAllUsers', async (req, res) => {
+route('removeProjectCollaborator', requireAuth, actAs('body.userId'), validate('removeProjectCollaborator'), async (req, res) => {
+    const { userId, projectId } = req.body;
+    const collaboratorId = req.body.collaboratorId || userId;
+
     try {
-        const snapshot = await db.ref('users').once('value');
-        if (!snapshot.exists()) {
-            return sendResponse(res, 200, true, 'Aucun utilisateur trouvé.', []);
+        const project = await repos.projects.get(projectId);
+        if (!project) return sendError(res, 404, 'PROJECT_NOT_FOUND', 'Projet non trouvé.');
+        if (project.ownerId !== userId && collaboratorId !== userId) {
+            return sendError(res, 403, 'NOT_PROJECT_OWNER', 'Seul le propriétaire du projet peut retirer d\'autres collaborateurs.');
+        }
+        if (!project.collaborators || !project.collaborators[collaboratorId]) {
+            return sendError(res, 404, 'NOT_COLLABORATOR', 'Cet utilisateur ne collabore pas à ce projet.');
         }
 
-        const allUsersData = snapshot.val();
-        const allUsers = Object.entries(allUsersData).map(([id, user]) => ({
-            id: id,
-            pseudo: user.pseudo || 'Pseudo inconnu'
-        }));
-        sendResponse(res, 200, true, 'Tous les utilisateurs récupérés.', allUsers);
+        await repos.projects.removeCollaborator(projectId, collaboratorId, Date.now());
+        sendResponse(res, 200, true, 'Collaborateur retiré du projet.');
     } catch (error) {
-        console.error('Erreur lors de la récupération de tous les utilisateurs :', error);
-        sendResponse(res, 500, false, 'Échec de la récupération de tous les utilisateurs.', { error: error.message });
+        console.error('Erreur lors du retrait d\'un collaborateur :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du retrait du collaborateur.');
     }
 });
 
+/**
+ * GET /getUserProjects/:userId
+ * Liste les projets d'un utilisateur (propriétaire ou collaborateur).
+ * Soumis au paramètre de visibilité `shared_projects` de cet utilisateur.
+ */
+route('getUserProjects', authenticate, validate('getUserProjects'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
 
-// 6. Gestionnaire d'erreur global pour Express
-// Ce middleware attrape toutes les erreurs non gérées par les routes spécifiques
-app.use((err, req, res, next) => {
+    try {
+        const requesterId = req.auth ? req.auth.uid : null;
+        if (!await visibility.canView(userId, requesterId, 'shared_projects')) {
+            return sendError(res, 403, 'VISIBILITY_RESTRICTED', 'Accès refusé. Les projets de cet utilisateur sont privés.');
+        }
+
+        const projects = await repos.projects.listForUser(userId);
+        const formattedProjects = projects
+            .map(({ id, role, project }) => ({ ...formatProject(id, project), role }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        sendResponse(res, 200, true, 'Projets récupérés.', formattedProjects);
+    } catch (error) {
+        console.error('Erreur lors de la récupération des projets :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des projets.');
+    }
+});
+
+/**
+ * POST /deleteProject
+ * Supprime un projet. Réservé à son propriétaire.
+ * Corps de la requête: { userId: "...", projectId: "..." }
+ */
+route('deleteProject', requireAuth, actAs('body.userId'), validate('deleteProject'), async (req, res) => {
+    const { userId, projectId } = req.body;
+
+    try {
+        const project = await repos.projects.get(projectId);
+        if (!project) return sendError(res, 404, 'PROJECT_NOT_FOUND', 'Projet non trouvé.');
+        if (project.ownerId !== userId) return sendError(res, 403, 'NOT_PROJECT_OWNER', 'Seul le propriétaire peut supprimer ce projet.');
+
+        await repos.projects.remove(projectId, project);
+        sendResponse(res, 200, true, 'Projet supprimé avec succès.');
+    } catch (error) {
+        console.error('Erreur lors de la suppression du projet :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la suppression du projet.');
+    }
+});
+
+/**
+ * GET /getGlobalLeaderboard/:gameId
+ * Récupère le classement global d'un jeu, page par page.
+ * Paramètres de requête facultatifs :
+ *   window=daily|weekly|monthly|alltime (défaut: alltime), at (timestamp d'une période passée),
+ *   limit (1-100, défaut: 20), cursor (le `nextCursor` de la page précédente).
+ * Chaque joueur apparaît avec son meilleur score de la période ; à égalité, le premier à l'avoir atteint passe devant.
+ * Seuls les joueurs dont les scores sont visibles par tous (`game_scores` = everyone) sont classés : ils sont
+ * lus dans l'ordre sur un index, sans charger le reste du classement.
+ * Si l'utilisateur est authentifié, `me` donne son rang parmi eux, même hors de la page.
+ */
+route('getGlobalLeaderboard', authenticate, validate('getGlobalLeaderboard'), async (req, res) => {
+    const { gameId } = req.params;
+    const { window, at = Date.now(), limit, cursor } = req.query;
+
+    try {
+        const game = await getGameRules(gameId);
+        if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', `Le jeu ${gameId} n'est pas enregistré.`);
+
+        const after = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !after) return sendError(res, 400, 'VALIDATION_ERROR', 'Curseur de pagination invalide.');
+
+        const requesterId = req.auth ? req.auth.uid : null;
+        const period = periodKey(window, at);
+
+        // Exclut les joueurs liés au lecteur par un blocage. Chacun n'a qu'une entrée : en lire autant
+        // en plus suffit à remplir la page.
+        const hiddenIds = await getBlockedEitherWayIds(requesterId);
+        const candidates = await repos.leaderboards.listPublic(gameId, window, period, {
+            after: after ? rankKey(after, game.sortDirection) : undefined,
+            limit: limit + 1 + hiddenIds.size
+        });
+        const visible = candidates.filter(entry => !hiddenIds.has(entry.userId));
+
+        // Le rang continue celui de la dernière entrée de la page précédente
+        const firstRank = after ? after.rank + 1 : 1;
+        const pageEntries = await Promise.all(visible.slice(0, limit).map(async (entry, i) => ({
+            rank: firstRank + i,
+            ...entry,
+            formattedScore: formatScore(game, entry.score),
+            pseudo: (await getUserPseudo(entry.userId)) || 'Inconnu'
+        })));
+
+        // Rang de l'utilisateur : nombre de joueurs publics classés devant lui, plus un
+        let me = null;
+        const ownEntry = requesterId ? await repos.leaderboards.getEntry(gameId, window, period, requesterId) : null;
+        if (ownEntry) {
+            const own = { userId: requesterId, score: ownEntry.score, achievedAt: ownEntry.achievedAt };
+            const ahead = (await repos.leaderboards.listPublicBefore(gameId, window, period, rankKey(own, game.sortDirection)))
+                .filter(entry => !hiddenIds.has(entry.userId)).length;
+            me = { ...own, rank: ahead + 1, public: Boolean(ownEntry.publicRank) };
+        }
+
+        sendResponse(res, 200, true, `Classement global pour le jeu ${gameId} récupéré.`, {
+            gameId,
+            game: { name: game.name, sortDirection: game.sortDirection, unit: game.unit, format: game.format },
+            window,
+            period,
+            entries: pageEntries,
+            nextCursor: visible.length > limit ? encodeCursor(pageEntries[pageEntries.length - 1]) : null,
+            me
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération du classement global :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du classement global.');
+    }
+});
+
+// --- Défis entre amis ---
+// Un défi est relevé automatiquement par /setGameScore (ou à l'approbation d'un score mis en quarantaine,
+// si le défi est encore en cours) et expire à son échéance (voir src/challenges.js).
+
+/**
+ * Met en forme un défi pour l'un de ses participants, avec le pseudo de l'autre.
+ */
+const describeChallenge = async (challenge, userId) => {
+    const friendId = userId === challenge.challengerId ? challenge.opponentId : challenge.challengerId;
+    return { ...formatChallenge(challenge, userId), friend: { id: friendId, pseudo: await repos.users.getPseudo(friendId) } };
+};
+
+/**
+ * POST /createChallenge
+ * Défie un ami de battre `targetScore` sur un jeu avant `deadline` (timestamp en ms, entre une minute et
+ * 30 jours). L'ami reçoit l'événement challenge_received ; à la clôture du défi, les deux reçoivent challenge_resolved.
+ * Un seul défi en cours par ami et par jeu, et au plus 20 défis en cours lancés par joueur.
+ * Corps de la requête: { userId: "...", friendId: "...", gameId: "...", targetScore: 1500, deadline: 1735689600000 }
+ */
+route('createChallenge', requireAuth, actAs('body.userId'), rejectRestricted, validate('createChallenge'), async (req, res) => {
+    const { userId, friendId, gameId, targetScore, deadline } = req.body;
+    if (userId === friendId) return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible de se défier soi-même.');
+
+    const now = Date.now();
+    if (deadline < now + CHALLENGE_LIMITS.minDurationMs || deadline > now + CHALLENGE_LIMITS.maxDurationMs) {
+        const message = 'L\'échéance doit être comprise entre une minute et 30 jours à partir de maintenant.';
+        return sendError(res, 400, 'VALIDATION_ERROR', message, { errors: [{ field: 'body.deadline', message }] });
+    }
+
+    try {
+        if (!await userExists(friendId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+        if (!await repos.friendships.areFriends(userId, friendId)) {
+            return sendError(res, 403, 'NOT_FRIENDS', 'Vous ne pouvez défier que vos amis.');
+        }
+
+        const game = await getGameRules(gameId);
+        if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', `Le jeu ${gameId} n'est pas enregistré.`);
+        const scoreError = checkScore(game, targetScore);
+        if (scoreError) return sendError(res, 400, 'INVALID_SCORE', scoreError);
+
+        const active = await repos.challenges.listActiveSent(userId);
+        if (active.some(challenge => challenge.opponentId === friendId && challenge.gameId === gameId)) {
+            return sendError(res, 409, 'CHALLENGE_ALREADY_ACTIVE', 'Un défi est déjà en cours avec cet ami sur ce jeu.');
+        }
+        if (active.length >= CHALLENGE_LIMITS.activePerUser) {
+            return sendError(res, 409, 'TOO_MANY_CHALLENGES', `Vous avez déjà ${CHALLENGE_LIMITS.activePerUser} défis en cours.`);
+        }
+
+        const challenge = { challengerId: userId, opponentId: friendId, gameId, targetScore, deadline, createdAt: now, status: 'active' };
+        const created = { id: await repos.challenges.create(challenge), ...challenge };
+        events.challengeReceived(userId, friendId, formatChallenge(created, friendId));
+        notifications.challengeReceived(friendId, userId, formatChallenge(created, friendId));
+
+        sendResponse(res, 201, true, 'Défi lancé.', await describeChallenge(created, userId));
+    } catch (error) {
+        console.error('Erreur lors de la création du défi :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la création du défi.');
+    }
+});
+
+/**
+ * GET /getChallenges/:userId?status=active|past|all&friendId=...&limit=20&cursor=...
+ * Liste les défis lancés ou reçus par l'utilisateur, du plus récent au plus ancien, au besoin avec un seul ami.
+ * Chaque défi indique le rôle de l'utilisateur ('challenger' ou 'opponent') et son résultat ('won', 'lost',
+ * ou null s'il est en cours ou annulé). `record` est le bilan { wins, losses, byFriend } de tous les défis
+ * terminés (avec cet ami seulement si `friendId` est donné), indépendamment de la page.
+ * Retourne `nextCursor`, à repasser en `cursor` pour la page suivante (null à la dernière page).
+ */
+route('getChallenges', requireAuth, actAs('params.userId'), validate('getChallenges'), async (req, res) => {
+    const userId = req.params.userId;
+    const { status, friendId, limit, cursor } = req.query;
+
+    try {
+        const all = (await challenges.expireOverdue(await repos.challenges.listFor(userId), Date.now()))
+            .filter(challenge => !friendId || challenge.challengerId === friendId || challenge.opponentId === friendId);
+        const { wins, losses, byFriend } = summarizeChallenges(all, userId);
+
+        const matching = all.filter(challenge => (status === 'all' || (status === 'active') === (challenge.status === 'active'))
+            && (!cursor || challenge.id < cursor));
+        const page = matching.slice(0, limit);
+
+        sendResponse(res, 200, true, 'Défis récupérés.', {
+            challenges: await Promise.all(page.map(challenge => describeChallenge(challenge, userId))),
+            record: {
+                wins,
+                losses,
+                byFriend: await Promise.all(byFriend.map(async ({ friendId: id, ...counts }) => ({
+                    friend: { id, pseudo: await repos.users.getPseudo(id) },
+                    ...counts
+                })))
+            },
+            nextCursor: matching.length > limit ? page[page.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des défis :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des défis.');
+    }
+});
+
+/**
+ * POST /cancelChallenge
+ * Annule un défi en cours lancé par l'utilisateur ; l'ami défié reçoit l'événement challenge_resolved.
+ * Un défi annulé ne compte ni comme une victoire ni comme une défaite.
+ * Corps de la requête: { userId: "...", challengeId: "..." }
+ */
+route('cancelChallenge', requireAuth, actAs('body.userId'), validate('cancelChallenge'), async (req, res) => {
+    const { userId, challengeId } = req.body;
+
+    try {
+        const challenge = await repos.challenges.get(challengeId);
+        if (!challenge || (challenge.challengerId !== userId && challenge.opponentId !== userId)) {
+            return sendError(res, 404, 'CHALLENGE_NOT_FOUND', 'Défi non trouvé.');
+        }
+        if (challenge.challengerId !== userId) {
+            return sendError(res, 403, 'NOT_CHALLENGER', 'Seul l\'auteur du défi peut l\'annuler.');
+        }
+
+        const cancelled = challenge.status === 'active' ? await challenges.cancel(challenge, userId) : null;
+        if (!cancelled) return sendError(res, 409, 'CHALLENGE_NOT_ACTIVE', 'Ce défi est déjà terminé.');
+
+        sendResponse(res, 200, true, 'Défi annulé.', await describeChallenge(cancelled, userId));
+    } catch (error) {
+        console.error('Erreur lors de l\'annulation du défi :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'annulation du défi.');
+    }
+});
+
+// --- Registre des jeux ---
+
+/**
+ * Met en forme un jeu du registre pour le client.
+ */
+const formatGame = (gameId, game) => ({
+    id: gameId,
+    name: game.name,
+    sortDirection: game.sortDirection,
+    unit: game.unit,
+    format: game.format,
+    minScore: game.minScore !== undefined ? game.minScore : null,
+    maxScore: game.maxScore !== undefined ? game.maxScore : null,
+    policy: game.policy,
+    // Le secret de signature n'est jamais renvoyé
+    signed: Boolean(game.signingSecret),
+    requireSignature: Boolean(game.requireSignature)
+});
+
+/**
+ * Met en forme un jeu pour les administrateurs, avec ses réglages anti-triche (sauf le secret).
+ */
+const formatGameForAdmin = (gameId, game) => ({
+    ...formatGame(gameId, game),
+    reviewThreshold: game.reviewThreshold !== undefined ? game.reviewThreshold : null,
+    maxImprovementFactor: game.maxImprovementFactor !== undefined ? game.maxImprovementFactor : null,
+    maxSubmissionsPerMinute: game.maxSubmissionsPerMinute !== undefined ? game.maxSubmissionsPerMinute : null
+});
+
+/**
+ * GET /getGames
+ * Liste les jeux enregistrés et leurs règles de score.
+ */
+route('getGames', validate('getGames'), async (req, res) => {
+    try {
+        const games = (await repos.games.list()).map(([gameId, game]) => formatGame(gameId, game));
+        games.sort((a, b) => a.name.localeCompare(b.name));
+        sendResponse(res, 200, true, 'Jeux récupérés.', games);
+    } catch (error) {
+        console.error('Erreur lors de la récupération des jeux :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des jeux.');
+    }
+});
+
+/**
+ * GET /getGame/:gameId
+ * Récupère les règles d'un jeu enregistré.
+ */
+route('getGame', validate('getGame'), async (req, res) => {
+    try {
+        const game = await repos.games.get(req.params.gameId);
+        if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', 'Jeu non trouvé.');
+        sendResponse(res, 200, true, 'Jeu récupéré.', formatGame(req.params.gameId, game));
+    } catch (error) {
+        console.error('Erreur lors de la récupération du jeu :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du jeu.');
+    }
+});
+
+/**
+ * POST /adminSetGame
+ * Crée ou remplace un jeu du registre. Réservé aux administrateurs.
+ * Corps de la requête: { gameId: "...", name: "...", sortDirection?: "desc"|"asc", unit?: "...",
+ *   format?: "integer"|"decimal"|"duration", minScore?: number|null, maxScore?: number|null,
+ *   policy?: "keep_best"|"keep_latest", reviewThreshold?: number|null, maxImprovementFactor?: number|null,
+ *   maxSubmissionsPerMinute?: number|null, signingSecret?: "..."|null, requireSignature?: boolean }
+ * Un signingSecret absent du corps conserve le secret existant ; null le retire.
+ * Modifier le sens de classement ne recalcule pas les classements déjà enregistrés (voir /adminRebuildLeaderboardIndex).
+ */
+route('adminSetGame', requireAdmin, validate('adminSetGame'), async (req, res) => {
+    const { gameId, name, sortDirection, unit, format, minScore, maxScore, policy } = req.body;
+    const { reviewThreshold, maxImprovementFactor, maxSubmissionsPerMinute, signingSecret, requireSignature } = req.body;
+
+    try {
+        const existed = await repos.games.get(gameId);
+        const definition = Object.fromEntries(Object.entries({
+            name, sortDirection, unit, format, minScore, maxScore, policy,
+            reviewThreshold, maxImprovementFactor, maxSubmissionsPerMinute,
+            signingSecret: signingSecret !== undefined ? signingSecret : (existed && existed.signingSecret) || undefined,
+            requireSignature
+        }).filter(([, value]) => value !== undefined));
+        const { error, value } = validateGameDefinition(definition);
+        if (error) return sendError(res, 400, 'VALIDATION_ERROR', error);
+
+        await repos.games.set(gameId, value);
+        await logAdminAction(req, existed ? 'game.update' : 'game.create', { type: 'game', id: gameId });
+        console.log(`Jeu ${gameId} ${existed ? 'modifié' : 'créé'} par ${req.auth.uid}`);
+        sendResponse(res, existed ? 200 : 201, true, `Jeu ${gameId} enregistré.`, formatGameForAdmin(gameId, value));
+    } catch (error) {
+        console.error('Erreur lors de l\'enregistrement du jeu :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'enregistrement du jeu.');
+    }
+});
+
+/**
+ * POST /adminDeleteGame
+ * Retire un jeu du registre. Les scores déjà enregistrés sont conservés.
+ * Réservé aux administrateurs.
+ * Corps de la requête: { gameId: "..." }
+ */
+route('adminDeleteGame', requireAdmin, validate('adminDeleteGame'), async (req, res) => {
+    const { gameId } = req.body;
+
+    try {
+        if (!await repos.games.get(gameId)) return sendError(res, 404, 'GAME_NOT_FOUND', 'Jeu non trouvé.');
+        await repos.games.remove(gameId);
+        await logAdminAction(req, 'game.delete', { type: 'game', id: gameId });
+        console.log(`Jeu ${gameId} supprimé par ${req.auth.uid}`);
+        sendResponse(res, 200, true, `Jeu ${gameId} retiré du registre.`);
+    } catch (error) {
+        console.error('Erreur lors de la suppression du jeu :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la suppression du jeu.');
+    }
+});
+
+// --- Revue des scores mis en quarantaine ---
+
+/**
+ * GET /adminGetScoreReviews
+ * Liste les scores mis en quarantaine, des plus anciens aux plus récents. Réservé aux administrateurs.
+ * Paramètre de requête facultatif : status=pending|approved|rejected (défaut: pending).
+ */
+route('adminGetScoreReviews', requireAdmin, validate('adminGetScoreReviews'), async (req, res) => {
+    const { status } = req.query;
+
+    try {
+        const reviews = await repos.antiCheat.listReviews(status);
+        const withPseudos = await Promise.all(reviews.map(async (review) => ({
+            ...review,
+            pseudo: (await getUserPseudo(review.userId)) || 'Inconnu'
+        })));
+        sendResponse(res, 200, true, 'Scores à vérifier récupérés.', withPseudos);
+    } catch (error) {
+        console.error('Erreur lors de la récupération des scores à vérifier :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des scores à vérifier.');
+    }
+});
+
+/**
+ * POST /adminResolveScoreReview
+ * Approuve ou rejette un score mis en quarantaine. Réservé aux administrateurs.
+ * Un score approuvé entre dans les classements à sa date de soumission et devient le score courant
+ * selon la politique du jeu ; un score rejeté reste dans l'historique, exclu des statistiques.
+ * Corps de la requête: { reviewId: "...", decision: "approve"|"reject" }
+ */
+route('adminResolveScoreReview', requireAdmin, validate('adminResolveScoreReview'), async (req, res) => {
+    const { reviewId, decision } = req.body;
+
+    try {
+        const review = await repos.antiCheat.getReview(reviewId);
+        if (!review) return sendError(res, 404, 'REVIEW_NOT_FOUND', 'Revue non trouvée.');
+        if (review.status !== 'pending') return sendError(res, 409, 'REVIEW_ALREADY_RESOLVED', 'Cette revue a déjà été traitée.');
+
+        const { userId, gameId, submissionId, score, timestamp } = review;
+        const status = decision === 'approve' ? 'approved' : 'rejected';
+        let replaced = false;
+
+        if (decision === 'approve') {
+            const game = (await getGameRules(gameId)) || { ...DEFAULT_GAME_RULES };
+            const currentScore = await repos.scores.get(userId, gameId);
+            // Avec keep_latest, une soumission acceptée depuis reste le score courant
+            const supersededByLater = game.policy === 'keep_latest' && (await repos.scores.listHistory(userId, gameId))
+                .some(submission => isCountedSubmission(submission) && submission.timestamp > timestamp);
+            replaced = !supersededByLater && shouldReplaceCurrent(game, currentScore, score);
+
+            const bestEntry = await repos.leaderboards.getEntry(gameId, 'alltime', periodKey('alltime', Date.now()), userId);
+
+            await repos.scores.setSubmissionStatus(userId, gameId, submissionId, status, replaced ? score : null);
+            await repos.leaderboards.recordScore(userId, gameId, score, timestamp, game, await hasPublicScores(userId));
+            if (replaced) events.scoreUpdated(userId, gameId, score);
+            notifications.scoreBeaten(userId, gameId, score, bestEntry ? bestEntry.score : currentScore, isBetterFor(game));
+            await challenges.recordScore(userId, gameId, score, timestamp, isBetterFor(game));
+        } else {
+            await repos.scores.setSubmissionStatus(userId, gameId, submissionId, status);
+        }
+        await repos.antiCheat.resolveReview(reviewId, status, req.auth.uid, Date.now());
+        await logAdminAction(req, `score_review.${decision}`, { type: 'user', id: userId }, { reviewId, gameId, score });
+
+        console.log(`Score ${score} de ${userId} pour ${gameId} ${status === 'approved' ? 'approuvé' : 'rejeté'} par ${req.auth.uid}`);
+        sendResponse(res, 200, true, status === 'approved' ? 'Score approuvé.' : 'Score rejeté.', { reviewId, status, replaced });
+    } catch (error) {
+        console.error('Erreur lors de la revue du score :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la revue du score.');
+    }
+});
+
+// --- Maintenance ---
+
+/**
+ * POST /adminRebuildBlockIndex
+ * Reconstruit l'index inverse `blockedBy` pour les blocages enregistrés avant son ajout.
+ * À lancer une fois après le déploiement ; peut être relancée sans risque. Réservé aux administrateurs.
+ */
+route('adminRebuildBlockIndex', requireAdmin, validate('adminRebuildBlockIndex'), async (req, res) => {
+    try {
+        const indexed = await repos.friendships.rebuildBlockedByIndex();
+        await logAdminAction(req, 'maintenance.rebuild_block_index', { type: 'system', id: null }, { indexed });
+        console.log(`Index des blocages reconstruit par ${req.auth.uid} : ${indexed} blocage(s)`);
+        sendResponse(res, 200, true, 'Index des blocages reconstruit.', { indexed });
+    } catch (error) {
+        console.error('Erreur lors de la reconstruction de l\'index des blocages :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la reconstruction de l\'index des blocages.');
+    }
+});
+
+/**
+ * POST /adminRebuildLeaderboardIndex
+ * Recalcule l'index du classement global (`publicRank`) d'après le paramètre `game_scores` de chaque joueur,
+ * pour les scores enregistrés avant son ajout ou après un changement du sens de classement d'un jeu.
+ * Peut être relancée sans risque. Réservé aux administrateurs.
+ */
+route('adminRebuildLeaderboardIndex', requireAdmin, validate('adminRebuildLeaderboardIndex'), async (req, res) => {
+    try {
+        const indexed = await repos.leaderboards.rebuildPublicIndex(getSortDirection);
+        await logAdminAction(req, 'maintenance.rebuild_leaderboard_index', { type: 'system', id: null }, { indexed });
+        console.log(`Index des classements reconstruit par ${req.auth.uid} : ${indexed} entrée(s)`);
+        sendResponse(res, 200, true, 'Index des classements reconstruit.', { indexed });
+    } catch (error) {
+        console.error('Erreur lors de la reconstruction de l\'index des classements :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la reconstruction de l\'index des classements.');
+    }
+});
+
+/**
+ * POST /adminRebuildPseudoIndex
+ * Indexe les pseudos des comptes créés avant l'index `pseudoIndex`. En cas de doublon, le compte
+ * le plus ancien garde le pseudo ; les autres sont listés dans `conflicts` pour être renommés.
+ * Peut être relancée sans risque. Réservé aux administrateurs.
+ */
+route('adminRebuildPseudoIndex', requireAdmin, validate('adminRebuildPseudoIndex'), async (req, res) => {
+    try {
+        const result = await repos.pseudos.rebuild();
+        await logAdminAction(req, 'maintenance.rebuild_pseudo_index', { type: 'system', id: null }, { indexed: result.indexed, conflicts: result.conflicts.length });
+        console.log(`Index des pseudos reconstruit par ${req.auth.uid} : ${result.indexed} pseudo(s), ${result.conflicts.length} conflit(s)`);
+        sendResponse(res, 200, true, 'Index des pseudos reconstruit.', result);
+    } catch (error) {
+        console.error('Erreur lors de la reconstruction de l\'index des pseudos :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la reconstruction de l\'index des pseudos.');
+    }
+});
+
+/**
+ * POST /adminRebuildInviteCodeIndex
+ * Indexe les codes d'invitation créés avant l'index `inviteCodes` (sans limite ni expiration).
+ * Les codes déjà indexés pour un autre utilisateur sont listés dans `conflicts`.
+ * Peut être relancée sans risque. Réservé aux administrateurs.
+ */
+route('adminRebuildInviteCodeIndex', requireAdmin, validate('adminRebuildInviteCodeIndex'), async (req, res) => {
+    try {
+        const result = await repos.inviteCodes.rebuild();
+        await logAdminAction(req, 'maintenance.rebuild_invite_code_index', { type: 'system', id: null }, { indexed: result.indexed, conflicts: result.conflicts.length });
+        console.log(`Index des codes d'invitation reconstruit par ${req.auth.uid} : ${result.indexed} code(s), ${result.conflicts.length} conflit(s)`);
+        sendResponse(res, 200, true, 'Index des codes d\'invitation reconstruit.', result);
+    } catch (error) {
+        console.error('Erreur lors de la reconstruction de l\'index des codes d\'invitation :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la reconstruction de l\'index des codes d\'invitation.');
+    }
+});
+
+/**
+ * POST /adminMigrateMessages
+ * Convertit les messages de l'ancien format (copiés dans la branche `messages` de chaque participant)
+ * vers le stockage par conversation. À lancer une fois après le déploiement ; peut être relancée sans risque.
+ * Réservé aux administrateurs.
+ */
+route('adminMigrateMessages', requireAdmin, validate('adminMigrateMessages'), async (req, res) => {
+    try {
+        const result = await repos.messages.migrateLegacy();
+        await logAdminAction(req, 'maintenance.migrate_messages', { type: 'system', id: null }, result);
+        console.log(`Migration des messages par ${req.auth.uid} : ${result.conversations} conversation(s), ${result.messages} message(s)`);
+        sendResponse(res, 200, true, 'Messages convertis.', result);
+    } catch (error) {
+        console.error('Erreur lors de la migration des messages :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la migration des messages.');
+    }
+});
+
+// --- Administration des comptes ---
+// Toutes les actions qui modifient un compte, ainsi que la consultation d'un enregistrement complet,
+// sont inscrites au journal d'audit.
+
+const formatSanction = (sanction) => (sanction ? {
+    type: sanction.type,
+    reason: sanction.reason,
+    createdAt: sanction.createdAt,
+    createdBy: sanction.createdBy,
+    expiresAt: sanction.expiresAt ?? null
+} : null);
+
+const formatUserForAdmin = (userId, userData, sanction) => ({
+    id: userId,
+    pseudo: userData.pseudo,
+    createdAt: userData.createdAt ?? null,
+    role: userData.role || 'user',
+    friendCount: Object.keys(userData.friends || {}).length,
+    pseudoResetRequired: Boolean(userData.pseudoResetRequired),
+    sanction: formatSanction(sanction)
+});
+
+/**
+ * GET /adminListUsers?search=...&sanctioned=true&limit=20&cursor=...
+ * Liste les utilisateurs page par page : tous (ordre de création), ceux dont le pseudo commence par
+ * `search` (sans tenir compte de la casse ni des accents, plus l'utilisateur dont l'ID vaut `search`),
+ * ou seulement les comptes bannis, suspendus ou restreints (`sanctioned=true`).
+ * Retourne `nextCursor`, à repasser en `cursor` pour la page suivante (null à la dernière page).
+ */
+route('adminListUsers', requireAdmin, validate('adminListUsers'), async (req, res) => {
+    const { search, sanctioned, limit, cursor } = req.query;
+
+    try {
+        let userIds;
+        let nextCursor = null;
+        if (search) {
+            const { entries, hasMore } = await repos.pseudos.search(normalizePseudo(search), { after: cursor, limit });
+            userIds = entries.map(entry => entry.userId);
+            if (hasMore) nextCursor = entries[entries.length - 1].normalized;
+            if (!cursor && ID_PATTERN.test(search) && !userIds.includes(search) && await userExists(search)) {
+                userIds.unshift(search);
+            }
+        } else if (sanctioned) {
+            const active = (await repos.sanctions.listActive()).filter(sanction => !cursor || sanction.userId > cursor);
+            userIds = active.slice(0, limit).map(sanction => sanction.userId);
+            if (active.length > limit) nextCursor = userIds[userIds.length - 1];
+        } else {
+            const { entries, hasMore } = await repos.users.listPage({ after: cursor, limit });
+            userIds = entries.map(([userId]) => userId);
+            if (hasMore) nextCursor = userIds[userIds.length - 1];
+        }
+
+        // Avec une recherche, le filtre des comptes sanctionnés est appliqué après coup : une page peut être incomplète
+        const users = (await Promise.all(userIds.map(async (userId) => {
+            const [userData, sanction] = await Promise.all([repos.users.get(userId), repos.sanctions.getActive(userId)]);
+            if (!userData || (sanctioned && !sanction)) return null;
+            return formatUserForAdmin(userId, userData, sanction);
+        }))).filter(Boolean);
+
+        sendResponse(res, 200, true, 'Utilisateurs récupérés.', { users, nextCursor });
+    } catch (error) {
+        console.error('Erreur lors de la liste des utilisateurs :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des utilisateurs.');
+    }
+});
+
+/**
+ * GET /adminGetUser/:userId
+ * Récupère l'enregistrement complet d'un utilisateur tel qu'il est stocké (profil, amis, demandes,
+ * blocages, index des conversations, scores...), avec sa présence, sa sanction en cours et les
+ * dernières actions d'administration le concernant. Le contenu des messages n'est pas inclus.
+ */
+route('adminGetUser', requireAdmin, validate('adminGetUser'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const [userData, userPresence, sanction, history] = await Promise.all([
+            repos.users.get(userId),
+            repos.presence.get(userId),
+            repos.sanctions.getActive(userId),
+            repos.auditLog.list({ targetId: userId, limit: 20 })
+        ]);
+        if (!userData) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+        await logAdminAction(req, 'user.view', { type: 'user', id: userId });
+        sendResponse(res, 200, true, 'Utilisateur récupéré.', {
+            ...formatUserForAdmin(userId, userData, sanction),
+            isAdmin: await isAdmin(userId),
+            presence: userPresence,
+            record: userData,
+            auditLog: history.entries
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération de l\'utilisateur :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération de l\'utilisateur.');
+    }
+});
+
+/**
+ * POST /adminSanctionUser
+ * Bannit un compte (`ban`, sans fin), le suspend (`suspension`) ou le restreint (`restriction`) pendant
+ * `durationHours` heures. Tant qu'un bannissement ou une suspension dure, toute requête authentifiée du compte
+ * est refusée (403 ACCOUNT_BANNED ou ACCOUNT_SUSPENDED) ; ses flux temps réel reçoivent l'événement
+ * account_sanctioned puis sont fermés. Un compte restreint garde la lecture mais ne peut plus écrire aux autres,
+ * modifier son profil ni signaler (403 ACCOUNT_RESTRICTED) ; il reçoit l'événement account_restricted.
+ * Une nouvelle sanction remplace la précédente. Les administrateurs ne peuvent pas être sanctionnés.
+ * Corps de la requête: { userId: "...", type: "ban"|"suspension"|"restriction", reason: "...", durationHours?: 72 }
+ */
+route('adminSanctionUser', requireAdmin, validate('adminSanctionUser'), async (req, res) => {
+    const { userId, type, reason, durationHours } = req.body;
+
+    if (type !== 'ban' && durationHours === undefined) {
+        const message = 'Le champ "durationHours" est requis pour une suspension ou une restriction.';
+        return sendError(res, 400, 'VALIDATION_ERROR', message, { errors: [{ field: 'body.durationHours', message }] });
+    }
+    if (type === 'ban' && durationHours !== undefined) {
+        const message = 'Un bannissement n\'a pas de durée : utilisez une suspension.';
+        return sendError(res, 400, 'VALIDATION_ERROR', message, { errors: [{ field: 'body.durationHours', message }] });
+    }
+
+    try {
+        if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+        if (await isAdmin(userId)) return sendError(res, 403, 'CANNOT_SANCTION_ADMIN', 'Un administrateur ne peut pas être sanctionné.');
+
+        const now = Date.now();
+        const sanction = {
+            type,
+            reason,
+            createdAt: now,
+            createdBy: req.auth.uid,
+            expiresAt: type === 'ban' ? null : now + durationHours * 60 * 60 * 1000
+        };
+        await repos.sanctions.set(userId, sanction);
+        await logAdminAction(req, `user.${type}`, { type: 'user', id: userId }, {
+            reason, ...(durationHours !== undefined ? { durationHours } : {})
+        });
+
+        if (type === 'restriction') {
+            events.accountRestricted(userId, { reason, expiresAt: sanction.expiresAt });
+        } else {
+            events.accountSanctioned(userId, { type, reason, expiresAt: sanction.expiresAt });
+            await presence.disconnect(userId);
+        }
+
+        const outcome = { ban: 'banni', suspension: 'suspendu', restriction: 'restreint' }[type];
+        console.log(`Compte ${userId} ${outcome} par ${req.auth.uid}`);
+        sendResponse(res, 200, true, `Compte ${outcome}.`, { userId, sanction: formatSanction(sanction) });
+    } catch (error) {
+        console.error('Erreur lors de la sanction du compte :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la sanction du compte.');
+    }
+});
+
+/**
+ * POST /adminLiftSanction
+ * Lève le bannissement, la suspension ou la restriction d'un compte.
+ * Corps de la requête: { userId: "..." }
+ */
+route('adminLiftSanction', requireAdmin, validate('adminLiftSanction'), async (req, res) => {
+    const { userId } = req.body;
+
+    try {
+        const sanction = await repos.sanctions.getActive(userId);
+        if (!sanction) return sendError(res, 404, 'SANCTION_NOT_FOUND', 'Ce compte n\'est pas sanctionné.');
+
+        await repos.sanctions.remove(userId);
+        await logAdminAction(req, 'user.lift_sanction', { type: 'user', id: userId }, { type: sanction.type });
+
+        console.log(`Sanction de ${userId} levée par ${req.auth.uid}`);
+        sendResponse(res, 200, true, 'Sanction levée.', { userId });
+    } catch (error) {
+        console.error('Erreur lors de la levée de la sanction :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la levée de la sanction.');
+    }
+});
+
+/**
+ * POST /adminResetPseudo
+ * Remplace le pseudo d'un utilisateur par un pseudo neutre ("Joueur 123456") et libère l'ancien.
+ * L'utilisateur est invité à en choisir un autre : `pseudoResetRequired` figure dans ses propres détails
+ * (/getUserDetails) jusqu'à son prochain /changePseudo, et il reçoit l'événement pseudo_reset.
+ * Corps de la requête: { userId: "...", reason?: "..." }
+ */
+route('adminResetPseudo', requireAdmin, validate('adminResetPseudo'), async (req, res) => {
+    const { userId, reason } = req.body;
+    let pseudo = null;
+
+    try {
+        const currentPseudo = await repos.users.getPseudo(userId);
+        if (currentPseudo === null) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+        for (let attempt = 0; attempt < 5 && !pseudo; attempt++) {
+            const candidate = `Joueur ${crypto.randomInt(100000, 1000000)}`;
+            if (await repos.pseudos.reserve(normalizePseudo(candidate), userId)) pseudo = candidate;
+        }
+        if (!pseudo) throw new Error('Impossible de générer un pseudo de remplacement unique.');
+
+        await repos.pseudos.applyChange(userId, pseudo, normalizePseudo(currentPseudo));
+        await repos.users.update(userId, { pseudoResetRequired: true });
+        await logAdminAction(req, 'user.reset_pseudo', { type: 'user', id: userId }, {
+            previousPseudo: currentPseudo, pseudo, ...(reason ? { reason } : {})
+        });
+        events.pseudoReset(userId, pseudo);
+
+        console.log(`Pseudo de ${userId} réinitialisé par ${req.auth.uid} : ${currentPseudo} -> ${pseudo}`);
+        sendResponse(res, 200, true, 'Pseudo réinitialisé.', { userId, previousPseudo: currentPseudo, pseudo });
+    } catch (error) {
+        console.error('Erreur lors de la réinitialisation du pseudo :', error);
+        // Libère le pseudo de remplacement s'il n'a pas pu être appliqué
+        if (pseudo) await releaseUnappliedPseudo(userId, normalizePseudo(pseudo));
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la réinitialisation du pseudo.');
+    }
+});
+
+/**
+ * POST /adminDeleteScores
+ * Supprime les scores d'un utilisateur pour un jeu (`gameId`) ou pour tous ses jeux : score courant,
+ * historique, entrées des classements globaux et revues anti-triche, en une seule mise à jour atomique.
+ * Corps de la requête: { userId: "...", gameId?: "...", reason?: "..." }
+ */
+route('adminDeleteScores', requireAdmin, validate('adminDeleteScores'), async (req, res) => {
+    const { userId, gameId, reason } = req.body;
+
+    try {
+        const userData = await repos.users.get(userId);
+        if (!userData) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+        const scoreHistory = userData.scoreHistory || {};
+        const playedGameIds = Array.from(new Set([...Object.keys(userData.gameScores || {}), ...Object.keys(scoreHistory)]));
+        if (gameId && !playedGameIds.includes(gameId)) {
+            return sendError(res, 404, 'SCORE_NOT_FOUND', 'Aucun score pour ce jeu.');
+        }
+        const gameIds = gameId ? [gameId] : playedGameIds;
+
+        if (gameIds.length > 0) {
+            const leaderboardUpdates = repos.leaderboards.collectScoreDeletionUpdates(userId,
+                Object.fromEntries(gameIds.map(id => [id, scoreHistory[id]])));
+            const reviewUpdates = await repos.antiCheat.collectScoreDeletionUpdates(userId, gameIds);
+            await repos.scores.removeGames(userId, gameIds, { ...leaderboardUpdates, ...reviewUpdates });
+        }
+        await logAdminAction(req, 'user.delete_scores', { type: 'user', id: userId }, { gameIds, ...(reason ? { reason } : {}) });
+
+        console.log(`Scores de ${userId} supprimés par ${req.auth.uid} : ${gameIds.join(', ') || 'aucun'}`);
+        sendResponse(res, 200, true, 'Scores supprimés.', { userId, gameIds });
+    } catch (error) {
+        console.error('Erreur lors de la suppression des scores :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la suppression des scores.');
+    }
+});
+
+/**
+ * GET /adminGetAuditLog?adminId=...&targetId=...&limit=20&cursor=...
+ * Journal des actions d'administration, de la plus récente à la plus ancienne, filtré au besoin par
+ * administrateur ou par objet visé (ID d'utilisateur, de jeu...).
+ * Chaque entrée : { id, adminId, action, targetType, targetId, details, at }.
+ * Retourne `nextCursor`, à repasser en `cursor` pour la page suivante (null à la dernière page).
+ */
+route('adminGetAuditLog', requireAdmin, validate('adminGetAuditLog'), async (req, res) => {
+    const { adminId, targetId, limit, cursor } = req.query;
+
+    try {
+        const { entries, hasMore } = await repos.auditLog.list({ adminId, targetId, before: cursor, limit });
+        sendResponse(res, 200, true, 'Journal d\'audit récupéré.', {
+            entries,
+            nextCursor: hasMore ? entries[entries.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération du journal d\'audit :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération du journal d\'audit.');
+    }
+});
+
+// --- Notifications ---
+// Boîte de notifications persistante, alimentée par les routes d'amis, de messages et de scores
+// (voir src/notifications.js).
+
+/**
+ * GET /getNotifications/:userId?unreadOnly=true&limit=20&cursor=...
+ * Récupère une page de notifications, de la plus récente à la plus ancienne, avec le nombre de non lues.
+ * Chaque notification : { id, type, data, createdAt, read, readAt, count } ; `count` compte les messages
+ * regroupés dans une même notification de conversation.
+ * Retourne `nextCursor`, à repasser en `cursor` pour la page suivante (null à la dernière page).
+ */
+route('getNotifications', requireAuth, actAs('params.userId'), validate('getNotifications'), async (req, res) => {
+    const userId = req.params.userId;
+    const { unreadOnly, limit, cursor } = req.query;
+
+    try {
+        await notifications.prune(userId);
+        const [{ notifications: page, hasMore }, unreadCount] = await Promise.all([
+            repos.notifications.list(userId, { unreadOnly, before: cursor, limit }),
+            repos.notifications.countUnread(userId)
+        ]);
+        sendResponse(res, 200, true, 'Notifications récupérées.', {
+            notifications: page.map(formatNotification),
+            unreadCount,
+            nextCursor: hasMore ? page[page.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des notifications :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des notifications.');
+    }
+});
+
+/**
+ * POST /markNotificationRead
+ * Marque une notification comme lue.
+ * Corps de la requête: { userId: "...", notificationId: "..." }
+ */
+route('markNotificationRead', requireAuth, actAs('body.userId'), validate('markNotificationRead'), async (req, res) => {
+    const { userId, notificationId } = req.body;
+
+    try {
+        const notification = await repos.notifications.get(userId, notificationId);
+        if (!notification) return sendError(res, 404, 'NOTIFICATION_NOT_FOUND', 'Notification non trouvée.');
+
+        if (!notification.read) {
+            notification.read = true;
+            notification.readAt = Date.now();
+            await repos.notifications.markRead(userId, [notificationId], notification.readAt);
+        }
+        sendResponse(res, 200, true, 'Notification marquée comme lue.', formatNotification(notification));
+    } catch (error) {
+        console.error('Erreur lors du marquage de la notification :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du marquage de la notification.');
+    }
+});
+
+/**
+ * POST /markAllNotificationsRead
+ * Marque toutes les notifications de l'utilisateur comme lues.
+ * Corps de la requête: { userId: "..." }
+ */
+route('markAllNotificationsRead', requireAuth, actAs('body.userId'), validate('markAllNotificationsRead'), async (req, res) => {
+    const { userId } = req.body;
+
+    try {
+        const marked = await repos.notifications.markAllRead(userId, Date.now());
+        sendResponse(res, 200, true, 'Notifications marquées comme lues.', { marked });
+    } catch (error) {
+        console.error('Erreur lors du marquage des notifications :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du marquage des notifications.');
+    }
+});
+
+/**
+ * GET /getNotificationPreferences/:userId
+ * Liste les types de notifications, avec pour chacun s'il est coupé.
+ * Réponse: { types: [{ type, muted }] }
+ */
+route('getNotificationPreferences', requireAuth, actAs('params.userId'), validate('getNotificationPreferences'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const muted = await repos.notifications.getMutedTypes(userId);
+        sendResponse(res, 200, true, 'Préférences de notification récupérées.', {
+            types: NOTIFICATION_TYPES.map(type => ({ type, muted: muted.includes(type) }))
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des préférences de notification :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des préférences de notification.');
+    }
+});
+
+/**
+ * POST /setNotificationPreference
+ * Coupe (`muted: true`) ou réactive un type de notification. Un type coupé n'est plus enregistré dans la boîte ;
+ * les événements temps réel correspondants (message, friend_request_received...) restent envoyés.
+ * Corps de la requête: { userId: "...", type: "message", muted: true }
+ */
+route('setNotificationPreference', requireAuth, actAs('body.userId'), validate('setNotificationPreference'), async (req, res) => {
+    const { userId, type, muted } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        await repos.notifications.setMuted(userId, type, muted);
+        sendResponse(res, 200, true, muted ? `Notifications "${type}" coupées.` : `Notifications "${type}" réactivées.`, { type, muted });
+    } catch (error) {
+        console.error('Erreur lors de la mise à jour des préférences de notification :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la mise à jour des préférences de notification.');
+    }
+});
+
+// --- Signalements et modération ---
+// Un signalement conserve une copie du contenu visé (voir src/repositories/reports.js). Les signalements
+// ouverts forment la file de modération ; au-delà d'un seuil de signalants distincts, le compte visé est
+// restreint automatiquement en attendant une décision (voir src/moderation.js).
+
+// Vue du signalement pour son auteur : sans la note de la modération ni la copie du contenu
+const formatReport = (report) => ({
+    id: report.id,
+    targetType: report.targetType,
+    targetUserId: report.targetUserId,
+    messageId: report.messageId ?? null,
+    reason: report.reason,
+    details: report.details ?? null,
+    status: report.status,
+    createdAt: report.createdAt,
+    resolvedAt: report.resolvedAt ?? null
+});
+
+const formatReportForAdmin = async (report) => {
+    const [reporterPseudo, targetPseudo, sanction] = await Promise.all([
+        report.reporterId ? repos.users.getPseudo(report.reporterId) : null,
+        repos.users.getPseudo(report.targetUserId),
+        repos.sanctions.getActive(report.targetUserId)
+    ]);
+    return {
+        ...formatReport(report),
+        reporter: report.reporterId ? { id: report.reporterId, pseudo: reporterPseudo } : null, // Null si son compte est supprimé
+        target: { id: report.targetUserId, pseudo: targetPseudo, sanction: formatSanction(sanction) },
+        conversationId: report.conversationId ?? null,
+        snapshot: report.snapshot,
+        resolvedBy: report.resolvedBy ?? null,
+        note: report.note ?? null
+    };
+};
+
+/**
+ * Enregistre un signalement et répond : 201, ou 409 si l'utilisateur a déjà un signalement ouvert sur ce contenu.
+ */
+const fileReport = async (res, report) => {
+    const { duplicate, reportId, restriction } = await moderation.file(report);
+    if (duplicate) {
+        return sendError(res, 409, 'REPORT_ALREADY_OPEN', 'Vous avez déjà signalé ce contenu ; il est en attente de modération.', { reportId: duplicate.id });
+    }
+    if (restriction) console.log(`Compte ${report.targetUserId} restreint automatiquement après signalements`);
+    sendResponse(res, 201, true, 'Signalement enregistré.', formatReport({ id: reportId, ...report, status: 'open' }));
+};
+
+/**
+ * POST /reportUser
+ * Signale un utilisateur pour son pseudo, sa bio ou son statut. Le profil est copié tel qu'il est au moment du signalement.
+ * Corps de la requête: { userId: "...", targetId: "...", reason: "spam"|"harassment"|"hate"|"inappropriate_content"|
+ *   "impersonation"|"other", details?: "..." }
+ */
+route('reportUser', requireAuth, actAs('body.userId'), rejectRestricted, validate('reportUser'), async (req, res) => {
+    const { userId, targetId, reason, details } = req.body;
+    if (userId === targetId) return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible de se signaler soi-même.');
+
+    try {
+        const target = await repos.users.get(targetId);
+        if (!target) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+        const profile = target.profile || {};
+        await fileReport(res, {
+            reporterId: userId,
+            targetUserId: targetId,
+            targetType: 'user',
+            snapshot: {
+                pseudo: target.pseudo,
+                bio: profile.bio ?? null,
+                avatarUrl: profile.avatarUrl ?? null,
+                customStatus: profile.customStatus ?? null
+            },
+            reason,
+            details: details ?? null,
+            createdAt: Date.now()
+        });
+    } catch (error) {
+        console.error('Erreur lors du signalement d\'un utilisateur :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'enregistrement du signalement.');
+    }
+});
+
+/**
+ * POST /reportMessage
+ * Signale un message reçu, dans une conversation directe ou de groupe. Le message est copié tel qu'il est
+ * au moment du signalement, et reste consultable par la modération s'il est modifié ou supprimé ensuite.
+ * Corps de la requête: { userId: "...", otherUserId: "..." | groupId: "...", messageId: "...", reason: "...", details?: "..." }
+ */
+route('reportMessage', requireAuth, actAs('body.userId'), rejectRestricted, validate('reportMessage'), async (req, res) => {
+    const { userId, otherUserId, groupId, messageId, reason, details } = req.body;
+
+    try {
+        const { status, code, error, conversationId } = await resolveConversation(userId, { otherUserId, groupId });
+        if (error) return sendError(res, status, code, error);
+
+        const existing = await repos.messages.get(conversationId, messageId);
+        if (!existing) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message non trouvé.');
+        if (existing.senderId === userId) return sendError(res, 400, 'CANNOT_TARGET_SELF', 'Impossible de signaler son propre message.');
+
+        await fileReport(res, {
+            reporterId: userId,
+            targetUserId: existing.senderId,
+            targetType: 'message',
+            conversationId,
+            messageId,
+            snapshot: {
+                message: existing.message,
+                timestamp: existing.timestamp,
+                editedAt: existing.editedAt ?? null
+            },
+            reason,
+            details: details ?? null,
+            createdAt: Date.now()
+        });
+    } catch (error) {
+        console.error('Erreur lors du signalement d\'un message :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de l\'enregistrement du signalement.');
+    }
+});
+
+/**
+ * GET /getReports/:userId
+ * Liste les signalements déposés par l'utilisateur, du plus récent au plus ancien, avec leur état :
+ * 'open' (en attente), 'actioned' (retenu par la modération) ou 'dismissed' (rejeté).
+ */
+route('getReports', requireAuth, actAs('params.userId'), validate('getReports'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const reports = await repos.reports.listFiledBy(userId);
+        sendResponse(res, 200, true, 'Signalements récupérés.', reports.map(formatReport));
+    } catch (error) {
+        console.error('Erreur lors de la récupération des signalements :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des signalements.');
+    }
+});
+
+/**
+ * GET /adminGetReports?status=open&targetId=...&limit=20&cursor=...
+ * File de modération : les signalements dans l'état demandé ('open' par défaut), du plus ancien au plus récent,
+ * au besoin pour un seul utilisateur visé. Chaque signalement inclut la copie du contenu signalé, les pseudos
+ * du signalant et du signalé et la sanction en cours de ce dernier.
+ * Retourne `nextCursor`, à repasser en `cursor` pour la page suivante (null à la dernière page).
+ */
+route('adminGetReports', requireAdmin, validate('adminGetReports'), async (req, res) => {
+    const { status, targetId, limit, cursor } = req.query;
+
+    try {
+        const { reports, hasMore } = await repos.reports.listByStatus({ status, targetUserId: targetId, after: cursor, limit });
+        sendResponse(res, 200, true, 'Signalements récupérés.', {
+            reports: await Promise.all(reports.map(formatReportForAdmin)),
+            nextCursor: hasMore ? reports[reports.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération de la file de modération :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des signalements.');
+    }
+});
+
+/**
+ * POST /adminResolveReport
+ * Clôt un signalement ouvert : `actioned` (retenu ; les sanctions éventuelles passent par /adminSanctionUser,
+ * /adminResetPseudo...) ou `dismissed` (rejeté). Avec `includeSameContent`, les autres signalements ouverts
+ * sur le même message ou le même profil sont clos de la même façon. Chaque signalant reçoit l'événement
+ * report_resolved. La restriction automatique du compte visé est levée s'il ne reste aucun signalement
+ * ouvert contre lui et qu'aucun n'a été retenu depuis son début.
+ * Corps de la requête: { reportId: "...", decision: "actioned"|"dismissed", note?: "...", includeSameContent?: true }
+ */
+route('adminResolveReport', requireAdmin, validate('adminResolveReport'), async (req, res) => {
+    const { reportId, decision, note, includeSameContent } = req.body;
+
+    try {
+        const report = await repos.reports.get(reportId);
+        if (!report) return sendError(res, 404, 'REPORT_NOT_FOUND', 'Signalement non trouvé.');
+        if (report.status !== 'open') return sendError(res, 409, 'REPORT_ALREADY_RESOLVED', 'Ce signalement a déjà été traité.');
+
+        const { reportIds, restrictionLifted } = await moderation.resolve(report, { decision, resolvedBy: req.auth.uid, note, includeSameContent });
+        await logAdminAction(req, `report.${decision}`, { type: 'user', id: report.targetUserId }, {
+            reportIds, ...(note ? { note } : {}), ...(restrictionLifted ? { restrictionLifted } : {})
+        });
+
+        console.log(`Signalement(s) ${reportIds.join(', ')} clos (${decision}) par ${req.auth.uid}`);
+        sendResponse(res, 200, true, decision === 'actioned' ? 'Signalement retenu.' : 'Signalement rejeté.', { reportIds, status: decision, restrictionLifted });
+    } catch (error) {
+        console.error('Erreur lors du traitement du signalement :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du traitement du signalement.');
+    }
+});
+
+// --- Données personnelles ---
+
+/**
+ * Met en forme un export pour son propriétaire, avec le lien de téléchargement une fois prêt.
+ * Le lien contient le jeton de l'export : il fonctionne sans en-tête Authorization (navigateur).
+ */
+const formatDataExport = (userId, record) => ({
+    id: record.id,
+    format: record.format,
+    status: record.status,
+    createdAt: record.createdAt,
+    completedAt: record.completedAt || null,
+    expiresAt: record.expiresAt || null,
+    size: record.size || null,
+    downloadUrl: record.status === 'ready'
+        ? `/v1/users/${userId}/data-exports/${record.id}/download?token=${encodeURIComponent(record.token)}`
+        : null
+});
+
+/**
+ * POST /requestDataExport
+ * Demande l'export de toutes les données conservées sur l'utilisateur : profil, visibilité, amis, demandes
+ * d'amis, blocages, conversations et leurs messages, scores et leur historique, codes d'invitation, projets,
+ * défis et leur bilan, notifications et types de notifications coupés, signalements déposés.
+ * `format` vaut 'json' (un fichier) ou 'zip' (un fichier CSV par type d'information).
+ * La génération se fait en arrière-plan : si elle se termine dans les DATA_EXPORT_WAIT_MS, la réponse (201)
+ * contient directement `downloadUrl` ; sinon (202), l'export est à suivre avec /getDataExport ou
+ * l'événement data_export_ready. Un seul export à la fois par utilisateur (409 DATA_EXPORT_IN_PROGRESS).
+ * Corps de la requête: { userId: "...", format?: "json"|"zip" }
+ */
+route('requestDataExport', requireAuth, actAs('body.userId'), validate('requestDataExport'), async (req, res) => {
+    const { userId, format } = req.body;
+    if (!await userExists(userId)) return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+
+    try {
+        const started = await dataExports.start(userId, format);
+        if (started.running) {
+            return sendError(res, 409, 'DATA_EXPORT_IN_PROGRESS', 'Un export de vos données est déjà en cours.', formatDataExport(userId, started.running));
+        }
+
+        let timer;
+        await Promise.race([started.done, new Promise(resolve => { timer = setTimeout(resolve, dataExportWaitMs); })]);
+        clearTimeout(timer);
+
+        const record = await dataExports.get(userId, started.exportId);
+        if (record.status === 'failed') {
+            return sendError(res, 500, 'DATA_EXPORT_FAILED', 'Échec de la génération de l\'export.', formatDataExport(userId, record));
+        }
+        if (record.status === 'pending') {
+            return sendResponse(res, 202, true, 'Export en cours de préparation. Vous serez prévenu quand il sera prêt.', formatDataExport(userId, record));
+        }
+        sendResponse(res, 201, true, 'Export prêt à être téléchargé.', formatDataExport(userId, record));
+    } catch (error) {
+        console.error('Erreur lors de la demande d\'export de données :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la demande d\'export.');
+    }
+});
+
+/**
+ * GET /getDataExports/:userId
+ * Liste les exports de l'utilisateur, du plus récent au plus ancien, avec leur état
+ * ('pending', 'ready', 'failed' ou 'expired').
+ */
+route('getDataExports', requireAuth, actAs('params.userId'), validate('getDataExports'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const records = await dataExports.list(userId);
+        sendResponse(res, 200, true, 'Exports récupérés.', records.map(record => formatDataExport(userId, record)));
+    } catch (error) {
+        console.error('Erreur lors de la récupération des exports de données :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération des exports.');
+    }
+});
+
+/**
+ * GET /getDataExport/:userId/:exportId
+ * Récupère l'état d'un export et, une fois prêt, son lien de téléchargement.
+ */
+route('getDataExport', requireAuth, actAs('params.userId'), validate('getDataExport'), async (req, res) => {
+    const { userId, exportId } = req.params;
+
+    try {
+        const record = await dataExports.get(userId, exportId);
+        if (!record) return sendError(res, 404, 'DATA_EXPORT_NOT_FOUND', 'Export non trouvé.');
+        sendResponse(res, 200, true, 'Export récupéré.', formatDataExport(userId, record));
+    } catch (error) {
+        console.error('Erreur lors de la récupération de l\'export de données :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la récupération de l\'export.');
+    }
+});
+
+// Réponses aux téléchargements impossibles. Un jeton invalide répond comme un export inconnu.
+const DATA_EXPORT_DOWNLOAD_ERRORS = {
+    not_found: [404, 'DATA_EXPORT_NOT_FOUND', 'Export non trouvé.'],
+    pending: [409, 'DATA_EXPORT_NOT_READY', 'L\'export est encore en préparation.'],
+    failed: [410, 'DATA_EXPORT_FAILED', 'La génération de l\'export a échoué. Demandez un nouvel export.'],
+    expired: [410, 'DATA_EXPORT_EXPIRED', 'L\'export a expiré. Demandez un nouvel export.']
+};
+
+/**
+ * GET /downloadDataExport/:userId/:exportId?token=...
+ * Télécharge le fichier d'un export prêt. Le jeton du lien de téléchargement tient lieu d'authentification.
+ * Le fichier est renvoyé tel quel (JSON ou ZIP), en pièce jointe.
+ */
+route('downloadDataExport', validate('downloadDataExport'), async (req, res) => {
+    const { userId, exportId } = req.params;
+
+    try {
+        const { status, file } = await dataExports.open(userId, exportId, req.query.token);
+        if (!file) return sendError(res, ...DATA_EXPORT_DOWNLOAD_ERRORS[status]);
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(file.content);
+    } catch (error) {
+        console.error('Erreur lors du téléchargement de l\'export de données :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec du téléchargement de l\'export.');
+    }
+});
+
+
+/**
+ * POST /deleteUser
+ * Supprime un utilisateur et nettoie toutes les références associées dans la base de données.
+ * C'est une opération critique et coûteuse.
+ * Corps de la requête: { userId: "..." }
+ */
+route('deleteUser', requireAuth, actAs('body.userId'), validate('deleteUser'), async (req, res) => {
+    const { userId } = req.body;
+
+    try {
+        const userData = await repos.users.get(userId);
+
+        if (!userData) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé.');
+        }
+
+        // Supprime l'utilisateur et nettoie les amitiés, demandes et projets des autres utilisateurs de manière atomique
+        const projectUpdates = await repos.projects.collectUserDeletionUpdates(userId);
+        const leaderboardUpdates = repos.leaderboards.collectUserDeletionUpdates(userId, userData);
+        const reviewUpdates = await repos.antiCheat.collectUserDeletionUpdates(userId);
+        const conversationUpdates = await repos.messages.collectUserDeletionUpdates(userId, userData);
+        const pseudoUpdates = await repos.pseudos.collectUserDeletionUpdates(userId, userData);
+        const inviteCodeUpdates = await repos.inviteCodes.collectUserDeletionUpdates(userId, userData);
+        const dataExportUpdates = repos.dataExports.collectUserDeletionUpdates(userId);
+        const sanctionUpdates = repos.sanctions.collectUserDeletionUpdates(userId);
+        const reportUpdates = await repos.reports.collectUserDeletionUpdates(userId);
+        const notificationUpdates = repos.notifications.collectUserDeletionUpdates(userId);
+        const challengeUpdates = await repos.challenges.collectUserDeletionUpdates(userId);
+        await dataExports.removeFiles(userId);
+        await repos.users.remove(userId, userData, {
+            ...projectUpdates, ...leaderboardUpdates, ...reviewUpdates, ...conversationUpdates, ...pseudoUpdates, ...inviteCodeUpdates,
+            ...dataExportUpdates, ...sanctionUpdates, ...reportUpdates, ...notificationUpdates,
+            ...challengeUpdates
+        });
+
+        sendResponse(res, 200, true, 'Utilisateur supprimé avec succès.');
+
+    } catch (error) {
+        console.error('Erreur lors de la suppression de l\'utilisateur :', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Échec de la suppression de l\'utilisateur.');
+    }
+});
+
+// --- Documentation ---
+
+// Généré une fois au démarrage : le catalogue et les schémas ne changent pas pendant l'exécution
+const openApiDocument = buildOpenApiDocument({
+    routes: API_ROUTES,
+    schemas: ROUTE_SCHEMAS,
+    info: {
+        title: 'Statistique & Amis',
+        version: '1.0.0',
+        description: 'API du backend de l\'extension. Toutes les réponses JSON ont la forme { success, message, data }, '
+            + 'avec en cas d\'erreur un `code` stable. Les routes historiques sont des alias de l\'API /v1.'
+    }
+});
+
+/**
+ * GET /v1/openapi.json
+ * Renvoie le document OpenAPI décrivant toutes les routes (/v1 et alias historiques).
+ * Le document est renvoyé tel quel, sans l'enveloppe { success, message, data }, pour les outils OpenAPI.
+ */
+route('getOpenApiDocument', validate('getOpenApiDocument'), (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Route inconnue : réponse JSON plutôt que la page HTML par défaut d'Express
+app.use((req, res) => {
+    sendError(res, 404, 'ROUTE_NOT_FOUND', `Route inconnue : ${req.method} ${req.path}`);
+});
+
+// 6. Gestionnaire d'erreur global pour Express
+// Ce middleware attrape toutes les erreurs non gérées par les routes spécifiques
+app.use((err, req, res, next) => {
+    // Corps de requête illisible ou trop volumineux (rejeté par express.json) : erreur du client
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Le corps de la requête n\'est pas un JSON valide.');
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Le corps de la requête est trop volumineux.');
+    }
     console.error(err.stack); // Log la pile d'appels de l'erreur sur le serveur (très utile pour le débogage)
     // Tente de renvoyer une réponse JSON propre au client pour éviter une page d'erreur HTML
-    sendResponse(res, 500, false, 'Une erreur interne du serveur est survenue.', { error: err.message || 'Erreur inconnue du serveur.' });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Une erreur interne du serveur est survenue.');
 });
 
 
@@ -0,0 +1,101 @@
+// src/anticheat.js
+// Défenses côté serveur contre les scores truqués : limitation du débit de soumission,
+// vérification des soumissions signées par le client de jeu et détection des scores suspects.
+
+import crypto from 'crypto';
+
+export const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000; // Tolérance sur l'horodatage d'une soumission signée
+
+/**
+ * Limiteur à fenêtre glissante, en mémoire.
+ * @returns {{ hit: Function }}
+ */
+export const createSubmissionRateLimiter = ({ windowMs = 60 * 1000 } = {}) => {
+    const hits = new Map(); // clé -> timestamps des soumissions dans la fenêtre
+
+    return {
+        /**
+         * Enregistre une tentative et indique si elle dépasse la limite.
+         * @param {string} key - Ex: `${userId}:${gameId}`.
+         * @param {number} limit - Nombre maximal de soumissions par fenêtre.
+         * @returns {{ allowed: boolean, retryAfterMs: number }}
+         */
+        hit(key, limit, now = Date.now()) {
+            const recent = (hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+            if (recent.length >= limit) {
+                hits.set(key, recent);
+                return { allowed: false, retryAfterMs: recent[0] + windowMs - now };
+            }
+            recent.push(now);
+            hits.set(key, recent);
+
+            // Évite que la map grossisse indéfiniment avec des clés inactives
+            if (hits.size > 10000) {
+                for (const [otherKey, timestamps] of hits) {
+                    if (timestamps[timestamps.length - 1] <= now - windowMs) hits.delete(otherKey);
+                }
+            }
+            return { allowed: true, retryAfterMs: 0 };
+        }
+    };
+};
+
+/**
+ * Message signé par le client de jeu pour une soumission.
+ */
+export const signedScorePayload = ({ userId, gameId, score, timestamp, nonce }) =>
+    `${userId}:${gameId}:${score}:${timestamp}:${nonce}`;
+
+/**
+ * Vérifie la signature HMAC-SHA256 (hexadécimale) d'une soumission et la fraîcheur de son horodatage.
+ * La protection contre le rejeu (unicité du nonce) est faite séparément, en base.
+ * @param {string} secret - Le secret partagé avec le client du jeu.
+ * @param {object} submission - { userId, gameId, score, timestamp, nonce, signature }
+ * @returns {string|null} Le message d'erreur, ou null si la signature est valide.
+ */
+export const verifyScoreSignature = (secret, submission, now = Date.now()) => {
+    const { timestamp, nonce, signature } = submission;
+    if (typeof timestamp !== 'number' || typeof nonce !== 'string' || typeof signature !== 'string') {
+        return 'Soumission signée incomplète (timestamp, nonce et signature sont requis).';
+    }
+    if (!/^[A-Za-z0-9_-]{8,64}$/.test(nonce)) {
+        return 'Le nonce doit comporter 8 à 64 caractères alphanumériques.';
+    }
+    if (Math.abs(now - timestamp) > SIGNATURE_MAX_AGE_MS) {
+        return 'Soumission expirée ou horodatage invalide.';
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(signedScorePayload(submission)).digest('hex'));
+    const received = Buffer.from(signature.toLowerCase());
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return 'Signature de la soumission invalide.';
+    }
+    return null;
+};
+
+/**
+ * Détecte les raisons de mettre un score en quarantaine avant revue.
+ * @param {object} game - Les règles du jeu.
+ * @param {number} score - Le score soumis.
+ * @param {number|null} previousBest - Le meilleur score précédent du joueur (null s'il n'en a pas).
+ * @param {Function} isBetter - (a, b) => vrai si le score a est meilleur que b.
+ * @returns {string[]} Les raisons ('above_review_threshold', 'suspicious_improvement'), vide si rien n'est suspect.
+ */
+export const detectSuspiciousScore = (game, score, previousBest, isBetter) => {
+    const reasons = [];
+    if (game.reviewThreshold !== null && game.reviewThreshold !== undefined && isBetter(score, game.reviewThreshold)) {
+        reasons.push('above_review_threshold');
+    }
+
+    const factor = game.maxImprovementFactor;
+    if (factor && previousBest !== null && previousBest > 0 && score > 0) {
+        const ratio = game.sortDirection === 'asc' ? previousBest / score : score / previousBest;
+        if (ratio > factor) reasons.push('suspicious_improvement');
+    }
+    return reasons;
+};
+
+/**
+ * Vrai si une soumission de l'historique compte dans les statistiques (acceptée ou approuvée après revue).
+ */
+export const isCountedSubmission = ({ status }) => !status || status === 'approved';
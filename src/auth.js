@@ -0,0 +1,189 @@
+// src/auth.js
+// Authentification des requêtes par jeton "Bearer".
+// L'utilisateur agissant est toujours déduit du jeton, jamais du corps de la requête.
+
+import crypto from 'crypto';
+import { sendError } from './http.js';
+
+const LOCAL_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 jours
+
+/**
+ * Vérificateur basé sur Firebase Authentication.
+ * Le client échange le jeton personnalisé émis à la création du compte contre un
+ * ID token Firebase (signInWithCustomToken), qu'il envoie ensuite à chaque appel.
+ * @param {object} admin - L'instance initialisée de firebase-admin.
+ * @returns {{ verify: Function, issue: Function }}
+ */
+export const createFirebaseVerifier = (admin) => ({
+    verify: async (token) => {
+        const decoded = await admin.auth().verifyIdToken(token);
+        return { uid: decoded.uid };
+    },
+    issue: async (uid) => ({
+        type: 'firebase_custom_token',
+        token: await admin.auth().createCustomToken(uid)
+    })
+});
+
+/**
+ * Vérificateur local signé par HMAC, utilisé hors ligne et pour les tests.
+ * Format du jeton : base64url(payload JSON).base64url(signature HMAC-SHA256).
+ * @param {object} options
+ * @param {string} options.secret - Le secret de signature.
+ * @param {number} [options.ttlMs] - La durée de validité d'un jeton.
+ * @returns {{ verify: Function, issue: Function }}
+ */
+export const createLocalVerifier = ({ secret, ttlMs = LOCAL_TOKEN_TTL_MS }) => {
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    return {
+        verify: async (token) => {
+            const [payload, signature] = String(token).split('.');
+            if (!payload || !signature) throw new Error('Jeton mal formé.');
+
+            const expected = Buffer.from(sign(payload));
+            const received = Buffer.from(signature);
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                throw new Error('Signature du jeton invalide.');
+            }
+
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.uid || typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+                throw new Error('Jeton expiré ou invalide.');
+            }
+            return { uid: claims.uid };
+        },
+        issue: async (uid) => {
+            const payload = Buffer.from(JSON.stringify({ uid, exp: Date.now() + ttlMs })).toString('base64url');
+            return { type: 'bearer', token: `${payload}.${sign(payload)}` };
+        }
+    };
+};
+
+/**
+ * Crée les middlewares d'authentification à partir d'un vérificateur.
+ * @param {{ verify: Function }} verifier - Le vérificateur de jetons (Firebase ou local).
+ * @param {object} [options]
+ * @param {Function} [options.isAdmin] - (uid) => Promise<boolean>, pour `requireAdmin`.
+ * @param {Function} [options.checkAccount] - (uid) => Promise<{ code, message, data }|null>, la raison
+ * pour laquelle le compte ne peut pas agir (ex: banni), ou null. Appliqué à toute requête authentifiée.
+ * @returns {{ authenticate: Function, requireAuth: Function, requireAdmin: Function, actAs: Function, allowQueryToken: Function, identify: Function }}
+ */
+export const createAuthMiddleware = (verifier, { isAdmin = async () => false, checkAccount = async () => null } = {}) => {
+    const verifications = new WeakMap(); // req -> { token, claims }, pour ne vérifier le jeton qu'une fois
+
+    /**
+     * Vérifie le jeton de la requête, une seule fois par requête (limitation du débit puis authentification).
+     * @returns {Promise<{ uid: string }>} Rejette si le jeton est invalide.
+     */
+    const verifyOnce = (req, token) => {
+        const cached = verifications.get(req);
+        if (cached && cached.token === token) return cached.claims;
+        const claims = verifier.verify(token);
+        verifications.set(req, { token, claims });
+        return claims;
+    };
+
+    /**
+     * Lit et vérifie le jeton s'il est présent. `req.auth` vaut `{ uid }` ou null.
+     * Un jeton fourni mais invalide est toujours rejeté, de même qu'un compte qui ne peut pas agir (403).
+     */
+    const authenticate = async (req, res, next) => {
+        req.auth = null;
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+        if (!header) return next();
+        if (scheme !== 'Bearer' || !token) {
+            return sendError(res, 401, 'INVALID_AUTH_HEADER', 'En-tête Authorization invalide (attendu : "Bearer <jeton>").');
+        }
+
+        try {
+            req.auth = await verifyOnce(req, token);
+        } catch (error) {
+            return sendError(res, 401, 'INVALID_TOKEN', 'Jeton d\'authentification invalide ou expiré.');
+        }
+
+        try {
+            const refusal = await checkAccount(req.auth.uid);
+            if (refusal) return sendError(res, 403, refusal.code, refusal.message, refusal.data || null);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Exige un jeton valide.
+     */
+    const requireAuth = (req, res, next) => authenticate(req, res, () => {
+        if (!req.auth) {
+            return sendError(res, 401, 'UNAUTHENTICATED', 'Authentification requise.');
+        }
+        next();
+    });
+
+    /**
+     * Exige un jeton valide appartenant à un administrateur.
+     */
+    const requireAdmin = (req, res, next) => requireAuth(req, res, async () => {
+        try {
+            if (!await isAdmin(req.auth.uid)) {
+                return sendError(res, 403, 'ADMIN_REQUIRED', 'Accès réservé aux administrateurs.');
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    /**
+     * Lie les identifiants de la requête à l'utilisateur authentifié.
+     * Chaque emplacement (ex: 'body.userId', 'params.id') doit, s'il est fourni, correspondre
+     * à l'utilisateur du jeton ; s'il est absent du corps, il est renseigné à partir du jeton.
+     * À utiliser après `requireAuth`.
+     * @param {...string} locations - Les emplacements à vérifier.
+     */
+    const actAs = (...locations) => (req, res, next) => {
+        for (const location of locations) {
+            const [source, field] = location.split('.');
+            const value = req[source] ? req[source][field] : undefined;
+
+            if (value === undefined || value === null || value === '') {
+                if (source === 'body') req.body[field] = req.auth.uid;
+                continue;
+            }
+            if (value !== req.auth.uid) {
+                return sendError(res, 403, 'FORBIDDEN', 'Vous ne pouvez agir qu\'en votre propre nom.');
+            }
+        }
+        next();
+    };
+
+    /**
+     * Accepte le jeton dans le paramètre `access_token` de l'URL quand aucun en-tête n'est fourni.
+     * Réservé aux flux EventSource, qui ne permettent pas d'envoyer d'en-têtes.
+     */
+    const allowQueryToken = (req, res, next) => {
+        if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+            req.headers.authorization = `Bearer ${req.query.access_token}`;
+        }
+        next();
+    };
+
+    /**
+     * Identifie l'utilisateur de la requête sans jamais la rejeter (ex: limitation du débit par utilisateur).
+     * Le jeton vérifié est réutilisé par `authenticate` pour la même requête.
+     * @returns {Promise<string|null>} L'ID de l'utilisateur, ou null si le jeton est absent ou invalide.
+     */
+    const identify = async (req) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return null;
+        try {
+            return (await verifyOnce(req, token)).uid;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    return { authenticate, requireAuth, requireAdmin, actAs, allowQueryToken, identify };
+};
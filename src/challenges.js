@@ -0,0 +1,159 @@
+// src/challenges.js
+// Défis entre amis : un joueur met un ami au défi de battre un score sur un jeu avant une échéance.
+// Le défi est relevé ('completed') dès qu'un score de l'ami bat la cible avant l'échéance ; sinon il
+// expire ('expired'). Le défi relevé compte comme une victoire de l'ami, le défi expiré comme une
+// victoire de celui qui l'a lancé. Un défi annulé ('cancelled') ne compte pour personne.
+
+export const CHALLENGE_STATUSES = ['active', 'completed', 'expired', 'cancelled'];
+export const CHALLENGE_LIMITS = {
+    minDurationMs: 60 * 1000, // Échéance au plus tôt dans une minute
+    maxDurationMs: 30 * 24 * 60 * 60 * 1000, // et au plus tard dans 30 jours
+    activePerUser: 20 // Défis en cours lancés par un même joueur
+};
+
+/**
+ * Résultat du défi pour l'un de ses participants.
+ * @returns {'won'|'lost'|null} Null tant que le défi est en cours, ou s'il a été annulé.
+ */
+export const challengeOutcome = (challenge, userId) => {
+    if (challenge.status !== 'completed' && challenge.status !== 'expired') return null;
+    const opponentWon = challenge.status === 'completed';
+    return (userId === challenge.opponentId) === opponentWon ? 'won' : 'lost';
+};
+
+/**
+ * Met en forme un défi du point de vue de l'un de ses participants.
+ */
+export const formatChallenge = (challenge, userId) => ({
+    id: challenge.id,
+    gameId: challenge.gameId,
+    targetScore: challenge.targetScore,
+    deadline: challenge.deadline,
+    createdAt: challenge.createdAt,
+    role: userId === challenge.challengerId ? 'challenger' : 'opponent',
+    challengerId: challenge.challengerId,
+    opponentId: challenge.opponentId,
+    status: challenge.status,
+    resolvedAt: challenge.resolvedAt ?? null,
+    score: challenge.score ?? null,
+    outcome: challengeOutcome(challenge, userId)
+});
+
+/**
+ * Bilan des défis terminés d'un utilisateur, au total et par ami.
+ * @returns {{ wins: number, losses: number, byFriend: Array<{ friendId: string, wins: number, losses: number }> }}
+ */
+export const summarizeChallenges = (challenges, userId) => {
+    const record = { wins: 0, losses: 0 };
+    const byFriend = new Map();
+    for (const challenge of challenges) {
+        const outcome = challengeOutcome(challenge, userId);
+        if (!outcome) continue;
+        const friendId = userId === challenge.challengerId ? challenge.opponentId : challenge.challengerId;
+        if (!byFriend.has(friendId)) byFriend.set(friendId, { friendId, wins: 0, losses: 0 });
+        const field = outcome === 'won' ? 'wins' : 'losses';
+        record[field]++;
+        byFriend.get(friendId)[field]++;
+    }
+    return { ...record, byFriend: Array.from(byFriend.values()) };
+};
+
+/**
+ * Crée le service des défis.
+ * @param {object} deps
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.events - Le publieur d'événements (voir src/events.js).
+ * @param {object} deps.notifications - Le service des notifications (voir src/notifications.js).
+ * @returns {object} Le service.
+ */
+export const createChallengeService = ({ repos, events, notifications }) => {
+    /**
+     * Clôt un défi en cours et prévient ses participants (sauf `actorId`, à l'origine de la clôture), à moins
+     * que l'un d'eux n'ait bloqué l'autre.
+     * @returns {Promise<object|null>} Le défi clos, ou null s'il a été clos entre-temps.
+     */
+    const finish = async (challenge, resolution, actorId = null) => {
+        const resolved = await repos.challenges.resolve(challenge.id, resolution);
+        if (!resolved) return null;
+        if (await repos.friendships.isBlockedEitherWay(resolved.challengerId, resolved.opponentId)) return resolved;
+        for (const userId of [resolved.challengerId, resolved.opponentId]) {
+            if (userId === actorId) continue;
+            const payload = formatChallenge(resolved, userId);
+            events.challengeResolved(userId, payload);
+            notifications.challengeResolved(userId, payload);
+        }
+        return resolved;
+    };
+
+    return {
+        /**
+         * Relève les défis en cours de `userId` sur ce jeu que le score bat, s'il a été obtenu avant leur échéance.
+         * Appelé après l'enregistrement d'un score accepté ; ne rejette jamais.
+         * @param {string} userId
+         * @param {string} gameId
+         * @param {number} score
+         * @param {number} achievedAt - Date d'obtention du score.
+         * @param {Function} isBetter - (a, b) => vrai si a est meilleur que b (voir isBetterFor).
+         * @returns {Promise<string[]>} Les IDs des défis relevés.
+         */
+        recordScore: async (userId, gameId, score, achievedAt, isBetter) => {
+            try {
+                const qualifying = (await repos.challenges.listActiveReceived(userId, gameId))
+                    .filter(challenge => achievedAt >= challenge.createdAt && achievedAt <= challenge.deadline
+                        && isBetter(score, challenge.targetScore));
+                const completed = await Promise.all(qualifying.map(challenge => finish(challenge, {
+                    status: 'completed',
+                    resolvedAt: Date.now(),
+                    score
+                })));
+                return completed.filter(Boolean).map(challenge => challenge.id);
+            } catch (error) {
+                console.error('Erreur lors de la résolution des défis :', error);
+                return [];
+            }
+        },
+
+        /**
+         * Fait expirer les défis en cours dont l'échéance est passée (balayage périodique).
+         * @returns {Promise<number>} Le nombre de défis expirés.
+         */
+        expireDue: async (now) => {
+            const due = await repos.challenges.listDue(now);
+            const expired = await Promise.all(due.map(challenge => finish(challenge, { status: 'expired', resolvedAt: now })));
+            return expired.filter(Boolean).length;
+        },
+
+        /**
+         * Fait expirer, parmi des défis déjà lus, ceux qui sont en cours et échus, sans attendre le balayage.
+         * @param {Array<object>} list - Des défis, avec leur ID.
+         * @param {number} now
+         * @returns {Promise<Array<object>>} La liste, dans le même ordre, avec l'état à jour des défis échus.
+         */
+        expireOverdue: (list, now) => Promise.all(list.map(async (challenge) => {
+            if (challenge.status !== 'active' || challenge.deadline > now) return challenge;
+            // Null si le défi a été clos entre-temps (score ou balayage) : on relit alors son état
+            return await finish(challenge, { status: 'expired', resolvedAt: now })
+                || await repos.challenges.get(challenge.id)
+                || challenge;
+        })),
+
+        /**
+         * Annule un défi en cours ; seul l'autre participant est prévenu.
+         * @returns {Promise<object|null>} Le défi annulé, ou null s'il n'était plus en cours.
+         */
+        cancel: (challenge, userId) => finish(challenge, { status: 'cancelled', resolvedAt: Date.now() }, userId),
+
+        /**
+         * Annule les défis en cours entre deux utilisateurs (ex: blocage de `otherUserId` par `userId`).
+         * @returns {Promise<number>} Le nombre de défis annulés.
+         */
+        cancelBetween: async (userId, otherUserId) => {
+            const active = await repos.challenges.listActiveBetween(userId, otherUserId);
+            const cancelled = await Promise.all(active.map(challenge => finish(challenge, {
+                status: 'cancelled',
+                resolvedAt: Date.now()
+            }, userId)));
+            return cancelled.filter(Boolean).length;
+        }
+    };
+};
@@ -0,0 +1,507 @@
+// src/dataExport.js
+// Export des données personnelles : tout ce que le backend conserve sur un utilisateur (profil,
+// visibilité, amis, demandes, blocages, conversations, scores, codes d'invitation, projets, défis,
+// notifications et leurs préférences, signalements déposés), en JSON
+// ou en archive ZIP de fichiers CSV.
+// Les exports sont générés en arrière-plan : leur état est en base (src/repositories/dataExports.js),
+// les fichiers sont tenus par un "store" interchangeable jusqu'à leur expiration. Le store en mémoire
+// convient à une instance unique ; plusieurs instances doivent partager un stockage externe (ex: un
+// bucket avec expiration des objets) qui respecte la même interface.
+
+import crypto from 'crypto';
+import { createZip } from './zip.js';
+import { formatChallenge, summarizeChallenges } from './challenges.js';
+import { formatNotification } from './notifications.js';
+
+export const DATA_EXPORT_FORMATS = ['json', 'zip'];
+
+// Au-delà, un export toujours en cours est considéré comme échoué (ex: serveur redémarré pendant la génération)
+const PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Interface d'un store de fichiers d'export :
+ * `put(key, file, expiresAt)` enregistre `file` ({ content: Buffer, contentType, filename }) jusqu'à
+ * `expiresAt` (ms) ; `get(key)` renvoie `Promise<file|null>` (null une fois expiré) ; `remove(key)` le supprime.
+ */
+
+/**
+ * Store en mémoire, propre à l'instance du serveur. Les fichiers expirés sont purgés à chaque écriture.
+ * @returns {{ put: Function, get: Function, remove: Function }}
+ */
+export const createMemoryExportFileStore = () => {
+    const files = new Map(); // clé -> { file, expiresAt }
+
+    return {
+        async put(key, file, expiresAt, now = Date.now()) {
+            for (const [otherKey, entry] of files) {
+                if (entry.expiresAt <= now) files.delete(otherKey);
+            }
+            files.set(key, { file, expiresAt });
+        },
+
+        async get(key, now = Date.now()) {
+            const entry = files.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= now) {
+                files.delete(key);
+                return null;
+            }
+            return entry.file;
+        },
+
+        async remove(key) {
+            files.delete(key);
+        }
+    };
+};
+
+/**
+ * Rassemble toutes les données de l'utilisateur. Les autres utilisateurs cités (amis, membres des
+ * conversations...) apparaissent avec leur pseudo, null s'ils ont supprimé leur compte.
+ * @param {object} repos - Les dépôts (voir src/repositories).
+ * @param {string} userId
+ * @returns {Promise<object|null>} Les données, ou null si l'utilisateur n'existe pas.
+ */
+export const collectUserData = async (repos, userId) => {
+    const userData = await repos.users.get(userId);
+    if (!userData) return null;
+
+    const pseudos = new Map(); // Chaque pseudo n'est lu qu'une fois
+    const pseudoOf = (id) => {
+        if (!pseudos.has(id)) pseudos.set(id, repos.users.getPseudo(id));
+        return pseudos.get(id);
+    };
+    const withPseudo = async (id, details = {}) => ({ id, pseudo: await pseudoOf(id), ...details });
+
+    const { visibility = {}, ...profile } = userData.profile || {};
+
+    const conversations = await Promise.all(Object.keys(userData.conversations || {}).map(async (conversationId) => {
+        const [conversation, messages, readMarker] = await Promise.all([
+            repos.messages.getConversation(conversationId),
+            repos.messages.listAll(conversationId),
+            repos.messages.getReadMarker(userId, conversationId)
+        ]);
+        const { members, ...details } = conversation || { type: 'direct' };
+        return {
+            id: conversationId,
+            ...details,
+            members: await Promise.all(Object.keys(members || {}).map(memberId => withPseudo(memberId))),
+            readUpTo: readMarker || null,
+            messages: await Promise.all(messages.map(async (message) => ({ ...message, senderPseudo: await pseudoOf(message.senderId) })))
+        };
+    }));
+    // Conversations de l'ancien format, pas encore converties (voir migrateLegacy)
+    for (const [otherUserId, legacyMessages] of Object.entries(userData.messages || {})) {
+        conversations.push({
+            id: repos.messages.directConversationId(userId, otherUserId),
+            type: 'direct',
+            legacy: true,
+            members: [await withPseudo(userId), await withPseudo(otherUserId)],
+            readUpTo: null,
+            messages: await Promise.all(Object.entries(legacyMessages || {})
+                .sort(([a], [b]) => (a < b ? -1 : 1))
+                .map(async ([id, message]) => ({ id, ...message, senderPseudo: await pseudoOf(message.senderId) })))
+        });
+    }
+
+    const gameIds = Array.from(new Set([...Object.keys(userData.gameScores || {}), ...Object.keys(userData.scoreHistory || {})])).sort();
+    const scores = await Promise.all(gameIds.map(async (gameId) => ({
+        gameId,
+        currentScore: (userData.gameScores || {})[gameId] ?? null,
+        history: await repos.scores.listHistory(userId, gameId)
+    })));
+
+    const inviteCodes = await Promise.all((await repos.inviteCodes.listOwned(userId)).map(async ({ code, invite, uses }) => ({
+        code,
+        current: code === userData.inviteCode,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt ?? null,
+        maxUses: invite.maxUses ?? null,
+        uses: invite.uses || 0,
+        instantFriendship: Boolean(invite.instantFriendship),
+        revokedAt: invite.revokedAt ?? null,
+        referrals: await Promise.all(uses.map(({ userId: referredId, ...use }) => withPseudo(referredId, use)))
+    })));
+    const usedInviteCodes = await Promise.all(Object.keys(userData.usedInviteCodes || {}).map(async (code) => {
+        const [invite, use] = await Promise.all([repos.inviteCodes.get(code), repos.inviteCodes.getUse(code, userId)]);
+        return {
+            code,
+            owner: invite ? await withPseudo(invite.ownerId) : null,
+            ...(use || {})
+        };
+    }));
+
+    const projects = (await repos.projects.listForUser(userId)).map(({ id, role, project }) => ({
+        id,
+        role,
+        ownerId: project.ownerId,
+        title: project.title,
+        description: project.description || '',
+        links: Object.values(project.links || {}),
+        tags: Object.values(project.tags || {}),
+        collaborators: Object.keys(project.collaborators || {}),
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt
+    }));
+
+    const [received, sent, presence, challengeList, notifications, mutedNotifications, filedReports] = await Promise.all([
+        repos.requests.listReceived(userId),
+        repos.requests.listSent(userId),
+        repos.presence.get(userId),
+        repos.challenges.listFor(userId),
+        repos.notifications.listAll(userId),
+        repos.notifications.getMutedTypes(userId),
+        repos.reports.listFiledBy(userId)
+    ]);
+    const challenges = await Promise.all(challengeList.map(async (challenge) => {
+        const { challengerId, opponentId, ...details } = formatChallenge(challenge, userId);
+        return { ...details, friend: await withPseudo(details.role === 'challenger' ? opponentId : challengerId) };
+    }));
+    const challengeRecord = summarizeChallenges(challengeList, userId);
+
+    return {
+        exportedAt: Date.now(),
+        user: {
+            id: userId,
+            pseudo: userData.pseudo,
+            createdAt: userData.createdAt ?? null,
+            role: userData.role || 'user',
+            profile,
+            visibility,
+            mutedNotifications,
+            presence: presence ? { online: Boolean(presence.online), lastSeen: presence.lastSeen ?? null } : null
+        },
+        friends: await Promise.all(Object.keys(userData.friends || {}).map(friendId => withPseudo(friendId))),
+        friendRequests: {
+            received: await Promise.all(received.map(({ id, sentAt }) => withPseudo(id, { sentAt }))),
+            sent: await Promise.all(sent.map(({ id, sentAt }) => withPseudo(id, { sentAt })))
+        },
+        blockedUsers: await Promise.all(Object.keys(userData.blockedUsers || {}).map(blockedId => withPseudo(blockedId))),
+        conversations,
+        scores,
+        inviteCodes,
+        usedInviteCodes,
+        projects,
+        challenges,
+        challengeRecord: {
+            wins: challengeRecord.wins,
+            losses: challengeRecord.losses,
+            byFriend: await Promise.all(challengeRecord.byFriend.map(({ friendId, ...counts }) => withPseudo(friendId, counts)))
+        },
+        notifications: notifications.map(formatNotification),
+        // Sans la copie du contenu signalé ni la note de la modération, comme dans /getReports
+        reports: await Promise.all(filedReports.map(async (report) => ({
+            id: report.id,
+            targetType: report.targetType,
+            target: await withPseudo(report.targetUserId),
+            messageId: report.messageId ?? null,
+            reason: report.reason,
+            details: report.details ?? null,
+            status: report.status,
+            createdAt: report.createdAt,
+            resolvedAt: report.resolvedAt ?? null
+        })))
+    };
+};
+
+// --- Mise en forme ---
+
+/**
+ * Valeur d'une cellule CSV, entre guillemets si nécessaire. Les dates (ms) sont converties au format ISO
+ * par l'appelant ; les listes sont jointes par "; ".
+ */
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} columns - Les en-têtes.
+ * @param {Array<Array<*>>} rows - Les lignes, dans l'ordre des colonnes.
+ * @returns {string} Le fichier CSV (séparateur ",", fins de ligne CRLF, précédé d'un BOM pour les tableurs).
+ */
+export const toCsv = (columns, rows) =>
+    `\uFEFF${[columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+const isoDate = (timestamp) => (typeof timestamp === 'number' ? new Date(timestamp).toISOString() : null);
+
+/**
+ * Découpe les données en fichiers CSV, un par type d'information.
+ * @param {object} data - Le résultat de collectUserData.
+ * @returns {Array<{ name: string, content: string }>}
+ */
+export const toCsvFiles = (data) => {
+    const { user } = data;
+
+    return [
+        {
+            name: 'profile.csv',
+            content: toCsv(['field', 'value'], [
+                ['id', user.id],
+                ['pseudo', user.pseudo],
+                ['createdAt', isoDate(user.createdAt)],
+                ['role', user.role],
+                ...Object.entries(user.profile).map(([name, value]) => [name, value]),
+                ['online', user.presence ? user.presence.online : null],
+                ['lastSeen', user.presence ? isoDate(user.presence.lastSeen) : null],
+                ['exportedAt', isoDate(data.exportedAt)]
+            ])
+        },
+        {
+            name: 'visibility.csv',
+            content: toCsv(['infoType', 'visibilityLevel'], Object.entries(user.visibility))
+        },
+        {
+            name: 'muted_notifications.csv',
+            content: toCsv(['type'], user.mutedNotifications.map(type => [type]))
+        },
+        {
+            name: 'friends.csv',
+            content: toCsv(['id', 'pseudo'], data.friends.map(friend => [friend.id, friend.pseudo]))
+        },
+        {
+            name: 'friend_requests.csv',
+            content: toCsv(['direction', 'id', 'pseudo', 'sentAt'], [
+                ...data.friendRequests.received.map(request => ['received', request.id, request.pseudo, isoDate(request.sentAt)]),
+                ...data.friendRequests.sent.map(request => ['sent', request.id, request.pseudo, isoDate(request.sentAt)])
+            ])
+        },
+        {
+            name: 'blocked_users.csv',
+            content: toCsv(['id', 'pseudo'], data.blockedUsers.map(blocked => [blocked.id, blocked.pseudo]))
+        },
+        {
+            name: 'conversations.csv',
+            content: toCsv(['conversationId', 'type', 'name', 'memberIds', 'memberPseudos', 'readUpToMessageId', 'messageCount'],
+                data.conversations.map(conversation => [
+                    conversation.id,
+                    conversation.type,
+                    conversation.name,
+                    conversation.members.map(member => member.id),
+                    conversation.members.map(member => member.pseudo || ''),
+                    conversation.readUpTo ? conversation.readUpTo.messageId : null,
+                    conversation.messages.length
+                ]))
+        },
+        {
+            name: 'messages.csv',
+            content: toCsv(['conversationId', 'messageId', 'senderId', 'senderPseudo', 'message', 'timestamp', 'editedAt'],
+                data.conversations.flatMap(conversation => conversation.messages.map(message => [
+                    conversation.id,
+                    message.id,
+                    message.senderId,
+                    message.senderPseudo,
+                    message.message,
+                    isoDate(message.timestamp),
+                    isoDate(message.editedAt)
+                ])))
+        },
+        {
+            name: 'scores.csv',
+            content: toCsv(['gameId', 'currentScore'], data.scores.map(game => [game.gameId, game.currentScore]))
+        },
+        {
+            name: 'score_history.csv',
+            content: toCsv(['gameId', 'submissionId', 'score', 'timestamp', 'status'],
+                data.scores.flatMap(game => game.history.map(submission => [
+                    game.gameId, submission.id, submission.score, isoDate(submission.timestamp), submission.status
+                ])))
+        },
+        {
+            name: 'invite_codes.csv',
+            content: toCsv(['code', 'current', 'createdAt', 'expiresAt', 'maxUses', 'uses', 'instantFriendship', 'revokedAt'],
+                data.inviteCodes.map(invite => [
+                    invite.code, invite.current, isoDate(invite.createdAt), isoDate(invite.expiresAt),
+                    invite.maxUses, invite.uses, invite.instantFriendship, isoDate(invite.revokedAt)
+                ]))
+        },
+        {
+            name: 'referrals.csv',
+            content: toCsv(['code', 'id', 'pseudo', 'usedAt', 'kind', 'result'],
+                data.inviteCodes.flatMap(invite => invite.referrals.map(referral => [
+                    invite.code, referral.id, referral.pseudo, isoDate(referral.usedAt), referral.kind, referral.result
+                ])))
+        },
+        {
+            name: 'used_invite_codes.csv',
+            content: toCsv(['code', 'ownerId', 'ownerPseudo', 'usedAt', 'kind', 'result'],
+                data.usedInviteCodes.map(used => [
+                    used.code, used.owner ? used.owner.id : null, used.owner ? used.owner.pseudo : null,
+                    isoDate(used.usedAt), used.kind, used.result
+                ]))
+        },
+        {
+            name: 'projects.csv',
+            content: toCsv(['id', 'role', 'ownerId', 'title', 'description', 'links', 'tags', 'collaborators', 'createdAt', 'updatedAt'],
+                data.projects.map(project => [
+                    project.id, project.role, project.ownerId, project.title, project.description, project.links,
+                    project.tags, project.collaborators, isoDate(project.createdAt), isoDate(project.updatedAt)
+                ]))
+        },
+        {
+            name: 'challenges.csv',
+            content: toCsv(['id', 'role', 'friendId', 'friendPseudo', 'gameId', 'targetScore', 'deadline', 'createdAt', 'status', 'resolvedAt', 'score', 'outcome'],
+                data.challenges.map(challenge => [
+                    challenge.id, challenge.role, challenge.friend.id, challenge.friend.pseudo, challenge.gameId, challenge.targetScore,
+                    isoDate(challenge.deadline), isoDate(challenge.createdAt), challenge.status, isoDate(challenge.resolvedAt),
+                    challenge.score, challenge.outcome
+                ]))
+        },
+        {
+            name: 'challenge_record.csv',
+            content: toCsv(['friendId', 'friendPseudo', 'wins', 'losses'], [
+                ['', 'total', data.challengeRecord.wins, data.challengeRecord.losses],
+                ...data.challengeRecord.byFriend.map(friend => [friend.id, friend.pseudo, friend.wins, friend.losses])
+            ])
+        },
+        {
+            name: 'notifications.csv',
+            content: toCsv(['id', 'type', 'createdAt', 'read', 'readAt', 'count', 'data'],
+                data.notifications.map(notification => [
+                    notification.id, notification.type, isoDate(notification.createdAt), notification.read,
+                    isoDate(notification.readAt), notification.count, JSON.stringify(notification.data)
+                ]))
+        },
+        {
+            name: 'reports.csv',
+            content: toCsv(['id', 'targetType', 'targetId', 'targetPseudo', 'messageId', 'reason', 'details', 'status', 'createdAt', 'resolvedAt'],
+                data.reports.map(report => [
+                    report.id, report.targetType, report.target.id, report.target.pseudo, report.messageId, report.reason,
+                    report.details, report.status, isoDate(report.createdAt), isoDate(report.resolvedAt)
+                ]))
+        }
+    ];
+};
+
+/**
+ * Produit le fichier d'export dans le format demandé.
+ * @param {object} data - Le résultat de collectUserData.
+ * @param {string} format - 'json' ou 'zip'.
+ * @returns {{ content: Buffer, contentType: string, filename: string }}
+ */
+export const renderDataExport = (data, format) => {
+    const basename = `export-${data.user.id}-${new Date(data.exportedAt).toISOString().slice(0, 10)}`;
+    if (format === 'zip') {
+        return { content: createZip(toCsvFiles(data), new Date(data.exportedAt)), contentType: 'application/zip', filename: `${basename}.zip` };
+    }
+    return { content: Buffer.from(JSON.stringify(data, null, 2), 'utf8'), contentType: 'application/json; charset=utf-8', filename: `${basename}.json` };
+};
+
+// --- Service ---
+
+/**
+ * État effectif d'un export : un export prêt dont la date d'expiration est passée vaut 'expired',
+ * un export resté en cours trop longtemps vaut 'failed'.
+ */
+export const dataExportStatus = (record, now = Date.now()) => {
+    if (record.status === 'ready' && record.expiresAt <= now) return 'expired';
+    if (record.status === 'pending' && record.createdAt <= now - PENDING_TIMEOUT_MS) return 'failed';
+    return record.status;
+};
+
+const sameToken = (expected, provided) => {
+    const hash = (token) => crypto.createHash('sha256').update(String(token)).digest();
+    return crypto.timingSafeEqual(hash(expected), hash(provided));
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.files - Le store des fichiers d'export (voir plus haut).
+ * @param {object} deps.events - Le publieur d'événements temps réel.
+ * @param {number} deps.ttlMs - Durée de disponibilité d'un export prêt.
+ * @returns {object} Le service d'export.
+ */
+export const createDataExportService = ({ repos, files, events, ttlMs }) => {
+    const fileKey = (userId, exportId) => `${userId}/${exportId}`;
+
+    /**
+     * Génère le fichier et enregistre le résultat. Ne rejette jamais : un échec marque l'export 'failed'.
+     */
+    const generate = async (userId, exportId, format) => {
+        try {
+            const data = await collectUserData(repos, userId);
+            if (!data) return; // Compte supprimé pendant la génération
+            const file = renderDataExport(data, format);
+            const completedAt = Date.now();
+            const expiresAt = completedAt + ttlMs;
+            await files.put(fileKey(userId, exportId), file, expiresAt);
+            await repos.dataExports.update(userId, exportId, { status: 'ready', completedAt, expiresAt, size: file.content.length });
+            events.dataExportFinished(userId, { id: exportId, format, status: 'ready', expiresAt });
+        } catch (error) {
+            console.error('Erreur lors de la génération d\'un export de données :', error);
+            await repos.dataExports.update(userId, exportId, { status: 'failed', completedAt: Date.now() })
+                .catch(updateError => console.error('Erreur lors de l\'enregistrement de l\'échec d\'un export :', updateError));
+            events.dataExportFinished(userId, { id: exportId, format, status: 'failed' });
+        }
+    };
+
+    return {
+        /**
+         * Démarre un export, sauf si un autre est déjà en cours pour l'utilisateur.
+         * Les exports expirés ou échoués sont oubliés au passage.
+         * @param {string} userId
+         * @param {string} format - 'json' ou 'zip'.
+         * @returns {Promise<{ running: object }|{ exportId: string, done: Promise<void> }>} `done` se résout
+         * à la fin de la génération.
+         */
+        start: async (userId, format) => {
+            const now = Date.now();
+            const exports = await repos.dataExports.list(userId);
+            const running = exports.find(record => dataExportStatus(record, now) === 'pending');
+            if (running) return { running };
+
+            const obsolete = exports.filter(record => ['expired', 'failed'].includes(dataExportStatus(record, now)));
+            await repos.dataExports.removeMany(userId, obsolete.map(record => record.id));
+            await Promise.all(obsolete.map(record => files.remove(fileKey(userId, record.id))));
+
+            const exportId = repos.dataExports.newId(userId);
+            await repos.dataExports.create(userId, exportId, {
+                format,
+                status: 'pending',
+                token: crypto.randomBytes(24).toString('base64url'),
+                createdAt: now
+            });
+            return { exportId, done: generate(userId, exportId, format) };
+        },
+
+        /**
+         * @returns {Promise<object|null>} L'export, avec son état effectif.
+         */
+        get: async (userId, exportId) => {
+            const record = await repos.dataExports.get(userId, exportId);
+            return record ? { ...record, status: dataExportStatus(record) } : null;
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Les exports de l'utilisateur, du plus récent au plus ancien.
+         */
+        list: async (userId) => (await repos.dataExports.list(userId))
+            .map(record => ({ ...record, status: dataExportStatus(record) })),
+
+        /**
+         * Ouvre le fichier d'un export avec son jeton de téléchargement.
+         * @returns {Promise<{ status: 'ready', file: object }|{ status: 'not_found'|'pending'|'failed'|'expired' }>}
+         * Un jeton invalide répond comme un export inconnu.
+         */
+        open: async (userId, exportId, token) => {
+            const record = await repos.dataExports.get(userId, exportId);
+            if (!record || !sameToken(record.token, token)) return { status: 'not_found' };
+            const status = dataExportStatus(record);
+            if (status !== 'ready') return { status };
+            // Fichier perdu (redémarrage du serveur) : l'export est à refaire
+            const file = await files.get(fileKey(userId, exportId));
+            return file ? { status, file } : { status: 'expired' };
+        },
+
+        /**
+         * Supprime les fichiers des exports d'un utilisateur (suppression du compte) ; l'état en base est
+         * supprimé avec le compte (voir collectUserDeletionUpdates).
+         */
+        removeFiles: async (userId) => {
+            const exports = await repos.dataExports.list(userId);
+            await Promise.all(exports.map(record => files.remove(fileKey(userId, record.id))));
+        }
+    };
+};
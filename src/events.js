@@ -0,0 +1,244 @@
+// src/events.js
+// Flux d'événements en temps réel (Server-Sent Events) par utilisateur.
+// Les routes publient des événements métier ; ils ne sont transmis qu'aux utilisateurs
+// autorisés à les voir (blocages et paramètres de visibilité).
+
+const KEEP_ALIVE_INTERVAL_MS = 25 * 1000; // Évite la coupure des connexions inactives par les proxys
+
+/**
+ * Crée le concentrateur des connexions SSE ouvertes, indexées par utilisateur.
+ * Un utilisateur peut avoir plusieurs connexions (plusieurs navigateurs ou appareils).
+ * @returns {object} Le concentrateur.
+ */
+export const createEventHub = () => {
+    const streams = new Map(); // userId -> Set<res>
+    const detachers = new WeakMap(); // res -> fonction de fermeture
+    const connectionListeners = [];
+    let nextEventId = 1;
+
+    const write = (res, type, data) => {
+        res.write(`id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    return {
+        /**
+         * Ouvre un flux SSE sur la réponse et l'associe à l'utilisateur jusqu'à sa fermeture.
+         * @param {string} userId
+         * @param {object} req - La requête Express (pour détecter la déconnexion).
+         * @param {object} res - La réponse Express.
+         */
+        open(userId, req, res) {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write('retry: 5000\n\n');
+
+            if (!streams.has(userId)) streams.set(userId, new Set());
+            const userStreams = streams.get(userId);
+            userStreams.add(res);
+            write(res, 'connected', { userId });
+            if (userStreams.size === 1) {
+                connectionListeners.forEach(listener => listener(userId, true));
+            }
+
+            const keepAlive = setInterval(() => res.write(': ping\n\n'), KEEP_ALIVE_INTERVAL_MS);
+            const detach = () => {
+                if (!userStreams.delete(res)) return; // Déjà fermée par `close`
+                clearInterval(keepAlive);
+                if (userStreams.size === 0) {
+                    streams.delete(userId);
+                    connectionListeners.forEach(listener => listener(userId, false));
+                }
+            };
+            detachers.set(res, detach);
+            req.on('close', detach);
+        },
+
+        /**
+         * Envoie un dernier événement à toutes les connexions d'un utilisateur, puis les ferme
+         * (ex: compte banni). L'extension ne doit pas se reconnecter après cet événement.
+         */
+        close(userId, type, data) {
+            const userStreams = streams.get(userId);
+            if (!userStreams) return;
+            for (const res of Array.from(userStreams)) {
+                write(res, type, data);
+                res.end();
+                detachers.get(res)();
+            }
+        },
+
+        /**
+         * Envoie un événement à toutes les connexions d'un utilisateur.
+         */
+        send(userId, type, data) {
+            const userStreams = streams.get(userId);
+            if (!userStreams) return;
+            userStreams.forEach(res => write(res, type, data));
+        },
+
+        isConnected: (userId) => streams.has(userId),
+
+        /**
+         * Écoute la première connexion (`connected = true`) et la dernière déconnexion d'un utilisateur.
+         * @param {Function} listener - (userId, connected) => void
+         */
+        onConnectionChange(listener) {
+            connectionListeners.push(listener);
+        }
+    };
+};
+
+/**
+ * Crée le publieur des événements métier.
+ * @param {object} deps
+ * @param {object} deps.hub - Le concentrateur SSE.
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.visibility - Le filtre de visibilité (voir src/visibility.js).
+ * @returns {object} Les fonctions de publication, à appeler après chaque écriture réussie.
+ */
+export const createEventPublisher = ({ hub, repos, visibility }) => {
+    const isBlockedEitherWay = repos.friendships.isBlockedEitherWay;
+
+    /**
+     * Envoie un événement à chaque ami connecté de `userId` autorisé à voir `infoType`.
+     */
+    const sendToFriends = async (userId, infoType, type, data) => {
+        const friendIds = await repos.friendships.listFriendIds(userId);
+        await Promise.all(friendIds.filter(hub.isConnected).map(async (friendId) => {
+            if (!await visibility.canView(userId, friendId, infoType)) return;
+            hub.send(friendId, type, data);
+        }));
+    };
+
+    const withPseudo = async (userId) => ({ id: userId, pseudo: await repos.users.getPseudo(userId) });
+
+    // Les erreurs de publication ne doivent jamais faire échouer la requête qui les déclenche
+    const safely = (publish) => async (...args) => {
+        try {
+            await publish(...args);
+        } catch (error) {
+            console.error('Erreur lors de la publication d\'un événement temps réel :', error);
+        }
+    };
+
+    return {
+        messageSent: safely(async (senderId, receiverId, messageData) => {
+            const payload = { ...messageData, receiverId };
+            hub.send(senderId, 'message', payload); // Synchronise les autres connexions de l'expéditeur
+            if (!await isBlockedEitherWay(senderId, receiverId)) {
+                hub.send(receiverId, 'message', payload);
+            }
+        }),
+
+        // Les deux participants sont prévenus d'une modification ou d'une suppression
+        messageEdited: safely(async (senderId, receiverId, messageId, message, editedAt) => {
+            const payload = { id: messageId, senderId, receiverId, message, editedAt };
+            hub.send(senderId, 'message_edited', payload);
+            if (!await isBlockedEitherWay(senderId, receiverId)) hub.send(receiverId, 'message_edited', payload);
+        }),
+
+        messageDeleted: safely(async (senderId, receiverId, messageId) => {
+            const payload = { id: messageId, senderId, receiverId };
+            hub.send(senderId, 'message_deleted', payload);
+            if (!await isBlockedEitherWay(senderId, receiverId)) hub.send(receiverId, 'message_deleted', payload);
+        }),
+
+        // Accusé de lecture : l'autre participant sait jusqu'où la conversation a été lue
+        messagesRead: safely(async (readerId, otherUserId, messageId, readAt) => {
+            if (await isBlockedEitherWay(readerId, otherUserId)) return;
+            hub.send(otherUserId, 'messages_read', { by: readerId, messageId, readAt });
+        }),
+
+        // Événement de groupe : transmis aux membres connectés, sauf à ceux qui ont bloqué son auteur
+        groupEvent: safely(async (memberIds, type, payload, authorId) => {
+            await Promise.all(memberIds.filter(hub.isConnected).map(async (memberId) => {
+                if (memberId !== authorId && await repos.friendships.hasBlocked(memberId, authorId)) return;
+                hub.send(memberId, type, payload);
+            }));
+        }),
+
+        friendRequestSent: safely(async (senderId, receiverId) => {
+            if (await isBlockedEitherWay(senderId, receiverId)) return;
+            hub.send(receiverId, 'friend_request_received', { from: await withPseudo(senderId) });
+        }),
+
+        friendRequestAccepted: safely(async (receiverId, senderId) => {
+            hub.send(senderId, 'friend_request_accepted', { by: await withPseudo(receiverId) });
+        }),
+
+        friendRequestDeclined: safely(async (receiverId, senderId) => {
+            if (await isBlockedEitherWay(senderId, receiverId)) return;
+            hub.send(senderId, 'friend_request_declined', { by: await withPseudo(receiverId) });
+        }),
+
+        friendRequestCancelled: safely(async (senderId, receiverId) => {
+            if (await isBlockedEitherWay(senderId, receiverId)) return;
+            hub.send(receiverId, 'friend_request_cancelled', { by: await withPseudo(senderId) });
+        }),
+
+        friendRemoved: safely(async (userId, friendId) => {
+            hub.send(friendId, 'friend_removed', { by: await withPseudo(userId) });
+        }),
+
+        inviteCodeUsed: safely(async (ownerId, userId, kind, result) => {
+            hub.send(ownerId, 'invite_code_used', { user: await withPseudo(userId), kind, result });
+        }),
+
+        scoreUpdated: safely(async (userId, gameId, score) => {
+            await sendToFriends(userId, 'game_scores', 'friend_score', { user: await withPseudo(userId), gameId, score });
+        }),
+
+        challengeReceived: safely(async (challengerId, opponentId, challenge) => {
+            hub.send(opponentId, 'challenge_received', { by: await withPseudo(challengerId), challenge });
+        }),
+
+        // Défi relevé, expiré ou annulé, mis en forme pour chacun de ses participants
+        challengeResolved: safely(async (userId, challenge) => {
+            hub.send(userId, 'challenge_resolved', challenge);
+        }),
+
+        projectInvitation: safely(async (ownerId, collaboratorId, projectId, title) => {
+            hub.send(collaboratorId, 'project_invitation', { by: await withPseudo(ownerId), projectId, title });
+        }),
+
+        // Sanction d'un administrateur : dernier événement avant la fermeture des flux de l'utilisateur
+        accountSanctioned: safely(async (userId, sanction) => {
+            hub.close(userId, 'account_sanctioned', sanction);
+        }),
+
+        // Restriction (signalements répétés) : le compte reste connecté mais ne peut plus interagir
+        accountRestricted: safely(async (userId, restriction) => {
+            hub.send(userId, 'account_restricted', restriction);
+        }),
+
+        // Clôture d'un signalement par la modération, envoyée à son auteur
+        reportResolved: safely(async (reporterId, report) => {
+            hub.send(reporterId, 'report_resolved', report);
+        }),
+
+        pseudoReset: safely(async (userId, pseudo) => {
+            hub.send(userId, 'pseudo_reset', { pseudo });
+        }),
+
+        // Fin de la génération d'un export de données : data_export_ready ou data_export_failed
+        dataExportFinished: safely(async (userId, dataExport) => {
+            hub.send(userId, `data_export_${dataExport.status}`, dataExport);
+        }),
+
+        // L'état en ligne suit `online_status` et la dernière activité suit `last_seen`
+        presenceChanged: safely(async (userId, presence) => {
+            const friendIds = await repos.friendships.listFriendIds(userId);
+            await Promise.all(friendIds.filter(hub.isConnected).map(async (friendId) => {
+                const visiblePresence = await visibility.redactPresence(userId, friendId, presence);
+                if (Object.keys(visiblePresence).length > 0) {
+                    hub.send(friendId, 'presence', { userId, ...visiblePresence });
+                }
+            }));
+        })
+    };
+};
@@ -0,0 +1,139 @@
+// src/games.js
+// Registre des jeux : règles de classement et de validation des scores.
+
+export const SORT_DIRECTIONS = ['desc', 'asc'];
+export const SCORE_FORMATS = ['integer', 'decimal', 'duration'];
+export const SCORE_POLICIES = ['keep_best', 'keep_latest'];
+
+const GAME_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Règles appliquées aux jeux absents du registre (comportement historique :
+ * plus haut score meilleur, dernier score conservé, pas de bornes).
+ * Les champs anti-triche : `reviewThreshold` (un score meilleur part en revue),
+ * `maxImprovementFactor` (un progrès plus fort que ce facteur part en revue),
+ * `maxSubmissionsPerMinute` (null : limite par défaut du serveur),
+ * `signingSecret` et `requireSignature` (soumissions signées par HMAC).
+ */
+export const DEFAULT_GAME_RULES = Object.freeze({
+    sortDirection: 'desc',
+    unit: '',
+    format: 'decimal',
+    minScore: 0,
+    maxScore: null,
+    policy: 'keep_latest',
+    reviewThreshold: null,
+    maxImprovementFactor: null,
+    maxSubmissionsPerMinute: null,
+    signingSecret: null,
+    requireSignature: false
+});
+
+export const isValidGameId = (gameId) => typeof gameId === 'string' && GAME_ID_PATTERN.test(gameId);
+
+/**
+ * Valide la définition d'un jeu envoyée par un administrateur.
+ * @param {object} definition - { name, sortDirection?, unit?, format?, minScore?, maxScore?, policy?,
+ *   reviewThreshold?, maxImprovementFactor?, maxSubmissionsPerMinute?, signingSecret?, requireSignature? }
+ * @returns {{ error: string }|{ value: object }} La définition complétée par les valeurs par défaut.
+ */
+export const validateGameDefinition = (definition) => {
+    const game = { ...DEFAULT_GAME_RULES, ...definition };
+    const { name, sortDirection, unit, format, minScore, maxScore, policy } = game;
+    const { reviewThreshold, maxImprovementFactor, maxSubmissionsPerMinute, signingSecret, requireSignature } = game;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 60) {
+        return { error: 'Le nom du jeu est requis (60 caractères maximum).' };
+    }
+    if (!SORT_DIRECTIONS.includes(sortDirection)) {
+        return { error: `Le sens de classement doit être l'un de : ${SORT_DIRECTIONS.join(', ')}.` };
+    }
+    if (typeof unit !== 'string' || unit.length > 20) {
+        return { error: 'L\'unité doit être un texte de 20 caractères maximum.' };
+    }
+    if (!SCORE_FORMATS.includes(format)) {
+        return { error: `Le format doit être l'un de : ${SCORE_FORMATS.join(', ')}.` };
+    }
+    if (!SCORE_POLICIES.includes(policy)) {
+        return { error: `La politique de conservation doit être l'une de : ${SCORE_POLICIES.join(', ')}.` };
+    }
+    for (const [field, value] of [['minScore', minScore], ['maxScore', maxScore], ['reviewThreshold', reviewThreshold]]) {
+        if (value !== null && (typeof value !== 'number' || !isFinite(value))) {
+            return { error: `${field} doit être un nombre ou null.` };
+        }
+    }
+    if (minScore !== null && maxScore !== null && minScore > maxScore) {
+        return { error: 'minScore doit être inférieur ou égal à maxScore.' };
+    }
+    if (maxImprovementFactor !== null && (typeof maxImprovementFactor !== 'number' || !(maxImprovementFactor > 1))) {
+        return { error: 'maxImprovementFactor doit être un nombre supérieur à 1 ou null.' };
+    }
+    if (maxSubmissionsPerMinute !== null && (!Number.isInteger(maxSubmissionsPerMinute) || maxSubmissionsPerMinute < 1)) {
+        return { error: 'maxSubmissionsPerMinute doit être un entier positif ou null.' };
+    }
+    if (signingSecret !== null && (typeof signingSecret !== 'string' || signingSecret.length < 16)) {
+        return { error: 'signingSecret doit être un texte d\'au moins 16 caractères ou null.' };
+    }
+    if (typeof requireSignature !== 'boolean') {
+        return { error: 'requireSignature doit être un booléen.' };
+    }
+    if (requireSignature && !signingSecret) {
+        return { error: 'requireSignature nécessite un signingSecret.' };
+    }
+
+    return {
+        value: {
+            name: name.trim(), sortDirection, unit, format, minScore, maxScore, policy,
+            reviewThreshold, maxImprovementFactor, maxSubmissionsPerMinute, signingSecret, requireSignature
+        }
+    };
+};
+
+/**
+ * @param {object} game - Les règles du jeu.
+ * @returns {Function} (a, b) => vrai si le score a est meilleur que b.
+ */
+export const isBetterFor = (game) =>
+    game.sortDirection === 'asc' ? (a, b) => a < b : (a, b) => a > b;
+
+/**
+ * Vérifie qu'un score respecte le format et les bornes plausibles du jeu.
+ * @returns {string|null} Le message d'erreur, ou null si le score est acceptable.
+ */
+export const checkScore = (game, score) => {
+    if (game.format === 'integer' && !Number.isInteger(score)) {
+        return 'Le score de ce jeu doit être un nombre entier.';
+    }
+    if (game.minScore !== null && score < game.minScore) {
+        return `Le score doit être supérieur ou égal à ${game.minScore}.`;
+    }
+    if (game.maxScore !== null && score > game.maxScore) {
+        return `Le score doit être inférieur ou égal à ${game.maxScore}.`;
+    }
+    return null;
+};
+
+/**
+ * Indique si un nouveau score doit remplacer le score courant du joueur.
+ * @param {object} game - Les règles du jeu.
+ * @param {number|null} current - Le score courant (null s'il n'y en a pas).
+ * @param {number} score - Le nouveau score.
+ */
+export const shouldReplaceCurrent = (game, current, score) =>
+    game.policy === 'keep_latest' || current === null || isBetterFor(game)(score, current);
+
+/**
+ * Met en forme un score pour l'affichage (ex: "1 250 points", "1:02.350").
+ * Le format 'duration' interprète le score comme des millisecondes.
+ */
+export const formatScore = (game, score) => {
+    if (game.format === 'duration') {
+        const totalMs = Math.round(score);
+        const minutes = Math.floor(totalMs / 60000);
+        const seconds = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+    }
+    const value = game.format === 'integer' ? Math.round(score).toString() : String(Math.round(score * 100) / 100);
+    return game.unit ? `${value} ${game.unit}` : value;
+};
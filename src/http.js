@@ -0,0 +1,35 @@
+// src/http.js
+// Utilitaires HTTP partagés par toutes les routes du backend
+
+// Code d'erreur utilisé quand une route n'en précise pas, selon le statut HTTP
+const DEFAULT_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR'
+};
+
+// Toutes les réponses du backend ont la même structure { success, message, data }.
+// Les erreurs ont en plus un `code` stable (ex: USER_NOT_FOUND), destiné aux clients :
+// le message, lui, est rédigé pour l'utilisateur et peut changer.
+export const sendResponse = (res, statusCode, success, message, data = null, code = null) => {
+    const body = { success, message, data };
+    if (!success) body.code = code || DEFAULT_ERROR_CODES[statusCode] || 'ERROR';
+    res.status(statusCode).json(body);
+};
+
+/**
+ * Envoie une erreur avec son code stable.
+ * @param {object} res
+ * @param {number} statusCode - Le statut HTTP.
+ * @param {string} code - Le code d'erreur (ex: 'USER_NOT_FOUND').
+ * @param {string} message - Le message pour l'utilisateur.
+ * @param {*} [data] - Les détails utiles au client (jamais les détails internes d'une erreur serveur).
+ */
+export const sendError = (res, statusCode, code, message, data = null) =>
+    sendResponse(res, statusCode, false, message, data, code);
@@ -0,0 +1,54 @@
+// src/invites.js
+// Règles des codes d'invitation : options (expiration, nombre d'utilisations, amitié immédiate)
+// et état d'un code à un instant donné.
+
+export const INVITE_CODE_LIMITS = { maxExpiresInDays: 365, maxUses: 1000 };
+
+/**
+ * Valide les options d'un nouveau code d'invitation.
+ * @param {object} options - { expiresInDays?, maxUses?, instantFriendship? }
+ * @param {number} now - La date de création (ms).
+ * @returns {{ error: string }|{ value: { expiresAt: number|null, maxUses: number|null, instantFriendship: boolean } }}
+ */
+export const validateInviteOptions = ({ expiresInDays, maxUses, instantFriendship } = {}, now = Date.now()) => {
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+        if (typeof expiresInDays !== 'number' || !(expiresInDays > 0) || expiresInDays > INVITE_CODE_LIMITS.maxExpiresInDays) {
+            return { error: `expiresInDays doit être un nombre de jours entre 0 et ${INVITE_CODE_LIMITS.maxExpiresInDays}.` };
+        }
+    }
+    if (maxUses !== undefined && maxUses !== null) {
+        if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_CODE_LIMITS.maxUses) {
+            return { error: `maxUses doit être un entier entre 1 et ${INVITE_CODE_LIMITS.maxUses}.` };
+        }
+    }
+    if (instantFriendship !== undefined && typeof instantFriendship !== 'boolean') {
+        return { error: 'instantFriendship doit être un booléen.' };
+    }
+    return {
+        value: {
+            expiresAt: expiresInDays ? now + Math.round(expiresInDays * 24 * 60 * 60 * 1000) : null,
+            maxUses: maxUses || null,
+            instantFriendship: instantFriendship === true
+        }
+    };
+};
+
+/**
+ * État d'un code d'invitation.
+ * @param {object|null} invite - L'entrée de l'index `inviteCodes`.
+ * @returns {'unknown'|'revoked'|'expired'|'exhausted'|'active'}
+ */
+export const inviteCodeStatus = (invite, now = Date.now()) => {
+    if (!invite) return 'unknown';
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt && invite.expiresAt <= now) return 'expired';
+    if (invite.maxUses && (invite.uses || 0) >= invite.maxUses) return 'exhausted';
+    return 'active';
+};
+
+/**
+ * Met un code saisi par l'utilisateur sous sa forme indexée (majuscules).
+ * @returns {string|null} Le code, ou null s'il ne peut pas être un code d'invitation.
+ */
+export const normalizeInviteCode = (code) =>
+    (typeof code === 'string' && /^[A-Za-z0-9]{4,32}$/.test(code.trim()) ? code.trim().toUpperCase() : null);
@@ -0,0 +1,95 @@
+// src/leaderboards.js
+// Classements globaux par jeu : fenêtres temporelles, ordre de classement et pagination par curseur.
+
+import { bucketStart } from './stats.js';
+
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'alltime'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Clé de la période d'une fenêtre contenant `timestamp` (UTC) :
+ * '2024-05-17' (jour), '2024-05-13' (lundi de la semaine), '2024-05' (mois) ou 'all'.
+ * @param {string} window - Une des LEADERBOARD_WINDOWS.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export const periodKey = (window, timestamp) => {
+    switch (window) {
+        case 'daily':
+            return new Date(bucketStart(timestamp, 'day')).toISOString().slice(0, 10);
+        case 'weekly':
+            return new Date(bucketStart(timestamp, 'week')).toISOString().slice(0, 10);
+        case 'monthly':
+            return new Date(bucketStart(timestamp, 'month')).toISOString().slice(0, 7);
+        default:
+            return 'all';
+    }
+};
+
+/**
+ * Ordre du classement : meilleur score d'abord ; à égalité, le premier à l'avoir atteint ;
+ * puis l'ID pour un ordre total et stable.
+ * @param {Function} isBetter - (a, b) => vrai si le score a est meilleur que b.
+ * @returns {Function} Un comparateur d'entrées { userId, score, achievedAt }.
+ */
+export const compareEntries = (isBetter) => (a, b) => {
+    if (a.score !== b.score) return isBetter(a.score, b.score) ? -1 : 1;
+    if (a.achievedAt !== b.achievedAt) return a.achievedAt - b.achievedAt;
+    return a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0;
+};
+
+/**
+ * Clé de classement d'une entrée : l'ordre alphabétique des clés est celui de compareEntries pour le sens
+ * de classement du jeu, ce qui permet de lire un classement dans l'ordre et page par page avec une requête indexée.
+ * Le score est encodé sur 16 caractères hexadécimaux (double IEEE 754 réordonné), suivi de la date à laquelle
+ * il a été atteint et de l'ID du joueur.
+ * @param {{ userId: string, score: number, achievedAt: number }} entry
+ * @param {string} sortDirection - 'asc' ou 'desc' (voir src/games.js).
+ * @returns {string}
+ */
+export const rankKey = (entry, sortDirection) => {
+    const bytes = Buffer.alloc(8);
+    bytes.writeDoubleBE(entry.score + 0); // + 0 ramène -0 à 0
+    // Positifs : bit de signe levé ; négatifs : tous les bits inversés. L'ordre des octets suit alors celui des nombres,
+    // et l'inversion complète place en tête les plus grands pour un classement décroissant.
+    const negative = (bytes[0] & 0x80) !== 0;
+    if (!negative) bytes[0] |= 0x80;
+    if (negative !== (sortDirection !== 'asc')) {
+        for (let i = 0; i < bytes.length; i++) bytes[i] = ~bytes[i] & 0xff;
+    }
+    return `${bytes.toString('hex')}:${String(entry.achievedAt).padStart(15, '0')}:${entry.userId}`;
+};
+
+/**
+ * Curseur de pagination : la dernière entrée de la page précédente et son rang.
+ * @param {{ userId: string, score: number, achievedAt: number, rank: number }} entry
+ * @returns {string}
+ */
+export const encodeCursor = (entry) =>
+    Buffer.from(JSON.stringify([entry.score, entry.achievedAt, entry.userId, entry.rank])).toString('base64url');
+
+/**
+ * @returns {object|null} L'entrée encodée dans le curseur ({ userId, score, achievedAt, rank }), ou null s'il est invalide.
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const [score, achievedAt, userId, rank] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof score !== 'number' || typeof achievedAt !== 'number' || typeof userId !== 'string') return null;
+        if (!Number.isInteger(rank) || rank < 1) return null;
+        return { score, achievedAt, userId, rank };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Normalise la taille de page demandée.
+ * @returns {number|null} La taille, ou null si elle est invalide.
+ */
+export const parsePageSize = (limit) => {
+    if (limit === undefined) return DEFAULT_PAGE_SIZE;
+    const size = Number(limit);
+    return Number.isInteger(size) && size >= 1 && size <= MAX_PAGE_SIZE ? size : null;
+};
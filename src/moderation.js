@@ -0,0 +1,129 @@
+// src/moderation.js
+// Signalements des utilisateurs et file de modération : dépôt d'un signalement, restriction automatique
+// d'un compte signalé par plusieurs utilisateurs indépendants, et clôture des signalements par un administrateur.
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'inappropriate_content', 'impersonation', 'other'];
+export const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+export const REPORT_DECISIONS = ['actioned', 'dismissed'];
+export const REPORT_TARGET_TYPES = ['user', 'message'];
+// Auteur des sanctions et des entrées du journal d'audit décidées sans administrateur
+export const SYSTEM_ACTOR = 'system';
+
+/**
+ * Deux signalements visent-ils le même contenu (le même message, ou le profil du même utilisateur) ?
+ */
+const sameContent = (a, b) => a.targetUserId === b.targetUserId && a.targetType === b.targetType
+    && (a.targetType === 'user' || a.messageId === b.messageId);
+
+/**
+ * Crée le service de modération.
+ * @param {object} deps
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.events - Le publieur d'événements (voir src/events.js).
+ * @param {Function} deps.isAdmin - (userId) => Promise<boolean> ; un administrateur n'est jamais restreint.
+ * @param {number} deps.threshold - Nombre de signalants distincts qui déclenche la restriction automatique.
+ * @param {number} deps.restrictionMs - Durée de la restriction automatique.
+ * @returns {object} Le service.
+ */
+export const createModerationService = ({ repos, events, isAdmin, threshold, restrictionMs }) => {
+    /**
+     * Restreint le compte visé si au moins `threshold` utilisateurs distincts ont un signalement ouvert contre lui.
+     * Seuls comptent les signalements déposés après la précédente restriction automatique : une fois celle-ci
+     * terminée, il faut de nouveaux signalements pour en déclencher une autre. Les signalements dont l'auteur a
+     * supprimé son compte ne comptent pas. Un compte déjà sanctionné n'est pas touché.
+     * @returns {Promise<object|null>} La restriction appliquée.
+     */
+    const restrictIfReported = async (targetUserId, reports, now) => {
+        if (await repos.sanctions.getActive(targetUserId, now)) return null;
+        const previous = await repos.sanctions.get(targetUserId);
+        const since = previous && previous.createdBy === SYSTEM_ACTOR ? previous.createdAt : 0;
+        const reporterIds = new Set(reports
+            .filter(report => report.status === 'open' && report.createdAt > since && report.reporterId)
+            .map(report => report.reporterId));
+        if (reporterIds.size < threshold || await isAdmin(targetUserId)) return null;
+
+        const restriction = {
+            type: 'restriction',
+            reason: `Compte signalé par ${reporterIds.size} utilisateurs, en attente de modération.`,
+            createdAt: now,
+            createdBy: SYSTEM_ACTOR,
+            expiresAt: now + restrictionMs
+        };
+        await repos.sanctions.set(targetUserId, restriction);
+        await repos.auditLog.record({
+            adminId: SYSTEM_ACTOR,
+            action: 'user.restriction',
+            targetType: 'user',
+            targetId: targetUserId,
+            details: { reporters: reporterIds.size, automatic: true },
+            at: now
+        });
+        events.accountRestricted(targetUserId, { reason: restriction.reason, expiresAt: restriction.expiresAt });
+        return restriction;
+    };
+
+    /**
+     * Lève la restriction automatique d'un compte quand la modération n'a plus rien contre lui :
+     * aucun signalement ouvert, et aucun retenu ('actioned') depuis le début de la restriction.
+     * @returns {Promise<boolean>} Vrai si la restriction a été levée.
+     */
+    const liftRestrictionIfCleared = async (targetUserId, now) => {
+        const sanction = await repos.sanctions.getActive(targetUserId, now);
+        if (!sanction || sanction.type !== 'restriction' || sanction.createdBy !== SYSTEM_ACTOR) return false;
+        const reports = await repos.reports.listAgainst(targetUserId);
+        const pending = reports.some(report => report.status === 'open'
+            || (report.status === 'actioned' && report.resolvedAt >= sanction.createdAt));
+        if (pending) return false;
+        await repos.sanctions.remove(targetUserId);
+        return true;
+    };
+
+    return {
+        threshold,
+        restrictionMs,
+
+        /**
+         * Enregistre un signalement, sauf si le même utilisateur a déjà un signalement ouvert sur le même contenu,
+         * puis applique au besoin la restriction automatique.
+         * @param {object} report - Voir src/repositories/reports.js (sans `status`).
+         * @returns {Promise<{ duplicate: object }|{ reportId: string, restriction: object|null }>}
+         */
+        file: async (report) => {
+            const against = await repos.reports.listAgainst(report.targetUserId);
+            const duplicate = against.find(existing => existing.status === 'open'
+                && existing.reporterId === report.reporterId && sameContent(existing, report));
+            if (duplicate) return { duplicate };
+
+            const record = { ...report, status: 'open' };
+            const reportId = await repos.reports.create(record);
+            const restriction = await restrictIfReported(report.targetUserId, [...against, { id: reportId, ...record }], report.createdAt);
+            return { reportId, restriction };
+        },
+
+        /**
+         * Clôt un signalement ouvert (et, avec `includeSameContent`, les autres signalements ouverts sur le
+         * même contenu). Chaque signalant encore inscrit est prévenu par l'événement report_resolved.
+         * @param {object} report - Le signalement, avec son ID.
+         * @param {object} resolution - { decision: 'actioned'|'dismissed', resolvedBy, note?, includeSameContent? }
+         * @returns {Promise<{ reportIds: string[], restrictionLifted: boolean }>}
+         */
+        resolve: async (report, { decision, resolvedBy, note, includeSameContent }) => {
+            const now = Date.now();
+            const reports = includeSameContent
+                ? (await repos.reports.listAgainst(report.targetUserId))
+                    .filter(other => other.status === 'open' && sameContent(other, report))
+                : [report];
+            const reportIds = reports.map(closed => closed.id);
+            await repos.reports.resolve(reportIds, { status: decision, resolvedBy, resolvedAt: now, note });
+
+            reports.filter(closed => closed.reporterId).forEach(closed => events.reportResolved(closed.reporterId, {
+                id: closed.id,
+                targetType: closed.targetType,
+                status: decision,
+                resolvedAt: now
+            }));
+            const restrictionLifted = await liftRestrictionIfCleared(report.targetUserId, now);
+            return { reportIds, restrictionLifted };
+        }
+    };
+};
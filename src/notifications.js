@@ -0,0 +1,172 @@
+// src/notifications.js
+// Boîte de notifications persistante : les routes d'amis, de messages et de scores y déposent les événements
+// qui concernent un utilisateur, pour qu'il les retrouve à sa prochaine connexion. Chaque notification
+// enregistrée est aussi transmise en temps réel (événement SSE `notification`).
+
+import { periodKey } from './leaderboards.js';
+
+export const NOTIFICATION_TYPES = [
+    'friend_request_received',
+    'friend_request_accepted',
+    'friend_added', // Amitié immédiate par un code d'invitation
+    'message',
+    'group_message',
+    'score_beaten', // Un ami a dépassé le meilleur score de l'utilisateur sur un jeu
+    'challenge_received',
+    'challenge_resolved' // Défi relevé, expiré ou annulé (voir src/challenges.js)
+];
+
+const PREVIEW_LENGTH = 100;
+
+const preview = (message) => (message.length > PREVIEW_LENGTH ? `${message.slice(0, PREVIEW_LENGTH - 1)}…` : message);
+
+/**
+ * Met en forme une notification pour son destinataire.
+ */
+export const formatNotification = (notification) => ({
+    id: notification.id,
+    type: notification.type,
+    data: notification.data || {},
+    createdAt: notification.createdAt,
+    read: Boolean(notification.read),
+    readAt: notification.readAt ?? null,
+    count: notification.count || 1
+});
+
+/**
+ * Crée le service des notifications.
+ * @param {object} deps
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.hub - Le concentrateur SSE (voir src/events.js).
+ * @param {object} deps.visibility - Le filtre de visibilité (voir src/visibility.js).
+ * @param {number} deps.ttlMs - Âge au-delà duquel une notification est supprimée.
+ * @returns {object} Les fonctions de notification, à appeler après chaque écriture réussie.
+ */
+export const createNotificationService = ({ repos, hub, visibility, ttlMs }) => {
+    const withPseudo = async (userId) => ({ id: userId, pseudo: await repos.users.getPseudo(userId) });
+
+    /**
+     * Supprime les notifications de l'utilisateur plus anciennes que la durée de conservation.
+     * @returns {Promise<number>} Le nombre de notifications supprimées.
+     */
+    const prune = (userId) => repos.notifications.pruneOlderThan(userId, Date.now() - ttlMs);
+
+    /**
+     * Enregistre une notification, sauf si l'utilisateur a coupé ce type, et supprime au passage ses
+     * notifications trop anciennes.
+     * @param {string} userId - Le destinataire.
+     * @param {string} type - Voir NOTIFICATION_TYPES.
+     * @param {object} data
+     * @param {string} [collapseKey] - Regroupe avec la notification non lue de même clé.
+     */
+    const deliver = async (userId, type, data, collapseKey) => {
+        if (await repos.notifications.isMuted(userId, type)) return;
+
+        const now = Date.now();
+        const previous = collapseKey ? await repos.notifications.findUnreadByCollapseKey(userId, collapseKey) : null;
+        const notification = {
+            type,
+            data,
+            createdAt: now,
+            read: false,
+            ...(collapseKey ? { collapseKey, count: previous ? (previous.count || 1) + 1 : 1 } : {})
+        };
+        const notificationId = await repos.notifications.add(userId, notification, previous ? previous.id : undefined);
+        await prune(userId);
+        hub.send(userId, 'notification', formatNotification({ id: notificationId, ...notification }));
+    };
+
+    // Comme les événements temps réel, les notifications ne doivent jamais faire échouer la requête qui les déclenche
+    const safely = (notify) => async (...args) => {
+        try {
+            await notify(...args);
+        } catch (error) {
+            console.error('Erreur lors de l\'enregistrement d\'une notification :', error);
+        }
+    };
+
+    return {
+        prune,
+
+        friendRequestReceived: safely(async (receiverId, senderId) => {
+            if (await repos.friendships.isBlockedEitherWay(senderId, receiverId)) return;
+            await deliver(receiverId, 'friend_request_received', { from: await withPseudo(senderId) });
+        }),
+
+        friendRequestAccepted: safely(async (receiverId, senderId) => {
+            await deliver(senderId, 'friend_request_accepted', { by: await withPseudo(receiverId) });
+        }),
+
+        friendAdded: safely(async (ownerId, userId) => {
+            await deliver(ownerId, 'friend_added', { user: await withPseudo(userId), via: 'invite_code' });
+        }),
+
+        // Un message par conversation tant que l'utilisateur ne l'a pas lue, avec le nombre de messages reçus
+        messageReceived: safely(async (senderId, receiverId, sentMessage) => {
+            if (await repos.friendships.isBlockedEitherWay(senderId, receiverId)) return;
+            await deliver(receiverId, 'message', {
+                from: await withPseudo(senderId),
+                conversationId: sentMessage.conversationId,
+                messageId: sentMessage.id,
+                preview: preview(sentMessage.message)
+            }, sentMessage.conversationId);
+        }),
+
+        groupMessageReceived: safely(async (memberIds, group, sentMessage) => {
+            const { senderId, conversationId: groupId } = sentMessage;
+            const from = await withPseudo(senderId);
+            await Promise.all(memberIds.filter(memberId => memberId !== senderId).map(async (memberId) => {
+                if (await repos.friendships.hasBlocked(memberId, senderId)) return;
+                await deliver(memberId, 'group_message', {
+                    from,
+                    groupId,
+                    groupName: group.name ?? null,
+                    messageId: sentMessage.id,
+                    preview: preview(sentMessage.message)
+                }, groupId);
+            }));
+        }),
+
+        /**
+         * Prévient les amis dont le meilleur score sur le jeu vient d'être dépassé par `userId` (et ne l'était pas
+         * par son meilleur score précédent), s'ils sont autorisés à voir ses scores.
+         * @param {string} userId
+         * @param {string} gameId
+         * @param {number} score - Le score enregistré.
+         * @param {number|null} previousBest - Le meilleur score de `userId` avant celui-ci.
+         * @param {Function} isBetter - (a, b) => vrai si a est meilleur que b (voir isBetterFor).
+         */
+        scoreBeaten: safely(async (userId, gameId, score, previousBest, isBetter) => {
+            if (previousBest !== null && !isBetter(score, previousBest)) return;
+            const key = periodKey('alltime', Date.now());
+            const friendIds = await repos.friendships.listFriendIds(userId);
+            let by = null;
+            await Promise.all(friendIds.map(async (friendId) => {
+                const entry = await repos.leaderboards.getEntry(gameId, 'alltime', key, friendId);
+                const friendBest = entry ? entry.score : null;
+                if (friendBest === null || !isBetter(score, friendBest)) return;
+                if (previousBest !== null && isBetter(previousBest, friendBest)) return; // Déjà dépassé auparavant
+                if (!await visibility.canView(userId, friendId, 'game_scores')) return;
+                by = by || await withPseudo(userId);
+                await deliver(friendId, 'score_beaten', { by, gameId, score, yourBest: friendBest });
+            }));
+        }),
+
+        challengeReceived: safely(async (opponentId, challengerId, challenge) => {
+            await deliver(opponentId, 'challenge_received', { by: await withPseudo(challengerId), challenge });
+        }),
+
+        // `challenge` est mis en forme pour `userId` (voir formatChallenge)
+        challengeResolved: safely(async (userId, challenge) => {
+            const friendId = challenge.role === 'challenger' ? challenge.opponentId : challenge.challengerId;
+            await deliver(userId, 'challenge_resolved', { friend: await withPseudo(friendId), challenge });
+        }),
+
+        /**
+         * Marque comme lues les notifications d'une conversation que l'utilisateur vient de lire.
+         */
+        conversationRead: safely(async (userId, conversationId) => {
+            await repos.notifications.markAllRead(userId, Date.now(), conversationId);
+        })
+    };
+};
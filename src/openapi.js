@@ -0,0 +1,211 @@
+// src/openapi.js
+// Génération du document OpenAPI 3.0 de l'API, à partir du catalogue des routes (src/routes.js)
+// et des schémas des requêtes (src/schemas.js) : la documentation suit le code sans être réécrite.
+
+import { ID_PATTERN } from './validation.js';
+import { parseRoutePath } from './routes.js';
+
+const JSON_TYPE = 'application/json';
+
+// Structure commune à toutes les réponses (voir src/http.js)
+const COMPONENTS = {
+    securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'ID token Firebase, ou jeton local en AUTH_MODE=local.' }
+    },
+    schemas: {
+        Envelope: {
+            type: 'object',
+            required: ['success', 'message', 'data'],
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string', description: 'Message destiné à l\'utilisateur, susceptible de changer.' },
+                data: { nullable: true, description: 'Les données de la réponse, propres à chaque route.' }
+            }
+        },
+        Error: {
+            type: 'object',
+            required: ['success', 'message', 'data', 'code'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                message: { type: 'string' },
+                data: { nullable: true },
+                code: { type: 'string', description: 'Code d\'erreur stable, ex: USER_NOT_FOUND, VALIDATION_ERROR.' }
+            }
+        },
+        ValidationError: {
+            allOf: [
+                { $ref: '#/components/schemas/Error' },
+                {
+                    type: 'object',
+                    properties: {
+                        data: {
+                            type: 'object',
+                            properties: {
+                                errors: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { field: { type: 'string', example: 'body.userId' }, message: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            ]
+        }
+    },
+    responses: {
+        ValidationError: { description: 'Requête invalide (VALIDATION_ERROR, INVALID_JSON...).', content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/ValidationError' } } } },
+        Unauthenticated: { description: 'Jeton absent, invalide ou expiré.', content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } } },
+        AdminRequired: { description: 'Accès réservé aux administrateurs (ADMIN_REQUIRED).', content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } } },
+        RateLimited: {
+            description: 'Trop de requêtes (RATE_LIMITED).',
+            headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Délai en secondes avant de réessayer.' } },
+            content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        Error: { description: 'Erreur, avec son code stable.', content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } } }
+    }
+};
+
+/**
+ * Convertit un champ de schéma de requête (voir src/validation.js) en schéma OpenAPI.
+ */
+const fieldSchema = (spec) => {
+    const schema = {};
+    switch (spec.type) {
+        case 'id':
+            Object.assign(schema, { type: 'string', pattern: ID_PATTERN.source });
+            break;
+        case 'string':
+            schema.type = 'string';
+            if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+            if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+            if (spec.pattern) schema.pattern = spec.pattern.source;
+            break;
+        case 'integer':
+        case 'number':
+            schema.type = spec.type;
+            if (spec.min !== undefined) schema.minimum = spec.min;
+            if (spec.max !== undefined) schema.maximum = spec.max;
+            break;
+        case 'boolean':
+            schema.type = 'boolean';
+            break;
+        case 'enum':
+            Object.assign(schema, { type: 'string', enum: spec.values });
+            break;
+        case 'array':
+            Object.assign(schema, { type: 'array', items: fieldSchema(spec.items) });
+            if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+            break;
+        default:
+            break;
+    }
+    if (spec.nullable) schema.nullable = true;
+    if (spec.default !== undefined) schema.default = spec.default;
+    return schema;
+};
+
+const isRequired = (spec) => !spec.optional && spec.default === undefined;
+
+const SECURITY = {
+    none: [],
+    optional: [{}, { bearerAuth: [] }],
+    user: [{ bearerAuth: [] }],
+    admin: [{ bearerAuth: [] }]
+};
+
+/**
+ * Décrit une opération (une route sous l'un de ses chemins).
+ * Les paramètres du chemin sont pris dans `params` du schéma, ou dans `body` pour les routes /v1
+ * dont le chemin reprend des champs du corps historique ; le reste du corps forme le corps de la requête.
+ */
+const buildOperation = (name, route, schema, parsed, { legacy }) => {
+    const pathFields = { ...(schema.body || {}), ...(schema.params || {}) };
+    const parameters = parsed.params.map(param => ({
+        name: param,
+        in: 'path',
+        required: true,
+        schema: pathFields[param] ? fieldSchema(pathFields[param]) : { type: 'string' }
+    }));
+    for (const [param, spec] of Object.entries(schema.query || {})) {
+        parameters.push({ name: param, in: 'query', required: isRequired(spec), schema: fieldSchema(spec) });
+    }
+
+    const operation = {
+        operationId: legacy ? `${name}Legacy` : name,
+        tags: [route.tag],
+        summary: route.summary,
+        security: SECURITY[route.auth]
+    };
+    if (legacy && route.v1) {
+        operation.deprecated = true;
+        operation.description = `Alias historique de ${route.v1.replace(/:(\w+)/g, '{$1}')}, conservé pour les versions installées de l'extension.`;
+    }
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    const bodyFields = Object.entries(schema.body || {}).filter(([field]) => !parsed.params.includes(field));
+    if (bodyFields.length > 0 && parsed.method !== 'get') {
+        const required = bodyFields.filter(([, spec]) => isRequired(spec)).map(([field]) => field);
+        operation.requestBody = {
+            required: required.length > 0,
+            content: {
+                [JSON_TYPE]: {
+                    schema: {
+                        type: 'object',
+                        properties: Object.fromEntries(bodyFields.map(([field, spec]) => [field, fieldSchema(spec)])),
+                        ...(required.length > 0 ? { required } : {})
+                    }
+                }
+            }
+        };
+    }
+
+    const success = route.stream
+        ? { description: 'Flux Server-Sent Events.', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        : { description: 'Succès.', content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Envelope' } } } };
+    operation.responses = { [String(route.status || 200)]: success };
+    if (parameters.length > 0 || operation.requestBody) operation.responses['400'] = { $ref: '#/components/responses/ValidationError' };
+    if (route.auth !== 'none') operation.responses['401'] = { $ref: '#/components/responses/Unauthenticated' };
+    if (route.auth === 'admin') operation.responses['403'] = { $ref: '#/components/responses/AdminRequired' };
+    operation.responses['429'] = { $ref: '#/components/responses/RateLimited' };
+    operation.responses.default = { $ref: '#/components/responses/Error' };
+    return operation;
+};
+
+/**
+ * Construit le document OpenAPI de toutes les routes, sous leur chemin /v1 et leur chemin historique.
+ * @param {object} options
+ * @param {object} options.routes - Le catalogue des routes (API_ROUTES).
+ * @param {object} options.schemas - Les schémas des requêtes (ROUTE_SCHEMAS).
+ * @param {object} options.info - Le bloc `info` du document (title, version...).
+ * @returns {object} Le document OpenAPI 3.0.
+ */
+export const buildOpenApiDocument = ({ routes, schemas, info }) => {
+    const paths = {};
+    const tags = [];
+    const addOperation = (parsed, operation) => {
+        const path = parsed.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = { ...paths[path], [parsed.method]: operation };
+    };
+
+    // Les routes /v1 d'abord, puis les alias historiques
+    for (const legacy of [false, true]) {
+        for (const [name, route] of Object.entries(routes)) {
+            const parsed = parseRoutePath(legacy ? route.legacy : route.v1);
+            if (!parsed) continue;
+            if (!tags.includes(route.tag)) tags.push(route.tag);
+            addOperation(parsed, buildOperation(name, route, schemas[name] || {}, parsed, { legacy }));
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: '/' }],
+        tags: tags.map(tag => ({ name: tag })),
+        paths,
+        components: COMPONENTS
+    };
+};
@@ -0,0 +1,75 @@
+// src/presence.js
+// Suivi de présence : en ligne / hors ligne et date de dernière activité (lastSeen).
+// Un utilisateur est en ligne s'il a appelé connect/heartbeat récemment ou s'il a un flux SSE ouvert ;
+// sans signal pendant `timeoutMs`, il passe automatiquement hors ligne.
+
+/**
+ * @param {object} deps
+ * @param {object} deps.repos - Les dépôts (voir src/repositories).
+ * @param {object} deps.events - Le publieur d'événements temps réel.
+ * @param {Function} [deps.isConnected] - Indique si l'utilisateur a un flux SSE ouvert sur cette instance.
+ * @param {number} deps.timeoutMs - Délai sans heartbeat avant le passage hors ligne.
+ * @returns {object} Le service de présence.
+ */
+export const createPresenceService = ({ repos, events, isConnected = () => false, timeoutMs }) => {
+    const setOnline = async (userId) => {
+        const previous = await repos.presence.get(userId);
+        const now = Date.now();
+        await repos.presence.markOnline(userId, now);
+        if (!previous || !previous.online) {
+            events.presenceChanged(userId, { online: true, lastSeen: now });
+        }
+        return { online: true, lastSeen: now };
+    };
+
+    const setOffline = async (userId, lastSeen = Date.now()) => {
+        const previous = await repos.presence.get(userId);
+        if (previous && !previous.online) return previous;
+        await repos.presence.markOffline(userId, lastSeen);
+        events.presenceChanged(userId, { online: false, lastSeen });
+        return { online: false, lastSeen };
+    };
+
+    /**
+     * Passe hors ligne les utilisateurs sans activité depuis `timeoutMs`.
+     * Leur lastSeen est celui de leur dernier heartbeat, pas l'heure du balayage.
+     * @returns {Promise<number>} Le nombre d'utilisateurs passés hors ligne.
+     */
+    const sweep = async () => {
+        const stale = await repos.presence.listStale(Date.now() - timeoutMs);
+        let count = 0;
+        for (const [userId, presence] of stale) {
+            if (isConnected(userId)) {
+                await repos.presence.markOnline(userId, Date.now()); // Le flux SSE tient lieu de heartbeat
+                continue;
+            }
+            await setOffline(userId, presence.lastHeartbeat);
+            count++;
+        }
+        return count;
+    };
+
+    return {
+        timeoutMs,
+
+        connect: setOnline,
+
+        // Un heartbeat d'un utilisateur hors ligne le remet en ligne
+        heartbeat: setOnline,
+
+        disconnect: (userId) => setOffline(userId),
+
+        sweep,
+
+        /**
+         * Lance le balayage périodique. Le minuteur ne retient pas le processus.
+         */
+        start() {
+            const timer = setInterval(() => {
+                sweep().catch(error => console.error('Erreur lors du balayage de présence :', error));
+            }, Math.max(1000, Math.floor(timeoutMs / 2)));
+            timer.unref();
+            return timer;
+        }
+    };
+};
@@ -0,0 +1,41 @@
+// src/pseudos.js
+// Règles des pseudos et forme normalisée utilisée pour l'unicité et la recherche :
+// "Martín", "martin" et "MARTIN" ont la même forme normalisée, "martin".
+
+export const PSEUDO_LIMITS = { min: 3, max: 20 };
+
+// Lettres (accentuées comprises), chiffres, espaces simples, "_" et "-"
+const PSEUDO_PATTERN = /^[\p{L}\p{N}_-]+( [\p{L}\p{N}_-]+)*$/u;
+
+/**
+ * Valide un pseudo.
+ * @returns {string|null} Le message d'erreur, ou null si le pseudo est valide.
+ */
+export const validatePseudo = (pseudo) => {
+    if (typeof pseudo !== 'string' || pseudo.trim() === '') {
+        return 'Le pseudo est requis et ne peut pas être vide.';
+    }
+    const trimmed = pseudo.trim();
+    if (trimmed.length < PSEUDO_LIMITS.min || trimmed.length > PSEUDO_LIMITS.max) {
+        return `Le pseudo doit comporter entre ${PSEUDO_LIMITS.min} et ${PSEUDO_LIMITS.max} caractères.`;
+    }
+    if (!PSEUDO_PATTERN.test(trimmed)) {
+        return 'Le pseudo ne peut contenir que des lettres, des chiffres, "_", "-" et des espaces simples.';
+    }
+    if (!/[\p{L}\p{N}]/u.test(normalizePseudo(trimmed))) {
+        return 'Le pseudo doit contenir au moins une lettre ou un chiffre.';
+    }
+    return null;
+};
+
+/**
+ * Forme normalisée d'un pseudo (ou d'un texte recherché) : sans accents, en minuscules,
+ * espaces regroupés. Elle ne contient aucun caractère interdit dans une clé Realtime Database.
+ */
+export const normalizePseudo = (pseudo) => String(pseudo)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[.$#[\]/]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
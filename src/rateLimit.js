@@ -0,0 +1,88 @@
+// src/rateLimit.js
+// Limitation du débit des requêtes, par adresse IP et par utilisateur, avec des règles par route.
+// Les compteurs sont tenus par un "store" interchangeable : le store en mémoire convient à une
+// instance unique ; plusieurs instances doivent partager un store externe (ex: Redis) qui respecte
+// la même interface.
+
+import { sendError } from './http.js';
+
+/**
+ * Interface d'un store de compteurs :
+ * `hit(key, windowMs, now)` incrémente le compteur de `key` pour la fenêtre en cours (fenêtre fixe
+ * de `windowMs` ms, ouverte au premier appel) et renvoie `Promise<{ count, resetAt }>`.
+ * Avec Redis, cela correspond à INCR puis PEXPIRE lors de la création de la clé.
+ */
+
+/**
+ * Store en mémoire, propre à l'instance du serveur.
+ * @param {object} [options]
+ * @param {number} [options.maxKeys] - Au-delà, les compteurs expirés sont purgés.
+ * @returns {{ hit: Function }}
+ */
+export const createMemoryRateLimitStore = ({ maxKeys = 10000 } = {}) => {
+    const counters = new Map(); // clé -> { count, resetAt }
+
+    return {
+        async hit(key, windowMs, now = Date.now()) {
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count++;
+
+            // Évite que la map grossisse indéfiniment avec des clés inactives
+            if (counters.size > maxKeys) {
+                for (const [otherKey, other] of counters) {
+                    if (other.resetAt <= now) counters.delete(otherKey);
+                }
+            }
+            return { count: counter.count, resetAt: counter.resetAt };
+        }
+    };
+};
+
+/**
+ * Crée le middleware de limitation.
+ * Une règle vaut `{ windowMs, perIp, perUser }` ; une limite nulle ou absente n'est pas appliquée.
+ * Les routes qui ont leur propre règle ont leurs propres compteurs ; toutes les autres partagent
+ * les compteurs de la règle `default`.
+ * @param {object} options
+ * @param {object} options.store - Le store de compteurs (voir plus haut).
+ * @param {object} options.rules - Règles par nom de route (ex: `sendMessage`), plus `default`.
+ * @param {Function} [options.identify] - (req) => Promise<string|null>, l'utilisateur de la requête
+ * pour les limites par utilisateur (null pour une requête anonyme).
+ * @param {Function} [options.routeNameOf] - (req) => string|null, le nom de la route visée. Par défaut,
+ * le premier segment du chemin (routes de la forme /nomDeRoute/:param...).
+ * @returns {Function} Le middleware Express.
+ */
+export const createRateLimiter = ({ store, rules, identify = async () => null, routeNameOf = (req) => req.path.split('/')[1] }) => async (req, res, next) => {
+    const routeName = routeNameOf(req);
+    const ruleName = routeName && Object.prototype.hasOwnProperty.call(rules, routeName) ? routeName : 'default';
+    const rule = rules[ruleName];
+    if (!rule) return next();
+
+    try {
+        const checks = [];
+        if (rule.perIp) checks.push({ key: `${ruleName}:ip:${req.ip}`, limit: rule.perIp });
+        if (rule.perUser) {
+            const userId = await identify(req);
+            if (userId) checks.push({ key: `${ruleName}:user:${userId}`, limit: rule.perUser });
+        }
+
+        const now = Date.now();
+        for (const { key, limit } of checks) {
+            const { count, resetAt } = await store.hit(key, rule.windowMs, now);
+            if (count > limit) {
+                const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+                res.set('Retry-After', String(retryAfter));
+                return sendError(res, 429, 'RATE_LIMITED', `Trop de requêtes. Réessayez dans ${retryAfter} seconde(s).`, { retryAfter });
+            }
+        }
+        next();
+    } catch (error) {
+        // Un store indisponible ne doit pas bloquer le service
+        console.error('Erreur lors de la limitation du débit :', error);
+        next();
+    }
+};
@@ -0,0 +1,83 @@
+// src/repositories/antiCheat.js
+// Données anti-triche : nonces des soumissions signées (`scoreNonces/{gameId}:{nonce}`)
+// et file de revue des scores mis en quarantaine (`scoreReviews/{reviewId}`).
+// Nécessite `.indexOn: ["expiresAt"]` sur `scoreNonces` et `.indexOn: ["status", "userId"]` sur `scoreReviews`.
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createAntiCheatRepository = (store) => ({
+    /**
+     * Réserve un nonce de manière transactionnelle.
+     * @returns {Promise<boolean>} Faux si le nonce a déjà été utilisé (rejeu).
+     */
+    reserveNonce: async (gameId, nonce, expiresAt) => {
+        const { committed } = await store.transaction(`scoreNonces/${gameId}:${nonce}`, (current) => {
+            if (current !== null) return undefined; // Déjà utilisé : annule la transaction
+            return { expiresAt };
+        });
+        return committed;
+    },
+
+    /**
+     * Supprime les nonces expirés.
+     * @returns {Promise<number>} Le nombre de nonces supprimés.
+     */
+    pruneNonces: async (now) => {
+        const expired = await store.query('scoreNonces', { orderBy: 'expiresAt', endAt: now });
+        if (expired.length === 0) return 0;
+        await store.update(Object.fromEntries(expired.map(([key]) => [`scoreNonces/${key}`, null])));
+        return expired.length;
+    },
+
+    /**
+     * @param {object} review - { userId, gameId, submissionId, score, timestamp, reasons, status: 'pending' }
+     * @returns {Promise<string>} L'ID de la revue.
+     */
+    createReview: async (review) => {
+        const reviewId = store.newKey('scoreReviews');
+        await store.set(`scoreReviews/${reviewId}`, review);
+        return reviewId;
+    },
+
+    getReview: (reviewId) => store.get(`scoreReviews/${reviewId}`),
+
+    /**
+     * @returns {Promise<Array<object>>} Les revues dans l'état donné, des plus anciennes aux plus récentes.
+     */
+    listReviews: async (status) => {
+        const entries = await store.query('scoreReviews', { orderBy: 'status', equalTo: status });
+        return entries
+            .map(([id, review]) => ({ id, ...review }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Clôt une revue : 'approved' ou 'rejected'.
+     */
+    resolveReview: (reviewId, status, resolvedBy, resolvedAt) => store.update({
+        [`scoreReviews/${reviewId}/status`]: status,
+        [`scoreReviews/${reviewId}/resolvedBy`]: resolvedBy,
+        [`scoreReviews/${reviewId}/resolvedAt`]: resolvedAt
+    }),
+
+    /**
+     * Calcule la suppression des revues d'un utilisateur supprimé.
+     * @returns {Promise<object>} Les mises à jour multi-chemins.
+     */
+    collectUserDeletionUpdates: async (userId) => {
+        const entries = await store.query('scoreReviews', { orderBy: 'userId', equalTo: userId });
+        return Object.fromEntries(entries.map(([reviewId]) => [`scoreReviews/${reviewId}`, null]));
+    },
+
+    /**
+     * Calcule la suppression des revues d'un utilisateur pour certains jeux (scores effacés).
+     * @returns {Promise<object>} Les mises à jour multi-chemins.
+     */
+    collectScoreDeletionUpdates: async (userId, gameIds) => {
+        const entries = await store.query('scoreReviews', { orderBy: 'userId', equalTo: userId });
+        return Object.fromEntries(entries
+            .filter(([, review]) => gameIds.includes(review.gameId))
+            .map(([reviewId]) => [`scoreReviews/${reviewId}`, null]));
+    }
+});
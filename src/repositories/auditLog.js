@@ -0,0 +1,50 @@
+// src/repositories/auditLog.js
+// Journal des actions d'administration (branche `adminAuditLog/{entryId}`, clés chronologiques) :
+// { adminId, action, targetType, targetId, details, at }. Les entrées ne sont jamais modifiées ni
+// supprimées, y compris à la suppression du compte visé.
+// Nécessite `.indexOn: ["adminId", "targetId"]` sur `adminAuditLog` avec Realtime Database.
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createAuditLogRepository = (store) => ({
+    /**
+     * @param {object} entry - { adminId, action, targetType, targetId, details, at }
+     * @returns {Promise<string>} L'ID de l'entrée.
+     */
+    record: async (entry) => {
+        const entryId = store.newKey('adminAuditLog');
+        await store.set(`adminAuditLog/${entryId}`, entry);
+        return entryId;
+    },
+
+    /**
+     * Récupère une page d'entrées, de la plus récente à la plus ancienne.
+     * @param {object} options
+     * @param {string} [options.adminId] - Seulement les actions de cet administrateur.
+     * @param {string} [options.targetId] - Seulement les actions visant cet objet (utilisateur, jeu...).
+     * @param {string} [options.before] - Renvoie les entrées antérieures à cet ID.
+     * @param {number} options.limit
+     * @returns {Promise<{ entries: object[], hasMore: boolean }>}
+     */
+    list: async ({ adminId, targetId, before, limit }) => {
+        let entries;
+        if (adminId || targetId) {
+            // Un seul critère indexé ; l'autre est appliqué après coup
+            entries = (await store.query('adminAuditLog', adminId ? { orderBy: 'adminId', equalTo: adminId } : { orderBy: 'targetId', equalTo: targetId }))
+                .filter(([id, entry]) => (!before || id < before) && (!targetId || entry.targetId === targetId))
+                .sort(([a], [b]) => (a < b ? -1 : 1))
+                .slice(-(limit + 1));
+        } else {
+            entries = (await store.query('adminAuditLog', before
+                ? { orderBy: '$key', endAt: before, limitToLast: limit + 2 }
+                : { orderBy: '$key', limitToLast: limit + 1 }))
+                .filter(([id]) => id !== before);
+        }
+        const hasMore = entries.length > limit;
+        return {
+            entries: entries.slice(-limit).reverse().map(([id, entry]) => ({ id, ...entry, details: entry.details || {} })),
+            hasMore
+        };
+    }
+});
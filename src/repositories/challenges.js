@@ -0,0 +1,105 @@
+// src/repositories/challenges.js
+// Défis entre amis (branche `challenges/{challengeId}`, clés chronologiques) :
+// { challengerId, opponentId, gameId, targetScore, deadline, createdAt,
+//   status: 'active'|'completed'|'expired'|'cancelled', activeDeadline?, resolvedAt?, score? }.
+// `score` est le score de l'adversaire qui a relevé le défi (statut 'completed').
+// `activeDeadline` recopie l'échéance tant que le défi est en cours et disparaît à sa clôture : seuls les défis
+// en cours figurent dans son index, que la recherche des défis échus parcourt sans lire l'historique.
+// Nécessite `.indexOn: ["challengerId", "opponentId", "activeDeadline"]` sur `challenges` avec Realtime Database.
+
+const toChallenge = ([id, challenge]) => ({ id, ...challenge });
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createChallengesRepository = (store) => {
+    const listBy = (indexedField, value) => store.query('challenges', { orderBy: indexedField, equalTo: value });
+
+    return {
+        /**
+         * @param {object} challenge - Voir l'en-tête du module ; `status` vaut 'active'.
+         * @returns {Promise<string>} L'ID du défi.
+         */
+        create: async (challenge) => {
+            const challengeId = store.newKey('challenges');
+            await store.set(`challenges/${challengeId}`, { ...challenge, activeDeadline: challenge.deadline });
+            return challengeId;
+        },
+
+        /**
+         * @returns {Promise<object|null>} Le défi, avec son ID.
+         */
+        get: async (challengeId) => {
+            const challenge = await store.get(`challenges/${challengeId}`);
+            return challenge ? { id: challengeId, ...challenge } : null;
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Les défis lancés ou reçus par l'utilisateur, du plus récent au plus ancien.
+         */
+        listFor: async (userId) => {
+            const [sent, received] = await Promise.all([listBy('challengerId', userId), listBy('opponentId', userId)]);
+            return [...sent, ...received]
+                .sort(([a], [b]) => (a < b ? 1 : -1))
+                .map(toChallenge);
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Les défis en cours lancés par l'utilisateur.
+         */
+        listActiveSent: async (challengerId) => (await listBy('challengerId', challengerId))
+            .map(toChallenge)
+            .filter(challenge => challenge.status === 'active'),
+
+        /**
+         * @returns {Promise<Array<object>>} Les défis en cours que l'utilisateur doit relever sur ce jeu.
+         */
+        listActiveReceived: async (opponentId, gameId) => (await listBy('opponentId', opponentId))
+            .map(toChallenge)
+            .filter(challenge => challenge.status === 'active' && challenge.gameId === gameId),
+
+        /**
+         * @returns {Promise<Array<object>>} Les défis en cours entre les deux utilisateurs, dans un sens ou dans l'autre.
+         */
+        listActiveBetween: async (userId, otherUserId) => {
+            const [sent, received] = await Promise.all([listBy('challengerId', userId), listBy('opponentId', userId)]);
+            return [...sent, ...received]
+                .map(toChallenge)
+                .filter(challenge => challenge.status === 'active'
+                    && (challenge.challengerId === otherUserId || challenge.opponentId === otherUserId));
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Les défis en cours dont l'échéance est passée.
+         */
+        listDue: async (now) => (await store.query('challenges', { orderBy: 'activeDeadline', startAt: 0, endAt: now }))
+            .map(toChallenge),
+
+        /**
+         * Clôt un défi encore en cours, de manière transactionnelle (un score et l'échéance ne peuvent pas
+         * le clore tous les deux).
+         * @param {string} challengeId
+         * @param {object} resolution - { status, resolvedAt, score? }
+         * @returns {Promise<object|null>} Le défi clos, ou null s'il ne l'était plus en cours.
+         */
+        resolve: async (challengeId, resolution) => {
+            const { committed, value } = await store.transaction(`challenges/${challengeId}`, (current) => {
+                // Realtime Database appelle d'abord la fonction avec null quand le défi n'est pas en cache :
+                // renvoyer null fait rejouer la transaction avec sa valeur réelle
+                if (current === null) return null;
+                if (current.status !== 'active') return undefined;
+                return { ...current, ...resolution, activeDeadline: null };
+            });
+            return committed && value ? { id: challengeId, ...value } : null;
+        },
+
+        /**
+         * Calcule la suppression des défis lancés ou reçus par un utilisateur supprimé.
+         * @returns {Promise<object>} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: async (userId) => {
+            const [sent, received] = await Promise.all([listBy('challengerId', userId), listBy('opponentId', userId)]);
+            return Object.fromEntries([...sent, ...received].map(([challengeId]) => [`challenges/${challengeId}`, null]));
+        }
+    };
+};
@@ -0,0 +1,49 @@
+// src/repositories/dataExports.js
+// Exports des données personnelles (branche `dataExports/{userId}/{exportId}`) :
+// { format: 'json'|'zip', status: 'pending'|'ready'|'failed', token, createdAt, completedAt?, expiresAt?, size? }.
+// Seul l'état est en base ; les fichiers sont tenus par le store de fichiers (voir src/dataExport.js).
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createDataExportsRepository = (store) => ({
+    newId: (userId) => store.newKey(`dataExports/${userId}`),
+
+    create: (userId, exportId, record) => store.set(`dataExports/${userId}/${exportId}`, record),
+
+    /**
+     * @returns {Promise<object|null>} L'export, avec son ID.
+     */
+    get: async (userId, exportId) => {
+        const record = await store.get(`dataExports/${userId}/${exportId}`);
+        return record ? { id: exportId, ...record } : null;
+    },
+
+    /**
+     * @returns {Promise<Array<object>>} Les exports de l'utilisateur, du plus récent au plus ancien.
+     */
+    list: async (userId) => Object.entries((await store.get(`dataExports/${userId}`)) || {})
+        .map(([id, record]) => ({ id, ...record }))
+        .sort((a, b) => b.createdAt - a.createdAt),
+
+    /**
+     * Met à jour des champs de l'export (ex: { status: 'ready', completedAt, expiresAt, size }).
+     */
+    update: (userId, exportId, fields) => store.update(Object.fromEntries(
+        Object.entries(fields).map(([name, value]) => [`dataExports/${userId}/${exportId}/${name}`, value])
+    )),
+
+    /**
+     * Supprime plusieurs exports de l'utilisateur.
+     */
+    removeMany: async (userId, exportIds) => {
+        if (exportIds.length === 0) return;
+        await store.update(Object.fromEntries(exportIds.map(exportId => [`dataExports/${userId}/${exportId}`, null])));
+    },
+
+    /**
+     * Calcule la suppression des exports d'un utilisateur supprimé.
+     * @returns {object} Les mises à jour multi-chemins.
+     */
+    collectUserDeletionUpdates: (userId) => ({ [`dataExports/${userId}`]: null })
+});
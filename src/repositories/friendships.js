@@ -0,0 +1,106 @@
+// src/repositories/friendships.js
+// Relations entre utilisateurs : amitiés et blocages.
+// Un blocage est enregistré des deux côtés : `blockedUsers` chez celui qui bloque et l'index
+// inverse `blockedBy` chez l'utilisateur bloqué.
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createFriendshipsRepository = (store) => ({
+    areFriends: (userId1, userId2) => store.exists(`users/${userId1}/friends/${userId2}`),
+
+    /**
+     * @returns {Promise<string[]>} Les IDs des amis de l'utilisateur.
+     */
+    listFriendIds: async (userId) => Object.keys((await store.get(`users/${userId}/friends`)) || {}),
+
+    /**
+     * Indique si `userId` a bloqué `targetId`.
+     */
+    hasBlocked: (userId, targetId) => store.exists(`users/${userId}/blockedUsers/${targetId}`),
+
+    /**
+     * Indique si l'un des deux utilisateurs a bloqué l'autre.
+     */
+    isBlockedEitherWay: async (userId1, userId2) =>
+        await store.exists(`users/${userId1}/blockedUsers/${userId2}`) || await store.exists(`users/${userId2}/blockedUsers/${userId1}`),
+
+    /**
+     * @returns {Promise<string[]>} Les IDs des utilisateurs bloqués par l'utilisateur.
+     */
+    listBlockedIds: async (userId) => Object.keys((await store.get(`users/${userId}/blockedUsers`)) || {}),
+
+    /**
+     * @returns {Promise<string[]>} Les IDs des utilisateurs qui ont bloqué l'utilisateur.
+     */
+    listBlockedByIds: async (userId) => Object.keys((await store.get(`users/${userId}/blockedBy`)) || {}),
+
+    /**
+     * @returns {Promise<string[]>} Les IDs des utilisateurs que l'utilisateur a bloqués ou qui l'ont bloqué.
+     */
+    listBlockedEitherWayIds: async (userId) => {
+        const [blocked, blockedBy] = await Promise.all([
+            store.get(`users/${userId}/blockedUsers`),
+            store.get(`users/${userId}/blockedBy`)
+        ]);
+        return Array.from(new Set([...Object.keys(blocked || {}), ...Object.keys(blockedBy || {})]));
+    },
+
+    /**
+     * Crée l'amitié des deux côtés et supprime les demandes en cours entre les deux utilisateurs,
+     * de manière atomique (ex: code d'invitation à amitié immédiate).
+     */
+    befriend: (userId, friendId) => store.update({
+        [`users/${userId}/friends/${friendId}`]: true,
+        [`users/${friendId}/friends/${userId}`]: true,
+        [`users/${userId}/friendRequestsSent/${friendId}`]: null,
+        [`users/${friendId}/friendRequestsReceived/${userId}`]: null,
+        [`users/${friendId}/friendRequestsSent/${userId}`]: null,
+        [`users/${userId}/friendRequestsReceived/${friendId}`]: null
+    }),
+
+    /**
+     * Supprime l'amitié des deux côtés, de manière atomique.
+     */
+    unfriend: (userId, friendId) => store.update({
+        [`users/${userId}/friends/${friendId}`]: null,
+        [`users/${friendId}/friends/${userId}`]: null
+    }),
+
+    /**
+     * Bloque `targetId` : rompt l'amitié et supprime les demandes d'amis dans les deux sens,
+     * en une seule mise à jour atomique.
+     */
+    block: (userId, targetId) => store.update({
+        [`users/${userId}/blockedUsers/${targetId}`]: true,
+        [`users/${targetId}/blockedBy/${userId}`]: true,
+        [`users/${userId}/friends/${targetId}`]: null,
+        [`users/${targetId}/friends/${userId}`]: null,
+        [`users/${userId}/friendRequestsSent/${targetId}`]: null,
+        [`users/${targetId}/friendRequestsReceived/${userId}`]: null,
+        [`users/${targetId}/friendRequestsSent/${userId}`]: null,
+        [`users/${userId}/friendRequestsReceived/${targetId}`]: null
+    }),
+
+    unblock: (userId, targetId) => store.update({
+        [`users/${userId}/blockedUsers/${targetId}`]: null,
+        [`users/${targetId}/blockedBy/${userId}`]: null
+    }),
+
+    /**
+     * Reconstruit l'index inverse `blockedBy` à partir des `blockedUsers` existants
+     * (blocages enregistrés avant l'ajout de l'index).
+     * @returns {Promise<number>} Le nombre de blocages indexés.
+     */
+    rebuildBlockedByIndex: async () => {
+        const users = (await store.get('users')) || {};
+        const updates = {};
+        for (const [userId, userData] of Object.entries(users)) {
+            for (const targetId of Object.keys(userData.blockedUsers || {})) {
+                if (users[targetId]) updates[`users/${targetId}/blockedBy/${userId}`] = true;
+            }
+        }
+        if (Object.keys(updates).length > 0) await store.update(updates);
+        return Object.keys(updates).length;
+    }
+});
@@ -0,0 +1,21 @@
+// src/repositories/games.js
+// Registre des jeux (branche `games/{gameId}`).
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createGamesRepository = (store) => ({
+    /**
+     * @returns {Promise<object|null>} La définition du jeu, ou null s'il n'est pas enregistré.
+     */
+    get: (gameId) => store.get(`games/${gameId}`),
+
+    /**
+     * @returns {Promise<Array<[string, object]>>} Tous les jeux enregistrés.
+     */
+    list: async () => Object.entries((await store.get('games')) || {}),
+
+    set: (gameId, game) => store.set(`games/${gameId}`, game),
+
+    remove: (gameId) => store.remove(`games/${gameId}`)
+});
@@ -0,0 +1,46 @@
+// src/repositories/index.js
+// Couche d'accès aux données utilisée par les routes, indépendante du backend de stockage.
+
+import { createUsersRepository } from './users.js';
+import { createFriendshipsRepository } from './friendships.js';
+import { createRequestsRepository } from './requests.js';
+import { createMessagesRepository } from './messages.js';
+import { createScoresRepository } from './scores.js';
+import { createPresenceRepository } from './presence.js';
+import { createProjectsRepository } from './projects.js';
+import { createLeaderboardsRepository } from './leaderboards.js';
+import { createGamesRepository } from './games.js';
+import { createAntiCheatRepository } from './antiCheat.js';
+import { createPseudosRepository } from './pseudos.js';
+import { createInviteCodesRepository } from './inviteCodes.js';
+import { createDataExportsRepository } from './dataExports.js';
+import { createSanctionsRepository } from './sanctions.js';
+import { createAuditLogRepository } from './auditLog.js';
+import { createReportsRepository } from './reports.js';
+import { createNotificationsRepository } from './notifications.js';
+import { createChallengesRepository } from './challenges.js';
+
+/**
+ * Crée l'ensemble des dépôts sur un stockage donné.
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createRepositories = (store) => ({
+    users: createUsersRepository(store),
+    friendships: createFriendshipsRepository(store),
+    requests: createRequestsRepository(store),
+    messages: createMessagesRepository(store),
+    scores: createScoresRepository(store),
+    presence: createPresenceRepository(store),
+    projects: createProjectsRepository(store),
+    leaderboards: createLeaderboardsRepository(store),
+    games: createGamesRepository(store),
+    antiCheat: createAntiCheatRepository(store),
+    pseudos: createPseudosRepository(store),
+    inviteCodes: createInviteCodesRepository(store),
+    dataExports: createDataExportsRepository(store),
+    sanctions: createSanctionsRepository(store),
+    auditLog: createAuditLogRepository(store),
+    reports: createReportsRepository(store),
+    notifications: createNotificationsRepository(store),
+    challenges: createChallengesRepository(store)
+});
@@ -0,0 +1,186 @@
+// src/repositories/inviteCodes.js
+// Codes d'invitation, indexés par code dans `inviteCodes/{code}` :
+// { ownerId, createdAt, expiresAt, maxUses, uses, instantFriendship, revokedAt? }.
+// Chaque utilisation est enregistrée dans `inviteCodeUses/{code}/{userId}` : { usedAt, kind, result },
+// où `kind` vaut 'signup' (inscription avec le code) ou 'connection' (utilisateur existant)
+// et `result` vaut 'friendship' ou 'request'.
+// Côté utilisateur : `inviteCode` est le code actuel, `inviteCodes/{code}` l'historique de ses codes
+// (date de création) et `usedInviteCodes/{code}` les codes qu'il a utilisés.
+
+import { v4 as uuidv4 } from 'uuid';
+import { inviteCodeStatus } from '../invites.js';
+
+const generateCode = () => uuidv4().substring(0, 8).toUpperCase();
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createInviteCodesRepository = (store) => {
+    /**
+     * Réserve un code libre dans l'index, de manière transactionnelle.
+     * @returns {Promise<string>} Le code réservé.
+     */
+    const reserveCode = async (record) => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const code = generateCode();
+            const { committed } = await store.transaction(`inviteCodes/${code}`, (current) => (current === null ? record : undefined));
+            if (committed) return code;
+        }
+        throw new Error('Impossible de générer un code d\'invitation unique.');
+    };
+
+    /**
+     * Indexe un code existant qui ne l'est pas encore (codes créés avant l'index), sans limite ni expiration.
+     * @returns {Promise<boolean>} Faux si le code est déjà indexé pour un autre utilisateur.
+     */
+    const adopt = async (ownerId, code, createdAt) => {
+        const { committed } = await store.transaction(`inviteCodes/${code}`, (current) => {
+            if (current !== null) return undefined;
+            return { ownerId, createdAt, uses: 0, expiresAt: null, maxUses: null, instantFriendship: false };
+        });
+        if (committed) await store.set(`users/${ownerId}/inviteCodes/${code}`, createdAt);
+        return committed || (await store.get(`inviteCodes/${code}/ownerId`)) === ownerId;
+    };
+
+    return {
+        /**
+         * @returns {Promise<object|null>} L'entrée de l'index pour ce code.
+         */
+        get: (code) => store.get(`inviteCodes/${code}`),
+
+        /**
+         * Crée un nouveau code pour `ownerId`, qui devient son code actuel ; l'ancien code est révoqué.
+         * @param {string} ownerId
+         * @param {object} options - { expiresAt, maxUses, instantFriendship } (voir validateInviteOptions).
+         * @param {number} now
+         * @returns {Promise<{ code: string, invite: object }>}
+         */
+        create: async (ownerId, options, now = Date.now()) => {
+            const invite = { ownerId, createdAt: now, uses: 0, ...options };
+            const code = await reserveCode(invite);
+            const previousCode = await store.get(`users/${ownerId}/inviteCode`);
+            const updates = {
+                [`users/${ownerId}/inviteCode`]: code,
+                [`users/${ownerId}/inviteCodes/${code}`]: now
+            };
+            if (previousCode && (await store.get(`inviteCodes/${previousCode}/ownerId`)) === ownerId) {
+                updates[`inviteCodes/${previousCode}/revokedAt`] = now;
+            }
+            await store.update(updates);
+            return { code, invite };
+        },
+
+        adopt,
+
+        /**
+         * Révoque le code actuel de `ownerId` : il ne peut plus être utilisé mais reste dans l'historique.
+         * @returns {Promise<string|null>} Le code révoqué, ou null si l'utilisateur n'en avait pas.
+         */
+        revokeCurrent: async (ownerId, now = Date.now()) => {
+            const code = await store.get(`users/${ownerId}/inviteCode`);
+            if (!code) return null;
+            const updates = { [`users/${ownerId}/inviteCode`]: null };
+            if ((await store.get(`inviteCodes/${code}/ownerId`)) === ownerId) {
+                updates[`inviteCodes/${code}/revokedAt`] = now;
+            }
+            await store.update(updates);
+            return code;
+        },
+
+        /**
+         * Consomme une utilisation du code, de manière transactionnelle (le nombre maximal
+         * d'utilisations ne peut pas être dépassé par des utilisations simultanées).
+         * @returns {Promise<{ status: string, invite: object|null }>} `status` vaut 'active' si l'utilisation
+         * a été comptée, sinon l'état qui l'en empêche (voir inviteCodeStatus).
+         */
+        consume: async (code, now = Date.now()) => {
+            const { committed, value } = await store.transaction(`inviteCodes/${code}`, (current) => {
+                // Premier appel sans la valeur en cache (Realtime Database) : null fait rejouer la transaction
+                if (current === null) return null;
+                if (inviteCodeStatus(current, now) !== 'active') return undefined;
+                return { ...current, uses: (current.uses || 0) + 1 };
+            });
+            return { status: committed && value ? 'active' : inviteCodeStatus(value, now), invite: value };
+        },
+
+        /**
+         * Enregistre qui a utilisé le code et avec quel résultat.
+         * @param {string} code
+         * @param {string} userId
+         * @param {object} use - { usedAt, kind: 'signup'|'connection', result: 'friendship'|'request' }
+         */
+        recordUse: (code, userId, use) => store.update({
+            [`inviteCodeUses/${code}/${userId}`]: use,
+            [`users/${userId}/usedInviteCodes/${code}`]: true
+        }),
+
+        /**
+         * @returns {Promise<{ usedAt: number, kind: string, result: string }|null>} L'utilisation du code par `userId`.
+         */
+        getUse: (code, userId) => store.get(`inviteCodeUses/${code}/${userId}`),
+
+        /**
+         * @returns {Promise<Array<{ code: string, invite: object, uses: Array<object> }>>} Les codes de
+         * l'utilisateur, du plus récent au plus ancien, avec leurs utilisations.
+         */
+        listOwned: async (ownerId) => {
+            const codes = Object.entries((await store.get(`users/${ownerId}/inviteCodes`)) || {})
+                .sort(([, a], [, b]) => b - a)
+                .map(([code]) => code);
+            const owned = await Promise.all(codes.map(async (code) => {
+                const [invite, uses] = await Promise.all([
+                    store.get(`inviteCodes/${code}`),
+                    store.get(`inviteCodeUses/${code}`)
+                ]);
+                if (!invite || invite.ownerId !== ownerId) return null;
+                return {
+                    code,
+                    invite,
+                    uses: Object.entries(uses || {})
+                        .map(([userId, use]) => ({ userId, ...use }))
+                        .sort((a, b) => b.usedAt - a.usedAt)
+                };
+            }));
+            return owned.filter(Boolean);
+        },
+
+        /**
+         * Indexe les codes des utilisateurs créés avant l'index.
+         * @returns {Promise<{ indexed: number, conflicts: Array<{ userId: string, code: string }> }>}
+         */
+        rebuild: async () => {
+            const users = (await store.get('users')) || {};
+            let indexed = 0;
+            const conflicts = [];
+            for (const [userId, userData] of Object.entries(users)) {
+                const code = userData.inviteCode;
+                if (!code || (userData.inviteCodes && userData.inviteCodes[code])) continue;
+                if (await adopt(userId, code, userData.createdAt || Date.now())) {
+                    indexed++;
+                } else {
+                    conflicts.push({ userId, code });
+                }
+            }
+            return { indexed, conflicts };
+        },
+
+        /**
+         * Calcule la suppression des codes d'un utilisateur supprimé et de ses utilisations des codes des autres.
+         * @returns {Promise<object>} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: async (userId, userData) => {
+            const updates = {};
+            const ownedCodes = new Set(Object.keys(userData.inviteCodes || {}));
+            if (userData.inviteCode) ownedCodes.add(userData.inviteCode);
+            await Promise.all(Array.from(ownedCodes).map(async (code) => {
+                if ((await store.get(`inviteCodes/${code}/ownerId`)) !== userId) return;
+                updates[`inviteCodes/${code}`] = null;
+                updates[`inviteCodeUses/${code}`] = null;
+            }));
+            for (const code of Object.keys(userData.usedInviteCodes || {})) {
+                if (!ownedCodes.has(code)) updates[`inviteCodeUses/${code}/${userId}`] = null;
+            }
+            return updates;
+        }
+    };
+};
@@ -0,0 +1,154 @@
+// src/repositories/leaderboards.js
+// Classements globaux (branche `leaderboards/{gameId}/{window}/{periodKey}/{userId}`).
+// Chaque entrée garde le meilleur score du joueur sur la période et l'heure à laquelle il l'a atteint :
+// { score, achievedAt, publicRank? }. `publicRank` (voir rankKey) n'existe que si les scores du joueur sont
+// visibles par tous (`game_scores` = everyone) : le classement public se lit dans l'ordre sur cet index.
+// Nécessite `.indexOn: ["publicRank"]` sur `leaderboards/$gameId/$window/$periodKey` avec Realtime Database.
+
+import { LEADERBOARD_WINDOWS, periodKey, rankKey } from '../leaderboards.js';
+import { isBetterFor } from '../games.js';
+
+const toEntry = ([userId, entry]) => ({ userId, score: entry.score, achievedAt: entry.achievedAt });
+
+/**
+ * Chemins des entrées de l'utilisateur sur chaque période où il a soumis un score, d'après son historique,
+ * avec le jeu de chacune.
+ * @returns {Map<string, string>} chemin -> gameId
+ */
+const collectEntryPaths = (userId, scoreHistory) => {
+    const paths = new Map();
+    for (const [gameId, submissions] of Object.entries(scoreHistory || {})) {
+        for (const { timestamp } of Object.values(submissions || {})) {
+            for (const window of LEADERBOARD_WINDOWS) {
+                paths.set(`leaderboards/${gameId}/${window}/${periodKey(window, timestamp)}/${userId}`, gameId);
+            }
+        }
+    }
+    return paths;
+};
+
+const collectEntryRemovals = (userId, scoreHistory) =>
+    Object.fromEntries(Array.from(collectEntryPaths(userId, scoreHistory).keys(), path => [path, null]));
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createLeaderboardsRepository = (store) => {
+    /**
+     * Ajoute les entrées de l'utilisateur au classement public, ou les en retire, après un changement de
+     * visibilité de ses scores.
+     * @param {string} userId
+     * @param {object} scoreHistory - L'historique de ses scores : { gameId: { submissionId: submission } }.
+     * @param {Function|null} getSortDirection - (gameId) => Promise<'asc'|'desc'> pour les rendre publiques,
+     * null pour les retirer.
+     * @returns {Promise<number>} Le nombre d'entrées mises à jour.
+     */
+    const setPublic = async (userId, scoreHistory, getSortDirection) => {
+        const directions = new Map();
+        const updates = {};
+        await Promise.all(Array.from(collectEntryPaths(userId, scoreHistory), async ([path, gameId]) => {
+            const existing = await store.get(path);
+            if (!existing) return; // Période sans score accepté
+            if (!getSortDirection) {
+                updates[`${path}/publicRank`] = null;
+                return;
+            }
+            if (!directions.has(gameId)) directions.set(gameId, getSortDirection(gameId));
+            updates[`${path}/publicRank`] = rankKey({ userId, ...existing }, await directions.get(gameId));
+        }));
+        if (Object.keys(updates).length > 0) await store.update(updates);
+        return Object.keys(updates).length;
+    };
+
+    return {
+        /**
+         * Reporte une soumission dans les classements de chaque fenêtre, si elle améliore
+         * le meilleur score du joueur sur la période.
+         * @param {string} userId
+         * @param {string} gameId
+         * @param {number} score
+         * @param {number} timestamp - L'heure de la soumission (ms).
+         * @param {object} game - Les règles du jeu (sens de classement).
+         * @param {boolean} isPublic - Les scores du joueur sont-ils visibles par tous ?
+         */
+        recordScore: async (userId, gameId, score, timestamp, game, isPublic) => {
+            const isBetter = isBetterFor(game);
+            const entry = { userId, score, achievedAt: timestamp };
+            const updates = {};
+            await Promise.all(LEADERBOARD_WINDOWS.map(async (window) => {
+                const path = `leaderboards/${gameId}/${window}/${periodKey(window, timestamp)}/${userId}`;
+                const existing = await store.get(path);
+                if (!existing || isBetter(score, existing.score)) {
+                    updates[path] = { score, achievedAt: timestamp, ...(isPublic ? { publicRank: rankKey(entry, game.sortDirection) } : {}) };
+                }
+            }));
+            if (Object.keys(updates).length > 0) await store.update(updates);
+        },
+
+        setPublic,
+
+        /**
+         * Recalcule l'index du classement public de tous les joueurs, d'après leur paramètre `game_scores`
+         * (entrées enregistrées avant son ajout, ou après un changement du sens de classement d'un jeu).
+         * @param {Function} getSortDirection - (gameId) => Promise<'asc'|'desc'>
+         * @returns {Promise<number>} Le nombre d'entrées mises à jour.
+         */
+        rebuildPublicIndex: async (getSortDirection) => {
+            const users = (await store.get('users')) || {};
+            let updated = 0;
+            for (const [userId, userData] of Object.entries(users)) {
+                const isPublic = ((userData.profile || {}).visibility || {}).game_scores === 'everyone';
+                updated += await setPublic(userId, userData.scoreHistory, isPublic ? getSortDirection : null);
+            }
+            return updated;
+        },
+
+        /**
+         * @returns {Promise<{ score: number, achievedAt: number, publicRank?: string }|null>} L'entrée d'un joueur sur une période.
+         */
+        getEntry: (gameId, window, key, userId) => store.get(`leaderboards/${gameId}/${window}/${key}/${userId}`),
+
+        /**
+         * Lit le classement public d'une période dans l'ordre, à partir d'une position.
+         * @param {string} gameId
+         * @param {string} window
+         * @param {string} key - La période.
+         * @param {object} options
+         * @param {string} [options.after] - Renvoie les entrées classées après cette clé (voir rankKey).
+         * @param {number} options.limit
+         * @returns {Promise<Array<{ userId: string, score: number, achievedAt: number }>>}
+         */
+        listPublic: async (gameId, window, key, { after, limit }) => {
+            const entries = await store.query(`leaderboards/${gameId}/${window}/${key}`, after
+                ? { orderBy: 'publicRank', startAt: after, limitToFirst: limit + 1 }
+                : { orderBy: 'publicRank', startAt: '', limitToFirst: limit });
+            return entries.filter(([, entry]) => entry.publicRank !== after).slice(0, limit).map(toEntry);
+        },
+
+        /**
+         * @returns {Promise<Array<{ userId: string, score: number, achievedAt: number }>>} Les entrées du classement
+         * public d'une période classées avant cette clé (voir rankKey), dans l'ordre.
+         */
+        listPublicBefore: async (gameId, window, key, before) =>
+            (await store.query(`leaderboards/${gameId}/${window}/${key}`, { orderBy: 'publicRank', startAt: '', endAt: before }))
+                .filter(([, entry]) => entry.publicRank !== before)
+                .map(toEntry),
+
+        /**
+         * Calcule la suppression des entrées de classement d'un utilisateur supprimé,
+         * retrouvées à partir de son historique de scores.
+         * @param {string} userId
+         * @param {object} userData - L'enregistrement de l'utilisateur.
+         * @returns {object} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: (userId, userData) => collectEntryRemovals(userId, userData.scoreHistory),
+
+        /**
+         * Calcule la suppression des entrées de classement de l'utilisateur pour certains jeux (scores effacés).
+         * @param {string} userId
+         * @param {object} scoreHistory - L'historique des jeux concernés : { gameId: { submissionId: submission } }.
+         * @returns {object} Les mises à jour multi-chemins.
+         */
+        collectScoreDeletionUpdates: (userId, scoreHistory) => collectEntryRemovals(userId, scoreHistory)
+    };
+};
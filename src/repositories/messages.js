@@ -0,0 +1,420 @@
+// src/repositories/messages.js
+// Messages, stockés une seule fois par conversation :
+// - `conversations/{conversationId}` : { type: 'direct'|'group', members: { userId: true } },
+//   plus { name, adminId, createdBy, createdAt } pour un groupe
+// - `conversationMessages/{conversationId}/{messageId}` : { senderId, message, timestamp, editedAt? }
+// - `users/{id}/conversations/{conversationId}` : date du dernier message (index des conversations)
+// - `users/{id}/conversationReads/{conversationId}` : marqueur de lecture { messageId, readAt }
+// - `users/{id}/unreadCounts/{conversationId}` : nombre de messages reçus depuis le marqueur de lecture,
+//   incrémenté à l'envoi et recalculé à la lecture, pour résumer les conversations sans relire leurs messages
+// L'ID d'une conversation directe est formé des deux ID utilisateur triés, séparés par ':' ;
+// celui d'un groupe est une clé chronologique.
+// Les anciennes copies `users/{a}/messages/{b}` sont converties par `migrateLegacy`.
+
+import { serverIncrement } from '../storage/index.js';
+
+const LEGACY_COPY_TOLERANCE_MS = 1000; // Écart maximal entre les horodatages des deux copies d'un même message
+const LAST_MESSAGE_PAGE_SIZE = 10; // Messages lus à la fois en cherchant le dernier message visible
+
+/**
+ * Met en forme un message stocké, avec son ID.
+ */
+const toMessage = ([id, messageData]) => ({ id, ...messageData });
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createMessagesRepository = (store) => {
+    const directConversationId = (userId1, userId2) => [userId1, userId2].sort().join(':');
+
+    /**
+     * Cherche le dernier message visible d'une conversation, en remontant page par page
+     * tant que les messages lus sont tous masqués.
+     * @param {string} conversationId
+     * @param {function} isVisible - Reçoit une entrée [messageId, messageData].
+     * @returns {Promise<object|null>} Le message, avec son ID.
+     */
+    const findLastVisibleMessage = async (conversationId, isVisible) => {
+        const path = `conversationMessages/${conversationId}`;
+        let before = null;
+        for (;;) {
+            const entries = (await store.query(path, before
+                ? { orderBy: '$key', endAt: before, limitToLast: LAST_MESSAGE_PAGE_SIZE + 1 }
+                : { orderBy: '$key', limitToLast: LAST_MESSAGE_PAGE_SIZE }))
+                .filter(([id]) => id !== before);
+            const visible = entries.filter(isVisible);
+            if (visible.length > 0) return toMessage(visible[visible.length - 1]);
+            if (entries.length < LAST_MESSAGE_PAGE_SIZE) return null; // Début de la conversation atteint
+            before = entries[0][0];
+        }
+    };
+
+    /**
+     * Calcule la conversion des deux copies d'une conversation directe de l'ancien format.
+     * Les messages présents dans les deux copies sont fusionnés sous l'ID de la copie de `userId`.
+     * @returns {object} Les mises à jour multi-chemins.
+     */
+    const collectLegacyPairUpdates = (userId, userData, otherUserId, otherData) => {
+        const conversationId = directConversationId(userId, otherUserId);
+        const ownCopy = Object.entries((userData.messages || {})[otherUserId] || {});
+        const otherCopy = Object.entries(((otherData && otherData.messages) || {})[userId] || {});
+        const updates = {};
+
+        // ID de la copie de l'autre utilisateur -> ID partagé
+        const sharedIds = {};
+        const matchedIds = new Set();
+        const messages = new Map(ownCopy);
+        for (const [otherId, messageData] of otherCopy) {
+            const match = messages.has(otherId) ? [otherId] : ownCopy.find(([candidateId, candidate]) =>
+                !matchedIds.has(candidateId) &&
+                candidate.senderId === messageData.senderId &&
+                candidate.message === messageData.message &&
+                Math.abs(candidate.timestamp - messageData.timestamp) <= LEGACY_COPY_TOLERANCE_MS);
+            if (match) {
+                sharedIds[otherId] = match[0];
+                matchedIds.add(match[0]);
+            } else {
+                sharedIds[otherId] = otherId; // Message absent de la copie de userId
+                messages.set(otherId, messageData);
+            }
+        }
+
+        let lastMessageAt = 0;
+        for (const [messageId, messageData] of messages) {
+            updates[`conversationMessages/${conversationId}/${messageId}`] = messageData;
+            lastMessageAt = Math.max(lastMessageAt, messageData.timestamp || 0);
+        }
+
+        updates[`conversations/${conversationId}/type`] = 'direct';
+        updates[`conversations/${conversationId}/members/${userId}`] = true;
+        // Des messages ont pu être envoyés dans le nouveau format avant la conversion
+        const latest = (data) => Math.max(lastMessageAt, (data.conversations || {})[conversationId] || 0);
+        updates[`users/${userId}/conversations/${conversationId}`] = latest(userData);
+        updates[`users/${userId}/messages/${otherUserId}`] = null;
+
+        // Un utilisateur supprimé n'est pas réintroduit dans la conversation
+        if (otherData) {
+            updates[`conversations/${conversationId}/members/${otherUserId}`] = true;
+            updates[`users/${otherUserId}/conversations/${conversationId}`] = latest(otherData);
+            updates[`users/${otherUserId}/messages/${userId}`] = null;
+        }
+
+        // Les marqueurs de lecture indexés par l'autre utilisateur passent à l'ID de la conversation
+        const ownMarker = (userData.conversationReads || {})[otherUserId];
+        if (ownMarker) {
+            updates[`users/${userId}/conversationReads/${otherUserId}`] = null;
+            updates[`users/${userId}/conversationReads/${conversationId}`] = ownMarker;
+        }
+        const otherMarker = otherData && (otherData.conversationReads || {})[userId];
+        if (otherMarker) {
+            updates[`users/${otherUserId}/conversationReads/${userId}`] = null;
+            updates[`users/${otherUserId}/conversationReads/${conversationId}`] = {
+                ...otherMarker,
+                messageId: sharedIds[otherMarker.messageId] || otherMarker.messageId
+            };
+        }
+        return updates;
+    };
+
+    return {
+        directConversationId,
+
+        /**
+         * @returns {Promise<object|null>} Les métadonnées d'une conversation.
+         */
+        getConversation: (conversationId) => store.get(`conversations/${conversationId}`),
+
+        /**
+         * Envoie un message direct : le message, la conversation et l'index des deux participants
+         * sont écrits en une seule mise à jour.
+         * @param {string} senderId
+         * @param {string} receiverId
+         * @param {object} messageData - { senderId, message, timestamp }
+         * @returns {Promise<{ conversationId: string, messageId: string }>}
+         */
+        sendDirect: async (senderId, receiverId, messageData) => {
+            const conversationId = directConversationId(senderId, receiverId);
+            const messageId = store.newKey(`conversationMessages/${conversationId}`);
+            await store.update({
+                [`conversationMessages/${conversationId}/${messageId}`]: messageData,
+                [`conversations/${conversationId}/type`]: 'direct',
+                [`conversations/${conversationId}/members/${senderId}`]: true,
+                [`conversations/${conversationId}/members/${receiverId}`]: true,
+                [`users/${senderId}/conversations/${conversationId}`]: messageData.timestamp,
+                [`users/${receiverId}/conversations/${conversationId}`]: messageData.timestamp,
+                [`users/${receiverId}/unreadCounts/${conversationId}`]: serverIncrement(1)
+            });
+            return { conversationId, messageId };
+        },
+
+        /**
+         * Crée un groupe dont le créateur est l'administrateur.
+         * @param {string} creatorId
+         * @param {string} name
+         * @param {string[]} memberIds - Les autres membres.
+         * @param {number} createdAt
+         * @returns {Promise<string>} L'ID du groupe.
+         */
+        createGroup: async (creatorId, name, memberIds, createdAt) => {
+            const groupId = store.newKey('conversations');
+            const allMemberIds = [creatorId, ...memberIds];
+            const updates = {
+                [`conversations/${groupId}`]: {
+                    type: 'group',
+                    name,
+                    adminId: creatorId,
+                    createdBy: creatorId,
+                    createdAt,
+                    members: Object.fromEntries(allMemberIds.map(memberId => [memberId, true]))
+                }
+            };
+            for (const memberId of allMemberIds) {
+                updates[`users/${memberId}/conversations/${groupId}`] = createdAt;
+            }
+            await store.update(updates);
+            return groupId;
+        },
+
+        addMember: (groupId, memberId, joinedAt) => store.update({
+            [`conversations/${groupId}/members/${memberId}`]: true,
+            [`users/${memberId}/conversations/${groupId}`]: joinedAt
+        }),
+
+        /**
+         * Retire un membre d'un groupe (départ ou exclusion), avec son index et son marqueur de lecture.
+         * Si l'administrateur part, le rôle passe au premier membre restant ; si plus personne ne reste,
+         * le groupe est supprimé avec ses messages.
+         * @returns {Promise<{ deleted: boolean, adminId: string|null }>}
+         */
+        removeMember: async (groupId, memberId) => {
+            const group = await store.get(`conversations/${groupId}`);
+            const remainingIds = Object.keys(group.members || {}).filter(id => id !== memberId).sort();
+            const updates = {
+                [`users/${memberId}/conversations/${groupId}`]: null,
+                [`users/${memberId}/conversationReads/${groupId}`]: null,
+                [`users/${memberId}/unreadCounts/${groupId}`]: null
+            };
+            if (remainingIds.length === 0) {
+                updates[`conversations/${groupId}`] = null;
+                updates[`conversationMessages/${groupId}`] = null;
+                await store.update(updates);
+                return { deleted: true, adminId: null };
+            }
+
+            updates[`conversations/${groupId}/members/${memberId}`] = null;
+            const adminId = group.adminId === memberId ? remainingIds[0] : group.adminId;
+            if (adminId !== group.adminId) updates[`conversations/${groupId}/adminId`] = adminId;
+            await store.update(updates);
+            return { deleted: false, adminId };
+        },
+
+        rename: (groupId, name) => store.set(`conversations/${groupId}/name`, name),
+
+        /**
+         * Envoie un message dans un groupe et met à jour l'index de chaque membre, en une seule mise à jour.
+         * @param {string} groupId
+         * @param {string[]} memberIds
+         * @param {object} messageData - { senderId, message, timestamp }
+         * @param {string[]} unreadMemberIds - Les membres pour qui le message compte comme non lu (ni
+         * l'expéditeur, ni ceux qui l'ont bloqué).
+         * @returns {Promise<string>} L'ID du message.
+         */
+        sendToGroup: async (groupId, memberIds, messageData, unreadMemberIds) => {
+            const messageId = store.newKey(`conversationMessages/${groupId}`);
+            const updates = { [`conversationMessages/${groupId}/${messageId}`]: messageData };
+            for (const memberId of memberIds) {
+                updates[`users/${memberId}/conversations/${groupId}`] = messageData.timestamp;
+            }
+            for (const memberId of unreadMemberIds) {
+                updates[`users/${memberId}/unreadCounts/${groupId}`] = serverIncrement(1);
+            }
+            await store.update(updates);
+            return messageId;
+        },
+
+        /**
+         * @returns {Promise<object|null>} Un message, avec son ID.
+         */
+        get: async (conversationId, messageId) => {
+            const messageData = await store.get(`conversationMessages/${conversationId}/${messageId}`);
+            return messageData ? { id: messageId, ...messageData } : null;
+        },
+
+        /**
+         * Récupère une page de messages, du plus ancien au plus récent.
+         * Sans curseur, renvoie les messages les plus récents.
+         * @param {string} conversationId
+         * @param {object} options
+         * @param {string} [options.before] - Renvoie les messages antérieurs à cet ID.
+         * @param {string} [options.after] - Renvoie les messages postérieurs à cet ID.
+         * @param {number} options.limit - Le nombre maximal de messages.
+         * @returns {Promise<{ messages: object[], hasMore: boolean }>} `hasMore` indique s'il reste des
+         * messages dans le sens de la pagination.
+         */
+        list: async (conversationId, { before, after, limit }) => {
+            const path = `conversationMessages/${conversationId}`;
+            let entries;
+            if (after) {
+                entries = (await store.query(path, { orderBy: '$key', startAt: after, limitToFirst: limit + 2 }))
+                    .filter(([id]) => id !== after);
+                const hasMore = entries.length > limit;
+                return { messages: entries.slice(0, limit).map(toMessage), hasMore };
+            }
+            entries = await store.query(path, before
+                ? { orderBy: '$key', endAt: before, limitToLast: limit + 2 }
+                : { orderBy: '$key', limitToLast: limit + 1 });
+            entries = entries.filter(([id]) => id !== before);
+            const hasMore = entries.length > limit;
+            return { messages: entries.slice(-limit).map(toMessage), hasMore };
+        },
+
+        /**
+         * @returns {Promise<object[]>} Tous les messages d'une conversation, du plus ancien au plus récent.
+         */
+        listAll: async (conversationId) =>
+            (await store.query(`conversationMessages/${conversationId}`, { orderBy: '$key' })).map(toMessage),
+
+        /**
+         * Modifie le texte d'un message.
+         */
+        edit: (conversationId, messageId, message, editedAt) => store.update({
+            [`conversationMessages/${conversationId}/${messageId}/message`]: message,
+            [`conversationMessages/${conversationId}/${messageId}/editedAt`]: editedAt
+        }),
+
+        /**
+         * Supprime un message et le retire du nombre de non-lus des membres qui ne l'avaient pas encore lu.
+         * @param {string} conversationId
+         * @param {object} message - Le message, avec son ID.
+         */
+        remove: async (conversationId, message) => {
+            const members = (await store.get(`conversations/${conversationId}/members`)) || {};
+            const updates = { [`conversationMessages/${conversationId}/${message.id}`]: null };
+            await Promise.all(Object.keys(members).filter(memberId => memberId !== message.senderId).map(async (memberId) => {
+                const [marker, unread] = await Promise.all([
+                    store.get(`users/${memberId}/conversationReads/${conversationId}`),
+                    store.get(`users/${memberId}/unreadCounts/${conversationId}`)
+                ]);
+                if (unread > 0 && (!marker || marker.messageId < message.id)) {
+                    updates[`users/${memberId}/unreadCounts/${conversationId}`] = serverIncrement(-1);
+                }
+            }));
+            await store.update(updates);
+        },
+
+        /**
+         * @returns {Promise<{ messageId: string, readAt: number }|null>} Le marqueur de lecture de `userId`.
+         */
+        getReadMarker: (userId, conversationId) => store.get(`users/${userId}/conversationReads/${conversationId}`),
+
+        /**
+         * Marque la conversation comme lue jusqu'à `messageId` inclus. Un marqueur ne recule jamais.
+         * Le nombre de non-lus repart des messages reçus après le marqueur (aucun s'il s'agit du dernier).
+         * @param {string} userId
+         * @param {string} conversationId
+         * @param {string} messageId
+         * @param {number} readAt
+         * @param {string[]} [hiddenSenderIds] - Expéditeurs dont les messages ne comptent pas (bloqués).
+         * @returns {Promise<boolean>} Vrai si le marqueur a avancé.
+         */
+        markRead: async (userId, conversationId, messageId, readAt, hiddenSenderIds = []) => {
+            const { committed } = await store.transaction(`users/${userId}/conversationReads/${conversationId}`, (current) => {
+                if (current && current.messageId >= messageId) return undefined;
+                return { messageId, readAt };
+            });
+            if (committed) {
+                const unread = (await store.query(`conversationMessages/${conversationId}`, { orderBy: '$key', startAt: messageId }))
+                    .filter(([id, messageData]) => id !== messageId && messageData.senderId !== userId
+                        && !hiddenSenderIds.includes(messageData.senderId));
+                await store.set(`users/${userId}/unreadCounts/${conversationId}`, unread.length || null);
+            }
+            return committed;
+        },
+
+        /**
+         * Résume les conversations de `userId` : membres, dernier message et nombre de messages non lus.
+         * La date d'une conversation est celle de son dernier message visible (sa création s'il n'y en a pas),
+         * pour que les messages masqués ne la fassent pas remonter.
+         * @param {string} userId
+         * @param {object} [options]
+         * @param {string[]} [options.hiddenSenderIds] - Expéditeurs dont les messages sont masqués (bloqués).
+         * @returns {Promise<Array<{ conversationId: string, type: string, name?: string, adminId?: string,
+         *   memberIds: string[], lastMessage: object|null, lastMessageAt: number, unreadCount: number }>>}
+         * Triées de la plus récente à la plus ancienne.
+         */
+        listConversations: async (userId, { hiddenSenderIds = [] } = {}) => {
+            const isVisible = ([, messageData]) => !hiddenSenderIds.includes(messageData.senderId);
+            const [index, unreadCounts] = await Promise.all([
+                store.get(`users/${userId}/conversations`),
+                store.get(`users/${userId}/unreadCounts`)
+            ]);
+            const conversations = await Promise.all(Object.keys(index || {}).map(async (conversationId) => {
+                const [conversation, lastMessage] = await Promise.all([
+                    store.get(`conversations/${conversationId}`),
+                    findLastVisibleMessage(conversationId, isVisible)
+                ]);
+                const { members, ...details } = conversation || { type: 'direct' };
+                return {
+                    conversationId,
+                    ...details,
+                    memberIds: Object.keys(members || {}),
+                    lastMessage,
+                    lastMessageAt: lastMessage ? lastMessage.timestamp : (details.createdAt || 0),
+                    unreadCount: Math.max(0, (unreadCounts || {})[conversationId] || 0)
+                };
+            }));
+            return conversations.sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+        },
+
+        /**
+         * Calcule le retrait d'un utilisateur supprimé de ses conversations.
+         * Une conversation dont il était le dernier membre est supprimée avec ses messages ;
+         * l'administration d'un groupe passe au premier membre restant.
+         * @param {string} userId
+         * @param {object} userData - L'enregistrement de l'utilisateur.
+         * @returns {Promise<object>} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: async (userId, userData) => {
+            const updates = {};
+            await Promise.all(Object.keys(userData.conversations || {}).map(async (conversationId) => {
+                const conversation = (await store.get(`conversations/${conversationId}`)) || {};
+                const remainingIds = Object.keys(conversation.members || {}).filter(memberId => memberId !== userId).sort();
+                if (remainingIds.length > 0) {
+                    updates[`conversations/${conversationId}/members/${userId}`] = null;
+                    if (conversation.adminId === userId) updates[`conversations/${conversationId}/adminId`] = remainingIds[0];
+                } else {
+                    updates[`conversations/${conversationId}`] = null;
+                    updates[`conversationMessages/${conversationId}`] = null;
+                }
+            }));
+            return updates;
+        },
+
+        /**
+         * Convertit les conversations de l'ancien format (une copie de chaque message dans la branche
+         * `users/{id}/messages/{otherUserId}` de chaque participant) vers le stockage par conversation.
+         * Chaque paire d'utilisateurs est convertie en une mise à jour atomique ; la routine peut être
+         * relancée sans risque.
+         * @returns {Promise<{ conversations: number, messages: number }>}
+         */
+        migrateLegacy: async () => {
+            const users = (await store.get('users')) || {};
+            const result = { conversations: 0, messages: 0 };
+            const done = new Set();
+
+            for (const [userId, userData] of Object.entries(users)) {
+                for (const otherUserId of Object.keys(userData.messages || {})) {
+                    const conversationId = directConversationId(userId, otherUserId);
+                    if (done.has(conversationId)) continue;
+                    done.add(conversationId);
+
+                    const updates = collectLegacyPairUpdates(userId, userData, otherUserId, users[otherUserId] || null);
+                    await store.update(updates);
+                    result.conversations++;
+                    result.messages += Object.keys(updates).filter(path => path.startsWith('conversationMessages/')).length;
+                }
+            }
+            return result;
+        }
+    };
+};
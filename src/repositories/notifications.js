@@ -0,0 +1,136 @@
+// src/repositories/notifications.js
+// Notifications persistantes de chaque utilisateur (branche `notifications/{userId}/{notificationId}`,
+// clés chronologiques) : { type, data, createdAt, read, readAt?, collapseKey?, count? }.
+// Les notifications regroupées (ex: messages d'une même conversation) partagent une `collapseKey` :
+// tant que la précédente n'est pas lue, elle est remplacée et `count` est incrémenté.
+// Les types coupés par l'utilisateur sont dans `users/{userId}/mutedNotifications/{type}`.
+// Nécessite `.indexOn: ["read", "collapseKey", "createdAt"]` sur `notifications/$userId` avec Realtime Database.
+
+const toNotification = ([id, notification]) => ({ id, ...notification });
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createNotificationsRepository = (store) => {
+    const listUnread = (userId) => store.query(`notifications/${userId}`, { orderBy: 'read', equalTo: false });
+
+    const markEntriesRead = async (userId, ids, readAt) => {
+        if (ids.length === 0) return;
+        const updates = {};
+        for (const id of ids) {
+            updates[`notifications/${userId}/${id}/read`] = true;
+            updates[`notifications/${userId}/${id}/readAt`] = readAt;
+        }
+        await store.update(updates);
+    };
+
+    return {
+        /**
+         * Ajoute une notification, en remplaçant au besoin une notification regroupée non lue.
+         * @param {string} userId
+         * @param {object} notification - { type, data, createdAt, read: false, collapseKey?, count? }
+         * @param {string} [replacedId] - La notification remplacée.
+         * @returns {Promise<string>} L'ID de la notification.
+         */
+        add: async (userId, notification, replacedId) => {
+            const notificationId = store.newKey(`notifications/${userId}`);
+            const updates = { [`notifications/${userId}/${notificationId}`]: notification };
+            if (replacedId) updates[`notifications/${userId}/${replacedId}`] = null;
+            await store.update(updates);
+            return notificationId;
+        },
+
+        /**
+         * @returns {Promise<object|null>} La notification, avec son ID.
+         */
+        get: async (userId, notificationId) => {
+            const notification = await store.get(`notifications/${userId}/${notificationId}`);
+            return notification ? { id: notificationId, ...notification } : null;
+        },
+
+        /**
+         * @returns {Promise<object|null>} La notification non lue regroupée sous `collapseKey`.
+         */
+        findUnreadByCollapseKey: async (userId, collapseKey) => {
+            const entry = (await store.query(`notifications/${userId}`, { orderBy: 'collapseKey', equalTo: collapseKey }))
+                .find(([, notification]) => !notification.read);
+            return entry ? toNotification(entry) : null;
+        },
+
+        /**
+         * Récupère une page de notifications, de la plus récente à la plus ancienne.
+         * @param {string} userId
+         * @param {object} options
+         * @param {boolean} [options.unreadOnly]
+         * @param {string} [options.before] - Renvoie les notifications antérieures à cet ID.
+         * @param {number} options.limit
+         * @returns {Promise<{ notifications: object[], hasMore: boolean }>}
+         */
+        list: async (userId, { unreadOnly, before, limit }) => {
+            let entries;
+            if (unreadOnly) {
+                entries = (await listUnread(userId))
+                    .filter(([id]) => !before || id < before)
+                    .sort(([a], [b]) => (a < b ? -1 : 1))
+                    .slice(-(limit + 1));
+            } else {
+                entries = (await store.query(`notifications/${userId}`, before
+                    ? { orderBy: '$key', endAt: before, limitToLast: limit + 2 }
+                    : { orderBy: '$key', limitToLast: limit + 1 }))
+                    .filter(([id]) => id !== before);
+            }
+            return {
+                notifications: entries.slice(-limit).reverse().map(toNotification),
+                hasMore: entries.length > limit
+            };
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Toutes les notifications de l'utilisateur, de la plus ancienne à la plus récente.
+         */
+        listAll: async (userId) => (await store.query(`notifications/${userId}`, { orderBy: '$key' })).map(toNotification),
+
+        countUnread: async (userId) => (await listUnread(userId)).length,
+
+        markRead: (userId, notificationIds, readAt) => markEntriesRead(userId, notificationIds, readAt),
+
+        /**
+         * Marque comme lues toutes les notifications non lues (ou seulement celles regroupées sous `collapseKey`).
+         * @returns {Promise<number>} Le nombre de notifications marquées.
+         */
+        markAllRead: async (userId, readAt, collapseKey) => {
+            const ids = (await listUnread(userId))
+                .filter(([, notification]) => !collapseKey || notification.collapseKey === collapseKey)
+                .map(([id]) => id);
+            await markEntriesRead(userId, ids, readAt);
+            return ids.length;
+        },
+
+        /**
+         * Supprime les notifications créées avant `cutoff`.
+         * @returns {Promise<number>} Le nombre de notifications supprimées.
+         */
+        pruneOlderThan: async (userId, cutoff) => {
+            const expired = await store.query(`notifications/${userId}`, { orderBy: 'createdAt', endAt: cutoff });
+            if (expired.length > 0) {
+                await store.update(Object.fromEntries(expired.map(([id]) => [`notifications/${userId}/${id}`, null])));
+            }
+            return expired.length;
+        },
+
+        /**
+         * @returns {Promise<string[]>} Les types de notifications coupés par l'utilisateur.
+         */
+        getMutedTypes: async (userId) => Object.keys((await store.get(`users/${userId}/mutedNotifications`)) || {}),
+
+        isMuted: async (userId, type) => Boolean(await store.get(`users/${userId}/mutedNotifications/${type}`)),
+
+        setMuted: (userId, type, muted) => store.set(`users/${userId}/mutedNotifications/${type}`, muted ? true : null),
+
+        /**
+         * Calcule la suppression des notifications d'un utilisateur supprimé (ses préférences sont dans `users`).
+         * @returns {object} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: (userId) => ({ [`notifications/${userId}`]: null })
+    };
+};
@@ -0,0 +1,43 @@
+// src/repositories/presence.js
+// Présence des utilisateurs (branche `presence/{id}`), séparée de `users` pour que la
+// recherche des connexions expirées reste une simple requête indexée. `lastHeartbeat` n'existe que
+// pour les utilisateurs en ligne : les autres sortent de l'index et la requête ne les relit pas.
+// Nécessite `.indexOn: ["lastHeartbeat"]` sur `presence` avec Realtime Database.
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createPresenceRepository = (store) => ({
+    /**
+     * @returns {Promise<{ online: boolean, lastSeen: number, lastHeartbeat?: number }|null>}
+     */
+    get: (userId) => store.get(`presence/${userId}`),
+
+    /**
+     * Marque l'utilisateur en ligne et enregistre son activité à l'instant `now`.
+     */
+    markOnline: (userId, now) => store.set(`presence/${userId}`, { online: true, lastSeen: now, lastHeartbeat: now }),
+
+    /**
+     * Marque l'utilisateur hors ligne, vu pour la dernière fois à `lastSeen`.
+     */
+    markOffline: (userId, lastSeen) => store.update({
+        [`presence/${userId}/online`]: false,
+        [`presence/${userId}/lastSeen`]: lastSeen,
+        [`presence/${userId}/lastHeartbeat`]: null
+    }),
+
+    /**
+     * @returns {Promise<Array<[string, object]>>} Les utilisateurs en ligne sans activité depuis `before`.
+     */
+    listStale: async (before) => {
+        // startAt exclut les entrées sans lastHeartbeat, classées en premier par Realtime Database
+        const entries = await store.query('presence', { orderBy: 'lastHeartbeat', startAt: 0, endAt: before });
+        // Les utilisateurs passés hors ligne avant que lastHeartbeat ne soit retiré sortent de l'index au passage
+        const offline = entries.filter(([, presence]) => !presence.online);
+        if (offline.length > 0) {
+            await store.update(Object.fromEntries(offline.map(([userId]) => [`presence/${userId}/lastHeartbeat`, null])));
+        }
+        return entries.filter(([, presence]) => presence.online);
+    }
+});
@@ -0,0 +1,80 @@
+// src/repositories/projects.js
+// Projets partagés (branche `projects/{projectId}`), avec un index par utilisateur
+// (`users/{id}/projects/{projectId}` = 'owner' ou 'collaborator').
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createProjectsRepository = (store) => ({
+    newId: () => store.newKey('projects'),
+
+    /**
+     * Crée le projet et l'indexe chez son propriétaire, de manière atomique.
+     * @param {string} projectId
+     * @param {object} project - { ownerId, title, description, links, tags, createdAt, updatedAt }
+     */
+    create: (projectId, project) => store.update({
+        [`projects/${projectId}`]: project,
+        [`users/${project.ownerId}/projects/${projectId}`]: 'owner'
+    }),
+
+    get: (projectId) => store.get(`projects/${projectId}`),
+
+    /**
+     * @returns {Promise<Array<{ id: string, role: string, project: object }>>} Les projets de l'utilisateur,
+     * dont il est propriétaire ou collaborateur.
+     */
+    listForUser: async (userId) => {
+        const index = (await store.get(`users/${userId}/projects`)) || {};
+        const projects = await Promise.all(Object.entries(index).map(async ([projectId, role]) => {
+            const project = await store.get(`projects/${projectId}`);
+            return project ? { id: projectId, role, project } : null;
+        }));
+        return projects.filter(Boolean);
+    },
+
+    addCollaborator: (projectId, collaboratorId, updatedAt) => store.update({
+        [`projects/${projectId}/collaborators/${collaboratorId}`]: true,
+        [`projects/${projectId}/updatedAt`]: updatedAt,
+        [`users/${collaboratorId}/projects/${projectId}`]: 'collaborator'
+    }),
+
+    removeCollaborator: (projectId, collaboratorId, updatedAt) => store.update({
+        [`projects/${projectId}/collaborators/${collaboratorId}`]: null,
+        [`projects/${projectId}/updatedAt`]: updatedAt,
+        [`users/${collaboratorId}/projects/${projectId}`]: null
+    }),
+
+    /**
+     * Supprime le projet et ses entrées d'index chez le propriétaire et les collaborateurs.
+     */
+    remove: (projectId, project) => {
+        const updates = { [`projects/${projectId}`]: null, [`users/${project.ownerId}/projects/${projectId}`]: null };
+        for (const collaboratorId of Object.keys(project.collaborators || {})) {
+            updates[`users/${collaboratorId}/projects/${projectId}`] = null;
+        }
+        return store.update(updates);
+    },
+
+    /**
+     * Calcule les suppressions liées aux projets d'un utilisateur supprimé :
+     * ses projets disparaissent, et il est retiré de ceux auxquels il collabore.
+     * @returns {Promise<object>} Les mises à jour multi-chemins à appliquer avec la suppression du compte.
+     */
+    collectUserDeletionUpdates: async (userId) => {
+        const index = (await store.get(`users/${userId}/projects`)) || {};
+        const updates = {};
+        await Promise.all(Object.entries(index).map(async ([projectId, role]) => {
+            if (role === 'owner') {
+                const project = (await store.get(`projects/${projectId}`)) || {};
+                updates[`projects/${projectId}`] = null;
+                for (const collaboratorId of Object.keys(project.collaborators || {})) {
+                    updates[`users/${collaboratorId}/projects/${projectId}`] = null;
+                }
+            } else {
+                updates[`projects/${projectId}/collaborators/${userId}`] = null;
+            }
+        }));
+        return updates;
+    }
+});
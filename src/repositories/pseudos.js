@@ -0,0 +1,108 @@
+// src/repositories/pseudos.js
+// Index des pseudos normalisés (`pseudoIndex/{pseudoNormalisé}` -> userId), qui garantit leur unicité
+// et sert à la recherche par préfixe. Voir src/pseudos.js pour la normalisation.
+
+import { normalizePseudo } from '../pseudos.js';
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createPseudosRepository = (store) => ({
+    /**
+     * Réserve un pseudo normalisé pour un utilisateur, de manière transactionnelle.
+     * @returns {Promise<boolean>} Faux si le pseudo appartient déjà à un autre utilisateur.
+     */
+    reserve: async (normalized, userId) => {
+        const { committed } = await store.transaction(`pseudoIndex/${normalized}`, (current) => {
+            if (current !== null && current !== userId) return undefined; // Déjà pris : annule la transaction
+            return userId;
+        });
+        return committed;
+    },
+
+    /**
+     * Libère un pseudo, seulement s'il appartient encore à `userId`.
+     */
+    release: async (normalized, userId) => {
+        await store.transaction(`pseudoIndex/${normalized}`, (current) => {
+            // Premier appel sans la valeur en cache (Realtime Database) : null fait rejouer la transaction
+            if (current === null) return null;
+            return current === userId ? null : undefined;
+        });
+    },
+
+    /**
+     * Applique un nouveau pseudo (déjà réservé) et libère l'ancien, en une seule mise à jour atomique.
+     * @param {string} userId
+     * @param {string} pseudo - Le nouveau pseudo, tel qu'affiché.
+     * @param {string|null} previousNormalized - L'ancien pseudo normalisé à libérer (null pour le garder).
+     */
+    applyChange: async (userId, pseudo, previousNormalized) => {
+        const updates = { [`users/${userId}/pseudo`]: pseudo };
+        if (previousNormalized && (await store.get(`pseudoIndex/${previousNormalized}`)) === userId) {
+            updates[`pseudoIndex/${previousNormalized}`] = null;
+        }
+        await store.update(updates);
+    },
+
+    /**
+     * Recherche les pseudos normalisés commençant par `prefix`, dans l'ordre alphabétique.
+     * @param {string} prefix - Un texte déjà normalisé.
+     * @param {object} options
+     * @param {string} [options.after] - Le dernier pseudo normalisé de la page précédente.
+     * @param {number} options.limit
+     * @returns {Promise<{ entries: Array<{ normalized: string, userId: string }>, hasMore: boolean }>}
+     */
+    search: async (prefix, { after, limit }) => {
+        const startAt = after && after > prefix ? after : prefix;
+        const entries = (await store.query('pseudoIndex', {
+            orderBy: '$key',
+            startAt,
+            endAt: `${prefix}\uf8ff`, // \uf8ff : dernier caractère possible, pour la correspondance de préfixe
+            limitToFirst: limit + 2
+        })).filter(([normalized]) => normalized !== after);
+        return {
+            entries: entries.slice(0, limit).map(([normalized, userId]) => ({ normalized, userId })),
+            hasMore: entries.length > limit
+        };
+    },
+
+    /**
+     * Reconstruit l'index à partir des pseudos existants (comptes créés avant l'index).
+     * En cas de doublon, le compte le plus ancien garde le pseudo.
+     * @returns {Promise<{ indexed: number, conflicts: Array<{ userId: string, pseudo: string }> }>}
+     */
+    rebuild: async () => {
+        const [users, index] = await Promise.all([store.get('users'), store.get('pseudoIndex')]);
+        const owners = { ...(index || {}) };
+        const updates = {};
+        const conflicts = [];
+        // Les clés des utilisateurs sont chronologiques : les comptes les plus anciens passent en premier
+        for (const [userId, userData] of Object.entries(users || {}).sort(([a], [b]) => (a < b ? -1 : 1))) {
+            if (!userData.pseudo) continue;
+            const normalized = normalizePseudo(userData.pseudo);
+            if (!normalized) continue;
+            if (!owners[normalized]) {
+                owners[normalized] = userId;
+                updates[`pseudoIndex/${normalized}`] = userId;
+            } else if (owners[normalized] !== userId) {
+                conflicts.push({ userId, pseudo: userData.pseudo });
+            }
+        }
+        if (Object.keys(updates).length > 0) await store.update(updates);
+        return { indexed: Object.keys(updates).length, conflicts };
+    },
+
+    /**
+     * Calcule la libération du pseudo d'un utilisateur supprimé.
+     * @param {string} userId
+     * @param {object} userData - L'enregistrement de l'utilisateur.
+     * @returns {Promise<object>} Les mises à jour multi-chemins.
+     */
+    collectUserDeletionUpdates: async (userId, userData) => {
+        if (!userData.pseudo) return {};
+        const normalized = normalizePseudo(userData.pseudo);
+        if (!normalized || (await store.get(`pseudoIndex/${normalized}`)) !== userId) return {};
+        return { [`pseudoIndex/${normalized}`]: null };
+    }
+});
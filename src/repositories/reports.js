@@ -0,0 +1,92 @@
+// src/repositories/reports.js
+// Signalements des utilisateurs (branche `reports/{reportId}`, clés chronologiques) :
+// { reporterId, targetUserId, targetType: 'user'|'message', conversationId?, messageId?, snapshot,
+//   reason, details?, status: 'open'|'actioned'|'dismissed', createdAt, resolvedAt?, resolvedBy?, note? }.
+// `snapshot` conserve le contenu signalé tel qu'il était (message, ou pseudo et profil), même s'il est
+// modifié ou supprimé ensuite, y compris avec le compte visé. À la suppression du compte de son auteur,
+// un signalement perd seulement `reporterId`.
+// Nécessite `.indexOn: ["status", "targetUserId", "reporterId"]` sur `reports` avec Realtime Database.
+
+const toReport = ([id, report]) => ({ id, ...report });
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createReportsRepository = (store) => {
+    const listBy = (indexedField, value) => store.query('reports', { orderBy: indexedField, equalTo: value });
+
+    return {
+        /**
+         * @param {object} report - Voir l'en-tête du module ; `status` vaut 'open'.
+         * @returns {Promise<string>} L'ID du signalement.
+         */
+        create: async (report) => {
+            const reportId = store.newKey('reports');
+            await store.set(`reports/${reportId}`, report);
+            return reportId;
+        },
+
+        /**
+         * @returns {Promise<object|null>} Le signalement, avec son ID.
+         */
+        get: async (reportId) => {
+            const report = await store.get(`reports/${reportId}`);
+            return report ? { id: reportId, ...report } : null;
+        },
+
+        /**
+         * Récupère une page de la file de modération, du plus ancien au plus récent signalement.
+         * @param {object} options
+         * @param {string} options.status - 'open', 'actioned' ou 'dismissed'.
+         * @param {string} [options.targetUserId] - Seulement les signalements visant cet utilisateur.
+         * @param {string} [options.after] - Renvoie les signalements postérieurs à cet ID.
+         * @param {number} options.limit
+         * @returns {Promise<{ reports: object[], hasMore: boolean }>}
+         */
+        listByStatus: async ({ status, targetUserId, after, limit }) => {
+            const entries = (await listBy('status', status))
+                .filter(([id, report]) => (!after || id > after) && (!targetUserId || report.targetUserId === targetUserId))
+                .sort(([a], [b]) => (a < b ? -1 : 1));
+            return { reports: entries.slice(0, limit).map(toReport), hasMore: entries.length > limit };
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} Les signalements visant l'utilisateur, du plus ancien au plus récent.
+         */
+        listAgainst: async (targetUserId) => (await listBy('targetUserId', targetUserId))
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(toReport),
+
+        /**
+         * @returns {Promise<Array<object>>} Les signalements déposés par l'utilisateur, du plus récent au plus ancien.
+         */
+        listFiledBy: async (reporterId) => (await listBy('reporterId', reporterId))
+            .sort(([a], [b]) => (a < b ? 1 : -1))
+            .map(toReport),
+
+        /**
+         * Clôt plusieurs signalements en une seule mise à jour.
+         * @param {string[]} reportIds
+         * @param {object} resolution - { status: 'actioned'|'dismissed', resolvedBy, resolvedAt, note? }
+         */
+        resolve: async (reportIds, resolution) => {
+            const updates = {};
+            for (const reportId of reportIds) {
+                for (const [name, value] of Object.entries(resolution)) {
+                    updates[`reports/${reportId}/${name}`] = value ?? null;
+                }
+            }
+            await store.update(updates);
+        },
+
+        /**
+         * Calcule l'anonymisation des signalements déposés par un utilisateur supprimé. Ceux qui le visent
+         * sont conservés : supprimer son compte ne doit pas effacer les éléments soumis à la modération.
+         * @returns {Promise<object>} Les mises à jour multi-chemins.
+         */
+        collectUserDeletionUpdates: async (userId) => {
+            const filed = await listBy('reporterId', userId);
+            return Object.fromEntries(filed.map(([reportId]) => [`reports/${reportId}/reporterId`, null]));
+        }
+    };
+};
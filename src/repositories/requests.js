@@ -0,0 +1,93 @@
+// src/repositories/requests.js
+// Demandes d'amis. Chaque demande est enregistrée des deux côtés :
+// `friendRequestsSent` chez l'expéditeur et `friendRequestsReceived` chez le destinataire.
+// La valeur est la date d'envoi (ms) ; les demandes plus anciennes valent `true` et n'expirent pas.
+
+/**
+ * Convertit une branche de demandes en liste { id, sentAt }.
+ */
+const toRequests = (branch) => Object.entries(branch || {})
+    .map(([id, value]) => ({ id, sentAt: typeof value === 'number' ? value : null }));
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createRequestsRepository = (store) => ({
+    /**
+     * @returns {Promise<Array<{ id: string, sentAt: number|null }>>} Les demandes reçues par `userId`.
+     */
+    listReceived: async (userId) => toRequests(await store.get(`users/${userId}/friendRequestsReceived`)),
+
+    /**
+     * @returns {Promise<Array<{ id: string, sentAt: number|null }>>} Les demandes envoyées par `userId`.
+     */
+    listSent: async (userId) => toRequests(await store.get(`users/${userId}/friendRequestsSent`)),
+
+    /**
+     * Indique si `senderId` a une demande en cours vers `receiverId`.
+     */
+    exists: (senderId, receiverId) => store.exists(`users/${senderId}/friendRequestsSent/${receiverId}`),
+
+    /**
+     * @param {string} senderId
+     * @param {string} receiverId
+     * @param {number|object} sentAt - La date d'envoi (ou SERVER_TIMESTAMP).
+     */
+    send: (senderId, receiverId, sentAt) => store.update({
+        [`users/${senderId}/friendRequestsSent/${receiverId}`]: sentAt,
+        [`users/${receiverId}/friendRequestsReceived/${senderId}`]: sentAt
+    }),
+
+    /**
+     * Accepte la demande de `senderId` reçue par `receiverId` : crée l'amitié des deux côtés
+     * et supprime la demande, de manière atomique.
+     */
+    accept: (receiverId, senderId) => store.update({
+        [`users/${receiverId}/friends/${senderId}`]: true,
+        [`users/${senderId}/friends/${receiverId}`]: true,
+        [`users/${receiverId}/friendRequestsReceived/${senderId}`]: null,
+        [`users/${senderId}/friendRequestsSent/${receiverId}`]: null
+    }),
+
+    /**
+     * Refuse la demande de `senderId` reçue par `receiverId` (suppression des deux côtés).
+     */
+    decline: (receiverId, senderId) => store.update({
+        [`users/${receiverId}/friendRequestsReceived/${senderId}`]: null,
+        [`users/${senderId}/friendRequestsSent/${receiverId}`]: null
+    }),
+
+    /**
+     * Annule la demande envoyée par `senderId` à `receiverId` (suppression des deux côtés).
+     */
+    cancel: (senderId, receiverId) => store.update({
+        [`users/${senderId}/friendRequestsSent/${receiverId}`]: null,
+        [`users/${receiverId}/friendRequestsReceived/${senderId}`]: null
+    }),
+
+    /**
+     * Supprime, des deux côtés, les demandes envoyées ou reçues par `userId` avant `before`.
+     * @returns {Promise<number>} Le nombre de demandes expirées.
+     */
+    removeExpired: async (userId, before) => {
+        const [sent, received] = await Promise.all([
+            store.get(`users/${userId}/friendRequestsSent`),
+            store.get(`users/${userId}/friendRequestsReceived`)
+        ]);
+        const updates = {};
+        for (const { id, sentAt } of toRequests(sent)) {
+            if (sentAt !== null && sentAt < before) {
+                updates[`users/${userId}/friendRequestsSent/${id}`] = null;
+                updates[`users/${id}/friendRequestsReceived/${userId}`] = null;
+            }
+        }
+        for (const { id, sentAt } of toRequests(received)) {
+            if (sentAt !== null && sentAt < before) {
+                updates[`users/${userId}/friendRequestsReceived/${id}`] = null;
+                updates[`users/${id}/friendRequestsSent/${userId}`] = null;
+            }
+        }
+        if (Object.keys(updates).length > 0) await store.update(updates);
+        return Object.keys(updates).length / 2;
+    }
+});
@@ -0,0 +1,51 @@
+// src/repositories/sanctions.js
+// Sanctions des comptes (branche `sanctions/{userId}`), séparée de `users` pour être lue à chaque
+// requête authentifiée sans charger le compte : { type: 'ban'|'suspension'|'restriction', reason, createdAt,
+// createdBy, expiresAt }. Un bannissement n'expire pas (expiresAt null) ; une suspension ou une restriction
+// expire d'elle-même. `createdBy` vaut 'system' pour une restriction automatique (voir src/moderation.js).
+
+/**
+ * La sanction est-elle en vigueur à l'instant `now` ?
+ */
+const isActive = (sanction, now) => Boolean(sanction) && (sanction.expiresAt === null || sanction.expiresAt === undefined || sanction.expiresAt > now);
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createSanctionsRepository = (store) => ({
+    /**
+     * @returns {Promise<object|null>} La dernière sanction enregistrée, même terminée.
+     */
+    get: (userId) => store.get(`sanctions/${userId}`),
+
+    /**
+     * @returns {Promise<object|null>} La sanction en vigueur, ou null (aucune, ou suspension terminée).
+     */
+    getActive: async (userId, now = Date.now()) => {
+        const sanction = await store.get(`sanctions/${userId}`);
+        return isActive(sanction, now) ? sanction : null;
+    },
+
+    /**
+     * Sanctionne l'utilisateur, en remplaçant une éventuelle sanction précédente.
+     * @param {string} userId
+     * @param {object} sanction - { type, reason, createdAt, createdBy, expiresAt }
+     */
+    set: (userId, sanction) => store.set(`sanctions/${userId}`, sanction),
+
+    remove: (userId) => store.remove(`sanctions/${userId}`),
+
+    /**
+     * @returns {Promise<Array<{ userId: string }>>} Les sanctions en vigueur, par ID utilisateur.
+     */
+    listActive: async (now = Date.now()) => Object.entries((await store.get('sanctions')) || {})
+        .filter(([, sanction]) => isActive(sanction, now))
+        .map(([userId, sanction]) => ({ userId, ...sanction }))
+        .sort((a, b) => (a.userId < b.userId ? -1 : 1)),
+
+    /**
+     * Calcule la suppression de la sanction d'un utilisateur supprimé.
+     * @returns {object} Les mises à jour multi-chemins.
+     */
+    collectUserDeletionUpdates: (userId) => ({ [`sanctions/${userId}`]: null })
+});
@@ -0,0 +1,74 @@
+// src/repositories/scores.js
+// Scores de jeu. `users/{id}/gameScores/{gameId}` contient le score courant du joueur,
+// et `users/{id}/scoreHistory/{gameId}/{submissionId}` chaque soumission horodatée.
+// Une soumission sans `status` est acceptée ; sinon elle vaut 'quarantined', 'approved' ou 'rejected'.
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createScoresRepository = (store) => ({
+    /**
+     * @returns {Promise<number|null>} Le score de l'utilisateur pour ce jeu, ou null s'il n'en a pas.
+     */
+    get: (userId, gameId) => store.get(`users/${userId}/gameScores/${gameId}`),
+
+    /**
+     * Enregistre une soumission dans l'historique et, si demandé, met à jour le score courant,
+     * de manière atomique.
+     * @param {string} userId
+     * @param {string} gameId
+     * @param {number} score
+     * @param {number} timestamp - L'heure de la soumission (ms).
+     * @param {boolean} [setCurrent] - Faux pour ne pas remplacer le score courant (politique keep_best, quarantaine).
+     * @param {object} [details] - Champs supplémentaires de la soumission (ex: { status: 'quarantined' }).
+     * @returns {Promise<string>} L'ID de la soumission.
+     */
+    record: async (userId, gameId, score, timestamp, setCurrent = true, details = {}) => {
+        const submissionId = store.newKey(`users/${userId}/scoreHistory/${gameId}`);
+        const updates = { [`users/${userId}/scoreHistory/${gameId}/${submissionId}`]: { ...details, score, timestamp } };
+        if (setCurrent) updates[`users/${userId}/gameScores/${gameId}`] = score;
+        await store.update(updates);
+        return submissionId;
+    },
+
+    /**
+     * Change l'état d'une soumission et, si demandé, en fait le score courant, de manière atomique.
+     */
+    setSubmissionStatus: (userId, gameId, submissionId, status, setCurrentScore = null) => {
+        const updates = { [`users/${userId}/scoreHistory/${gameId}/${submissionId}/status`]: status };
+        if (setCurrentScore !== null) updates[`users/${userId}/gameScores/${gameId}`] = setCurrentScore;
+        return store.update(updates);
+    },
+
+    /**
+     * Supprime les scores courants et l'historique de l'utilisateur pour ces jeux, en une seule mise à jour
+     * atomique avec les nettoyages calculés par les autres dépôts (classements, revues).
+     * @param {string} userId
+     * @param {string[]} gameIds
+     * @param {object} [extraUpdates]
+     */
+    removeGames: (userId, gameIds, extraUpdates = {}) => {
+        const updates = { ...extraUpdates };
+        for (const gameId of gameIds) {
+            updates[`users/${userId}/gameScores/${gameId}`] = null;
+            updates[`users/${userId}/scoreHistory/${gameId}`] = null;
+        }
+        return store.update(updates);
+    },
+
+    /**
+     * @returns {Promise<object>} L'historique de tous les jeux : { gameId: { submissionId: submission } }.
+     */
+    getAllHistory: async (userId) => (await store.get(`users/${userId}/scoreHistory`)) || {},
+
+    /**
+     * @returns {Promise<Array<{ id: string, score: number, timestamp: number, status: string|null }>>} Les soumissions
+     * de l'utilisateur pour ce jeu, de la plus ancienne à la plus récente.
+     */
+    listHistory: async (userId, gameId) => {
+        const entries = await store.query(`users/${userId}/scoreHistory/${gameId}`, { orderBy: 'timestamp' });
+        return entries.map(([id, submission]) => ({
+            id, score: submission.score, timestamp: submission.timestamp, status: submission.status || null
+        }));
+    }
+});
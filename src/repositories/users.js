@@ -0,0 +1,108 @@
+// src/repositories/users.js
+// Accès aux comptes utilisateurs (branche `users/{id}`).
+
+/**
+ * @param {object} store - Le stockage (voir src/storage).
+ */
+export const createUsersRepository = (store) => ({
+    /**
+     * Réserve un nouvel ID utilisateur (clé chronologique).
+     * @returns {string}
+     */
+    newId: () => store.newKey('users'),
+
+    create: (userId, userData) => store.set(`users/${userId}`, userData),
+
+    exists: (userId) => store.exists(`users/${userId}`),
+
+    /**
+     * @returns {Promise<object|null>} L'enregistrement complet de l'utilisateur.
+     */
+    get: (userId) => store.get(`users/${userId}`),
+
+    getPseudo: (userId) => store.get(`users/${userId}/pseudo`),
+
+    /**
+     * Met à jour plusieurs champs de l'utilisateur en une fois.
+     * @param {string} userId
+     * @param {object} updates - Chemins relatifs à l'utilisateur (ex: { 'profile/bio': '...' }).
+     */
+    update: (userId, updates) => {
+        const rootUpdates = {};
+        for (const [relativePath, value] of Object.entries(updates)) {
+            rootUpdates[`users/${userId}/${relativePath}`] = value;
+        }
+        return store.update(rootUpdates);
+    },
+
+    getVisibility: (userId, infoType) => store.get(`users/${userId}/profile/visibility/${infoType}`),
+
+    setVisibility: (userId, infoType, visibilityLevel) =>
+        store.set(`users/${userId}/profile/visibility/${infoType}`, visibilityLevel),
+
+    /**
+     * @returns {Promise<string|null>} Le rôle de l'utilisateur ('admin'), ou null pour un utilisateur ordinaire.
+     */
+    getRole: (userId) => store.get(`users/${userId}/role`),
+
+    /**
+     * Récupère une page d'utilisateurs, dans l'ordre de création.
+     * @param {object} options
+     * @param {string} [options.after] - Le dernier ID de la page précédente.
+     * @param {number} options.limit
+     * @returns {Promise<{ entries: Array<[string, object]>, hasMore: boolean }>}
+     */
+    listPage: async ({ after, limit }) => {
+        const entries = (await store.query('users', after
+            ? { orderBy: '$key', startAt: after, limitToFirst: limit + 2 }
+            : { orderBy: '$key', limitToFirst: limit + 1 }))
+            .filter(([id]) => id !== after);
+        return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+    },
+
+    /**
+     * Supprime un utilisateur et les références que les autres utilisateurs ont vers lui,
+     * en une seule mise à jour atomique.
+     * @param {string} userId
+     * @param {object} userData - L'enregistrement de l'utilisateur à supprimer.
+     * @param {object} [extraUpdates] - Nettoyages calculés par les autres dépôts (projets, ...),
+     * appliqués dans la même mise à jour atomique.
+     */
+    remove: (userId, userData, extraUpdates = {}) => {
+        const updates = { ...extraUpdates };
+
+        // 1. Supprimer l'utilisateur lui-même
+        updates[`users/${userId}`] = null;
+
+        // 2. Supprimer l'utilisateur des listes d'amis de ses amis
+        for (const friendId of Object.keys(userData.friends || {})) {
+            updates[`users/${friendId}/friends/${userId}`] = null;
+        }
+
+        // 3. Supprimer les demandes d'amis envoyées par cet utilisateur chez d'autres
+        for (const receiverId of Object.keys(userData.friendRequestsSent || {})) {
+            updates[`users/${receiverId}/friendRequestsReceived/${userId}`] = null;
+        }
+
+        // 4. Supprimer les demandes d'amis reçues par cet utilisateur
+        for (const senderId of Object.keys(userData.friendRequestsReceived || {})) {
+            updates[`users/${senderId}/friendRequestsSent/${userId}`] = null;
+        }
+
+        // 5. Supprimer sa présence, stockée hors de sa branche
+        updates[`presence/${userId}`] = null;
+
+        // 6. Supprimer ses blocages des deux côtés, grâce à l'index inverse "blockedBy"
+        for (const blockerId of Object.keys(userData.blockedBy || {})) {
+            updates[`users/${blockerId}/blockedUsers/${userId}`] = null;
+        }
+        for (const blockedId of Object.keys(userData.blockedUsers || {})) {
+            updates[`users/${blockedId}/blockedBy/${userId}`] = null;
+        }
+
+        // 7. Son index de conversations et ses marqueurs de lecture disparaissent avec sa branche ;
+        // son retrait des conversations elles-mêmes est calculé par le dépôt des messages.
+
+        return store.update(updates);
+    }
+});
@@ -0,0 +1,172 @@
+// src/routes.js
+// Catalogue des routes de l'API, par nom de route (le même que dans src/schemas.js).
+// Chaque route a un chemin historique (`legacy`, ex: POST /setProfile), conservé comme alias pour les
+// versions déjà installées de l'extension, et un chemin de l'API versionnée orientée ressources
+// (`v1`, ex: PATCH /v1/users/:userId/profile). Le catalogue sert à enregistrer les routes, à
+// identifier la route d'une requête (limitation du débit) et à générer le document OpenAPI.
+//
+// Dans l'API v1, les paramètres du chemin remplacent les champs du même nom du corps de la requête
+// historique : PUT /v1/users/:userId/blocked-users/:targetId correspond à POST /blockUser
+// avec { userId, targetId }.
+
+/**
+ * Description d'une route :
+ * - legacy / v1 : "MÉTHODE /chemin" (syntaxe Express), ou null si la route n'existe pas sous cette forme ;
+ * - tag : le groupe de routes dans la documentation ;
+ * - summary : la description courte de la route ;
+ * - auth : 'none' (publique), 'optional' (jeton facultatif), 'user' (jeton requis) ou 'admin' ;
+ * - status : le statut HTTP du succès (200 par défaut) ;
+ * - stream : true pour un flux Server-Sent Events plutôt qu'une réponse JSON.
+ */
+export const API_ROUTES = {
+    // --- Utilisateurs et profils ---
+    createUser: { legacy: 'POST /createUser', v1: 'POST /v1/users', tag: 'Utilisateurs', summary: 'Crée un utilisateur et renvoie ses identifiants.', auth: 'none', status: 201 },
+    getUserDetails: { legacy: 'GET /getUserDetails/:id', v1: 'GET /v1/users/:id', tag: 'Utilisateurs', summary: 'Récupère un utilisateur, filtré selon sa visibilité.', auth: 'optional' },
+    setProfile: { legacy: 'POST /setProfile', v1: 'PATCH /v1/users/:userId/profile', tag: 'Utilisateurs', summary: 'Met à jour la bio, l\'avatar ou le statut personnalisé.', auth: 'user' },
+    changePseudo: { legacy: 'POST /changePseudo', v1: 'PUT /v1/users/:userId/pseudo', tag: 'Utilisateurs', summary: 'Change le pseudo de l\'utilisateur.', auth: 'user' },
+    setVisibility: { legacy: 'POST /setVisibility', v1: 'PUT /v1/users/:userId/visibility/:infoType', tag: 'Utilisateurs', summary: 'Définit la visibilité d\'un type d\'information.', auth: 'user' },
+    searchUsers: { legacy: 'GET /searchUsers/:pseudo', v1: 'GET /v1/search/users/:pseudo', tag: 'Utilisateurs', summary: 'Recherche des utilisateurs par préfixe de pseudo, page par page.', auth: 'optional' },
+    deleteUser: { legacy: 'POST /deleteUser', v1: 'DELETE /v1/users/:userId', tag: 'Utilisateurs', summary: 'Supprime le compte de l\'utilisateur et ses références.', auth: 'user' },
+
+    // --- Codes d'invitation ---
+    getInviteCode: { legacy: 'GET /getInviteCode/:userId', v1: 'GET /v1/users/:userId/invite-code', tag: 'Codes d\'invitation', summary: 'Récupère le code d\'invitation actuel.', auth: 'user' },
+    regenerateInviteCode: { legacy: 'POST /regenerateInviteCode', v1: 'POST /v1/users/:userId/invite-code', tag: 'Codes d\'invitation', summary: 'Génère un nouveau code d\'invitation et révoque l\'ancien.', auth: 'user' },
+    revokeInviteCode: { legacy: 'POST /revokeInviteCode', v1: 'DELETE /v1/users/:userId/invite-code', tag: 'Codes d\'invitation', summary: 'Révoque le code d\'invitation actuel.', auth: 'user' },
+    getReferrals: { legacy: 'GET /getReferrals/:userId', v1: 'GET /v1/users/:userId/referrals', tag: 'Codes d\'invitation', summary: 'Liste les codes de l\'utilisateur et les parrainages obtenus.', auth: 'user' },
+
+    // --- Amis et blocages ---
+    sendFriendRequest: { legacy: 'POST /sendFriendRequest', v1: 'POST /v1/users/:userId/sent-friend-requests', tag: 'Amis', summary: 'Envoie une demande d\'ami.', auth: 'user' },
+    sendFriendRequestByCode: { legacy: 'POST /sendFriendRequestByCode', v1: 'POST /v1/invite-codes/:inviteCode/uses', tag: 'Amis', summary: 'Utilise un code d\'invitation : demande d\'ami ou amitié immédiate.', auth: 'user' },
+    getFriendRequests: { legacy: 'GET /getFriendRequests/:id', v1: 'GET /v1/users/:id/friend-requests', tag: 'Amis', summary: 'Liste les demandes d\'amis reçues.', auth: 'user' },
+    acceptFriendRequest: { legacy: 'POST /acceptFriendRequest', v1: 'POST /v1/users/:userId/friend-requests/:friendId/accept', tag: 'Amis', summary: 'Accepte une demande d\'ami reçue.', auth: 'user' },
+    declineFriendRequest: { legacy: 'POST /declineFriendRequest', v1: 'DELETE /v1/users/:userId/friend-requests/:friendId', tag: 'Amis', summary: 'Refuse une demande d\'ami reçue.', auth: 'user' },
+    getSentFriendRequests: { legacy: 'GET /getSentFriendRequests/:userId', v1: 'GET /v1/users/:userId/sent-friend-requests', tag: 'Amis', summary: 'Liste les demandes d\'amis envoyées et sans réponse.', auth: 'user' },
+    cancelFriendRequest: { legacy: 'POST /cancelFriendRequest', v1: 'DELETE /v1/users/:userId/sent-friend-requests/:friendId', tag: 'Amis', summary: 'Annule une demande d\'ami envoyée.', auth: 'user' },
+    removeFriend: { legacy: 'POST /removeFriend', v1: 'DELETE /v1/users/:userId/friends/:friendId', tag: 'Amis', summary: 'Retire un ami.', auth: 'user' },
+    getFriendsList: { legacy: 'GET /getFriendsList/:userId', v1: 'GET /v1/users/:userId/friends', tag: 'Amis', summary: 'Liste les amis d\'un utilisateur, selon sa visibilité.', auth: 'optional' },
+    getFriendsOfFriendsSuggestions: { legacy: 'GET /getFriendsOfFriendsSuggestions/:userId', v1: 'GET /v1/users/:userId/friend-suggestions', tag: 'Amis', summary: 'Suggère des amis d\'amis.', auth: 'user' },
+    blockUser: { legacy: 'POST /blockUser', v1: 'PUT /v1/users/:userId/blocked-users/:targetId', tag: 'Amis', summary: 'Bloque un utilisateur.', auth: 'user' },
+    unblockUser: { legacy: 'POST /unblockUser', v1: 'DELETE /v1/users/:userId/blocked-users/:targetId', tag: 'Amis', summary: 'Débloque un utilisateur.', auth: 'user' },
+
+    // --- Messages ---
+    sendMessage: { legacy: 'POST /sendMessage', v1: 'POST /v1/users/:senderId/direct-messages/:receiverId', tag: 'Messages', summary: 'Envoie un message direct.', auth: 'user' },
+    getMessages: { legacy: 'GET /getMessages/:userId/:otherUserId', v1: 'GET /v1/users/:userId/direct-messages/:otherUserId', tag: 'Messages', summary: 'Récupère une page de messages directs.', auth: 'user' },
+    getConversations: { legacy: 'GET /getConversations/:userId', v1: 'GET /v1/users/:userId/conversations', tag: 'Messages', summary: 'Liste les conversations avec leur dernier message et les non-lus.', auth: 'user' },
+    markConversationRead: { legacy: 'POST /markConversationRead', v1: 'POST /v1/users/:userId/read-markers', tag: 'Messages', summary: 'Marque une conversation comme lue.', auth: 'user' },
+    editMessage: { legacy: 'POST /editMessage', v1: 'PATCH /v1/users/:userId/messages/:messageId', tag: 'Messages', summary: 'Modifie un message envoyé.', auth: 'user' },
+    deleteMessage: { legacy: 'POST /deleteMessage', v1: 'DELETE /v1/users/:userId/messages/:messageId', tag: 'Messages', summary: 'Supprime un message envoyé.', auth: 'user' },
+
+    // --- Groupes ---
+    createGroup: { legacy: 'POST /createGroup', v1: 'POST /v1/groups', tag: 'Groupes', summary: 'Crée une conversation de groupe avec des amis.', auth: 'user', status: 201 },
+    getGroup: { legacy: 'GET /getGroup/:userId/:groupId', v1: 'GET /v1/users/:userId/groups/:groupId', tag: 'Groupes', summary: 'Récupère un groupe dont l\'utilisateur est membre.', auth: 'user' },
+    addGroupMember: { legacy: 'POST /addGroupMember', v1: 'PUT /v1/groups/:groupId/members/:memberId', tag: 'Groupes', summary: 'Ajoute un membre au groupe (administrateur du groupe).', auth: 'user' },
+    removeGroupMember: { legacy: 'POST /removeGroupMember', v1: 'DELETE /v1/groups/:groupId/members/:memberId', tag: 'Groupes', summary: 'Retire un membre du groupe (administrateur du groupe).', auth: 'user' },
+    leaveGroup: { legacy: 'POST /leaveGroup', v1: 'DELETE /v1/users/:userId/groups/:groupId', tag: 'Groupes', summary: 'Quitte un groupe.', auth: 'user' },
+    renameGroup: { legacy: 'POST /renameGroup', v1: 'PATCH /v1/groups/:groupId', tag: 'Groupes', summary: 'Renomme un groupe (administrateur du groupe).', auth: 'user' },
+    sendGroupMessage: { legacy: 'POST /sendGroupMessage', v1: 'POST /v1/groups/:groupId/messages', tag: 'Groupes', summary: 'Envoie un message dans un groupe.', auth: 'user' },
+    getGroupMessages: { legacy: 'GET /getGroupMessages/:userId/:groupId', v1: 'GET /v1/users/:userId/groups/:groupId/messages', tag: 'Groupes', summary: 'Récupère une page de messages d\'un groupe.', auth: 'user' },
+
+    // --- Scores et classements ---
+    setGameScore: { legacy: 'POST /setGameScore', v1: 'PUT /v1/users/:userId/scores/:gameId', tag: 'Scores', summary: 'Soumet un score (202 s\'il est mis en quarantaine).', auth: 'user' },
+    getGameScore: { legacy: 'GET /getGameScore/:userId/:gameId', v1: 'GET /v1/users/:userId/scores/:gameId', tag: 'Scores', summary: 'Récupère le score d\'un joueur pour un jeu.', auth: 'optional' },
+    getGameStats: { legacy: 'GET /getGameStats/:userId/:gameId', v1: 'GET /v1/users/:userId/scores/:gameId/stats', tag: 'Scores', summary: 'Récupère les statistiques d\'un joueur pour un jeu.', auth: 'optional' },
+    getFriendsLeaderboard: { legacy: 'GET /getFriendsLeaderboard/:userId/:gameId', v1: 'GET /v1/users/:userId/friends-leaderboards/:gameId', tag: 'Scores', summary: 'Classement d\'un jeu entre l\'utilisateur et ses amis.', auth: 'user' },
+    getGlobalLeaderboard: { legacy: 'GET /getGlobalLeaderboard/:gameId', v1: 'GET /v1/games/:gameId/leaderboard', tag: 'Scores', summary: 'Classement global d\'un jeu, par période et page par page.', auth: 'optional' },
+    getGames: { legacy: 'GET /getGames', v1: 'GET /v1/games', tag: 'Scores', summary: 'Liste les jeux enregistrés.', auth: 'none' },
+    getGame: { legacy: 'GET /getGame/:gameId', v1: 'GET /v1/games/:gameId', tag: 'Scores', summary: 'Récupère les règles d\'un jeu.', auth: 'none' },
+
+    // --- Défis ---
+    createChallenge: { legacy: 'POST /createChallenge', v1: 'POST /v1/users/:userId/challenges', tag: 'Défis', summary: 'Défie un ami de battre un score sur un jeu avant une échéance.', auth: 'user' },
+    getChallenges: { legacy: 'GET /getChallenges/:userId', v1: 'GET /v1/users/:userId/challenges', tag: 'Défis', summary: 'Liste les défis en cours ou passés, avec le bilan des victoires et défaites.', auth: 'user' },
+    cancelChallenge: { legacy: 'POST /cancelChallenge', v1: 'DELETE /v1/users/:userId/challenges/:challengeId', tag: 'Défis', summary: 'Annule un défi en cours lancé par l\'utilisateur.', auth: 'user' },
+
+    // --- Temps réel et présence ---
+    streamEvents: { legacy: 'GET /streamEvents/:userId', v1: 'GET /v1/users/:userId/events', tag: 'Temps réel', summary: 'Flux d\'événements en temps réel (jeton possible via ?access_token=).', auth: 'user', stream: true },
+    presenceConnect: { legacy: 'POST /presenceConnect', v1: 'POST /v1/users/:userId/presence', tag: 'Temps réel', summary: 'Passe l\'utilisateur en ligne.', auth: 'user' },
+    presenceHeartbeat: { legacy: 'POST /presenceHeartbeat', v1: 'PUT /v1/users/:userId/presence', tag: 'Temps réel', summary: 'Maintient l\'utilisateur en ligne.', auth: 'user' },
+    presenceDisconnect: { legacy: 'POST /presenceDisconnect', v1: 'DELETE /v1/users/:userId/presence', tag: 'Temps réel', summary: 'Passe l\'utilisateur hors ligne.', auth: 'user' },
+    getFriendsPresence: { legacy: 'GET /getFriendsPresence/:userId', v1: 'GET /v1/users/:userId/friends-presence', tag: 'Temps réel', summary: 'Récupère la présence des amis.', auth: 'user' },
+
+    // --- Projets ---
+    createProject: { legacy: 'POST /createProject', v1: 'POST /v1/projects', tag: 'Projets', summary: 'Crée un projet.', auth: 'user', status: 201 },
+    inviteProjectCollaborator: { legacy: 'POST /inviteProjectCollaborator', v1: 'PUT /v1/projects/:projectId/collaborators/:friendId', tag: 'Projets', summary: 'Ajoute un ami comme collaborateur (propriétaire du projet).', auth: 'user' },
+    removeProjectCollaborator: { legacy: 'POST /removeProjectCollaborator', v1: 'DELETE /v1/projects/:projectId/collaborators/:collaboratorId', tag: 'Projets', summary: 'Retire un collaborateur, ou se retire soi-même.', auth: 'user' },
+    getUserProjects: { legacy: 'GET /getUserProjects/:userId', v1: 'GET /v1/users/:userId/projects', tag: 'Projets', summary: 'Liste les projets d\'un utilisateur, selon sa visibilité.', auth: 'optional' },
+    deleteProject: { legacy: 'POST /deleteProject', v1: 'DELETE /v1/projects/:projectId', tag: 'Projets', summary: 'Supprime un projet (propriétaire du projet).', auth: 'user' },
+
+    // --- Notifications ---
+    getNotifications: { legacy: 'GET /getNotifications/:userId', v1: 'GET /v1/users/:userId/notifications', tag: 'Notifications', summary: 'Récupère une page de notifications, des plus récentes aux plus anciennes.', auth: 'user' },
+    markNotificationRead: { legacy: 'POST /markNotificationRead', v1: 'PUT /v1/users/:userId/notifications/:notificationId/read', tag: 'Notifications', summary: 'Marque une notification comme lue.', auth: 'user' },
+    markAllNotificationsRead: { legacy: 'POST /markAllNotificationsRead', v1: 'POST /v1/users/:userId/notifications/read-all', tag: 'Notifications', summary: 'Marque toutes les notifications comme lues.', auth: 'user' },
+    getNotificationPreferences: { legacy: 'GET /getNotificationPreferences/:userId', v1: 'GET /v1/users/:userId/notification-preferences', tag: 'Notifications', summary: 'Liste les types de notifications et ceux qui sont coupés.', auth: 'user' },
+    setNotificationPreference: { legacy: 'POST /setNotificationPreference', v1: 'PUT /v1/users/:userId/notification-preferences/:type', tag: 'Notifications', summary: 'Coupe ou réactive un type de notification.', auth: 'user' },
+
+    // --- Signalements ---
+    reportUser: { legacy: 'POST /reportUser', v1: 'POST /v1/users/:userId/reported-users/:targetId', tag: 'Signalements', summary: 'Signale un utilisateur (pseudo, bio ou statut abusif).', auth: 'user' },
+    reportMessage: { legacy: 'POST /reportMessage', v1: 'POST /v1/users/:userId/messages/:messageId/reports', tag: 'Signalements', summary: 'Signale un message reçu.', auth: 'user' },
+    getReports: { legacy: 'GET /getReports/:userId', v1: 'GET /v1/users/:userId/reports', tag: 'Signalements', summary: 'Liste les signalements déposés par l\'utilisateur et leur état.', auth: 'user' },
+
+    // --- Données personnelles ---
+    requestDataExport: { legacy: 'POST /requestDataExport', v1: 'POST /v1/users/:userId/data-exports', tag: 'Données personnelles', summary: 'Demande l\'export de toutes les données de l\'utilisateur (201 si prêt, 202 si en cours).', auth: 'user', status: 201 },
+    getDataExports: { legacy: 'GET /getDataExports/:userId', v1: 'GET /v1/users/:userId/data-exports', tag: 'Données personnelles', summary: 'Liste les exports de données de l\'utilisateur.', auth: 'user' },
+    getDataExport: { legacy: 'GET /getDataExport/:userId/:exportId', v1: 'GET /v1/users/:userId/data-exports/:exportId', tag: 'Données personnelles', summary: 'Récupère l\'état d\'un export et son lien de téléchargement.', auth: 'user' },
+    downloadDataExport: { legacy: 'GET /downloadDataExport/:userId/:exportId', v1: 'GET /v1/users/:userId/data-exports/:exportId/download', tag: 'Données personnelles', summary: 'Télécharge le fichier d\'un export (jeton du lien de téléchargement).', auth: 'none' },
+
+    // --- Administration ---
+    adminSetGame: { legacy: 'POST /adminSetGame', v1: 'PUT /v1/admin/games/:gameId', tag: 'Administration', summary: 'Crée ou remplace un jeu du registre.', auth: 'admin' },
+    adminDeleteGame: { legacy: 'POST /adminDeleteGame', v1: 'DELETE /v1/admin/games/:gameId', tag: 'Administration', summary: 'Retire un jeu du registre.', auth: 'admin' },
+    adminGetScoreReviews: { legacy: 'GET /adminGetScoreReviews', v1: 'GET /v1/admin/score-reviews', tag: 'Administration', summary: 'Liste les scores mis en quarantaine.', auth: 'admin' },
+    adminResolveScoreReview: { legacy: 'POST /adminResolveScoreReview', v1: 'PATCH /v1/admin/score-reviews/:reviewId', tag: 'Administration', summary: 'Approuve ou rejette un score mis en quarantaine.', auth: 'admin' },
+    adminRebuildBlockIndex: { legacy: 'POST /adminRebuildBlockIndex', v1: 'POST /v1/admin/maintenance/rebuild-block-index', tag: 'Administration', summary: 'Reconstruit l\'index inverse des blocages.', auth: 'admin' },
+    adminRebuildLeaderboardIndex: { legacy: 'POST /adminRebuildLeaderboardIndex', v1: 'POST /v1/admin/maintenance/rebuild-leaderboard-index', tag: 'Administration', summary: 'Recalcule l\'index des classements globaux.', auth: 'admin' },
+    adminRebuildPseudoIndex: { legacy: 'POST /adminRebuildPseudoIndex', v1: 'POST /v1/admin/maintenance/rebuild-pseudo-index', tag: 'Administration', summary: 'Reconstruit l\'index des pseudos.', auth: 'admin' },
+    adminRebuildInviteCodeIndex: { legacy: 'POST /adminRebuildInviteCodeIndex', v1: 'POST /v1/admin/maintenance/rebuild-invite-code-index', tag: 'Administration', summary: 'Reconstruit l\'index des codes d\'invitation.', auth: 'admin' },
+    adminMigrateMessages: { legacy: 'POST /adminMigrateMessages', v1: 'POST /v1/admin/maintenance/migrate-messages', tag: 'Administration', summary: 'Migre les messages de l\'ancien format.', auth: 'admin' },
+    adminListUsers: { legacy: 'GET /adminListUsers', v1: 'GET /v1/admin/users', tag: 'Administration', summary: 'Liste les utilisateurs page par page, par pseudo ou ID, ou seulement les comptes sanctionnés.', auth: 'admin' },
+    adminGetUser: { legacy: 'GET /adminGetUser/:userId', v1: 'GET /v1/admin/users/:userId', tag: 'Administration', summary: 'Récupère l\'enregistrement complet d\'un utilisateur.', auth: 'admin' },
+    adminSanctionUser: { legacy: 'POST /adminSanctionUser', v1: 'PUT /v1/admin/users/:userId/sanction', tag: 'Administration', summary: 'Bannit, suspend ou restreint un compte.', auth: 'admin' },
+    adminLiftSanction: { legacy: 'POST /adminLiftSanction', v1: 'DELETE /v1/admin/users/:userId/sanction', tag: 'Administration', summary: 'Lève la sanction en cours d\'un compte.', auth: 'admin' },
+    adminResetPseudo: { legacy: 'POST /adminResetPseudo', v1: 'POST /v1/admin/users/:userId/pseudo-reset', tag: 'Administration', summary: 'Remplace le pseudo d\'un utilisateur et l\'invite à en choisir un autre.', auth: 'admin' },
+    adminDeleteScores: { legacy: 'POST /adminDeleteScores', v1: 'DELETE /v1/admin/users/:userId/scores', tag: 'Administration', summary: 'Supprime les scores d\'un utilisateur, pour un jeu ou pour tous.', auth: 'admin' },
+    adminGetReports: { legacy: 'GET /adminGetReports', v1: 'GET /v1/admin/reports', tag: 'Administration', summary: 'File de modération : signalements par état, des plus anciens aux plus récents.', auth: 'admin' },
+    adminResolveReport: { legacy: 'POST /adminResolveReport', v1: 'PATCH /v1/admin/reports/:reportId', tag: 'Administration', summary: 'Clôt un signalement (retenu ou rejeté) et prévient son auteur.', auth: 'admin' },
+    adminGetAuditLog: { legacy: 'GET /adminGetAuditLog', v1: 'GET /v1/admin/audit-log', tag: 'Administration', summary: 'Journal des actions d\'administration, des plus récentes aux plus anciennes.', auth: 'admin' },
+
+    // --- Documentation ---
+    getOpenApiDocument: { legacy: null, v1: 'GET /v1/openapi.json', tag: 'Documentation', summary: 'Document OpenAPI de l\'API.', auth: 'none' }
+};
+
+/**
+ * Découpe un chemin du catalogue.
+ * @param {string|null} spec - "MÉTHODE /chemin".
+ * @returns {{ method: string, path: string, params: string[] }|null} La méthode en minuscules (ex: 'post')
+ * et les noms des paramètres du chemin.
+ */
+export const parseRoutePath = (spec) => {
+    if (!spec) return null;
+    const [method, path] = spec.split(' ');
+    const params = path.split('/').filter(segment => segment.startsWith(':')).map(segment => segment.slice(1));
+    return { method: method.toLowerCase(), path, params };
+};
+
+/**
+ * Crée la fonction qui retrouve le nom de route d'une requête, par sa méthode et son chemin
+ * (ex: DELETE /v1/users/abc/friends/def -> 'removeFriend').
+ * @param {object} routes - Le catalogue des routes.
+ * @returns {Function} (method, path) => string|null
+ */
+export const createRouteResolver = (routes) => {
+    const matchers = [];
+    for (const [name, route] of Object.entries(routes)) {
+        for (const spec of [route.legacy, route.v1]) {
+            const parsed = parseRoutePath(spec);
+            if (!parsed) continue;
+            const pattern = parsed.path.split('/').map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.]/g, '\\.'))).join('/');
+            matchers.push({ name, method: parsed.method.toUpperCase(), regex: new RegExp(`^${pattern}/?$`) });
+        }
+    }
+    return (method, path) => {
+        const match = matchers.find(matcher => (matcher.method === method || (method === 'HEAD' && matcher.method === 'GET')) && matcher.regex.test(path));
+        return match ? match.name : null;
+    };
+};
@@ -0,0 +1,293 @@
+// src/schemas.js
+// Schémas des requêtes de toutes les routes, par nom de route (voir src/validation.js).
+// Ils ne décrivent que la forme des données (types, tailles, valeurs permises) ; les règles
+// qui dépendent de la base (utilisateur existant, amitié...) restent dans les routes.
+
+import { field } from './validation.js';
+import { validatePseudo } from './pseudos.js';
+import { INVITE_CODE_LIMITS } from './invites.js';
+import { VISIBILITY_INFO_TYPES, VISIBILITY_LEVELS } from './visibility.js';
+import { STATS_BUCKETS } from './stats.js';
+import { LEADERBOARD_WINDOWS } from './leaderboards.js';
+import { isValidGameId, SCORE_FORMATS, SCORE_POLICIES, SORT_DIRECTIONS } from './games.js';
+import { DATA_EXPORT_FORMATS } from './dataExport.js';
+import { REPORT_DECISIONS, REPORT_REASONS, REPORT_STATUSES } from './moderation.js';
+import { NOTIFICATION_TYPES } from './notifications.js';
+
+export const TEXT_LIMITS = { message: 2000, bio: 500, avatarUrl: 2048, customStatus: 100, search: 40, reason: 500 };
+export const GROUP_LIMITS = { name: 60, members: 50 };
+export const PROJECT_LIMITS = { title: 100, description: 2000, links: 10, tags: 10, tag: 30 };
+export const SCORE_REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+export const SANCTION_TYPES = ['ban', 'suspension', 'restriction'];
+export const MAX_SUSPENSION_HOURS = 24 * 365;
+
+const gameId = (options = {}) => field.string({
+    check: (value) => (isValidGameId(value) ? null : 'L\'ID du jeu doit comporter 1 à 40 lettres, chiffres, "_" ou "-".'),
+    ...options
+});
+const pageSize = () => field.integer({ min: 1, max: 100, default: 20 });
+const timestamp = (options = {}) => field.integer({ min: 0, ...options });
+const message = () => field.string({ maxLength: TEXT_LIMITS.message });
+const groupName = () => field.string({ maxLength: GROUP_LIMITS.name });
+const reportReason = () => field.enum(REPORT_REASONS);
+const reportDetails = () => field.string({ optional: true, maxLength: TEXT_LIMITS.reason });
+
+// Routes qui n'utilisent que l'ID utilisateur de l'URL ou du corps
+const userIdParam = { params: { userId: field.id() } };
+const userIdBody = { body: { userId: field.id() } };
+const friendAction = { body: { userId: field.id(), friendId: field.id() } };
+const blockAction = { body: { userId: field.id(), targetId: field.id() } };
+// Conversation directe (otherUserId) ou de groupe (groupId) ; l'une des deux est requise par la route
+const conversationTarget = { otherUserId: field.id({ optional: true }), groupId: field.id({ optional: true }) };
+
+export const ROUTE_SCHEMAS = {
+    // --- Utilisateurs et profils ---
+    createUser: {
+        body: {
+            pseudo: field.string({ check: validatePseudo }),
+            inviteCode: field.string({ optional: true, maxLength: 32 })
+        }
+    },
+    getUserDetails: { params: { id: field.id() } },
+    setProfile: {
+        body: {
+            userId: field.id(),
+            bio: field.string({ optional: true, allowEmpty: true, maxLength: TEXT_LIMITS.bio }),
+            avatarUrl: field.string({ optional: true, allowEmpty: true, maxLength: TEXT_LIMITS.avatarUrl, pattern: /^https?:\/\// }),
+            customStatus: field.string({ optional: true, allowEmpty: true, maxLength: TEXT_LIMITS.customStatus })
+        }
+    },
+    changePseudo: { body: { userId: field.id(), pseudo: field.string({ check: validatePseudo }) } },
+    setVisibility: {
+        body: {
+            userId: field.id(),
+            infoType: field.enum(VISIBILITY_INFO_TYPES),
+            visibilityLevel: field.enum(VISIBILITY_LEVELS)
+        }
+    },
+    searchUsers: {
+        params: { pseudo: field.string({ minLength: 2, maxLength: TEXT_LIMITS.search }) },
+        query: { limit: pageSize(), cursor: field.string({ optional: true, maxLength: TEXT_LIMITS.search }) }
+    },
+    deleteUser: userIdBody,
+
+    // --- Codes d'invitation ---
+    getInviteCode: userIdParam,
+    regenerateInviteCode: {
+        body: {
+            userId: field.id(),
+            expiresInDays: field.number({ optional: true, nullable: true, min: 0, max: INVITE_CODE_LIMITS.maxExpiresInDays }),
+            maxUses: field.integer({ optional: true, nullable: true, min: 1, max: INVITE_CODE_LIMITS.maxUses }),
+            instantFriendship: field.boolean({ optional: true })
+        }
+    },
+    revokeInviteCode: userIdBody,
+    getReferrals: userIdParam,
+
+    // --- Amis et blocages ---
+    sendFriendRequest: friendAction,
+    sendFriendRequestByCode: { body: { userId: field.id(), inviteCode: field.string({ maxLength: 32 }) } },
+    getFriendRequests: { params: { id: field.id() } },
+    acceptFriendRequest: friendAction,
+    declineFriendRequest: friendAction,
+    getSentFriendRequests: userIdParam,
+    cancelFriendRequest: friendAction,
+    removeFriend: friendAction,
+    getFriendsList: userIdParam,
+    getFriendsOfFriendsSuggestions: userIdParam,
+    blockUser: blockAction,
+    unblockUser: blockAction,
+
+    // --- Messages ---
+    sendMessage: { body: { senderId: field.id(), receiverId: field.id(), message: message() } },
+    getMessages: {
+        params: { userId: field.id(), otherUserId: field.id() },
+        query: { before: field.id({ optional: true }), after: field.id({ optional: true }), limit: pageSize() }
+    },
+    getConversations: userIdParam,
+    markConversationRead: { body: { userId: field.id(), ...conversationTarget, messageId: field.id({ optional: true }) } },
+    editMessage: { body: { userId: field.id(), ...conversationTarget, messageId: field.id(), message: message() } },
+    deleteMessage: { body: { userId: field.id(), ...conversationTarget, messageId: field.id() } },
+
+    // --- Groupes ---
+    createGroup: {
+        body: {
+            userId: field.id(),
+            name: groupName(),
+            memberIds: field.array(field.id(), { maxItems: GROUP_LIMITS.members - 1 })
+        }
+    },
+    getGroup: { params: { userId: field.id(), groupId: field.id() } },
+    addGroupMember: { body: { userId: field.id(), groupId: field.id(), memberId: field.id() } },
+    removeGroupMember: { body: { userId: field.id(), groupId: field.id(), memberId: field.id() } },
+    leaveGroup: { body: { userId: field.id(), groupId: field.id() } },
+    renameGroup: { body: { userId: field.id(), groupId: field.id(), name: groupName() } },
+    sendGroupMessage: { body: { senderId: field.id(), groupId: field.id(), message: message() } },
+    getGroupMessages: {
+        params: { userId: field.id(), groupId: field.id() },
+        query: { before: field.id({ optional: true }), after: field.id({ optional: true }), limit: pageSize() }
+    },
+
+    // --- Scores et classements ---
+    setGameScore: {
+        body: {
+            userId: field.id(),
+            gameId: gameId(),
+            score: field.number(),
+            timestamp: timestamp({ optional: true }),
+            nonce: field.string({ optional: true, maxLength: 64 }),
+            signature: field.string({ optional: true, maxLength: 128 })
+        }
+    },
+    getGameScore: { params: { userId: field.id(), gameId: gameId() } },
+    getGameStats: {
+        params: { userId: field.id(), gameId: gameId() },
+        query: { bucket: field.enum(STATS_BUCKETS, { default: 'day' }), from: timestamp({ optional: true }), to: timestamp({ optional: true }) }
+    },
+    getFriendsLeaderboard: { params: { userId: field.id(), gameId: gameId() } },
+    getGlobalLeaderboard: {
+        params: { gameId: gameId() },
+        query: {
+            window: field.enum(LEADERBOARD_WINDOWS, { default: 'alltime' }),
+            at: timestamp({ optional: true }),
+            limit: pageSize(),
+            cursor: field.string({ optional: true, maxLength: 200 })
+        }
+    },
+    getGames: {},
+    getGame: { params: { gameId: gameId() } },
+
+    // --- Défis ---
+    createChallenge: {
+        body: { userId: field.id(), friendId: field.id(), gameId: gameId(), targetScore: field.number(), deadline: timestamp() }
+    },
+    getChallenges: {
+        params: { userId: field.id() },
+        query: {
+            status: field.enum(['active', 'past', 'all'], { default: 'all' }),
+            friendId: field.id({ optional: true }),
+            limit: pageSize(),
+            cursor: field.id({ optional: true })
+        }
+    },
+    cancelChallenge: { body: { userId: field.id(), challengeId: field.id() } },
+
+    // --- Temps réel et présence ---
+    streamEvents: userIdParam,
+    presenceConnect: userIdBody,
+    presenceHeartbeat: userIdBody,
+    presenceDisconnect: userIdBody,
+    getFriendsPresence: userIdParam,
+
+    // --- Projets ---
+    createProject: {
+        body: {
+            userId: field.id(),
+            title: field.string({ maxLength: PROJECT_LIMITS.title }),
+            description: field.string({ default: '', allowEmpty: true, maxLength: PROJECT_LIMITS.description }),
+            links: field.array(field.string({ maxLength: 2048, pattern: /^https?:\/\// }), { default: [], maxItems: PROJECT_LIMITS.links }),
+            tags: field.array(field.string({ minLength: 1, maxLength: PROJECT_LIMITS.tag }), { default: [], maxItems: PROJECT_LIMITS.tags })
+        }
+    },
+    inviteProjectCollaborator: { body: { userId: field.id(), projectId: field.id(), friendId: field.id() } },
+    removeProjectCollaborator: { body: { userId: field.id(), projectId: field.id(), collaboratorId: field.id({ optional: true }) } },
+    getUserProjects: userIdParam,
+    deleteProject: { body: { userId: field.id(), projectId: field.id() } },
+
+    // --- Notifications ---
+    getNotifications: {
+        params: { userId: field.id() },
+        query: { unreadOnly: field.boolean({ default: false }), limit: pageSize(), cursor: field.id({ optional: true }) }
+    },
+    markNotificationRead: { body: { userId: field.id(), notificationId: field.id() } },
+    markAllNotificationsRead: userIdBody,
+    getNotificationPreferences: userIdParam,
+    setNotificationPreference: { body: { userId: field.id(), type: field.enum(NOTIFICATION_TYPES), muted: field.boolean() } },
+
+    // --- Signalements ---
+    reportUser: { body: { userId: field.id(), targetId: field.id(), reason: reportReason(), details: reportDetails() } },
+    reportMessage: {
+        body: { userId: field.id(), ...conversationTarget, messageId: field.id(), reason: reportReason(), details: reportDetails() }
+    },
+    getReports: userIdParam,
+
+    // --- Données personnelles ---
+    requestDataExport: { body: { userId: field.id(), format: field.enum(DATA_EXPORT_FORMATS, { default: 'json' }) } },
+    getDataExports: userIdParam,
+    getDataExport: { params: { userId: field.id(), exportId: field.id() } },
+    downloadDataExport: {
+        params: { userId: field.id(), exportId: field.id() },
+        query: { token: field.string({ maxLength: 64 }) }
+    },
+
+    // --- Administration ---
+    adminSetGame: {
+        body: {
+            gameId: gameId(),
+            name: field.string({ maxLength: 60 }),
+            sortDirection: field.enum(SORT_DIRECTIONS, { optional: true }),
+            unit: field.string({ optional: true, allowEmpty: true, maxLength: 20 }),
+            format: field.enum(SCORE_FORMATS, { optional: true }),
+            minScore: field.number({ optional: true, nullable: true }),
+            maxScore: field.number({ optional: true, nullable: true }),
+            policy: field.enum(SCORE_POLICIES, { optional: true }),
+            reviewThreshold: field.number({ optional: true, nullable: true }),
+            maxImprovementFactor: field.number({ optional: true, nullable: true }),
+            maxSubmissionsPerMinute: field.integer({ optional: true, nullable: true, min: 1 }),
+            signingSecret: field.string({ optional: true, nullable: true, maxLength: 256 }),
+            requireSignature: field.boolean({ optional: true })
+        }
+    },
+    adminDeleteGame: { body: { gameId: gameId() } },
+    adminGetScoreReviews: { query: { status: field.enum(SCORE_REVIEW_STATUSES, { default: 'pending' }) } },
+    adminResolveScoreReview: { body: { reviewId: field.id(), decision: field.enum(['approve', 'reject']) } },
+    adminRebuildBlockIndex: {},
+    adminRebuildLeaderboardIndex: {},
+    adminRebuildPseudoIndex: {},
+    adminRebuildInviteCodeIndex: {},
+    adminMigrateMessages: {},
+    adminListUsers: {
+        query: {
+            search: field.string({ optional: true, maxLength: TEXT_LIMITS.search }),
+            sanctioned: field.boolean({ default: false }),
+            limit: pageSize(),
+            cursor: field.string({ optional: true, maxLength: 128 })
+        }
+    },
+    adminGetUser: userIdParam,
+    adminSanctionUser: {
+        body: {
+            userId: field.id(),
+            type: field.enum(SANCTION_TYPES),
+            reason: field.string({ maxLength: TEXT_LIMITS.reason }),
+            durationHours: field.number({ optional: true, min: 1, max: MAX_SUSPENSION_HOURS })
+        }
+    },
+    adminLiftSanction: userIdBody,
+    adminResetPseudo: { body: { userId: field.id(), reason: field.string({ optional: true, maxLength: TEXT_LIMITS.reason }) } },
+    adminDeleteScores: {
+        body: { userId: field.id(), gameId: gameId({ optional: true }), reason: field.string({ optional: true, maxLength: TEXT_LIMITS.reason }) }
+    },
+    adminGetReports: {
+        query: {
+            status: field.enum(REPORT_STATUSES, { default: 'open' }),
+            targetId: field.id({ optional: true }),
+            limit: pageSize(),
+            cursor: field.id({ optional: true })
+        }
+    },
+    adminResolveReport: {
+        body: {
+            reportId: field.id(),
+            decision: field.enum(REPORT_DECISIONS),
+            note: field.string({ optional: true, maxLength: TEXT_LIMITS.reason }),
+            includeSameContent: field.boolean({ default: false })
+        }
+    },
+    adminGetAuditLog: {
+        query: { adminId: field.id({ optional: true }), targetId: field.string({ optional: true, maxLength: 128 }), limit: pageSize(), cursor: field.id({ optional: true }) }
+    },
+
+    // --- Documentation ---
+    getOpenApiDocument: {}
+};
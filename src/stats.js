@@ -0,0 +1,80 @@
+// src/stats.js
+// Calcul des statistiques de score d'un joueur pour un jeu, à partir de son historique.
+
+export const STATS_BUCKETS = ['day', 'week', 'month'];
+
+/**
+ * Début (UTC) de la période contenant `timestamp`. Les semaines commencent le lundi.
+ * @param {number} timestamp
+ * @param {string} bucket - 'day', 'week' ou 'month'.
+ * @returns {number}
+ */
+export const bucketStart = (timestamp, bucket) => {
+    const date = new Date(timestamp);
+    if (bucket === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (bucket === 'week') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        return dayStart - daysSinceMonday * 24 * 60 * 60 * 1000;
+    }
+    return dayStart;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calcule les statistiques d'un historique de soumissions.
+ * @param {Array<{ score: number, timestamp: number }>} history - Les soumissions, de la plus ancienne à la plus récente.
+ * @param {object} [options]
+ * @param {string} [options.bucket] - Granularité de la série temporelle ('day' par défaut).
+ * @param {Function} [options.isBetter] - (a, b) => vrai si le score a est meilleur que b (plus haut par défaut).
+ * @returns {object} { plays, best, last, average, first, progression, series }
+ * `progression` donne pour chaque soumission le meilleur score atteint jusque-là ;
+ * `series` agrège les soumissions par période pour les graphiques.
+ */
+export const computeGameStats = (history, { bucket = 'day', isBetter = (a, b) => a > b } = {}) => {
+    const pickBest = (a, b) => (b === null || isBetter(a, b) ? a : b);
+
+    if (history.length === 0) {
+        return { plays: 0, best: null, last: null, average: null, first: null, improvement: null, progression: [], series: [] };
+    }
+
+    let best = null;
+    let total = 0;
+    const progression = history.map(({ score, timestamp }) => {
+        best = pickBest(score, best);
+        total += score;
+        return { timestamp, score, best };
+    });
+
+    const buckets = new Map();
+    for (const { score, timestamp } of history) {
+        const start = bucketStart(timestamp, bucket);
+        const current = buckets.get(start) || { start, plays: 0, best: null, total: 0, last: null };
+        current.plays++;
+        current.best = pickBest(score, current.best);
+        current.total += score;
+        current.last = score;
+        buckets.set(start, current);
+    }
+    const series = [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, plays, best: bucketBest, total: bucketTotal, last }) => ({
+            start, plays, best: bucketBest, average: round(bucketTotal / plays), last
+        }));
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    return {
+        plays: history.length,
+        best,
+        last: { score: last.score, timestamp: last.timestamp },
+        average: round(total / history.length),
+        first: { score: first.score, timestamp: first.timestamp },
+        // Écart absolu entre le meilleur score et la première partie
+        improvement: Math.abs(best - first.score),
+        progression,
+        series
+    };
+};
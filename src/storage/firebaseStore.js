@@ -0,0 +1,78 @@
+// src/storage/firebaseStore.js
+// Implémentation du stockage sur Firebase Realtime Database.
+
+/**
+ * Crée un stockage adossé à Firebase Realtime Database.
+ * Toutes les méthodes prennent des chemins relatifs à la racine de la base (ex: 'users/abc/pseudo').
+ * @param {object} db - L'instance `admin.database()`.
+ * @returns {object} Le stockage.
+ */
+export const createFirebaseStore = (db) => {
+    /**
+     * Applique les options de requête (orderBy, equalTo, startAt, endAt, limitToFirst, limitToLast).
+     */
+    const buildQuery = (path, options) => {
+        let query = db.ref(path);
+        if (options.orderBy === '$key') query = query.orderByKey();
+        else if (options.orderBy) query = query.orderByChild(options.orderBy);
+        if (options.equalTo !== undefined) query = query.equalTo(options.equalTo);
+        if (options.startAt !== undefined) query = query.startAt(options.startAt);
+        if (options.endAt !== undefined) query = query.endAt(options.endAt);
+        if (options.limitToFirst !== undefined) query = query.limitToFirst(options.limitToFirst);
+        if (options.limitToLast !== undefined) query = query.limitToLast(options.limitToLast);
+        return query;
+    };
+
+    return {
+        backend: 'firebase',
+
+        get: async (path) => {
+            const snapshot = await db.ref(path).once('value');
+            return snapshot.exists() ? snapshot.val() : null;
+        },
+
+        exists: async (path) => {
+            const snapshot = await db.ref(path).once('value');
+            return snapshot.exists();
+        },
+
+        set: async (path, value) => {
+            await db.ref(path).set(value);
+        },
+
+        // Mise à jour multi-chemins atomique ; une valeur null supprime le chemin
+        update: async (updates) => {
+            await db.ref().update(updates);
+        },
+
+        remove: async (path) => {
+            await db.ref(path).remove();
+        },
+
+        // Génère une clé chronologique unique, comme `push()`
+        newKey: (path) => db.ref(path).push().key,
+
+        /**
+         * Exécute une transaction sur un chemin. `updateFn` reçoit la valeur courante (ou null)
+         * et retourne la nouvelle valeur, ou `undefined` pour annuler.
+         * @returns {Promise<{ committed: boolean, value: any }>}
+         */
+        transaction: async (path, updateFn) => {
+            const result = await db.ref(path).transaction(updateFn);
+            return { committed: result.committed, value: result.snapshot.val() };
+        },
+
+        /**
+         * Exécute une requête ordonnée sur les enfants d'un chemin.
+         * @returns {Promise<Array<[string, any]>>} Les paires [clé, valeur] dans l'ordre de la requête.
+         */
+        query: async (path, options = {}) => {
+            const snapshot = await buildQuery(path, options).once('value');
+            const entries = [];
+            snapshot.forEach(childSnapshot => {
+                entries.push([childSnapshot.key, childSnapshot.val()]);
+            });
+            return entries;
+        }
+    };
+};
@@ -0,0 +1,35 @@
+// src/storage/index.js
+// Point d'entrée du stockage : sélection du backend et valeurs partagées.
+
+import { createFirebaseStore } from './firebaseStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+export { createFirebaseStore, createMemoryStore };
+
+// Horodatage résolu au moment de l'écriture (identique à admin.database.ServerValue.TIMESTAMP)
+export const SERVER_TIMESTAMP = Object.freeze({ '.sv': 'timestamp' });
+
+// Incrément appliqué par la base au moment de l'écriture (identique à admin.database.ServerValue.increment(delta)) :
+// sûr même avec des écritures concurrentes, y compris dans une mise à jour multi-chemins
+export const serverIncrement = (delta) => Object.freeze({ '.sv': Object.freeze({ increment: delta }) });
+
+export const STORAGE_BACKENDS = ['firebase', 'memory'];
+
+/**
+ * Crée le stockage correspondant au backend demandé.
+ * @param {string} backend - 'firebase' ou 'memory'.
+ * @param {object} options
+ * @param {Function} [options.getDatabase] - Retourne l'instance `admin.database()` (backend firebase).
+ * @param {string} [options.file] - Fichier JSON de persistance (backend memory, facultatif).
+ * @returns {object} Le stockage.
+ */
+export const createStore = (backend, { getDatabase, file } = {}) => {
+    switch (backend) {
+        case 'firebase':
+            return createFirebaseStore(getDatabase());
+        case 'memory':
+            return createMemoryStore({ file });
+        default:
+            throw new Error(`Backend de stockage inconnu : "${backend}" (attendu : ${STORAGE_BACKENDS.join(', ')}).`);
+    }
+};
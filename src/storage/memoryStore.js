@@ -0,0 +1,268 @@
+// src/storage/memoryStore.js
+// Implémentation du stockage en mémoire, éventuellement persistée dans un fichier JSON.
+// Elle reproduit la sémantique utile de Realtime Database (chemins, mises à jour multi-chemins,
+// suppression par null, clés chronologiques, requêtes ordonnées) pour le développement local et les tests.
+
+import fs from 'fs';
+import path from 'path';
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Générateur de clés chronologiques au format des clés `push()` de Firebase :
+ * 8 caractères d'horodatage suivis de 12 caractères aléatoires, incrémentés dans la même milliseconde.
+ */
+const createPushIdGenerator = () => {
+    let lastPushTime = 0;
+    const lastRandChars = [];
+
+    return () => {
+        let now = Date.now();
+        const duplicateTime = now === lastPushTime;
+        lastPushTime = now;
+
+        const timeStampChars = new Array(8);
+        for (let i = 7; i >= 0; i--) {
+            timeStampChars[i] = PUSH_CHARS.charAt(now % 64);
+            now = Math.floor(now / 64);
+        }
+        let id = timeStampChars.join('');
+
+        if (!duplicateTime) {
+            for (let i = 0; i < 12; i++) {
+                lastRandChars[i] = Math.floor(Math.random() * 64);
+            }
+        } else {
+            let i;
+            for (i = 11; i >= 0 && lastRandChars[i] === 63; i--) {
+                lastRandChars[i] = 0;
+            }
+            lastRandChars[i]++;
+        }
+        for (let i = 0; i < 12; i++) {
+            id += PUSH_CHARS.charAt(lastRandChars[i]);
+        }
+        return id;
+    };
+};
+
+const splitPath = (p) => String(p).split('/').filter(Boolean);
+
+const clone = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isServerValue = (value) =>
+    value !== null && typeof value === 'object' && Object.keys(value).length === 1 && value['.sv'] !== undefined;
+
+/**
+ * Résout une valeur serveur : horodatage, ou incrément de la valeur courante (0 si elle n'est pas un nombre).
+ */
+const resolveServerValue = (serverValue, now, current) => {
+    if (serverValue === 'timestamp') return now;
+    if (serverValue !== null && typeof serverValue === 'object' && typeof serverValue.increment === 'number') {
+        return (typeof current === 'number' ? current : 0) + serverValue.increment;
+    }
+    throw new Error(`Valeur serveur inconnue : ${JSON.stringify(serverValue)}.`);
+};
+
+/**
+ * Normalise une valeur avant écriture : résout les valeurs serveur (d'après `current`, la valeur
+ * en place), supprime les enfants null et les objets vides (qui n'existent pas dans Realtime Database).
+ */
+const normalize = (value, now, current = null) => {
+    if (isServerValue(value)) return resolveServerValue(value['.sv'], now, current);
+    if (value === undefined) throw new Error('Valeur undefined interdite dans le stockage.');
+    if (value === null || typeof value !== 'object') return value;
+
+    const currentChild = (key) => (current !== null && typeof current === 'object' ? current[key] ?? null : null);
+
+    // Les tableaux restent des tableaux, comme Realtime Database les renvoie quand leurs clés se suivent
+    if (Array.isArray(value)) {
+        const items = value.map((child, i) => normalize(child, now, currentChild(i))).filter(child => child !== null);
+        return items.length > 0 ? items : null;
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+        const normalized = normalize(child, now, currentChild(key));
+        if (normalized !== null) result[key] = normalized;
+    }
+    return Object.keys(result).length > 0 ? result : null;
+};
+
+/**
+ * Rang d'un type de valeur dans l'ordre de tri de Realtime Database.
+ */
+const typeRank = (value) => {
+    if (value === null || value === undefined) return 0;
+    if (value === false) return 1;
+    if (value === true) return 2;
+    if (typeof value === 'number') return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+};
+
+const compareValues = (a, b) => {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 3) return a - b;
+    if (rankA === 4) return a < b ? -1 : a > b ? 1 : 0;
+    return 0;
+};
+
+/**
+ * Crée un stockage en mémoire.
+ * @param {object} [options]
+ * @param {string} [options.file] - Chemin d'un fichier JSON où persister les données (facultatif).
+ * @param {object} [options.initialData] - Données initiales (ignorées si le fichier existe déjà).
+ * @returns {object} Le stockage, avec la même interface que `createFirebaseStore`.
+ */
+export const createMemoryStore = ({ file, initialData = {} } = {}) => {
+    let root = clone(initialData) || {};
+    const nextPushId = createPushIdGenerator();
+
+    if (file && fs.existsSync(file)) {
+        root = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+    }
+
+    // Écriture atomique du fichier (fichier temporaire puis renommage)
+    const persist = () => {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(root));
+        fs.renameSync(tmpFile, file);
+    };
+
+    const read = (p) => {
+        let node = root;
+        for (const segment of splitPath(p)) {
+            if (node === null || typeof node !== 'object' || !(segment in node)) return null;
+            node = node[segment];
+        }
+        return node;
+    };
+
+    // Écrit une valeur déjà normalisée et élague les parents devenus vides
+    const write = (p, value) => {
+        const segments = splitPath(p);
+        if (segments.length === 0) {
+            root = value || {};
+            return;
+        }
+
+        const parents = [];
+        let node = root;
+        for (const segment of segments.slice(0, -1)) {
+            if (node[segment] === null || typeof node[segment] !== 'object') {
+                if (value === null) return; // Rien à supprimer
+                node[segment] = {};
+            }
+            parents.push([node, segment]);
+            node = node[segment];
+        }
+
+        const last = segments[segments.length - 1];
+        if (value === null) {
+            delete node[last];
+            for (let i = parents.length - 1; i >= 0; i--) {
+                const [parent, key] = parents[i];
+                if (Object.keys(parent[key]).length > 0) break;
+                delete parent[key];
+            }
+        } else {
+            node[last] = value;
+        }
+    };
+
+    const matchesBounds = (value, key, options) => {
+        const sortValue = options.orderBy === '$key' ? key : value;
+        if (options.equalTo !== undefined && compareValues(sortValue, options.equalTo) !== 0) return false;
+        if (options.startAt !== undefined && compareValues(sortValue, options.startAt) < 0) return false;
+        if (options.endAt !== undefined && compareValues(sortValue, options.endAt) > 0) return false;
+        return true;
+    };
+
+    return {
+        backend: 'memory',
+
+        get: async (p) => clone(read(p)),
+
+        exists: async (p) => read(p) !== null,
+
+        set: async (p, value) => {
+            write(p, normalize(clone(value), Date.now(), read(p)));
+            persist();
+        },
+
+        update: async (updates) => {
+            // Comme Realtime Database, refuse qu'un chemin soit l'ancêtre d'un autre dans la même mise à jour
+            const paths = new Set(Object.keys(updates).map(p => splitPath(p).join('/')));
+            for (const p of paths) {
+                const segments = p.split('/');
+                for (let i = 1; i < segments.length; i++) {
+                    const ancestor = segments.slice(0, i).join('/');
+                    if (paths.has(ancestor)) {
+                        throw new Error(`Mise à jour invalide : le chemin "${ancestor}" est l'ancêtre de "${p}".`);
+                    }
+                }
+            }
+
+            // Normalise tout avant d'écrire pour que la mise à jour soit tout-ou-rien
+            const now = Date.now();
+            const normalized = Object.entries(updates).map(([p, value]) => [p, normalize(clone(value), now, read(p))]);
+            for (const [p, value] of normalized) {
+                write(p, value);
+            }
+            persist();
+        },
+
+        remove: async (p) => {
+            write(p, null);
+            persist();
+        },
+
+        newKey: () => nextPushId(),
+
+        transaction: async (p, updateFn) => {
+            const newValue = updateFn(clone(read(p)));
+            if (newValue === undefined) {
+                return { committed: false, value: clone(read(p)) };
+            }
+            write(p, normalize(clone(newValue), Date.now()));
+            persist();
+            return { committed: true, value: clone(read(p)) };
+        },
+
+        query: async (p, options = {}) => {
+            const node = read(p);
+            if (node === null || typeof node !== 'object') return [];
+
+            const childValue = (child) => {
+                if (!options.orderBy || options.orderBy === '$key') return child;
+                let value = child;
+                for (const segment of splitPath(options.orderBy)) {
+                    if (value === null || typeof value !== 'object') return null;
+                    value = value[segment] === undefined ? null : value[segment];
+                }
+                return value;
+            };
+
+            let entries = Object.entries(node)
+                .map(([key, child]) => ({ key, child, sortValue: childValue(child) }))
+                .filter(({ key, sortValue }) => !options.orderBy || matchesBounds(sortValue, key, options))
+                .sort((a, b) => {
+                    if (options.orderBy && options.orderBy !== '$key') {
+                        const byValue = compareValues(a.sortValue, b.sortValue);
+                        if (byValue !== 0) return byValue;
+                    }
+                    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+                });
+
+            if (options.limitToFirst !== undefined) entries = entries.slice(0, options.limitToFirst);
+            if (options.limitToLast !== undefined) entries = entries.slice(-options.limitToLast);
+
+            return entries.map(({ key, child }) => [key, clone(child)]);
+        }
+    };
+};
@@ -0,0 +1,164 @@
+// src/validation.js
+// Validation déclarative des requêtes. Chaque route décrit ses paramètres (`params`), sa query string
+// (`query`) et son corps (`body`) par un schéma de champs (voir src/schemas.js) ; le middleware
+// renvoie 400 VALIDATION_ERROR si la requête ne le respecte pas, et remplace les valeurs par leur
+// forme convertie avant d'appeler la route.
+//
+// Règles de conversion :
+// - les chaînes sont débarrassées de leurs espaces de début et de fin (sauf `trim: false`) ;
+// - une chaîne vide, null ou une valeur absente comptent comme "non fournie" (sauf `nullable`, qui garde null,
+//   et `allowEmpty`, qui garde la chaîne vide, ex: pour effacer une bio) ;
+// - 'integer' et 'number' acceptent un nombre ou une chaîne numérique ("20" -> 20) ;
+// - 'boolean' accepte true/false ou les chaînes "true"/"false" ;
+// - aucune autre conversion : un objet à la place d'une chaîne est refusé.
+
+import { sendError } from './http.js';
+
+// Identifiants utilisables tels quels dans un chemin de la base (pas de "/", ".", "#", "$", "[" ou "]")
+export const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Constructeurs de champs. Un champ est obligatoire, sauf `optional: true` ou `default`.
+ * Options communes : optional, default, nullable, allowEmpty, check ((valeur) => message d'erreur ou null).
+ */
+export const field = {
+    /** Identifiant (utilisateur, groupe, message...) : lettres, chiffres, "_" et "-". */
+    id: (options = {}) => ({ type: 'id', ...options }),
+    /** Chaîne, avec minLength / maxLength / pattern facultatifs. */
+    string: (options = {}) => ({ type: 'string', ...options }),
+    /** Entier, avec min / max facultatifs. */
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    /** Nombre fini, avec min / max facultatifs. */
+    number: (options = {}) => ({ type: 'number', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    /** Une valeur parmi `values`. */
+    enum: (values, options = {}) => ({ type: 'enum', values, ...options }),
+    /** Liste dont chaque élément respecte `items`, avec maxItems facultatif. */
+    array: (items, options = {}) => ({ type: 'array', items, ...options })
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Valide et convertit une valeur selon un champ.
+ * @returns {{ error: string }|{ value: * }}
+ */
+const checkValue = (spec, value, name) => {
+    switch (spec.type) {
+        case 'id':
+            if (typeof value !== 'string' || !ID_PATTERN.test(value.trim())) {
+                return { error: `Le champ "${name}" doit être un identifiant valide.` };
+            }
+            return { value: value.trim() };
+        case 'string': {
+            if (typeof value !== 'string') return { error: `Le champ "${name}" doit être une chaîne de caractères.` };
+            const text = spec.trim === false ? value : value.trim();
+            if (spec.minLength !== undefined && text.length < spec.minLength) {
+                return { error: `Le champ "${name}" doit comporter au moins ${spec.minLength} caractère(s).` };
+            }
+            if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+                return { error: `Le champ "${name}" ne doit pas dépasser ${spec.maxLength} caractères.` };
+            }
+            if (spec.pattern && !spec.pattern.test(text)) return { error: `Le champ "${name}" a un format invalide.` };
+            return { value: text };
+        }
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+                return { error: `Le champ "${name}" doit être ${spec.type === 'integer' ? 'un entier' : 'un nombre'}.` };
+            }
+            if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+                const bounds = [spec.min !== undefined ? `au moins ${spec.min}` : null, spec.max !== undefined ? `au plus ${spec.max}` : null];
+                return { error: `Le champ "${name}" doit valoir ${bounds.filter(Boolean).join(' et ')}.` };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: `Le champ "${name}" doit être un booléen.` };
+        case 'enum': {
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (!spec.values.includes(text)) {
+                return { error: `Le champ "${name}" doit valoir l'une des valeurs suivantes : ${spec.values.join(', ')}.` };
+            }
+            return { value: text };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return { error: `Le champ "${name}" doit être une liste.` };
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+                return { error: `Le champ "${name}" ne doit pas compter plus de ${spec.maxItems} éléments.` };
+            }
+            const items = [];
+            for (const [index, item] of value.entries()) {
+                const checked = checkValue(spec.items, item, `${name}[${index}]`);
+                if (checked.error) return checked;
+                items.push(checked.value);
+            }
+            return { value: items };
+        }
+        default:
+            throw new Error(`Type de champ inconnu : ${spec.type}`);
+    }
+};
+
+/**
+ * Valide un ensemble de valeurs (params, query ou body) selon ses champs.
+ * Les champs absents du schéma sont laissés tels quels.
+ * @returns {{ errors: Array<{ field: string, message: string }>, values: object }}
+ */
+export const validateFields = (fields, input, location) => {
+    const values = { ...(input || {}) };
+    const errors = [];
+    for (const [name, spec] of Object.entries(fields)) {
+        const raw = values[name];
+        if (isBlank(raw)) {
+            if (raw === null && spec.nullable) continue;
+            if (typeof raw === 'string' && spec.allowEmpty) {
+                values[name] = '';
+                continue;
+            }
+            if (spec.default !== undefined) {
+                values[name] = spec.default;
+            } else if (spec.optional) {
+                delete values[name];
+            } else {
+                errors.push({ field: `${location}.${name}`, message: `Le champ "${name}" est requis.` });
+            }
+            continue;
+        }
+        const checked = checkValue(spec, raw, name);
+        const error = checked.error || (spec.check ? spec.check(checked.value) : null);
+        if (error) {
+            errors.push({ field: `${location}.${name}`, message: error });
+            continue;
+        }
+        values[name] = checked.value;
+    }
+    return { errors, values };
+};
+
+/**
+ * Crée la fabrique de middlewares de validation pour un catalogue de schémas.
+ * @param {object} schemas - Les schémas par nom de route : { params?, query?, body? }.
+ * @returns {Function} (routeName) => middleware Express. Lève une erreur au démarrage si la route n'a pas de schéma.
+ */
+export const createValidator = (schemas) => (routeName) => {
+    const schema = schemas[routeName];
+    if (!schema) throw new Error(`Aucun schéma de requête pour la route "${routeName}".`);
+
+    return (req, res, next) => {
+        const errors = [];
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) continue;
+            const result = validateFields(schema[location], req[location], location);
+            errors.push(...result.errors);
+            req[location] = result.values;
+        }
+        if (errors.length > 0) {
+            return sendError(res, 400, 'VALIDATION_ERROR', errors[0].message, { errors });
+        }
+        next();
+    };
+};
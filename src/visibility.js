@@ -0,0 +1,99 @@
+// src/visibility.js
+// Couche centrale d'application des paramètres de visibilité.
+// Toute lecture destinée à un autre utilisateur passe par ici pour masquer ce que
+// le propriétaire a choisi de ne pas montrer (everyone / friends_only / nobody).
+
+export const VISIBILITY_INFO_TYPES = ['online_status', 'last_seen', 'friend_list', 'profile_bio', 'shared_projects', 'game_scores', 'custom_status'];
+export const VISIBILITY_LEVELS = ['everyone', 'friends_only', 'nobody'];
+
+// Champs du profil soumis à un paramètre de visibilité ; les autres (avatarUrl) sont publics
+const PROFILE_FIELD_VISIBILITY = {
+    bio: 'profile_bio',
+    customStatus: 'custom_status'
+};
+
+/**
+ * @param {object} repos - Les dépôts (voir src/repositories).
+ * @returns {object} Les fonctions de filtrage.
+ */
+export const createVisibilityFilter = (repos) => {
+    /**
+     * Niveau de visibilité choisi par `ownerId` ('nobody' par défaut si non défini).
+     * @param {object} [settings] - La map `profile.visibility` si elle est déjà chargée.
+     */
+    const getLevel = async (ownerId, infoType, settings) => {
+        if (settings) return settings[infoType] || 'nobody';
+        return (await repos.users.getVisibility(ownerId, infoType)) || 'nobody';
+    };
+
+    /**
+     * Relation entre le propriétaire et le lecteur : 'self', 'blocked', 'friend' ou 'stranger'.
+     * Un lecteur anonyme (viewerId null) est un 'stranger'.
+     */
+    const getRelation = async (ownerId, viewerId) => {
+        if (!viewerId) return 'stranger';
+        if (ownerId === viewerId) return 'self';
+        if (await repos.friendships.isBlockedEitherWay(ownerId, viewerId)) return 'blocked';
+        return await repos.friendships.areFriends(ownerId, viewerId) ? 'friend' : 'stranger';
+    };
+
+    const allows = (level, relation) => {
+        if (relation === 'self') return true;
+        if (relation === 'blocked') return false;
+        return level === 'everyone' || (level === 'friends_only' && relation === 'friend');
+    };
+
+    /**
+     * Vrai si `viewerId` peut voir l'information `infoType` de `ownerId`.
+     * Le propriétaire voit toujours tout ; un utilisateur bloqué (dans un sens ou dans l'autre) ne voit rien.
+     * @param {string} ownerId
+     * @param {string|null} viewerId - L'utilisateur authentifié, ou null pour un lecteur anonyme.
+     * @param {string} infoType - Un des VISIBILITY_INFO_TYPES.
+     * @returns {Promise<boolean>}
+     */
+    const canView = async (ownerId, viewerId, infoType) => {
+        const relation = await getRelation(ownerId, viewerId);
+        if (relation === 'self' || relation === 'blocked') return relation === 'self';
+        return allows(await getLevel(ownerId, infoType), relation);
+    };
+
+    /**
+     * Construit la vue publique d'un utilisateur pour `viewerId`.
+     * La map de visibilité n'est renvoyée qu'à son propriétaire.
+     * @param {string} ownerId
+     * @param {string|null} viewerId
+     * @param {object} userData - L'enregistrement complet de l'utilisateur.
+     * @returns {Promise<{ id: string, pseudo: string, profile: object }>}
+     */
+    const redactUser = async (ownerId, viewerId, userData) => {
+        const relation = await getRelation(ownerId, viewerId);
+        const profile = userData.profile || {};
+        const settings = profile.visibility || {};
+
+        if (relation === 'self') {
+            // Après une réinitialisation par un administrateur, l'extension invite à choisir un nouveau pseudo
+            return { id: ownerId, pseudo: userData.pseudo, profile, ...(userData.pseudoResetRequired ? { pseudoResetRequired: true } : {}) };
+        }
+
+        const visibleProfile = { avatarUrl: profile.avatarUrl || '' };
+        for (const [field, infoType] of Object.entries(PROFILE_FIELD_VISIBILITY)) {
+            if (profile[field] !== undefined && allows(await getLevel(ownerId, infoType, settings), relation)) {
+                visibleProfile[field] = profile[field];
+            }
+        }
+        return { id: ownerId, pseudo: userData.pseudo, profile: visibleProfile };
+    };
+
+    /**
+     * Filtre une présence `{ online, lastSeen }` selon `online_status` et `last_seen`.
+     * @returns {Promise<object>} Les champs visibles seulement (objet vide si rien n'est visible).
+     */
+    const redactPresence = async (ownerId, viewerId, presence) => {
+        const result = {};
+        if (await canView(ownerId, viewerId, 'online_status')) result.online = presence.online;
+        if (await canView(ownerId, viewerId, 'last_seen')) result.lastSeen = presence.lastSeen;
+        return result;
+    };
+
+    return { canView, redactUser, redactPresence };
+};
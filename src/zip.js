@@ -0,0 +1,95 @@
+// src/zip.js
+// Écriture d'archives ZIP en mémoire (fichiers compressés par "deflate"), suffisante pour les exports
+// de données. Sans ZIP64 : une archive compte moins de 65 535 fichiers et pèse moins de 4 Go.
+
+import zlib from 'zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Date et heure au format MS-DOS utilisé par les en-têtes ZIP (heure locale, à 2 secondes près).
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const UTF8_NAMES_FLAG = 0x0800; // Noms de fichiers encodés en UTF-8
+const DEFLATE_METHOD = 8;
+const ZIP_VERSION = 20; // Version 2.0 : deflate et dossiers
+
+/**
+ * Construit une archive ZIP.
+ * @param {Array<{ name: string, content: Buffer|string }>} files - Les fichiers, texte encodé en UTF-8.
+ * @param {Date} [date] - La date de modification des fichiers.
+ * @returns {Buffer} L'archive.
+ */
+export const createZip = (files, date = new Date()) => {
+    const dos = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(ZIP_VERSION, 4);
+        local.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+        local.writeUInt16LE(DEFLATE_METHOD, 8);
+        local.writeUInt16LE(dos.time, 10);
+        local.writeUInt16LE(dos.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28); // Pas de champ supplémentaire
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(ZIP_VERSION, 4);
+        central.writeUInt16LE(ZIP_VERSION, 6);
+        central.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+        central.writeUInt16LE(DEFLATE_METHOD, 10);
+        central.writeUInt16LE(dos.time, 12);
+        central.writeUInt16LE(dos.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // Champ supplémentaire, commentaire, disque, attributs : tous vides (octets 30 à 41)
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
@@ -0,0 +1,128 @@
+// test/antiCheat.test.js
+// Défenses contre les scores truqués : signatures, nonces, limitation des soumissions et quarantaine avant revue.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import {
+    createSubmissionRateLimiter, detectSuspiciousScore, signedScorePayload, verifyScoreSignature
+} from '../src/anticheat.js';
+import { startServer, withColdCache } from './helpers.js';
+
+const SECRET = 'secret-du-client-de-jeu';
+
+const sign = (submission, secret = SECRET) =>
+    crypto.createHmac('sha256', secret).update(signedScorePayload(submission)).digest('hex');
+
+describe('vérification des soumissions', () => {
+    const now = 1_000_000;
+    const submission = { userId: 'u1', gameId: 'dino', score: 42, timestamp: now, nonce: 'nonce-0001' };
+
+    it('accepte une signature valide et refuse une signature fausse, expirée ou incomplète', () => {
+        assert.equal(verifyScoreSignature(SECRET, { ...submission, signature: sign(submission) }, now), null);
+        assert.match(verifyScoreSignature(SECRET, { ...submission, signature: sign(submission, 'autre-secret-de-test') }, now), /invalide/);
+        assert.match(verifyScoreSignature(SECRET, { ...submission, signature: sign(submission) }, now + 10 * 60 * 1000), /expirée/);
+        assert.match(verifyScoreSignature(SECRET, { ...submission, nonce: 'court', signature: 'x' }, now), /nonce/);
+        assert.match(verifyScoreSignature(SECRET, { ...submission, signature: undefined }, now), /incomplète/);
+    });
+
+    it('détecte les scores au-delà du seuil de revue ou en progrès trop rapide', () => {
+        const isBetter = (a, b) => a > b;
+        assert.deepEqual(detectSuspiciousScore({ reviewThreshold: 100 }, 150, null, isBetter), ['above_review_threshold']);
+        assert.deepEqual(detectSuspiciousScore({ maxImprovementFactor: 2 }, 50, 10, isBetter), ['suspicious_improvement']);
+        assert.deepEqual(detectSuspiciousScore({ maxImprovementFactor: 2 }, 15, 10, isBetter), []);
+        assert.deepEqual(detectSuspiciousScore({ maxImprovementFactor: 2, sortDirection: 'asc' }, 4, 10, (a, b) => a < b),
+            ['suspicious_improvement']);
+    });
+
+    it('limite les soumissions sur une fenêtre glissante', () => {
+        const limiter = createSubmissionRateLimiter({ windowMs: 1000 });
+        assert.equal(limiter.hit('u1:dino', 2, 0).allowed, true);
+        assert.equal(limiter.hit('u1:dino', 2, 100).allowed, true);
+        assert.deepEqual(limiter.hit('u1:dino', 2, 500), { allowed: false, retryAfterMs: 500 });
+        assert.equal(limiter.hit('u2:dino', 2, 500).allowed, true);
+        assert.equal(limiter.hit('u1:dino', 2, 1001).allowed, true);
+    });
+
+    it('ne réserve un nonce qu\'une fois, même si la transaction commence sans la valeur en cache', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        assert.equal(await repos.antiCheat.reserveNonce('dino', 'nonce-0001', 5000), true);
+        assert.equal(await repos.antiCheat.reserveNonce('dino', 'nonce-0001', 5000), false);
+        assert.equal(await repos.antiCheat.pruneNonces(5000), 1);
+        assert.equal(await repos.antiCheat.reserveNonce('dino', 'nonce-0001', 9000), true);
+    });
+});
+
+describe('routes anti-triche', () => {
+    let server;
+    let player;
+
+    const submit = (gameId, score, extra = {}) =>
+        server.call('POST', '/setGameScore', { userId: player.id, gameId, score, ...extra }, player.token);
+
+    const leaderboardScores = async (gameId) =>
+        (await server.ok('GET', `/getGlobalLeaderboard/${gameId}`)).entries.map(entry => entry.score);
+
+    before(async () => {
+        server = await startServer();
+        player = await server.createUser('Joueur');
+        await server.ok('POST', '/adminSetGame', {
+            gameId: 'signe', name: 'Signé', format: 'integer', minScore: 0, maxScore: 1000,
+            signingSecret: SECRET, requireSignature: true
+        }, server.adminToken);
+        await server.ok('POST', '/adminSetGame', { gameId: 'limite', name: 'Limité', maxSubmissionsPerMinute: 2 }, server.adminToken);
+        await server.ok('POST', '/adminSetGame', { gameId: 'revue', name: 'Revue', reviewThreshold: 1000 }, server.adminToken);
+    });
+
+    after(() => server?.stop());
+
+    it('refuse les scores hors bornes et les soumissions non signées ou rejouées', async () => {
+        assert.equal((await submit('signe', 1001)).body.code, 'INVALID_SCORE');
+        assert.equal((await submit('signe', 1.5)).body.code, 'INVALID_SCORE');
+        assert.equal((await submit('signe', 500)).body.code, 'INVALID_SIGNATURE');
+
+        const signed = { userId: player.id, gameId: 'signe', score: 500, timestamp: Date.now(), nonce: 'nonce-route-1' };
+        const accepted = await submit('signe', 500, { ...signed, signature: sign(signed) });
+        assert.equal(accepted.status, 200);
+        const replayed = await submit('signe', 500, { ...signed, signature: sign(signed) });
+        assert.equal(replayed.status, 409);
+        assert.equal(replayed.body.code, 'SUBMISSION_REPLAYED');
+    });
+
+    it('limite le nombre de soumissions par minute pour un jeu', async () => {
+        await server.ok('POST', '/setGameScore', { userId: player.id, gameId: 'limite', score: 1 }, player.token);
+        await server.ok('POST', '/setGameScore', { userId: player.id, gameId: 'limite', score: 2 }, player.token);
+        const limited = await submit('limite', 3);
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'RATE_LIMITED');
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    });
+
+    it('met en quarantaine un score suspect jusqu\'à sa revue', async () => {
+        await server.ok('POST', '/setGameScore', { userId: player.id, gameId: 'revue', score: 500 }, player.token);
+        const suspicious = await submit('revue', 5000);
+        assert.equal(suspicious.status, 202);
+        const { reviewId, ...quarantine } = suspicious.body.data;
+        assert.deepEqual(quarantine, { score: 500, formattedScore: '500', quarantined: true, reasons: ['above_review_threshold'] });
+        assert.deepEqual(await leaderboardScores('revue'), [500]);
+
+        const pending = await server.ok('GET', '/adminGetScoreReviews', null, server.adminToken);
+        assert.deepEqual(pending.map(({ id, pseudo, score }) => ({ id, pseudo, score })), [{ id: reviewId, pseudo: 'Joueur', score: 5000 }]);
+
+        const approved = await server.ok('POST', '/adminResolveScoreReview', { reviewId, decision: 'approve' }, server.adminToken);
+        assert.deepEqual(approved, { reviewId, status: 'approved', replaced: true });
+        assert.deepEqual(await leaderboardScores('revue'), [5000]);
+
+        const again = await server.call('POST', '/adminResolveScoreReview', { reviewId, decision: 'reject' }, server.adminToken);
+        assert.equal(again.body.code, 'REVIEW_ALREADY_RESOLVED');
+    });
+
+    it('écarte définitivement un score rejeté', async () => {
+        const { reviewId } = (await submit('revue', 9000)).body.data;
+        await server.ok('POST', '/adminResolveScoreReview', { reviewId, decision: 'reject' }, server.adminToken);
+        assert.deepEqual(await leaderboardScores('revue'), [5000]);
+        assert.deepEqual(await server.ok('GET', '/adminGetScoreReviews', null, server.adminToken), []);
+    });
+});
@@ -0,0 +1,158 @@
+// test/auth.test.js
+// Jetons locaux et middlewares d'authentification.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthMiddleware, createLocalVerifier } from '../src/auth.js';
+import { createRequest, createResponse } from './helpers.js';
+
+const verifier = createLocalVerifier({ secret: 'secret-de-test' });
+
+const bearer = async (uid, issuer = verifier) => `Bearer ${(await issuer.issue(uid)).token}`;
+
+/**
+ * Exécute un middleware et indique s'il a passé la main.
+ * @returns {Promise<{ res: object, nextCalled: boolean, nextError: * }>}
+ */
+const run = async (middleware, req) => {
+    const res = createResponse();
+    let nextCalled = false;
+    let nextError;
+    await middleware(req, res, (error) => {
+        nextCalled = true;
+        nextError = error;
+    });
+    return { res, nextCalled, nextError };
+};
+
+describe('createLocalVerifier', () => {
+    it('vérifie un jeton qu\'il a émis', async () => {
+        const { type, token } = await verifier.issue('u1');
+        assert.equal(type, 'bearer');
+        assert.deepEqual(await verifier.verify(token), { uid: 'u1' });
+    });
+
+    it('refuse un jeton signé par un autre secret, modifié ou mal formé', async () => {
+        const { token } = await createLocalVerifier({ secret: 'autre' }).issue('u1');
+        await assert.rejects(verifier.verify(token), /Signature/);
+
+        const [, signature] = (await verifier.issue('u1')).token.split('.');
+        const forged = Buffer.from(JSON.stringify({ uid: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+        await assert.rejects(verifier.verify(`${forged}.${signature}`), /Signature/);
+
+        await assert.rejects(verifier.verify('sans-point'), /mal formé/);
+    });
+
+    it('refuse un jeton expiré', async () => {
+        const shortLived = createLocalVerifier({ secret: 'secret-de-test', ttlMs: -1 });
+        const { token } = await shortLived.issue('u1');
+        await assert.rejects(verifier.verify(token), /expiré/);
+    });
+});
+
+describe('createAuthMiddleware', () => {
+    const { authenticate, requireAuth, requireAdmin, actAs, allowQueryToken, identify } = createAuthMiddleware(verifier, {
+        isAdmin: async (uid) => uid === 'admin1',
+        checkAccount: async (uid) => (uid === 'banned' ? { code: 'ACCOUNT_BANNED', message: 'Compte banni.', data: { type: 'ban' } } : null)
+    });
+
+    describe('authenticate', () => {
+        it('laisse passer une requête anonyme', async () => {
+            const req = createRequest();
+            const { nextCalled } = await run(authenticate, req);
+            assert.ok(nextCalled);
+            assert.equal(req.auth, null);
+        });
+
+        it('renseigne req.auth à partir d\'un jeton valide', async () => {
+            const req = createRequest({ headers: { authorization: await bearer('u1') } });
+            const { nextCalled } = await run(authenticate, req);
+            assert.ok(nextCalled);
+            assert.deepEqual(req.auth, { uid: 'u1' });
+        });
+
+        it('rejette un en-tête mal formé ou un jeton invalide', async () => {
+            const malformed = await run(authenticate, createRequest({ headers: { authorization: 'Basic abc' } }));
+            assert.equal(malformed.res.statusCode, 401);
+            assert.equal(malformed.res.body.code, 'INVALID_AUTH_HEADER');
+
+            const invalid = await run(authenticate, createRequest({ headers: { authorization: 'Bearer abc.def' } }));
+            assert.equal(invalid.res.statusCode, 401);
+            assert.equal(invalid.res.body.code, 'INVALID_TOKEN');
+            assert.ok(!invalid.nextCalled);
+        });
+
+        it('rejette un compte qui ne peut pas agir', async () => {
+            const { res, nextCalled } = await run(authenticate, createRequest({ headers: { authorization: await bearer('banned') } }));
+            assert.ok(!nextCalled);
+            assert.equal(res.statusCode, 403);
+            assert.equal(res.body.code, 'ACCOUNT_BANNED');
+            assert.deepEqual(res.body.data, { type: 'ban' });
+        });
+    });
+
+    it('requireAuth exige un jeton', async () => {
+        const { res, nextCalled } = await run(requireAuth, createRequest());
+        assert.ok(!nextCalled);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.code, 'UNAUTHENTICATED');
+
+        assert.ok((await run(requireAuth, createRequest({ headers: { authorization: await bearer('u1') } }))).nextCalled);
+    });
+
+    it('requireAdmin exige un administrateur', async () => {
+        const user = await run(requireAdmin, createRequest({ headers: { authorization: await bearer('u1') } }));
+        assert.equal(user.res.statusCode, 403);
+        assert.equal(user.res.body.code, 'ADMIN_REQUIRED');
+
+        assert.ok((await run(requireAdmin, createRequest({ headers: { authorization: await bearer('admin1') } }))).nextCalled);
+    });
+
+    describe('actAs', () => {
+        it('renseigne l\'identifiant absent du corps à partir du jeton', async () => {
+            const req = createRequest({ body: {} });
+            req.auth = { uid: 'u1' };
+            assert.ok((await run(actAs('body.userId'), req)).nextCalled);
+            assert.equal(req.body.userId, 'u1');
+        });
+
+        it('refuse d\'agir au nom d\'un autre utilisateur', async () => {
+            const req = createRequest({ params: { userId: 'u2' } });
+            req.auth = { uid: 'u1' };
+            const { res, nextCalled } = await run(actAs('params.userId'), req);
+            assert.ok(!nextCalled);
+            assert.equal(res.statusCode, 403);
+            assert.equal(res.body.code, 'FORBIDDEN');
+        });
+    });
+
+    it('allowQueryToken reprend le jeton de l\'URL sans remplacer l\'en-tête', async () => {
+        const req = createRequest({ query: { access_token: 'abc.def' } });
+        await run(allowQueryToken, req);
+        assert.equal(req.get('Authorization'), 'Bearer abc.def');
+
+        const withHeader = createRequest({ headers: { authorization: 'Bearer ghi.jkl' }, query: { access_token: 'abc.def' } });
+        await run(allowQueryToken, withHeader);
+        assert.equal(withHeader.get('Authorization'), 'Bearer ghi.jkl');
+    });
+
+    describe('identify', () => {
+        it('renvoie l\'utilisateur du jeton, ou null sans jamais rejeter', async () => {
+            assert.equal(await identify(createRequest({ headers: { authorization: await bearer('u1') } })), 'u1');
+            assert.equal(await identify(createRequest({ headers: { authorization: 'Bearer abc.def' } })), null);
+            assert.equal(await identify(createRequest()), null);
+        });
+
+        it('ne vérifie le jeton qu\'une fois par requête', async () => {
+            let verifications = 0;
+            const countingVerifier = { ...verifier, verify: (token) => { verifications++; return verifier.verify(token); } };
+            const middleware = createAuthMiddleware(countingVerifier);
+            const req = createRequest({ headers: { authorization: await bearer('u1') } });
+
+            assert.equal(await middleware.identify(req), 'u1');
+            await run(middleware.authenticate, req);
+            assert.deepEqual(req.auth, { uid: 'u1' });
+            assert.equal(verifications, 1);
+        });
+    });
+});
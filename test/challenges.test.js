@@ -0,0 +1,180 @@
+// test/challenges.test.js
+// Défis entre amis : dépôt (transactions comme sur Realtime Database), service et routes.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { createChallengeService, summarizeChallenges } from '../src/challenges.js';
+import { startServer, withColdCache } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const activeChallenge = (overrides = {}) => ({
+    challengerId: 'u1', opponentId: 'u2', gameId: 'dino', targetScore: 100,
+    deadline: Date.now() + HOUR_MS, createdAt: Date.now(), status: 'active', ...overrides
+});
+
+/**
+ * Service des défis dont les événements et notifications sont enregistrés dans `delivered`.
+ */
+const createService = (repos) => {
+    const delivered = [];
+    const record = (channel) => (userId, challenge) => delivered.push({ channel, userId, status: challenge.status });
+    const service = createChallengeService({
+        repos,
+        events: { challengeResolved: record('event') },
+        notifications: { challengeResolved: record('notification') }
+    });
+    return { service, delivered };
+};
+
+describe('dépôt des défis', () => {
+    it('clôt un défi en cours même si la transaction commence sans la valeur en cache', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        const challengeId = await repos.challenges.create(activeChallenge());
+
+        const resolved = await repos.challenges.resolve(challengeId, { status: 'completed', resolvedAt: 1, score: 150 });
+        assert.equal(resolved.status, 'completed');
+        assert.equal((await repos.challenges.get(challengeId)).score, 150);
+    });
+
+    it('ne clôt ni un défi déjà clos ni un défi inexistant', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        const challengeId = await repos.challenges.create(activeChallenge());
+        await repos.challenges.resolve(challengeId, { status: 'cancelled', resolvedAt: 1 });
+
+        assert.equal(await repos.challenges.resolve(challengeId, { status: 'completed', resolvedAt: 2 }), null);
+        assert.equal((await repos.challenges.get(challengeId)).status, 'cancelled');
+        assert.equal(await repos.challenges.resolve('inconnu', { status: 'expired', resolvedAt: 2 }), null);
+        assert.equal(await repos.challenges.get('inconnu'), null);
+    });
+
+    it('ne liste comme échus que les défis en cours dont l\'échéance est passée', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const now = Date.now();
+        const due = await repos.challenges.create(activeChallenge({ deadline: now - 1000 }));
+        await repos.challenges.create(activeChallenge({ deadline: now + HOUR_MS }));
+        const closed = await repos.challenges.create(activeChallenge({ deadline: now - 1000 }));
+        await repos.challenges.resolve(closed, { status: 'cancelled', resolvedAt: now });
+
+        assert.deepEqual((await repos.challenges.listDue(now)).map(challenge => challenge.id), [due]);
+    });
+});
+
+describe('service des défis', () => {
+    it('fait expirer les défis échus d\'une liste déjà lue et prévient les deux participants', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        const { service, delivered } = createService(repos);
+        const now = Date.now();
+        const overdue = { id: await repos.challenges.create(activeChallenge({ deadline: now - 1000 })), ...activeChallenge({ deadline: now - 1000 }) };
+        const running = { id: await repos.challenges.create(activeChallenge()), ...activeChallenge() };
+
+        const list = await service.expireOverdue([overdue, running], now);
+        assert.deepEqual(list.map(challenge => challenge.status), ['expired', 'active']);
+        assert.deepEqual(delivered.map(({ channel, userId }) => `${channel}:${userId}`).sort(),
+            ['event:u1', 'event:u2', 'notification:u1', 'notification:u2']);
+    });
+
+    it('annule les défis entre deux utilisateurs sans rien transmettre à travers un blocage', async () => {
+        const store = withColdCache(createMemoryStore());
+        const repos = createRepositories(store);
+        const { service, delivered } = createService(repos);
+        await repos.challenges.create(activeChallenge());
+        await repos.challenges.create(activeChallenge({ challengerId: 'u2', opponentId: 'u1' }));
+        await repos.challenges.create(activeChallenge({ opponentId: 'u3' }));
+        await repos.friendships.block('u1', 'u2');
+
+        assert.equal(await service.cancelBetween('u1', 'u2'), 2);
+        assert.deepEqual(delivered, []);
+        assert.deepEqual((await repos.challenges.listFor('u3')).map(challenge => challenge.status), ['active']);
+    });
+
+    it('compte les victoires et défaites par ami', () => {
+        const record = summarizeChallenges([
+            activeChallenge({ status: 'completed' }), // Relevé par u2
+            activeChallenge({ status: 'expired' }),
+            activeChallenge({ status: 'expired', opponentId: 'u3' }),
+            activeChallenge({ status: 'cancelled' }),
+            activeChallenge()
+        ], 'u1');
+        assert.deepEqual(record, {
+            wins: 2,
+            losses: 1,
+            byFriend: [{ friendId: 'u2', wins: 1, losses: 1 }, { friendId: 'u3', wins: 1, losses: 0 }]
+        });
+    });
+});
+
+describe('routes des défis', () => {
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        server = await startServer();
+        await server.ok('POST', '/adminSetGame', { gameId: 'dino', name: 'Dino' }, server.adminToken);
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+        await server.befriend(alice, bob);
+    });
+
+    after(() => server?.stop());
+
+    const challenge = (from, to, targetScore) => server.call('POST', '/createChallenge', {
+        userId: from.id, friendId: to.id, gameId: 'dino', targetScore, deadline: Date.now() + HOUR_MS
+    }, from.token);
+
+    it('refuse de défier un non-ami ou de lancer deux défis sur le même jeu', async () => {
+        const carol = await server.createUser('Carol');
+        assert.equal((await challenge(alice, carol, 100)).body.code, 'NOT_FRIENDS');
+
+        const first = await challenge(alice, bob, 100);
+        assert.equal(first.status, 201);
+        assert.equal((await challenge(alice, bob, 200)).body.code, 'CHALLENGE_ALREADY_ACTIVE');
+        await server.ok('POST', '/cancelChallenge', { userId: alice.id, challengeId: first.body.data.id }, alice.token);
+    });
+
+    it('relève le défi quand l\'ami bat la cible et met à jour le bilan', async () => {
+        const { id } = (await challenge(alice, bob, 100)).body.data;
+
+        const missed = await server.ok('POST', '/setGameScore', { userId: bob.id, gameId: 'dino', score: 90 }, bob.token);
+        assert.deepEqual(missed.completedChallenges, []);
+        const beaten = await server.ok('POST', '/setGameScore', { userId: bob.id, gameId: 'dino', score: 120 }, bob.token);
+        assert.deepEqual(beaten.completedChallenges, [id]);
+
+        const { challenges, record } = await server.ok('GET', `/getChallenges/${alice.id}?status=past`, null, alice.token);
+        const completed = challenges.find(entry => entry.id === id);
+        assert.equal(completed.status, 'completed');
+        assert.equal(completed.outcome, 'lost');
+        assert.equal(completed.score, 120);
+        assert.deepEqual({ wins: record.wins, losses: record.losses }, { wins: 0, losses: 1 });
+        assert.equal(record.byFriend[0].friend.pseudo, 'Bob');
+    });
+
+    it('réserve l\'annulation à l\'auteur du défi', async () => {
+        const { id } = (await challenge(alice, bob, 500)).body.data;
+        assert.equal((await server.call('POST', '/cancelChallenge', { userId: bob.id, challengeId: id }, bob.token)).body.code, 'NOT_CHALLENGER');
+
+        const cancelled = await server.ok('POST', '/cancelChallenge', { userId: alice.id, challengeId: id }, alice.token);
+        assert.equal(cancelled.status, 'cancelled');
+        assert.equal((await server.call('POST', '/cancelChallenge', { userId: alice.id, challengeId: id }, alice.token)).body.code,
+            'CHALLENGE_NOT_ACTIVE');
+    });
+
+    it('annule les défis en cours entre deux utilisateurs quand l\'un bloque l\'autre', async () => {
+        const dave = await server.createUser('Dave');
+        await server.befriend(alice, dave);
+        await challenge(alice, dave, 500);
+        await challenge(dave, alice, 500);
+
+        await server.ok('POST', '/blockUser', { userId: dave.id, targetId: alice.id }, dave.token);
+        const { challenges } = await server.ok('GET', `/getChallenges/${dave.id}`, null, dave.token);
+        assert.deepEqual(challenges.map(entry => entry.status), ['cancelled', 'cancelled']);
+
+        const notifications = await server.ok('GET', `/getNotifications/${alice.id}?limit=50`, null, alice.token);
+        const resolvedWithDave = notifications.notifications.filter(notification =>
+            notification.type === 'challenge_resolved' && notification.data.friend.id === dave.id);
+        assert.deepEqual(resolvedWithDave, []);
+    });
+});
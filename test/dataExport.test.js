@@ -0,0 +1,104 @@
+// test/dataExport.test.js
+// Export des données personnelles : mise en forme CSV, état des exports et routes (demande, suivi, téléchargement).
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { dataExportStatus, toCsv, toCsvFiles } from '../src/dataExport.js';
+import { startServer } from './helpers.js';
+
+describe('mise en forme des exports', () => {
+    it('échappe les cellules CSV et joint les listes', () => {
+        assert.equal(toCsv(['a', 'b'], [['x, y', 'dit "bonjour"'], [null, ['p', 'q']], ['ligne\nsuivante', 3]]),
+            '\uFEFFa,b\r\n"x, y","dit ""bonjour"""\r\n,p; q\r\n"ligne\nsuivante",3\r\n');
+    });
+
+    it('découpe les données en un fichier CSV par type d\'information', () => {
+        const files = toCsvFiles({
+            exportedAt: 0,
+            user: { id: 'u1', pseudo: 'U', profile: {}, visibility: {}, mutedNotifications: [], presence: null },
+            friends: [], friendRequests: { received: [], sent: [] }, blockedUsers: [], conversations: [], scores: [],
+            inviteCodes: [], usedInviteCodes: [], projects: [], challenges: [],
+            challengeRecord: { wins: 0, losses: 0, byFriend: [] }, notifications: [], reports: []
+        });
+        assert.deepEqual(files.map(file => file.name), [
+            'profile.csv', 'visibility.csv', 'muted_notifications.csv', 'friends.csv', 'friend_requests.csv',
+            'blocked_users.csv', 'conversations.csv', 'messages.csv', 'scores.csv', 'score_history.csv',
+            'invite_codes.csv', 'referrals.csv', 'used_invite_codes.csv', 'projects.csv', 'challenges.csv',
+            'challenge_record.csv', 'notifications.csv', 'reports.csv'
+        ]);
+    });
+
+    it('donne l\'état effectif d\'un export', () => {
+        const now = 10 * 60 * 60 * 1000;
+        assert.equal(dataExportStatus({ status: 'ready', expiresAt: now + 1 }, now), 'ready');
+        assert.equal(dataExportStatus({ status: 'ready', expiresAt: now }, now), 'expired');
+        assert.equal(dataExportStatus({ status: 'pending', createdAt: now - 1000 }, now), 'pending');
+        assert.equal(dataExportStatus({ status: 'pending', createdAt: now - 60 * 60 * 1000 }, now), 'failed');
+    });
+});
+
+describe('routes des exports de données', () => {
+    let server;
+    let alice;
+    let bob;
+
+    const download = async (downloadUrl) => {
+        const response = await fetch(`${server.baseUrl}${downloadUrl}`);
+        return { status: response.status, headers: response.headers, content: Buffer.from(await response.arrayBuffer()) };
+    };
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+        await server.befriend(alice, bob);
+        await server.ok('POST', '/sendMessage', { senderId: bob.id, receiverId: alice.id, message: 'Salut, "Alice"' }, bob.token);
+        await server.ok('POST', '/adminSetGame', { gameId: 'dino', name: 'Dino' }, server.adminToken);
+        await server.ok('POST', '/setGameScore', { userId: alice.id, gameId: 'dino', score: 42 }, alice.token);
+    });
+
+    after(() => server?.stop());
+
+    it('exporte toutes les données en JSON, téléchargeables avec le jeton du lien', async () => {
+        const requested = await server.call('POST', '/requestDataExport', { userId: alice.id, format: 'json' }, alice.token);
+        assert.equal(requested.status, 201);
+        const { id, status, downloadUrl } = requested.body.data;
+        assert.equal(status, 'ready');
+
+        const file = await download(downloadUrl);
+        assert.equal(file.status, 200);
+        assert.match(file.headers.get('content-disposition'), /^attachment; filename="export-.+\.json"$/);
+        const data = JSON.parse(file.content.toString('utf8'));
+        assert.equal(data.user.pseudo, 'Alice');
+        assert.deepEqual(data.friends, [{ id: bob.id, pseudo: 'Bob' }]);
+        assert.deepEqual(data.conversations[0].messages.map(({ senderPseudo, message }) => ({ senderPseudo, message })),
+            [{ senderPseudo: 'Bob', message: 'Salut, "Alice"' }]);
+        assert.deepEqual(data.scores.map(({ gameId, currentScore, history }) => ({ gameId, currentScore, submissions: history.length })),
+            [{ gameId: 'dino', currentScore: 42, submissions: 1 }]);
+
+        const forged = await server.call('GET', downloadUrl.replace(/token=[^&]+/, 'token=faux'));
+        assert.equal(forged.body.code, 'DATA_EXPORT_NOT_FOUND');
+        const current = await server.ok('GET', `/getDataExport/${alice.id}/${id}`, null, alice.token);
+        assert.equal(current.downloadUrl, downloadUrl);
+    });
+
+    it('exporte une archive ZIP d\'un fichier CSV par type d\'information', async () => {
+        const { downloadUrl } = await server.ok('POST', '/requestDataExport', { userId: alice.id, format: 'zip' }, alice.token);
+        const file = await download(downloadUrl);
+        assert.equal(file.headers.get('content-type'), 'application/zip');
+        assert.equal(file.content.readUInt32LE(0), 0x04034B50);
+        // Les noms des fichiers figurent en clair dans l'archive
+        for (const name of ['profile.csv', 'friends.csv', 'messages.csv', 'scores.csv']) {
+            assert.ok(file.content.includes(name), name);
+        }
+
+        const exports = await server.ok('GET', `/getDataExports/${alice.id}`, null, alice.token);
+        assert.deepEqual(exports.map(record => record.format), ['zip', 'json']);
+    });
+
+    it('réserve les exports à leur propriétaire', async () => {
+        const response = await server.call('POST', '/requestDataExport', { userId: alice.id }, bob.token);
+        assert.equal(response.status, 403);
+        assert.equal((await server.call('GET', `/getDataExports/${alice.id}`, null, bob.token)).status, 403);
+    });
+});
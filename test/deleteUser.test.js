@@ -0,0 +1,129 @@
+// test/deleteUser.test.js
+// Suppression d'un compte de bout en bout : le serveur tourne avec le stockage en mémoire persisté dans un
+// fichier, que le test relit pour vérifier qu'aucune référence au compte supprimé ne subsiste.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+/**
+ * Chemins du stockage dont la clé ou la valeur mentionne `id`.
+ * @returns {string[]}
+ */
+const findReferences = (node, id, currentPath = '') => {
+    if (node === null || typeof node !== 'object') {
+        return String(node).includes(id) ? [currentPath] : [];
+    }
+    return Object.entries(node).flatMap(([key, child]) => {
+        const childPath = currentPath ? `${currentPath}/${key}` : key;
+        return key.includes(id) ? [childPath] : findReferences(child, id, childPath);
+    });
+};
+
+describe('POST /deleteUser', () => {
+    let dir;
+    let storeFile;
+    let server;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-user-'));
+        storeFile = path.join(dir, 'store.json');
+        server = await startServer({ storeFile });
+    });
+
+    after(async () => {
+        await server?.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('supprime un compte entièrement renseigné et toutes ses références', async () => {
+        const { call, ok, createUser, befriend, adminToken } = server;
+
+        // --- Un compte présent partout : amis, demandes, blocages, parrainage, messages, groupes, scores... ---
+        const user = await createUser('Victime');
+        const friend = await createUser('Ami', user.inviteCode); // Parrainé par l'utilisateur
+        const other = await createUser('Autre');
+        const requester = await createUser('Demandeur');
+        const requested = await createUser('Sollicite');
+        const blocked = await createUser('Bloque');
+        const blocker = await createUser('Bloqueur');
+
+        // Le parrainage envoie une demande d'ami au parrain
+        await ok('POST', '/acceptFriendRequest', { userId: user.id, friendId: friend.id }, user.token);
+        await befriend(user, other);
+        await befriend(friend, other);
+        await ok('POST', '/sendFriendRequest', { userId: requester.id, friendId: user.id }, requester.token);
+        await ok('POST', '/sendFriendRequest', { userId: user.id, friendId: requested.id }, user.token);
+        await ok('POST', '/blockUser', { userId: user.id, targetId: blocked.id }, user.token);
+        await ok('POST', '/blockUser', { userId: blocker.id, targetId: user.id }, blocker.token);
+
+        await ok('POST', '/setProfile', { userId: user.id, bio: 'Bonjour', customStatus: 'En jeu' }, user.token);
+        await ok('POST', '/setVisibility', { userId: user.id, infoType: 'game_scores', visibilityLevel: 'everyone' }, user.token);
+        await ok('POST', '/setNotificationPreference', { userId: user.id, type: 'message', muted: true }, user.token);
+        await ok('POST', '/regenerateInviteCode', { userId: user.id, maxUses: 5 }, user.token);
+        await ok('POST', '/presenceConnect', { userId: user.id }, user.token);
+
+        const direct = await ok('POST', '/sendMessage', { senderId: user.id, receiverId: friend.id, message: 'Salut' }, user.token);
+        await ok('POST', '/sendMessage', { senderId: friend.id, receiverId: user.id, message: 'Coucou' }, friend.token);
+        await ok('POST', '/markConversationRead', { userId: friend.id, otherUserId: user.id, messageId: direct.id }, friend.token);
+
+        const ownGroup = await ok('POST', '/createGroup', { userId: user.id, name: 'Le groupe', memberIds: [friend.id, other.id] }, user.token);
+        await ok('POST', '/sendGroupMessage', { senderId: user.id, groupId: ownGroup.id, message: 'Bienvenue' }, user.token);
+        const soloGroup = await ok('POST', '/createGroup', { userId: user.id, name: 'Seul', memberIds: [friend.id] }, user.token);
+        await ok('POST', '/leaveGroup', { userId: friend.id, groupId: soloGroup.id }, friend.token);
+        const friendGroup = await ok('POST', '/createGroup', { userId: friend.id, name: 'Chez l\'ami', memberIds: [user.id] }, friend.token);
+        await ok('POST', '/sendGroupMessage', { senderId: friend.id, groupId: friendGroup.id, message: 'Bonjour' }, friend.token);
+
+        await ok('POST', '/adminSetGame', { gameId: 'dino', name: 'Dino', reviewThreshold: 10000 }, adminToken);
+        await ok('POST', '/setGameScore', { userId: user.id, gameId: 'dino', score: 120 }, user.token);
+        await ok('POST', '/setGameScore', { userId: user.id, gameId: 'dino', score: 150 }, user.token);
+        await ok('POST', '/setGameScore', { userId: user.id, gameId: 'dino', score: 20000 }, user.token); // En revue
+        await ok('POST', '/setGameScore', { userId: friend.id, gameId: 'dino', score: 100 }, friend.token);
+
+        const deadline = Date.now() + 60 * 60 * 1000;
+        await ok('POST', '/createChallenge', { userId: user.id, friendId: friend.id, gameId: 'dino', targetScore: 200, deadline }, user.token);
+        await ok('POST', '/createChallenge', { userId: friend.id, friendId: user.id, gameId: 'dino', targetScore: 300, deadline }, friend.token);
+
+        const ownProject = await ok('POST', '/createProject', { userId: user.id, title: 'Mon projet' }, user.token);
+        await ok('POST', '/inviteProjectCollaborator', { userId: user.id, projectId: ownProject.id, friendId: friend.id }, user.token);
+        const friendProject = await ok('POST', '/createProject', { userId: friend.id, title: 'Projet de l\'ami' }, friend.token);
+        await ok('POST', '/inviteProjectCollaborator', { userId: friend.id, projectId: friendProject.id, friendId: user.id }, friend.token);
+
+        await ok('POST', '/reportUser', { userId: user.id, targetId: other.id, reason: 'spam' }, user.token);
+        await ok('POST', '/reportUser', { userId: other.id, targetId: user.id, reason: 'harassment' }, other.token);
+        await ok('POST', '/requestDataExport', { userId: user.id, format: 'zip' }, user.token);
+        await ok('POST', '/adminSanctionUser', { userId: user.id, type: 'restriction', reason: 'Test', durationHours: 24 }, adminToken);
+
+        // --- Suppression ---
+        await ok('POST', '/deleteUser', { userId: user.id }, user.token);
+
+        // Restent à dessein, dans les données des autres utilisateurs : la conversation directe et les messages
+        // que l'autre participant garde, les notifications déjà reçues (jusqu'à leur expiration), l'auteur d'un
+        // groupe, les signalements visant le compte et le journal des actions des administrateurs
+        const { conversationId } = direct;
+        const retained = [
+            new RegExp(`^(conversations|conversationMessages)/${conversationId}$`),
+            new RegExp(`^users/${friend.id}/(conversations|conversationReads)/${conversationId}$`),
+            /^conversationMessages\/[^/]+\/[^/]+\/senderId$/,
+            /^conversations\/[^/]+\/createdBy$/,
+            /^notifications\/[^/]+\/[^/]+\/(collapseKey|data\/.+)$/,
+            /^reports\/[^/]+\/targetUserId$/,
+            /^adminAuditLog\/[^/]+\/targetId$/
+        ];
+        const data = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        const references = findReferences(data, user.id)
+            .filter(referencePath => !retained.some(pattern => pattern.test(referencePath)));
+        assert.deepEqual(references, []);
+
+        // Les autres comptes et leurs données partagées restent utilisables
+        assert.equal((await call('GET', `/getUserDetails/${user.id}`)).status, 404);
+        const friends = await ok('GET', `/getFriendsList/${friend.id}`, null, friend.token);
+        assert.deepEqual(friends.map(entry => entry.id ?? entry), [other.id]);
+        const group = await ok('GET', `/getGroup/${friend.id}/${ownGroup.id}`, null, friend.token);
+        assert.ok(group.members.every(member => (member.id ?? member) !== user.id));
+        assert.equal((await call('POST', '/createUser', { pseudo: 'Victime' })).status, 201); // Pseudo libéré
+    });
+});
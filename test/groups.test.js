@@ -0,0 +1,89 @@
+// test/groups.test.js
+// Conversations de groupe : résumé des conversations (dernier message visible) et routes des groupes.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { startServer } from './helpers.js';
+
+describe('résumé des conversations', () => {
+    it('remonte au-delà d\'une page de messages masqués pour trouver le dernier message visible', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const groupId = await repos.messages.createGroup('u1', 'Groupe', ['u2', 'u3'], 1000);
+        await repos.messages.sendToGroup(groupId, ['u1', 'u2', 'u3'], { senderId: 'u2', message: 'Visible', timestamp: 2000 }, []);
+        for (let i = 0; i < 25; i++) {
+            await repos.messages.sendToGroup(groupId, ['u1', 'u2', 'u3'], { senderId: 'u3', message: `Masqué ${i}`, timestamp: 3000 + i }, []);
+        }
+        await repos.messages.sendDirect('u2', 'u1', { senderId: 'u2', message: 'Direct', timestamp: 2500 });
+
+        const conversations = await repos.messages.listConversations('u1', { hiddenSenderIds: ['u3'] });
+        assert.deepEqual(conversations.map(({ type, lastMessage, lastMessageAt }) => ({ type, message: lastMessage.message, lastMessageAt })), [
+            { type: 'direct', message: 'Direct', lastMessageAt: 2500 },
+            { type: 'group', message: 'Visible', lastMessageAt: 2000 }
+        ]);
+    });
+
+    it('date une conversation sans message visible de sa création', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const groupId = await repos.messages.createGroup('u1', 'Groupe', ['u2'], 1000);
+        await repos.messages.sendToGroup(groupId, ['u1', 'u2'], { senderId: 'u2', message: 'Masqué', timestamp: 2000 }, []);
+
+        const [conversation] = await repos.messages.listConversations('u1', { hiddenSenderIds: ['u2'] });
+        assert.equal(conversation.lastMessage, null);
+        assert.equal(conversation.lastMessageAt, 1000);
+    });
+});
+
+describe('routes des groupes', () => {
+    let server;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+        carol = await server.createUser('Carol');
+        await server.befriend(alice, bob);
+        await server.befriend(alice, carol);
+    });
+
+    after(() => server?.stop());
+
+    it('ne crée un groupe qu\'avec des amis et réserve son renommage à l\'administrateur', async () => {
+        const refused = await server.call('POST', '/createGroup', { userId: bob.id, name: 'Groupe', memberIds: [carol.id] }, bob.token);
+        assert.equal(refused.body.code, 'NOT_FRIENDS');
+
+        const group = await server.ok('POST', '/createGroup', { userId: alice.id, name: 'Groupe', memberIds: [bob.id, carol.id] }, alice.token);
+        const rename = await server.call('POST', '/renameGroup', { userId: bob.id, groupId: group.id, name: 'Autre' }, bob.token);
+        assert.equal(rename.body.code, 'NOT_GROUP_ADMIN');
+        await server.ok('POST', '/renameGroup', { userId: alice.id, groupId: group.id, name: 'Autre' }, alice.token);
+
+        await server.ok('POST', '/leaveGroup', { userId: bob.id, groupId: group.id }, bob.token);
+        assert.equal((await server.call('GET', `/getGroup/${bob.id}/${group.id}`, null, bob.token)).body.code, 'NOT_GROUP_MEMBER');
+    });
+
+    it('ignore les messages d\'un membre bloqué dans le dernier message et l\'ordre des conversations', async () => {
+        const group = await server.ok('POST', '/createGroup', { userId: alice.id, name: 'Bavards', memberIds: [bob.id, carol.id] }, alice.token);
+        await server.ok('POST', '/sendGroupMessage', { senderId: bob.id, groupId: group.id, message: 'Avant' }, bob.token);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await server.ok('POST', '/sendMessage', { senderId: bob.id, receiverId: alice.id, message: 'En direct' }, bob.token);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        for (let i = 0; i < 12; i++) {
+            await server.ok('POST', '/sendGroupMessage', { senderId: carol.id, groupId: group.id, message: `Message ${i}` }, carol.token);
+        }
+
+        const summarize = async () => (await server.ok('GET', `/getConversations/${alice.id}`, null, alice.token))
+            .filter(conversation => [group.id, [alice.id, bob.id].sort().join(':')].includes(conversation.conversationId))
+            .map(conversation => conversation.lastMessage.message);
+        assert.deepEqual(await summarize(), ['Message 11', 'En direct']);
+
+        await server.ok('POST', '/blockUser', { userId: alice.id, targetId: carol.id }, alice.token);
+        assert.deepEqual(await summarize(), ['En direct', 'Avant']);
+
+        const { messages } = await server.ok('GET', `/getGroupMessages/${alice.id}/${group.id}?limit=20`, null, alice.token);
+        assert.deepEqual(messages.map(message => message.message), ['Avant']);
+    });
+});
@@ -0,0 +1,172 @@
+// test/helpers.js
+// Outils partagés par les tests.
+
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalVerifier } from '../src/auth.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Routes dont la limitation du débit gênerait les tests qui enchaînent les appels
+const RATE_LIMITED_ROUTES = ['default', 'createUser', 'sendMessage', 'sendGroupMessage', 'sendFriendRequest',
+    'sendFriendRequestByCode', 'searchUsers', 'createChallenge', 'reportUser', 'reportMessage', 'requestDataExport'];
+
+/**
+ * Réponse Express minimale qui enregistre le statut et le corps JSON envoyés.
+ * @returns {object}
+ */
+export const createResponse = () => ({
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+    },
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+/**
+ * Requête Express minimale, dont les en-têtes sont lus par `req.get(nom)`.
+ * @param {object} [options]
+ * @param {object} [options.headers] - Les en-têtes, en minuscules.
+ * @returns {object}
+ */
+export const createRequest = ({ headers = {}, params = {}, query = {}, body = {} } = {}) => ({
+    headers: { ...headers },
+    params,
+    query,
+    body,
+    get(name) {
+        return this.headers[name.toLowerCase()];
+    }
+});
+
+/**
+ * Enveloppe un stockage pour que ses transactions se comportent comme celles de Realtime Database quand la
+ * valeur n'est pas en cache local : la fonction de mise à jour est d'abord appelée avec null, et la transaction
+ * n'est rejouée avec la valeur réelle que si elle n'a pas été annulée à ce premier appel.
+ * @param {object} store - Le stockage (voir src/storage).
+ * @returns {object} Le stockage enveloppé.
+ */
+export const withColdCache = (store) => ({
+    ...store,
+    transaction: async (p, updateFn) => {
+        if (updateFn(null) === undefined) return { committed: false, value: null };
+        return store.transaction(p, updateFn);
+    }
+});
+
+export const ADMIN_ID = 'admin1';
+const AUTH_SECRET = 'secret-de-test';
+
+/**
+ * Démarre le serveur dans un processus séparé, avec le stockage en mémoire (persisté dans `storeFile` s'il
+ * est donné), l'authentification locale, l'administrateur ADMIN_ID et sans limitation du débit.
+ * @param {object} [options]
+ * @param {string} [options.storeFile] - Le fichier JSON du stockage.
+ * @param {object} [options.env] - Variables d'environnement supplémentaires.
+ * @returns {Promise<object>} Le client de test :
+ * - `call(method, path, body?, token?)` renvoie `{ status, body }` ;
+ * - `ok(method, path, body?, token?)` renvoie `data` et échoue si la réponse n'est pas un succès ;
+ * - `createUser(pseudo, inviteCode?)` renvoie `{ id, token, inviteCode }` ;
+ * - `befriend(user, friend)` rend deux utilisateurs amis ;
+ * - `adminToken` est le jeton de l'administrateur ;
+ * - `stop()` arrête le serveur.
+ */
+export const startServer = async ({ storeFile, env = {} } = {}) => {
+    const port = await new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port: freePort } = probe.address();
+            probe.close(() => resolve(freePort));
+        }).on('error', reject);
+    });
+
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            STORAGE_BACKEND: 'memory',
+            ...(storeFile ? { STORAGE_FILE: storeFile } : {}),
+            AUTH_SECRET,
+            ADMIN_USER_IDS: ADMIN_ID,
+            RATE_LIMITS: JSON.stringify(Object.fromEntries(RATE_LIMITED_ROUTES.map(routeName => [routeName, null]))),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Le serveur n'a pas démarré :\n${output}`));
+        }, 10000);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timeout);
+            reject(new Error(`Le serveur s'est arrêté (code ${code}) :\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://localhost:${port}`;
+    const call = async (method, urlPath, body, token) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const ok = async (method, urlPath, body, token) => {
+        const response = await call(method, urlPath, body, token);
+        assert.ok(response.status < 300, `${method} ${urlPath} : ${response.status} ${JSON.stringify(response.body)}`);
+        return response.body.data;
+    };
+
+    const createUser = async (pseudo, inviteCode) => {
+        const data = await ok('POST', '/createUser', { pseudo, ...(inviteCode ? { inviteCode } : {}) });
+        return { id: data.id, token: data.credentials.token, inviteCode: data.inviteCode };
+    };
+
+    const befriend = async (user, friend) => {
+        await ok('POST', '/sendFriendRequest', { userId: user.id, friendId: friend.id }, user.token);
+        await ok('POST', '/acceptFriendRequest', { userId: friend.id, friendId: user.id }, friend.token);
+    };
+
+    const stop = () => new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.removeAllListeners('exit');
+        child.on('exit', () => resolve());
+        child.kill();
+    });
+
+    return {
+        baseUrl,
+        call,
+        ok,
+        createUser,
+        befriend,
+        adminToken: (await createLocalVerifier({ secret: AUTH_SECRET }).issue(ADMIN_ID)).token,
+        stop
+    };
+};
@@ -0,0 +1,130 @@
+// test/inviteCodes.test.js
+// Codes d'invitation : règles, consommation transactionnelle et routes (parrainage, limites, révocation).
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { inviteCodeStatus, normalizeInviteCode, validateInviteOptions } from '../src/invites.js';
+import { startServer, withColdCache } from './helpers.js';
+
+describe('règles des codes d\'invitation', () => {
+    it('donne l\'état d\'un code', () => {
+        const now = 1000;
+        assert.equal(inviteCodeStatus(null, now), 'unknown');
+        assert.equal(inviteCodeStatus({ revokedAt: 1 }, now), 'revoked');
+        assert.equal(inviteCodeStatus({ expiresAt: now }, now), 'expired');
+        assert.equal(inviteCodeStatus({ maxUses: 2, uses: 2 }, now), 'exhausted');
+        assert.equal(inviteCodeStatus({ expiresAt: now + 1, maxUses: 2, uses: 1 }, now), 'active');
+    });
+
+    it('valide les options d\'un nouveau code', () => {
+        assert.deepEqual(validateInviteOptions({ expiresInDays: 1, maxUses: 3, instantFriendship: true }, 0).value,
+            { expiresAt: 24 * 60 * 60 * 1000, maxUses: 3, instantFriendship: true });
+        assert.deepEqual(validateInviteOptions({}, 0).value, { expiresAt: null, maxUses: null, instantFriendship: false });
+        assert.ok(validateInviteOptions({ expiresInDays: 0 }).error);
+        assert.ok(validateInviteOptions({ maxUses: 1.5 }).error);
+        assert.ok(validateInviteOptions({ instantFriendship: 'oui' }).error);
+    });
+
+    it('normalise un code saisi', () => {
+        assert.equal(normalizeInviteCode(' ab12cd34 '), 'AB12CD34');
+        assert.equal(normalizeInviteCode('ab-12'), null);
+        assert.equal(normalizeInviteCode(42), null);
+    });
+});
+
+describe('dépôt des codes d\'invitation', () => {
+    it('compte chaque utilisation jusqu\'à la limite, même si la transaction commence sans la valeur en cache', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        const { code } = await repos.inviteCodes.create('owner', { expiresAt: null, maxUses: 2, instantFriendship: false });
+
+        assert.equal((await repos.inviteCodes.consume(code)).status, 'active');
+        const second = await repos.inviteCodes.consume(code);
+        assert.equal(second.status, 'active');
+        assert.equal(second.invite.uses, 2);
+        assert.equal((await repos.inviteCodes.consume(code)).status, 'exhausted');
+        assert.equal((await repos.inviteCodes.get(code)).uses, 2);
+    });
+
+    it('refuse un code inconnu, révoqué ou expiré', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+        assert.equal((await repos.inviteCodes.consume('INCONNU1')).status, 'unknown');
+        assert.equal(await repos.inviteCodes.get('INCONNU1'), null);
+
+        const now = Date.now();
+        const { code: expired } = await repos.inviteCodes.create('owner', { expiresAt: now - 1, maxUses: null, instantFriendship: false });
+        assert.equal((await repos.inviteCodes.consume(expired, now)).status, 'expired');
+
+        const { code: revoked } = await repos.inviteCodes.create('owner', { expiresAt: null, maxUses: null, instantFriendship: false });
+        await repos.inviteCodes.revokeCurrent('owner');
+        assert.equal((await repos.inviteCodes.consume(revoked)).status, 'revoked');
+    });
+
+    it('révoque l\'ancien code quand un nouveau est créé', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const { code: first } = await repos.inviteCodes.create('owner', { expiresAt: null, maxUses: null, instantFriendship: false });
+        const { code: second } = await repos.inviteCodes.create('owner', { expiresAt: null, maxUses: null, instantFriendship: false });
+        assert.equal(inviteCodeStatus(await repos.inviteCodes.get(first)), 'revoked');
+        assert.equal(inviteCodeStatus(await repos.inviteCodes.get(second)), 'active');
+    });
+});
+
+describe('routes des codes d\'invitation', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server?.stop());
+
+    it('envoie une demande d\'ami au parrain à l\'inscription et l\'inscrit dans ses parrainages', async () => {
+        const owner = await server.createUser('Parrain');
+        const referred = await server.createUser('Filleul', owner.inviteCode.toLowerCase());
+
+        const requests = await server.ok('GET', `/getFriendRequests/${owner.id}`, null, owner.token);
+        assert.deepEqual(requests.map(request => request.id ?? request.senderId), [referred.id]);
+
+        const { codes, totals } = await server.ok('GET', `/getReferrals/${owner.id}`, null, owner.token);
+        assert.deepEqual(totals, { signups: 1, connections: 0 });
+        assert.equal(codes[0].uses, 1);
+        assert.deepEqual(codes[0].referrals.map(({ id, kind, result }) => ({ id, kind, result })),
+            [{ id: referred.id, kind: 'signup', result: 'request' }]);
+    });
+
+    it('crée directement l\'amitié avec un code à amitié immédiate', async () => {
+        const owner = await server.createUser('Immediat');
+        const user = await server.createUser('Invite');
+        const { code } = await server.ok('POST', '/regenerateInviteCode', { userId: owner.id, instantFriendship: true }, owner.token);
+
+        const used = await server.ok('POST', '/sendFriendRequestByCode', { userId: user.id, inviteCode: code }, user.token);
+        assert.deepEqual(used, { friendId: owner.id, result: 'friendship' });
+        const friends = await server.ok('GET', `/getFriendsList/${owner.id}`, null, owner.token);
+        assert.deepEqual(friends.map(friend => friend.id), [user.id]);
+    });
+
+    it('refuse un code épuisé, révoqué ou remplacé', async () => {
+        const owner = await server.createUser('Limite');
+        const { code } = await server.ok('POST', '/regenerateInviteCode', { userId: owner.id, maxUses: 1 }, owner.token);
+        await server.createUser('Premier', code);
+
+        const exhausted = await server.call('POST', '/createUser', { pseudo: 'Second', inviteCode: code });
+        assert.equal(exhausted.status, 410);
+        assert.equal(exhausted.body.code, 'INVITE_CODE_EXHAUSTED');
+
+        const { code: replacement } = await server.ok('POST', '/regenerateInviteCode', { userId: owner.id }, owner.token);
+        const replaced = await server.call('POST', '/createUser', { pseudo: 'Troisieme', inviteCode: code });
+        assert.equal(replaced.body.code, 'INVITE_CODE_INVALID'); // L'ancien code est révoqué
+        await server.ok('POST', '/revokeInviteCode', { userId: owner.id }, owner.token);
+        const revoked = await server.call('POST', '/createUser', { pseudo: 'Quatrieme', inviteCode: replacement });
+        assert.equal(revoked.body.code, 'INVITE_CODE_INVALID');
+        assert.deepEqual(await server.ok('GET', `/getInviteCode/${owner.id}`, null, owner.token), { code: null });
+    });
+
+    it('refuse d\'utiliser son propre code', async () => {
+        const owner = await server.createUser('Narcisse');
+        const response = await server.call('POST', '/sendFriendRequestByCode', { userId: owner.id, inviteCode: owner.inviteCode }, owner.token);
+        assert.equal(response.body.code, 'CANNOT_TARGET_SELF');
+    });
+});
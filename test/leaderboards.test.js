@@ -0,0 +1,125 @@
+// test/leaderboards.test.js
+// Classements globaux : ordre des clés de classement, curseurs et route (pagination, rang du joueur, visibilité).
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, parsePageSize, periodKey, rankKey } from '../src/leaderboards.js';
+import { startServer } from './helpers.js';
+
+describe('clés de classement', () => {
+    const sortedIds = (entries, sortDirection) => entries
+        .map(entry => ({ ...entry, key: rankKey(entry, sortDirection) }))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(entry => entry.userId);
+
+    const entries = [
+        { userId: 'moins', score: -2.5, achievedAt: 1 },
+        { userId: 'zero', score: 0, achievedAt: 1 },
+        { userId: 'petit', score: 0.5, achievedAt: 1 },
+        { userId: 'grand', score: 1e6, achievedAt: 1 },
+        { userId: 'tard', score: 10, achievedAt: 20 },
+        { userId: 'tot', score: 10, achievedAt: 10 }
+    ];
+
+    it('classent les meilleurs scores d\'abord, puis le premier à les avoir atteints', () => {
+        assert.deepEqual(sortedIds(entries, 'desc'), ['grand', 'tot', 'tard', 'petit', 'zero', 'moins']);
+        assert.deepEqual(sortedIds(entries, 'asc'), ['moins', 'zero', 'petit', 'tot', 'tard', 'grand']);
+    });
+
+    it('confondent -0 et 0', () => {
+        assert.equal(rankKey({ userId: 'u', score: -0, achievedAt: 1 }, 'desc'), rankKey({ userId: 'u', score: 0, achievedAt: 1 }, 'desc'));
+    });
+});
+
+describe('pagination des classements', () => {
+    it('encode et relit un curseur, et refuse un curseur invalide', () => {
+        const entry = { userId: 'u1', score: 12.5, achievedAt: 1000, rank: 3 };
+        assert.deepEqual(decodeCursor(encodeCursor(entry)), entry);
+        assert.equal(decodeCursor('pas-un-curseur'), null);
+        assert.equal(decodeCursor(encodeCursor({ ...entry, rank: 0 })), null);
+    });
+
+    it('borne la taille des pages', () => {
+        assert.equal(parsePageSize(undefined), 20);
+        assert.equal(parsePageSize('5'), 5);
+        assert.equal(parsePageSize(0), null);
+        assert.equal(parsePageSize(101), null);
+    });
+
+    it('découpe les périodes en UTC', () => {
+        const friday = Date.UTC(2024, 4, 17, 23, 30);
+        assert.equal(periodKey('daily', friday), '2024-05-17');
+        assert.equal(periodKey('weekly', friday), '2024-05-13');
+        assert.equal(periodKey('monthly', friday), '2024-05');
+        assert.equal(periodKey('alltime', friday), 'all');
+    });
+});
+
+describe('GET /getGlobalLeaderboard', () => {
+    let server;
+    const players = {};
+
+    const submit = (player, score) =>
+        server.ok('POST', '/setGameScore', { userId: player.id, gameId: 'course', score }, player.token);
+
+    before(async () => {
+        server = await startServer();
+        await server.ok('POST', '/adminSetGame', { gameId: 'course', name: 'Course', sortDirection: 'asc', unit: 's' }, server.adminToken);
+        for (const pseudo of ['Rapide', 'Moyen', 'Egal', 'Lent', 'Discret']) {
+            players[pseudo] = await server.createUser(pseudo); // Scores visibles par tous par défaut
+        }
+        await server.ok('POST', '/setVisibility', { userId: players.Discret.id, infoType: 'game_scores', visibilityLevel: 'friends_only' },
+            players.Discret.token);
+        await submit(players.Rapide, 30);
+        await submit(players.Moyen, 45);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await submit(players.Egal, 45); // Même temps, atteint plus tard
+        await submit(players.Lent, 60);
+        await submit(players.Lent, 70); // Moins bon : ne change rien
+        await submit(players.Discret, 10);
+    });
+
+    after(() => server?.stop());
+
+    it('classe les joueurs publics page par page, à égalité le premier arrivé, et continue les rangs', async () => {
+        const first = await server.ok('GET', '/getGlobalLeaderboard/course?limit=2');
+        assert.deepEqual(first.entries.map(({ rank, pseudo, score }) => ({ rank, pseudo, score })),
+            [{ rank: 1, pseudo: 'Rapide', score: 30 }, { rank: 2, pseudo: 'Moyen', score: 45 }]);
+        assert.equal(first.period, 'all');
+        assert.equal(first.me, null);
+
+        const second = await server.ok('GET', `/getGlobalLeaderboard/course?limit=2&cursor=${first.nextCursor}`);
+        assert.deepEqual(second.entries.map(({ rank, pseudo, score }) => ({ rank, pseudo, score })),
+            [{ rank: 3, pseudo: 'Egal', score: 45 }, { rank: 4, pseudo: 'Lent', score: 60 }]);
+        assert.equal(second.nextCursor, null);
+
+        const invalid = await server.call('GET', '/getGlobalLeaderboard/course?cursor=abc');
+        assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+    });
+
+    it('donne son rang au joueur dont les scores ne sont pas publics, sans le montrer aux autres', async () => {
+        const { entries, me } = await server.ok('GET', '/getGlobalLeaderboard/course?window=daily&limit=1', null, players.Discret.token);
+        assert.deepEqual(entries.map(entry => entry.pseudo), ['Rapide']);
+        assert.deepEqual({ rank: me.rank, score: me.score, public: me.public }, { rank: 1, score: 10, public: false });
+
+        // Rendus publics, ses scores déjà soumis entrent au classement
+        await server.ok('POST', '/setVisibility', { userId: players.Discret.id, infoType: 'game_scores', visibilityLevel: 'everyone' }, players.Discret.token);
+        const published = await server.ok('GET', '/getGlobalLeaderboard/course?window=weekly&limit=1', null, players.Discret.token);
+        assert.deepEqual(published.entries.map(entry => entry.pseudo), ['Discret']);
+        assert.equal(published.me.public, true);
+    });
+
+    it('retire du classement les joueurs liés au lecteur par un blocage', async () => {
+        await server.ok('POST', '/blockUser', { userId: players.Lent.id, targetId: players.Rapide.id }, players.Lent.token);
+        const { entries, me } = await server.ok('GET', '/getGlobalLeaderboard/course?window=monthly', null, players.Lent.token);
+        assert.ok(!entries.some(entry => entry.userId === players.Rapide.id));
+        assert.equal(me.rank, entries.findIndex(entry => entry.userId === players.Lent.id) + 1);
+    });
+
+    it('renvoie un classement vide, avec les règles par défaut, pour un jeu non enregistré', async () => {
+        const { game, entries, nextCursor } = await server.ok('GET', '/getGlobalLeaderboard/inconnu');
+        assert.equal(game.sortDirection, 'desc');
+        assert.deepEqual(entries, []);
+        assert.equal(nextCursor, null);
+    });
+});
@@ -0,0 +1,135 @@
+// test/memoryStore.test.js
+// Stockage en mémoire : sémantique de Realtime Database reproduite pour le développement local et les tests.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { SERVER_TIMESTAMP, serverIncrement } from '../src/storage/index.js';
+
+describe('createMemoryStore', () => {
+    it('lit, écrit et supprime par chemin', async () => {
+        const store = createMemoryStore();
+        await store.set('users/u1', { pseudo: 'Alice', profile: { bio: 'Salut' } });
+
+        assert.deepEqual(await store.get('users/u1/profile'), { bio: 'Salut' });
+        assert.equal(await store.exists('users/u1'), true);
+        assert.equal(await store.get('users/u2'), null);
+
+        await store.remove('users/u1/profile/bio');
+        assert.equal(await store.get('users/u1/profile'), null); // Le parent devenu vide disparaît
+        assert.deepEqual(await store.get('users/u1'), { pseudo: 'Alice' });
+    });
+
+    it('renvoie des copies, jamais les données stockées', async () => {
+        const store = createMemoryStore({ initialData: { users: { u1: { pseudo: 'Alice' } } } });
+        const user = await store.get('users/u1');
+        user.pseudo = 'Modifié';
+        assert.equal(await store.get('users/u1/pseudo'), 'Alice');
+    });
+
+    it('supprime les enfants null et les objets vides à l\'écriture', async () => {
+        const store = createMemoryStore();
+        await store.set('users/u1', { pseudo: 'Alice', friends: {}, bio: null });
+        assert.deepEqual(await store.get('users/u1'), { pseudo: 'Alice' });
+    });
+
+    it('applique une mise à jour multi-chemins, null supprimant le chemin', async () => {
+        const store = createMemoryStore({ initialData: { users: { u1: { friends: { u2: true } }, u2: { friends: { u1: true } } } } });
+        await store.update({
+            'users/u1/friends/u2': null,
+            'users/u2/friends/u1': null,
+            'users/u1/blockedUsers/u2': true
+        });
+        assert.deepEqual(await store.get('users'), { u1: { blockedUsers: { u2: true } } });
+    });
+
+    it('refuse une mise à jour dont un chemin est l\'ancêtre d\'un autre, sans rien écrire', async () => {
+        const store = createMemoryStore({ initialData: { users: { u1: { pseudo: 'Alice' } } } });
+        await assert.rejects(store.update({ 'users/u1': { pseudo: 'Bob' }, 'users/u1/pseudo': 'Carol' }), /ancêtre/);
+        assert.equal(await store.get('users/u1/pseudo'), 'Alice');
+    });
+
+    it('résout les horodatages et les incréments serveur', async () => {
+        const store = createMemoryStore({ initialData: { counters: { a: 2 } } });
+        const before = Date.now();
+        await store.update({
+            'counters/a': serverIncrement(3),
+            'counters/b': serverIncrement(-1), // Valeur absente : l'incrément part de 0
+            'meta/updatedAt': SERVER_TIMESTAMP
+        });
+        assert.deepEqual(await store.get('counters'), { a: 5, b: -1 });
+        assert.ok(await store.get('meta/updatedAt') >= before);
+
+        await store.set('users/u1', { unread: serverIncrement(1) });
+        await store.set('users/u1', { unread: serverIncrement(1) });
+        assert.equal(await store.get('users/u1/unread'), 2);
+    });
+
+    it('génère des clés chronologiques uniques', () => {
+        const store = createMemoryStore();
+        const keys = Array.from({ length: 200 }, () => store.newKey('messages'));
+        assert.equal(new Set(keys).size, keys.length);
+        assert.deepEqual([...keys].sort(), keys);
+    });
+
+    it('valide ou annule une transaction selon la fonction de mise à jour', async () => {
+        const store = createMemoryStore();
+        const reserve = (userId) => store.transaction('pseudoIndex/alice', (current) =>
+            (current !== null && current !== userId ? undefined : userId));
+
+        assert.deepEqual(await reserve('u1'), { committed: true, value: 'u1' });
+        assert.deepEqual(await reserve('u2'), { committed: false, value: 'u1' });
+        assert.equal(await store.get('pseudoIndex/alice'), 'u1');
+    });
+
+    describe('query', () => {
+        const initialData = {
+            scores: {
+                a: { score: 30, name: 'Alice' },
+                b: { score: 10, name: 'Bob' },
+                c: { score: 20, name: 'Carol' },
+                d: { name: 'Dave' } // Sans score : trié en premier, comme null
+            }
+        };
+
+        it('trie par champ et borne les résultats', async () => {
+            const store = createMemoryStore({ initialData });
+            const keys = async (options) => (await store.query('scores', options)).map(([key]) => key);
+
+            assert.deepEqual(await keys({ orderBy: 'score' }), ['d', 'b', 'c', 'a']);
+            assert.deepEqual(await keys({ orderBy: 'score', startAt: 0 }), ['b', 'c', 'a']); // Exclut les enfants sans le champ
+            assert.deepEqual(await keys({ orderBy: 'score', startAt: 15, endAt: 30 }), ['c', 'a']);
+            assert.deepEqual(await keys({ orderBy: 'score', equalTo: 10 }), ['b']);
+            assert.deepEqual(await keys({ orderBy: 'score', startAt: 0, limitToFirst: 2 }), ['b', 'c']);
+            assert.deepEqual(await keys({ orderBy: 'score', limitToLast: 2 }), ['c', 'a']);
+        });
+
+        it('trie par clé et renvoie les valeurs', async () => {
+            const store = createMemoryStore({ initialData });
+            const entries = await store.query('scores', { orderBy: '$key', startAt: 'b', endAt: 'c' });
+            assert.deepEqual(entries, [['b', { score: 10, name: 'Bob' }], ['c', { score: 20, name: 'Carol' }]]);
+        });
+
+        it('renvoie une liste vide pour un chemin absent', async () => {
+            const store = createMemoryStore();
+            assert.deepEqual(await store.query('scores', { orderBy: 'score' }), []);
+        });
+    });
+
+    it('persiste les données dans le fichier et les relit', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+        const file = path.join(dir, 'store.json');
+        try {
+            const store = createMemoryStore({ file });
+            await store.set('users/u1/pseudo', 'Alice');
+
+            const reopened = createMemoryStore({ file, initialData: { ignored: true } });
+            assert.deepEqual(await reopened.get(''), { users: { u1: { pseudo: 'Alice' } } });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
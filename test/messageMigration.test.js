@@ -0,0 +1,121 @@
+// test/messageMigration.test.js
+// Stockage des messages par conversation : écriture unique partagée par les deux participants et conversion
+// des anciennes copies `users/{a}/messages/{b}`.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { startServer } from './helpers.js';
+
+/**
+ * Anciennes copies d'une conversation entre `a` et `b` : deux messages présents dans les deux copies
+ * (sous des IDs et à des horodatages légèrement différents), et un message que seule la copie de `b` a reçu.
+ * Les IDs, chronologiques comme ceux de push(), précèdent ceux des messages envoyés pendant le test.
+ */
+const legacyCopies = (a, b) => ({
+    [a]: {
+        '-Lm1': { senderId: a, message: 'Salut', timestamp: 1000 },
+        '-Lm2': { senderId: b, message: 'Coucou', timestamp: 2000 }
+    },
+    [b]: {
+        '-Lx1': { senderId: a, message: 'Salut', timestamp: 1400 },
+        '-Lx2': { senderId: b, message: 'Coucou', timestamp: 2000 },
+        '-Lx3': { senderId: b, message: 'Tu es là ?', timestamp: 3000 }
+    }
+});
+
+describe('conversion des anciens messages', () => {
+    it('fusionne les deux copies sous des IDs partagés, déplace les marqueurs de lecture et peut être relancée', async () => {
+        const copies = legacyCopies('a', 'b');
+        const store = createMemoryStore({
+            initialData: {
+                users: {
+                    a: { pseudo: 'A', messages: { b: copies.a }, conversationReads: { b: { messageId: '-Lm2', readAt: 2500 } } },
+                    b: { pseudo: 'B', messages: { a: copies.b }, conversationReads: { a: { messageId: '-Lx1', readAt: 1500 } } }
+                }
+            }
+        });
+        const repos = createRepositories(store);
+
+        assert.deepEqual(await repos.messages.migrateLegacy(), { conversations: 1, messages: 3 });
+        assert.deepEqual(await repos.messages.migrateLegacy(), { conversations: 0, messages: 0 });
+
+        const messages = await repos.messages.listAll('a:b');
+        assert.deepEqual(messages.map(({ id, message }) => [id, message]), [['-Lm1', 'Salut'], ['-Lm2', 'Coucou'], ['-Lx3', 'Tu es là ?']]);
+        assert.deepEqual(await store.get('conversations/a:b'), { type: 'direct', members: { a: true, b: true } });
+        assert.equal(await store.get('users/a/conversations/a:b'), 3000);
+        assert.equal(await store.get('users/b/messages'), null);
+        assert.deepEqual(await repos.messages.getReadMarker('a', 'a:b'), { messageId: '-Lm2', readAt: 2500 });
+        assert.deepEqual(await repos.messages.getReadMarker('b', 'a:b'), { messageId: '-Lm1', readAt: 1500 }); // -Lx1 -> -Lm1
+        assert.equal(await store.get('users/b/conversationReads/a'), null);
+    });
+
+    it('ne réintroduit pas un utilisateur supprimé dans la conversation', async () => {
+        const store = createMemoryStore({
+            initialData: { users: { a: { pseudo: 'A', messages: { disparu: legacyCopies('a', 'disparu').a } } } }
+        });
+        const repos = createRepositories(store);
+
+        assert.deepEqual(await repos.messages.migrateLegacy(), { conversations: 1, messages: 2 });
+        assert.deepEqual(await store.get('conversations/a:disparu/members'), { a: true });
+        assert.equal(await store.get('users/disparu'), null);
+    });
+});
+
+describe('routes des messages stockés par conversation', () => {
+    let dir;
+    let storeFile;
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-migration-'));
+        storeFile = path.join(dir, 'store.json');
+        server = await startServer({ storeFile });
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+    });
+
+    after(async () => {
+        await server?.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('enregistre un message une seule fois, sous le même ID pour les deux participants', async () => {
+        const sent = await server.ok('POST', '/sendMessage', { senderId: alice.id, receiverId: bob.id, message: 'Bonjour' }, alice.token);
+        assert.equal(sent.conversationId, [alice.id, bob.id].sort().join(':'));
+
+        const forAlice = await server.ok('GET', `/getMessages/${alice.id}/${bob.id}`, null, alice.token);
+        const forBob = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}`, null, bob.token);
+        assert.deepEqual(forAlice.messages, forBob.messages);
+        assert.deepEqual(forBob.messages.map(({ id, message }) => ({ id, message })), [{ id: sent.id, message: 'Bonjour' }]);
+
+        const data = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        assert.deepEqual(Object.keys(data.conversationMessages[sent.conversationId]), [sent.id]);
+        assert.equal(data.users[alice.id].messages, undefined);
+    });
+
+    it('convertit les anciennes copies sur demande d\'un administrateur', async () => {
+        // Anciennes copies ajoutées au fichier du stockage, relu au redémarrage du serveur
+        await server.stop();
+        const data = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        const copies = legacyCopies(alice.id, bob.id);
+        data.users[alice.id].messages = { [bob.id]: copies[alice.id] };
+        data.users[bob.id].messages = { [alice.id]: copies[bob.id] };
+        fs.writeFileSync(storeFile, JSON.stringify(data));
+        server = await startServer({ storeFile });
+
+        assert.equal((await server.call('POST', '/adminMigrateMessages', {}, alice.token)).status, 403);
+        assert.deepEqual(await server.ok('POST', '/adminMigrateMessages', {}, server.adminToken), { conversations: 1, messages: 3 });
+
+        const { messages } = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}`, null, bob.token);
+        assert.deepEqual(messages.map(message => message.message), ['Salut', 'Coucou', 'Tu es là ?', 'Bonjour']);
+        const [conversation] = await server.ok('GET', `/getConversations/${alice.id}`, null, alice.token);
+        assert.equal(conversation.lastMessage.message, 'Bonjour');
+    });
+});
@@ -0,0 +1,92 @@
+// test/messages.test.js
+// Messages directs : pagination par curseur, marqueurs de lecture, non-lus, modification et suppression.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('routes des messages', () => {
+    let server;
+    let alice;
+    let bob;
+
+    const send = (from, to, message) =>
+        server.ok('POST', '/sendMessage', { senderId: from.id, receiverId: to.id, message }, from.token);
+
+    const unreadCount = async (user, other) => {
+        const conversations = await server.ok('GET', `/getConversations/${user.id}`, null, user.token);
+        return conversations.find(conversation => conversation.otherUserId === other.id).unreadCount;
+    };
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+    });
+
+    after(() => server?.stop());
+
+    it('pagine une conversation avant ou après un message', async () => {
+        const sent = [];
+        for (let i = 1; i <= 5; i++) sent.push(await send(alice, bob, `Message ${i}`));
+
+        const latest = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}?limit=2`, null, bob.token);
+        assert.deepEqual(latest.messages.map(message => message.message), ['Message 4', 'Message 5']);
+        assert.equal(latest.hasMore, true);
+        assert.equal(latest.messages[0].id, sent[3].id);
+
+        const older = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}?limit=2&before=${sent[3].id}`, null, bob.token);
+        assert.deepEqual(older.messages.map(message => message.message), ['Message 2', 'Message 3']);
+        const oldest = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}?limit=2&before=${sent[1].id}`, null, bob.token);
+        assert.deepEqual(oldest.messages.map(message => message.message), ['Message 1']);
+        assert.equal(oldest.hasMore, false);
+
+        const newer = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}?limit=10&after=${sent[2].id}`, null, bob.token);
+        assert.deepEqual(newer.messages.map(message => message.message), ['Message 4', 'Message 5']);
+        assert.equal(newer.hasMore, false);
+
+        const both = await server.call('GET', `/getMessages/${bob.id}/${alice.id}?before=${sent[3].id}&after=${sent[1].id}`, null, bob.token);
+        assert.equal(both.body.code, 'VALIDATION_ERROR');
+    });
+
+    it('compte les messages non lus jusqu\'au marqueur de lecture, qui ne recule jamais', async () => {
+        assert.equal(await unreadCount(bob, alice), 5);
+        assert.equal(await unreadCount(alice, bob), 0);
+
+        const { messages } = await server.ok('GET', `/getMessages/${bob.id}/${alice.id}?limit=5`, null, bob.token);
+        const marker = await server.ok('POST', '/markConversationRead', { userId: bob.id, otherUserId: alice.id, messageId: messages[2].id }, bob.token);
+        assert.equal(marker.messageId, messages[2].id);
+        assert.equal(await unreadCount(bob, alice), 2);
+
+        // Un marqueur plus ancien est ignoré
+        const unchanged = await server.ok('POST', '/markConversationRead', { userId: bob.id, otherUserId: alice.id, messageId: messages[0].id }, bob.token);
+        assert.equal(unchanged.messageId, messages[2].id);
+        assert.equal(await unreadCount(bob, alice), 2);
+
+        // Sans messageId, la conversation est lue jusqu'au dernier message
+        await server.ok('POST', '/markConversationRead', { userId: bob.id, otherUserId: alice.id }, bob.token);
+        assert.equal(await unreadCount(bob, alice), 0);
+        const { otherReadMarker } = await server.ok('GET', `/getMessages/${alice.id}/${bob.id}?limit=1`, null, alice.token);
+        assert.equal(otherReadMarker.messageId, messages[4].id);
+    });
+
+    it('ne laisse modifier ou supprimer que ses propres messages, et retire un message supprimé des non-lus', async () => {
+        const first = await send(alice, bob, 'Premier jet');
+        await send(alice, bob, 'Autre');
+        assert.equal(await unreadCount(bob, alice), 2);
+
+        const notAuthor = await server.call('POST', '/editMessage', { userId: bob.id, otherUserId: alice.id, messageId: first.id, message: 'Piraté' }, bob.token);
+        assert.equal(notAuthor.body.code, 'NOT_MESSAGE_AUTHOR');
+        const edited = await server.ok('POST', '/editMessage', { userId: alice.id, otherUserId: bob.id, messageId: first.id, message: 'Corrigé' }, alice.token);
+        assert.equal(edited.message, 'Corrigé');
+        assert.ok(edited.editedAt);
+
+        await server.ok('POST', '/deleteMessage', { userId: alice.id, otherUserId: bob.id, messageId: first.id }, alice.token);
+        assert.equal(await unreadCount(bob, alice), 1);
+        const missing = await server.call('POST', '/deleteMessage', { userId: alice.id, otherUserId: bob.id, messageId: first.id }, alice.token);
+        assert.equal(missing.body.code, 'MESSAGE_NOT_FOUND');
+
+        const conversations = await server.ok('GET', `/getConversations/${bob.id}`, null, bob.token);
+        assert.equal(conversations[0].lastMessage.message, 'Autre');
+    });
+});
@@ -0,0 +1,141 @@
+// test/moderation.test.js
+// Signalements et modération : restriction automatique après plusieurs signalants, clôture et levée de la restriction.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { createModerationService, SYSTEM_ACTOR } from '../src/moderation.js';
+import { startServer } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Service de modération (seuil de 2 signalants) dont les événements sont enregistrés dans `delivered`.
+ */
+const createService = (repos, adminIds = []) => {
+    const delivered = [];
+    const service = createModerationService({
+        repos,
+        events: {
+            accountRestricted: (userId, restriction) => delivered.push({ type: 'account_restricted', userId, restriction }),
+            reportResolved: (userId, report) => delivered.push({ type: 'report_resolved', userId, status: report.status })
+        },
+        isAdmin: async (userId) => adminIds.includes(userId),
+        threshold: 2,
+        restrictionMs: HOUR_MS
+    });
+    return { service, delivered };
+};
+
+const userReport = (reporterId, targetUserId, createdAt = Date.now()) =>
+    ({ reporterId, targetUserId, targetType: 'user', snapshot: {}, reason: 'spam', details: null, createdAt });
+
+describe('service de modération', () => {
+    it('restreint un compte signalé par assez d\'utilisateurs distincts, sans compter les doublons', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const { service, delivered } = createService(repos);
+
+        const first = await service.file(userReport('u1', 'cible'));
+        assert.equal(first.restriction, null);
+        const duplicate = await service.file(userReport('u1', 'cible'));
+        assert.equal(duplicate.duplicate.id, first.reportId);
+
+        const second = await service.file(userReport('u2', 'cible'));
+        assert.equal(second.restriction.type, 'restriction');
+        assert.equal(second.restriction.createdBy, SYSTEM_ACTOR);
+        assert.equal((await repos.sanctions.getActive('cible')).expiresAt, second.restriction.expiresAt);
+        assert.deepEqual(delivered.map(({ type, userId }) => `${type}:${userId}`), ['account_restricted:cible']);
+    });
+
+    it('ne restreint jamais un administrateur', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const { service } = createService(repos, ['admin']);
+        await service.file(userReport('u1', 'admin'));
+        assert.equal((await service.file(userReport('u2', 'admin'))).restriction, null);
+        assert.equal(await repos.sanctions.get('admin'), null);
+    });
+
+    it('lève la restriction automatique quand tous les signalements sont rejetés, et prévient les signalants', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const { service, delivered } = createService(repos);
+        const { reportId } = await service.file(userReport('u1', 'cible'));
+        await service.file(userReport('u2', 'cible'));
+
+        const report = await repos.reports.get(reportId);
+        const resolved = await service.resolve(report, { decision: 'dismissed', resolvedBy: 'admin', includeSameContent: true });
+        assert.equal(resolved.reportIds.length, 2);
+        assert.equal(resolved.restrictionLifted, true);
+        assert.equal(await repos.sanctions.get('cible'), null);
+        assert.deepEqual(delivered.filter(event => event.type === 'report_resolved').map(({ userId, status }) => `${userId}:${status}`).sort(),
+            ['u1:dismissed', 'u2:dismissed']);
+    });
+
+    it('ne compte pas à nouveau les signalements antérieurs à la précédente restriction automatique', async () => {
+        const repos = createRepositories(createMemoryStore());
+        const { service } = createService(repos);
+        const now = Date.now();
+        await service.file(userReport('u1', 'cible', now - 3 * HOUR_MS));
+        await service.file(userReport('u2', 'cible', now - 3 * HOUR_MS)); // Restriction terminée depuis
+
+        assert.equal(await repos.sanctions.getActive('cible', now), null);
+        assert.equal((await service.file(userReport('u3', 'cible', now))).restriction, null);
+        assert.equal((await service.file(userReport('u4', 'cible', now))).restriction.type, 'restriction');
+    });
+});
+
+describe('routes de modération', () => {
+    let server;
+    let target;
+    let reporters;
+
+    before(async () => {
+        server = await startServer({ env: { REPORT_RESTRICTION_THRESHOLD: '2' } });
+        target = await server.createUser('Cible');
+        reporters = [await server.createUser('Temoin1'), await server.createUser('Temoin2')];
+    });
+
+    after(() => server?.stop());
+
+    it('restreint un compte signalé, puis lève la restriction quand la modération rejette les signalements', async () => {
+        const [first, second] = reporters;
+        const message = await server.ok('POST', '/sendMessage', { senderId: target.id, receiverId: first.id, message: 'Pub !' }, target.token);
+
+        const messageReport = await server.call('POST', '/reportMessage',
+            { userId: first.id, otherUserId: target.id, messageId: message.id, reason: 'spam' }, first.token);
+        assert.equal(messageReport.status, 201);
+        assert.equal(messageReport.body.data.messageId, message.id);
+        const repeated = await server.call('POST', '/reportMessage',
+            { userId: first.id, otherUserId: target.id, messageId: message.id, reason: 'spam' }, first.token);
+        assert.equal(repeated.body.code, 'REPORT_ALREADY_OPEN');
+
+        await server.ok('POST', '/reportUser', { userId: second.id, targetId: target.id, reason: 'harassment' }, second.token);
+        const restricted = await server.call('POST', '/sendMessage', { senderId: target.id, receiverId: first.id, message: 'Encore' }, target.token);
+        assert.equal(restricted.status, 403);
+        assert.equal(restricted.body.code, 'ACCOUNT_RESTRICTED');
+
+        const { reports } = await server.ok('GET', `/adminGetReports?targetId=${target.id}`, null, server.adminToken);
+        assert.deepEqual(reports.map(report => report.reporter.pseudo).sort(), ['Temoin1', 'Temoin2']);
+        assert.equal(reports[0].target.sanction.type, 'restriction');
+
+        await server.ok('POST', '/adminResolveReport', { reportId: reports[0].id, decision: 'dismissed' }, server.adminToken);
+        const last = await server.ok('POST', '/adminResolveReport', { reportId: reports[1].id, decision: 'dismissed' }, server.adminToken);
+        assert.equal(last.restrictionLifted, true);
+        await server.ok('POST', '/sendMessage', { senderId: target.id, receiverId: first.id, message: 'Pardon' }, target.token);
+
+        const filed = await server.ok('GET', `/getReports/${first.id}`, null, first.token);
+        assert.deepEqual(filed.map(({ targetType, status }) => ({ targetType, status })), [{ targetType: 'message', status: 'dismissed' }]);
+        const again = await server.call('POST', '/adminResolveReport', { reportId: reports[0].id, decision: 'actioned' }, server.adminToken);
+        assert.equal(again.body.code, 'REPORT_ALREADY_RESOLVED');
+    });
+
+    it('refuse de se signaler soi-même ou de signaler son propre message', async () => {
+        const [first] = reporters;
+        assert.equal((await server.call('POST', '/reportUser', { userId: first.id, targetId: first.id, reason: 'spam' }, first.token)).body.code,
+            'CANNOT_TARGET_SELF');
+        const own = await server.ok('POST', '/sendMessage', { senderId: first.id, receiverId: target.id, message: 'Moi' }, first.token);
+        const response = await server.call('POST', '/reportMessage',
+            { userId: first.id, otherUserId: target.id, messageId: own.id, reason: 'spam' }, first.token);
+        assert.equal(response.body.code, 'CANNOT_TARGET_SELF');
+    });
+});
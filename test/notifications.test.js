@@ -0,0 +1,140 @@
+// test/notifications.test.js
+// Boîte de notifications : regroupement des messages par conversation, types coupés, expiration et routes.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { createNotificationService } from '../src/notifications.js';
+import { startServer } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service des notifications dont les envois temps réel sont enregistrés dans `sent`.
+ */
+const createService = (repos) => {
+    const sent = [];
+    const notifications = createNotificationService({
+        repos,
+        hub: { send: (userId, event, data) => sent.push({ userId, event, data }) },
+        visibility: { canView: async () => true },
+        ttlMs: 30 * DAY_MS
+    });
+    return { notifications, sent };
+};
+
+const createRepos = () => createRepositories(createMemoryStore({
+    initialData: { users: { u1: { pseudo: 'Un' }, u2: { pseudo: 'Deux' }, u3: { pseudo: 'Trois' } } }
+}));
+
+const directMessage = (senderId, receiverId, id, message) =>
+    ({ id, senderId, conversationId: [senderId, receiverId].sort().join(':'), message });
+
+describe('service des notifications', () => {
+    it('regroupe les messages d\'une conversation non lue en une notification qui les compte', async () => {
+        const repos = createRepos();
+        const { notifications, sent } = createService(repos);
+        await notifications.messageReceived('u1', 'u2', directMessage('u1', 'u2', '-m1', 'Salut'));
+        await notifications.messageReceived('u1', 'u2', directMessage('u1', 'u2', '-m2', 'Ça va ?'));
+        await notifications.messageReceived('u3', 'u2', directMessage('u3', 'u2', '-m3', 'Coucou'));
+
+        const stored = await repos.notifications.listAll('u2');
+        assert.deepEqual(stored.map(({ data, count }) => ({ from: data.from.pseudo, preview: data.preview, count })), [
+            { from: 'Un', preview: 'Ça va ?', count: 2 },
+            { from: 'Trois', preview: 'Coucou', count: 1 }
+        ]);
+        assert.deepEqual(sent.map(({ event, data }) => `${event}:${data.count}`), ['notification:1', 'notification:2', 'notification:1']);
+
+        // Une fois la conversation lue, le message suivant ouvre une nouvelle notification
+        await notifications.conversationRead('u2', 'u1:u2');
+        await notifications.messageReceived('u1', 'u2', directMessage('u1', 'u2', '-m4', 'Tu dors ?'));
+        const unread = (await repos.notifications.listAll('u2')).filter(notification => !notification.read);
+        assert.deepEqual(unread.map(({ data, count }) => `${data.from.pseudo}:${count}`), ['Trois:1', 'Un:1']);
+    });
+
+    it('n\'enregistre pas les types coupés ni les messages à travers un blocage', async () => {
+        const repos = createRepos();
+        const { notifications, sent } = createService(repos);
+        await repos.notifications.setMuted('u2', 'message', true);
+        await notifications.messageReceived('u1', 'u2', directMessage('u1', 'u2', '-m1', 'Salut'));
+        await repos.friendships.block('u3', 'u1');
+        await notifications.messageReceived('u1', 'u3', directMessage('u1', 'u3', '-m2', 'Salut'));
+
+        assert.deepEqual(await repos.notifications.listAll('u2'), []);
+        assert.deepEqual(await repos.notifications.listAll('u3'), []);
+        assert.deepEqual(sent, []);
+    });
+
+    it('supprime les notifications plus anciennes que la durée de conservation', async () => {
+        const repos = createRepos();
+        const { notifications } = createService(repos);
+        await repos.notifications.add('u2', { type: 'friend_added', data: {}, createdAt: Date.now() - 31 * DAY_MS, read: false });
+        await notifications.friendRequestAccepted('u1', 'u2');
+
+        assert.deepEqual((await repos.notifications.listAll('u2')).map(notification => notification.type), ['friend_request_accepted']);
+    });
+});
+
+describe('routes des notifications', () => {
+    let server;
+    let alice;
+    let bob;
+
+    // Les notifications sont enregistrées après la réponse de la route qui les déclenche
+    const waitForNotifications = async (user, isReady) => {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const inbox = await server.ok('GET', `/getNotifications/${user.id}`, null, user.token);
+            if (isReady(inbox)) return inbox;
+            await delay(20);
+        }
+        assert.fail('Notifications attendues non reçues');
+    };
+
+    const send = (from, to, message) =>
+        server.ok('POST', '/sendMessage', { senderId: from.id, receiverId: to.id, message }, from.token);
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.createUser('Alice');
+        bob = await server.createUser('Bob');
+    });
+
+    after(() => server?.stop());
+
+    it('regroupe les messages d\'une conversation et les marque lus avec la conversation', async () => {
+        await send(alice, bob, 'Premier');
+        await waitForNotifications(bob, inbox => inbox.unreadCount === 1);
+        await send(alice, bob, 'Second');
+        const inbox = await waitForNotifications(bob, ({ notifications }) => notifications[0]?.count === 2);
+        assert.equal(inbox.unreadCount, 1);
+        assert.equal(inbox.notifications.length, 1);
+        assert.equal(inbox.notifications[0].data.preview, 'Second');
+
+        await server.ok('POST', '/markConversationRead', { userId: bob.id, otherUserId: alice.id }, bob.token);
+        const read = await waitForNotifications(bob, ({ unreadCount }) => unreadCount === 0);
+        assert.equal(read.notifications[0].read, true);
+    });
+
+    it('marque une notification ou toutes comme lues, et respecte les types coupés', async () => {
+        await server.ok('POST', '/sendFriendRequest', { userId: alice.id, friendId: bob.id }, alice.token);
+        await send(alice, bob, 'Troisième');
+        const inbox = await waitForNotifications(bob, ({ unreadCount }) => unreadCount === 2);
+
+        const request = inbox.notifications.find(notification => notification.type === 'friend_request_received');
+        const marked = await server.ok('POST', '/markNotificationRead', { userId: bob.id, notificationId: request.id }, bob.token);
+        assert.equal(marked.read, true);
+        assert.equal((await server.ok('POST', '/markAllNotificationsRead', { userId: bob.id }, bob.token)).marked, 1);
+        const missing = await server.call('POST', '/markNotificationRead', { userId: bob.id, notificationId: '-inconnue' }, bob.token);
+        assert.equal(missing.body.code, 'NOTIFICATION_NOT_FOUND');
+
+        await server.ok('POST', '/setNotificationPreference', { userId: bob.id, type: 'message', muted: true }, bob.token);
+        const { types } = await server.ok('GET', `/getNotificationPreferences/${bob.id}`, null, bob.token);
+        assert.equal(types.find(({ type }) => type === 'message').muted, true);
+        await send(alice, bob, 'Coupé');
+        await server.ok('POST', '/acceptFriendRequest', { userId: bob.id, friendId: alice.id }, bob.token);
+        await waitForNotifications(alice, ({ notifications }) => notifications.some(({ type }) => type === 'friend_request_accepted'));
+        assert.equal((await server.ok('GET', `/getNotifications/${bob.id}?unreadOnly=true`, null, bob.token)).unreadCount, 0);
+    });
+});
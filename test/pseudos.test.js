@@ -0,0 +1,85 @@
+// test/pseudos.test.js
+// Pseudos uniques : normalisation, réservation transactionnelle et routes (changement, recherche).
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+import { normalizePseudo } from '../src/pseudos.js';
+import { startServer, withColdCache } from './helpers.js';
+
+describe('normalisation des pseudos', () => {
+    it('ignore les accents, la casse, les espaces en trop et les caractères interdits dans une clé', () => {
+        assert.equal(normalizePseudo('  Éloïse   Du  Bois '), 'eloise du bois');
+        assert.equal(normalizePseudo('a.b$c#d[e]f/g'), 'abcdefg');
+    });
+});
+
+describe('dépôt des pseudos', () => {
+    it('réserve et libère un pseudo même si la transaction commence sans la valeur en cache', async () => {
+        const repos = createRepositories(withColdCache(createMemoryStore()));
+
+        assert.equal(await repos.pseudos.reserve('alice', 'u1'), true);
+        assert.equal(await repos.pseudos.reserve('alice', 'u1'), true); // Déjà à lui
+        assert.equal(await repos.pseudos.reserve('alice', 'u2'), false);
+
+        await repos.pseudos.release('alice', 'u2'); // Pas à lui : rien ne change
+        assert.equal(await repos.pseudos.reserve('alice', 'u2'), false);
+        await repos.pseudos.release('alice', 'u1');
+        assert.equal(await repos.pseudos.reserve('alice', 'u2'), true);
+        await repos.pseudos.release('inconnu', 'u1');
+    });
+
+    it('cherche par préfixe, page par page', async () => {
+        const repos = createRepositories(createMemoryStore());
+        for (const [index, name] of ['alba', 'albert', 'alice', 'bob'].entries()) {
+            await repos.pseudos.reserve(name, `u${index}`);
+        }
+
+        const first = await repos.pseudos.search('al', { limit: 2 });
+        assert.deepEqual(first.entries.map(entry => entry.normalized), ['alba', 'albert']);
+        assert.equal(first.hasMore, true);
+        const second = await repos.pseudos.search('al', { after: 'albert', limit: 2 });
+        assert.deepEqual(second.entries.map(entry => entry.normalized), ['alice']);
+        assert.equal(second.hasMore, false);
+    });
+});
+
+describe('routes des pseudos', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server?.stop());
+
+    it('refuse un pseudo déjà pris, sans tenir compte des accents ni de la casse', async () => {
+        await server.createUser('Zoé');
+        const response = await server.call('POST', '/createUser', { pseudo: 'ZOE' });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.code, 'PSEUDO_TAKEN');
+
+        const user = await server.createUser('Zacharie');
+        const change = await server.call('POST', '/changePseudo', { userId: user.id, pseudo: 'zoe' }, user.token);
+        assert.equal(change.body.code, 'PSEUDO_TAKEN');
+    });
+
+    it('libère l\'ancien pseudo après un changement, mais pas après un simple changement de casse', async () => {
+        const user = await server.createUser('Ancien');
+        await server.ok('POST', '/changePseudo', { userId: user.id, pseudo: 'ancien' }, user.token);
+        assert.equal((await server.call('POST', '/createUser', { pseudo: 'ANCIEN' })).body.code, 'PSEUDO_TAKEN');
+
+        assert.deepEqual(await server.ok('POST', '/changePseudo', { userId: user.id, pseudo: 'Nouveau' }, user.token),
+            { pseudo: 'Nouveau' });
+        await server.createUser('Ancien'); // Libéré
+    });
+
+    it('recherche les utilisateurs par préfixe sans tenir compte des accents', async () => {
+        const elise = await server.createUser('Élise');
+        const elodie = await server.createUser('elodie');
+        const { users, nextCursor } = await server.ok('GET', '/searchUsers/EL?limit=10');
+        assert.deepEqual(users, [{ id: elise.id, pseudo: 'Élise' }, { id: elodie.id, pseudo: 'elodie' }]);
+        assert.equal(nextCursor, null);
+    });
+});
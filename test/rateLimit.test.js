@@ -0,0 +1,108 @@
+// test/rateLimit.test.js
+// Limitation du débit : store en mémoire, middleware (règles par route, par IP et par utilisateur) et réponses 429.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRateLimitStore, createRateLimiter } from '../src/rateLimit.js';
+import { createRequest, createResponse, startServer } from './helpers.js';
+
+/**
+ * Passe une requête vers `/routeName` dans le limiteur.
+ * @returns {Promise<{ res: object, passed: boolean }>}
+ */
+const hit = async (limiter, routeName, { ip = '10.0.0.1', headers } = {}) => {
+    const req = { ...createRequest({ headers }), ip, path: `/${routeName}` };
+    const res = createResponse();
+    let passed = false;
+    await limiter(req, res, () => { passed = true; });
+    return { res, passed };
+};
+
+describe('store de compteurs en mémoire', () => {
+    it('compte les appels par clé sur une fenêtre fixe', async () => {
+        const store = createMemoryRateLimitStore();
+        assert.deepEqual(await store.hit('a', 1000, 0), { count: 1, resetAt: 1000 });
+        assert.deepEqual(await store.hit('a', 1000, 500), { count: 2, resetAt: 1000 });
+        assert.deepEqual(await store.hit('b', 1000, 500), { count: 1, resetAt: 1500 });
+        assert.deepEqual(await store.hit('a', 1000, 1000), { count: 1, resetAt: 2000 });
+    });
+});
+
+describe('createRateLimiter', () => {
+    const rules = {
+        default: { windowMs: 60000, perIp: 3 },
+        createUser: { windowMs: 60000, perIp: 1 },
+        sendMessage: { windowMs: 60000, perUser: 1 },
+        searchUsers: null
+    };
+    const identify = async (req) => req.get('x-user') || null;
+
+    it('applique la règle propre d\'une route, et une règle commune aux autres', async () => {
+        const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), rules, identify });
+        assert.equal((await hit(limiter, 'createUser')).passed, true);
+        const limited = await hit(limiter, 'createUser');
+        assert.equal(limited.passed, false);
+        assert.equal(limited.res.statusCode, 429);
+        assert.equal(limited.res.body.code, 'RATE_LIMITED');
+        assert.equal(limited.res.body.success, false);
+        assert.ok(limited.res.body.data.retryAfter > 0);
+        assert.equal(limited.res.headers['Retry-After'], String(limited.res.body.data.retryAfter));
+        assert.equal((await hit(limiter, 'createUser', { ip: '10.0.0.2' })).passed, true);
+
+        // getGames et getUserDetails partagent les compteurs de `default`
+        assert.equal((await hit(limiter, 'getGames')).passed, true);
+        assert.equal((await hit(limiter, 'getUserDetails')).passed, true);
+        assert.equal((await hit(limiter, 'getGames')).passed, true);
+        assert.equal((await hit(limiter, 'getUserDetails')).passed, false);
+    });
+
+    it('limite par utilisateur identifié, et ne limite pas une route dont la règle est nulle', async () => {
+        const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), rules, identify });
+        assert.equal((await hit(limiter, 'sendMessage', { headers: { 'x-user': 'u1' } })).passed, true);
+        assert.equal((await hit(limiter, 'sendMessage', { headers: { 'x-user': 'u1' }, ip: '10.0.0.9' })).passed, false);
+        assert.equal((await hit(limiter, 'sendMessage', { headers: { 'x-user': 'u2' } })).passed, true);
+        assert.equal((await hit(limiter, 'sendMessage')).passed, true); // Anonyme : pas de limite par utilisateur
+
+        for (let i = 0; i < 5; i++) assert.equal((await hit(limiter, 'searchUsers')).passed, true);
+    });
+
+    it('laisse passer les requêtes quand le store est indisponible', async () => {
+        const store = { hit: async () => { throw new Error('Store indisponible'); } };
+        const limiter = createRateLimiter({ store, rules });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.equal((await hit(limiter, 'createUser')).passed, true);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+describe('limitation du débit des routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            env: { RATE_LIMITS: JSON.stringify({ createUser: { perIp: 3 }, sendMessage: { perIp: null, perUser: 2 } }) }
+        });
+    });
+
+    after(() => server?.stop());
+
+    it('limite la création de comptes par IP et l\'envoi de messages par utilisateur, /v1 compris', async () => {
+        const alice = await server.createUser('Alice');
+        const bob = await server.createUser('Bob');
+        await server.createUser('Carol');
+        const refused = await server.call('POST', '/createUser', { pseudo: 'Dave' });
+        assert.equal(refused.status, 429);
+        assert.equal(refused.body.code, 'RATE_LIMITED');
+        assert.ok(Number(refused.headers.get('retry-after')) > 3000); // Fenêtre d'une heure
+
+        await server.ok('POST', '/sendMessage', { senderId: alice.id, receiverId: bob.id, message: '1' }, alice.token);
+        await server.ok('POST', `/v1/users/${alice.id}/direct-messages/${bob.id}`, { message: '2' }, alice.token);
+        const limited = await server.call('POST', '/sendMessage', { senderId: alice.id, receiverId: bob.id, message: '3' }, alice.token);
+        assert.equal(limited.status, 429);
+        await server.ok('POST', '/sendMessage', { senderId: bob.id, receiverId: alice.id, message: 'Réponse' }, bob.token);
+    });
+});
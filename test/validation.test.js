@@ -0,0 +1,126 @@
+// test/validation.test.js
+// Validation déclarative des requêtes : conversions, champs requis et middleware.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createValidator, field, ID_PATTERN, validateFields } from '../src/validation.js';
+import { createResponse } from './helpers.js';
+
+describe('validateFields', () => {
+    it('convertit les valeurs selon leur type', () => {
+        const { errors, values } = validateFields({
+            userId: field.id(),
+            pseudo: field.string(),
+            limit: field.integer(),
+            score: field.number(),
+            muted: field.boolean(),
+            status: field.enum(['active', 'past'])
+        }, { userId: ' u1 ', pseudo: '  Alice ', limit: '20', score: '12.5', muted: 'false', status: ' past ' }, 'body');
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(values, { userId: 'u1', pseudo: 'Alice', limit: 20, score: 12.5, muted: false, status: 'past' });
+    });
+
+    it('signale les champs requis absents ou vides', () => {
+        const { errors } = validateFields({ userId: field.id(), pseudo: field.string() }, { pseudo: '   ' }, 'body');
+        assert.deepEqual(errors.map(error => error.field), ['body.userId', 'body.pseudo']);
+    });
+
+    it('applique les valeurs par défaut et retire les champs facultatifs vides', () => {
+        const { errors, values } = validateFields({
+            limit: field.integer({ default: 20 }),
+            cursor: field.string({ optional: true })
+        }, { cursor: '' }, 'query');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(values, { limit: 20 });
+    });
+
+    it('garde null pour un champ nullable et la chaîne vide avec allowEmpty', () => {
+        const { values } = validateFields({
+            maxScore: field.number({ nullable: true }),
+            bio: field.string({ allowEmpty: true }),
+            status: field.string({ optional: true })
+        }, { maxScore: null, bio: '', status: null }, 'body');
+        assert.deepEqual(values, { maxScore: null, bio: '' });
+    });
+
+    it('laisse tels quels les champs absents du schéma', () => {
+        const { values } = validateFields({ userId: field.id() }, { userId: 'u1', extra: { nested: true } }, 'body');
+        assert.deepEqual(values, { userId: 'u1', extra: { nested: true } });
+    });
+
+    it('refuse les valeurs du mauvais type', () => {
+        const { errors } = validateFields({
+            userId: field.id(),
+            pseudo: field.string(),
+            limit: field.integer(),
+            muted: field.boolean(),
+            status: field.enum(['active'])
+        }, { userId: 'a/b', pseudo: { text: 'Alice' }, limit: '2.5', muted: 'oui', status: 'past' }, 'body');
+        assert.deepEqual(errors.map(error => error.field), ['body.userId', 'body.pseudo', 'body.limit', 'body.muted', 'body.status']);
+    });
+
+    it('vérifie les bornes, les longueurs et le format', () => {
+        const fields = {
+            limit: field.integer({ min: 1, max: 50 }),
+            pseudo: field.string({ minLength: 3, maxLength: 5 }),
+            code: field.string({ pattern: /^[A-Z]+$/ })
+        };
+        assert.equal(validateFields(fields, { limit: 51, pseudo: 'Alice', code: 'ABC' }, 'body').errors[0].message,
+            'Le champ "limit" doit valoir au moins 1 et au plus 50.');
+        assert.equal(validateFields(fields, { limit: 5, pseudo: 'Al', code: 'ABC' }, 'body').errors.length, 1);
+        assert.equal(validateFields(fields, { limit: 5, pseudo: 'Alice', code: 'abc' }, 'body').errors.length, 1);
+    });
+
+    it('valide chaque élément d\'une liste', () => {
+        const fields = { memberIds: field.array(field.id(), { maxItems: 2 }) };
+        assert.deepEqual(validateFields(fields, { memberIds: [' u1', 'u2'] }, 'body').values, { memberIds: ['u1', 'u2'] });
+        assert.equal(validateFields(fields, { memberIds: ['u1', 'u2', 'u3'] }, 'body').errors.length, 1);
+        assert.equal(validateFields(fields, { memberIds: ['u1', 'a.b'] }, 'body').errors[0].message,
+            'Le champ "memberIds[1]" doit être un identifiant valide.');
+    });
+
+    it('applique la vérification personnalisée à la valeur convertie', () => {
+        const fields = { deadline: field.integer({ check: (value) => (value < 100 ? 'Trop tôt.' : null) }) };
+        assert.equal(validateFields(fields, { deadline: '50' }, 'body').errors[0].message, 'Trop tôt.');
+        assert.deepEqual(validateFields(fields, { deadline: '150' }, 'body').values, { deadline: 150 });
+    });
+});
+
+describe('ID_PATTERN', () => {
+    it('n\'accepte que des identifiants utilisables dans un chemin de la base', () => {
+        assert.ok(ID_PATTERN.test('-NxY_12ab'));
+        for (const id of ['', 'a/b', 'a.b', 'a#b', 'a$b', 'a[b]', 'x'.repeat(129)]) {
+            assert.ok(!ID_PATTERN.test(id), id);
+        }
+    });
+});
+
+describe('createValidator', () => {
+    const validate = createValidator({
+        getMessages: {
+            params: { userId: field.id() },
+            query: { limit: field.integer({ default: 20, max: 50 }) }
+        }
+    });
+
+    it('remplace les valeurs de la requête par leur forme convertie', () => {
+        const req = { params: { userId: 'u1' }, query: { limit: '10' }, body: {} };
+        let called = false;
+        validate('getMessages')(req, createResponse(), () => { called = true; });
+        assert.ok(called);
+        assert.deepEqual(req.query, { limit: 10 });
+    });
+
+    it('renvoie 400 VALIDATION_ERROR avec la liste des erreurs', () => {
+        const res = createResponse();
+        validate('getMessages')({ params: {}, query: { limit: '100' } }, res, () => assert.fail('next ne doit pas être appelé'));
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        assert.deepEqual(res.body.data.errors.map(error => error.field), ['params.userId', 'query.limit']);
+    });
+
+    it('refuse une route sans schéma au démarrage', () => {
+        assert.throws(() => validate('unknownRoute'), /Aucun schéma/);
+    });
+});
@@ -0,0 +1,78 @@
+// test/zip.test.js
+// Archives ZIP des exports de données : relues ici avec un lecteur minimal du format.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createZip } from '../src/zip.js';
+
+/**
+ * Relit une archive à partir de son répertoire central.
+ * @returns {Array<{ name: string, content: Buffer, crc: number, date: number, time: number }>}
+ */
+const readZip = (archive) => {
+    const endOffset = archive.length - 22;
+    assert.equal(archive.readUInt32LE(endOffset), 0x06054B50);
+    const count = archive.readUInt16LE(endOffset + 10);
+    let offset = archive.readUInt32LE(endOffset + 16);
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(archive.readUInt32LE(offset), 0x02014B50);
+        const crc = archive.readUInt32LE(offset + 16);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const size = archive.readUInt32LE(offset + 24);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const localOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        assert.equal(archive.readUInt32LE(localOffset), 0x04034B50);
+        assert.equal(archive.readUInt32LE(localOffset + 14), crc); // En-tête local identique au répertoire central
+        const dataOffset = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+        const content = zlib.inflateRawSync(archive.subarray(dataOffset, dataOffset + compressedSize));
+        assert.equal(content.length, size);
+
+        files.push({ name, content, crc, time: archive.readUInt16LE(offset + 12), date: archive.readUInt16LE(offset + 14) });
+        offset += 46 + nameLength;
+    }
+    return files;
+};
+
+describe('createZip', () => {
+    it('contient chaque fichier, dans l\'ordre, avec son contenu', () => {
+        const files = readZip(createZip([
+            { name: 'data.json', content: JSON.stringify({ pseudo: 'Élodie' }) },
+            { name: 'csv/messages.csv', content: 'id,message\n1,"Salut, ça va ?"\n' },
+            { name: 'binaire.bin', content: Buffer.from([0, 255, 1, 254]) }
+        ]));
+
+        assert.deepEqual(files.map(file => file.name), ['data.json', 'csv/messages.csv', 'binaire.bin']);
+        assert.deepEqual(JSON.parse(files[0].content.toString('utf8')), { pseudo: 'Élodie' });
+        assert.equal(files[1].content.toString('utf8'), 'id,message\n1,"Salut, ça va ?"\n');
+        assert.deepEqual([...files[2].content], [0, 255, 1, 254]);
+    });
+
+    it('calcule le CRC-32 du contenu non compressé', () => {
+        // Valeur de référence du CRC-32 de "123456789"
+        const [file] = readZip(createZip([{ name: 'check.txt', content: '123456789' }]));
+        assert.equal(file.crc, 0xCBF43926);
+    });
+
+    it('encode les noms de fichiers en UTF-8', () => {
+        const archive = createZip([{ name: 'données_été.csv', content: '' }]);
+        assert.equal(archive.readUInt16LE(6) & 0x0800, 0x0800);
+        assert.equal(readZip(archive)[0].name, 'données_été.csv');
+    });
+
+    it('date les fichiers au format MS-DOS', () => {
+        const [file] = readZip(createZip([{ name: 'a.txt', content: 'a' }], new Date(2024, 4, 17, 13, 45, 31)));
+        assert.equal(file.date, ((2024 - 1980) << 9) | (5 << 5) | 17);
+        assert.equal(file.time, (13 << 11) | (45 << 5) | 15);
+    });
+
+    it('produit une archive vide valide', () => {
+        const archive = createZip([]);
+        assert.equal(archive.length, 22);
+        assert.deepEqual(readZip(archive), []);
+    });
+});